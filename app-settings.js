@@ -0,0 +1,214 @@
+// app-settings.js
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const { PROVIDERS_REGISTRY } = require('./providers-registry');
+
+/**
+ * App settings
+ * Reads the AI settings kept in the store (provider, model, local server,
+ * Gemini caching, retries, background runs and per-tool overrides) and turns
+ * them into what the tool system and provider clients take. Shared by the
+ * desktop app and the command line (cli.js), so both run tools the same way.
+ */
+
+// Where to find a self-hosted OpenAI-compatible server when Settings has nothing
+const LOCAL_AI_DEFAULTS = {
+  base_url: PROVIDERS_REGISTRY.local.defaultBaseUrl,
+  context_window: PROVIDERS_REGISTRY.local.defaultContextWindow
+};
+
+/**
+ * Local AI server settings, filling in defaults for anything missing
+ * @param {Object} [overrides] - Values from the settings dialog
+ * @returns {Object} - { base_url, context_window }
+ */
+function getLocalAiSettings(overrides = null) {
+  const stored = overrides || (appState.store ? appState.store.get('localAiSettings') : null) || {};
+  const contextWindow = parseInt(stored.context_window, 10);
+  return {
+    base_url: (stored.base_url || '').trim().replace(/\/+$/, '') || LOCAL_AI_DEFAULTS.base_url,
+    context_window: contextWindow > 0 ? contextWindow : LOCAL_AI_DEFAULTS.context_window
+  };
+}
+
+const GEMINI_CACHE_DEFAULTS = {
+  context_caching: true,
+  cache_ttl_minutes: 30
+};
+
+/**
+ * Gemini context caching settings, filling in defaults for anything missing
+ * @param {Object} [overrides] - Values from the settings dialog
+ * @returns {Object} - { context_caching, cache_ttl_minutes }
+ */
+function getGeminiCacheSettings(overrides = null) {
+  const stored = overrides || (appState.store ? appState.store.get('geminiCacheSettings') : null) || {};
+  const ttlMinutes = parseInt(stored.cache_ttl_minutes, 10);
+  return {
+    context_caching: stored.context_caching !== undefined ? Boolean(stored.context_caching) : GEMINI_CACHE_DEFAULTS.context_caching,
+    cache_ttl_minutes: ttlMinutes > 0 ? Math.min(ttlMinutes, 24 * 60) : GEMINI_CACHE_DEFAULTS.cache_ttl_minutes
+  };
+}
+
+/**
+ * Gemini settings in the form its client takes
+ * @returns {Object} - { context_caching, cache_ttl_seconds }
+ */
+function getGeminiClientSettings() {
+  const settings = getGeminiCacheSettings();
+  return {
+    context_caching: settings.context_caching,
+    cache_ttl_seconds: settings.cache_ttl_minutes * 60
+  };
+}
+
+const RESILIENCE_DEFAULTS = {
+  max_retries: 3,
+  fallback_provider: ''
+};
+
+/**
+ * Retry and fallback provider settings, filling in defaults for anything missing
+ * @param {Object} [overrides] - Values from the settings dialog
+ * @returns {Object} - { max_retries, fallback_provider }
+ */
+function getResilienceSettings(overrides = null) {
+  const stored = overrides || (appState.store ? appState.store.get('resilienceSettings') : null) || {};
+  const maxRetries = parseInt(stored.max_retries, 10);
+  return {
+    max_retries: maxRetries >= 0 ? Math.min(maxRetries, 10) : RESILIENCE_DEFAULTS.max_retries,
+    fallback_provider: stored.fallback_provider || RESILIENCE_DEFAULTS.fallback_provider
+  };
+}
+
+const JOB_QUEUE_DEFAULTS = {
+  max_parallel: 2
+};
+
+// More than this and most providers start answering with rate limits
+const MAX_PARALLEL_JOBS = 4;
+
+/**
+ * Background run settings, filling in defaults for anything missing
+ * @param {Object} [overrides] - Values from the settings dialog
+ * @returns {Object} - { max_parallel }: how many tools may run at once
+ */
+function getJobQueueSettings(overrides = null) {
+  const stored = overrides || (appState.store ? appState.store.get('jobQueueSettings') : null) || {};
+  const maxParallel = parseInt(stored.max_parallel, 10);
+  return {
+    max_parallel: maxParallel >= 1 ? Math.min(maxParallel, MAX_PARALLEL_JOBS) : JOB_QUEUE_DEFAULTS.max_parallel
+  };
+}
+
+/**
+ * How the tool system should wrap the provider client: retries, and the
+ * fallback provider with the settings it needs
+ * @param {string} [provider] - Provider being wrapped, if not the selected one
+ * @returns {Object} - { provider, maxRetries, fallbackProvider, fallbackSettings }
+ */
+function getResilienceOptions(provider = appState.store ? appState.store.get('selectedApiProvider') : null) {
+  const settings = getResilienceSettings();
+  const fallbackProvider = settings.fallback_provider !== provider ? settings.fallback_provider : '';
+  return {
+    provider,
+    maxRetries: settings.max_retries,
+    fallbackProvider,
+    fallbackSettings: fallbackProvider === 'local' ? getLocalAiSettings()
+      : fallbackProvider === 'gemini' ? getGeminiClientSettings()
+      : {}
+  };
+}
+
+/**
+ * Client settings for a provider and model other than the selected ones, as
+ * used by per-tool overrides and compare runs
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model name, or empty for the provider's default
+ * @returns {Object}
+ */
+function getApiSettingsFor(provider, model) {
+  const settings = model ? { model_name: model } : {};
+  if (provider === 'local') {
+    Object.assign(settings, getLocalAiSettings());
+  }
+  if (provider === 'gemini') {
+    Object.assign(settings, getGeminiClientSettings());
+  }
+  return settings;
+}
+
+/**
+ * Provider and model overrides chosen per tool in its Setup dialog
+ * @returns {Object} - { [toolId]: { provider, model } }
+ */
+function getToolOverrides() {
+  return (appState.store ? appState.store.get('toolProviderOverrides') : null) || {};
+}
+
+/**
+ * Give a tool its own provider and model, or the selected ones again
+ * @param {string} toolId - Tool ID
+ * @param {Object|null} override - { provider, model }, or null
+ */
+function applyToolOverride(toolId, override) {
+  toolSystem.setToolOverride(toolId, override && override.provider ? {
+    provider: override.provider,
+    settings: getApiSettingsFor(override.provider, override.model),
+    resilience: getResilienceOptions(override.provider)
+  } : null);
+}
+
+// Apply the stored overrides after the tool system starts; one that can't be
+// used (say its API key was removed) leaves that tool on the selected provider
+function applyStoredToolOverrides() {
+  for (const [toolId, override] of Object.entries(getToolOverrides())) {
+    try {
+      applyToolOverride(toolId, override);
+    } catch (error) {
+      console.warn(`Not using ${override.provider} for ${toolId}: ${error.message}`);
+    }
+  }
+}
+
+// Global function to get complete settings 
+function getCompleteApiSettings() {
+  // Start with an empty settings object
+  const completeSettings = {};
+  
+  // Include stored model selection if available
+  const storedModel = appState.store ? appState.store.get('selectedAiModel') : null;
+  if (storedModel) {
+    completeSettings.model_name = storedModel;
+  }
+  
+  // A self-hosted server also needs its address and context size
+  const selectedProvider = appState.store ? appState.store.get('selectedApiProvider') : null;
+  if (selectedProvider === 'local') {
+    Object.assign(completeSettings, getLocalAiSettings());
+  }
+  if (selectedProvider === 'gemini' || !selectedProvider) {
+    Object.assign(completeSettings, getGeminiClientSettings());
+  }
+  
+  console.log('getCompleteApiSettings returning:', completeSettings);
+  console.log('- selectedApiProvider:', appState.store ? appState.store.get('selectedApiProvider') : 'no store');
+  console.log('- selectedAiModel:', storedModel);
+  
+  return completeSettings;
+}
+
+module.exports = {
+  LOCAL_AI_DEFAULTS,
+  getLocalAiSettings,
+  getGeminiCacheSettings,
+  getGeminiClientSettings,
+  getResilienceSettings,
+  getResilienceOptions,
+  getJobQueueSettings,
+  getApiSettingsFor,
+  getToolOverrides,
+  applyToolOverride,
+  applyStoredToolOverrides,
+  getCompleteApiSettings
+};
@@ -19,9 +19,10 @@ class BrainstormTool extends ToolBase {
   /**
    * Execute the tool
    * @param {Object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<Object>} - Execution result
    */
-  async execute(options) {
+  async execute(options, signal = null) {
     fileCache.clear(this.name);
     
     // Extract options
@@ -47,7 +48,7 @@ class BrainstormTool extends ToolBase {
 
       // Generate concept and characters based on options
       this.emitOutput("\nUsing ideas file to generate both concept and characters...\n");
-      const conceptFile = await this.generateAndAppend(ideasContent, absoluteIdeasFile, saveDir, options);
+      const conceptFile = await this.generateAndAppend(ideasContent, absoluteIdeasFile, saveDir, options, signal);
       outputFiles.push(conceptFile);
       
       this.emitOutput("\nGeneration complete!\n");
@@ -89,9 +90,10 @@ class BrainstormTool extends ToolBase {
    * @param {string} ideasFile - Path to ideas file
    * @param {string} saveDir - Directory to save output
    * @param {Object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<string>} - Path to saved file
    */
-  async generateAndAppend(ideasContent, ideasFile, saveDir, options) {
+  async generateAndAppend(ideasContent, ideasFile, saveDir, options, signal = null) {
     let prompt;
     prompt = this.createConceptPrompt(ideasContent, options);
     prompt += this.createCharacterPrompt(ideasContent, options);
@@ -106,13 +108,13 @@ class BrainstormTool extends ToolBase {
     let thinkingContent = "";
 
     try {
-      await this.apiService.streamWithThinking(
+      await this.apiService.streamResponse(
         prompt,
         (textDelta) => {
           fullResponse += textDelta;
           this.emitOutput(textDelta);
         },
-        true // don't use cached file
+        this.streamOptions(signal, { includeMetadata: true })
       );
     } catch (error) {
       this.emitOutput(`\nAPI Error: ${error.message}\n`);
@@ -4,6 +4,7 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseManuscript, classifyHeading } = require('./manuscript-structure');
 
 /**
  * Chapter Writer Tool
@@ -19,9 +20,10 @@ class ChapterWriter extends ToolBase {
   /**
    * Execute the tool
    * @param {Object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<Object>} - Execution result
    */
-  async execute(options) {
+  async execute(options, signal = null) {
     // Clear the cache for this tool
     fileCache.clear(this.name);
     
@@ -87,7 +89,8 @@ class ChapterWriter extends ToolBase {
         outlineFile,
         worldFile,
         language,
-        saveDir
+        saveDir,
+        signal
       );
       
       if (result) {
@@ -125,30 +128,30 @@ class ChapterWriter extends ToolBase {
    */
   async findFirstMissingChapter(manuscriptContent, outlineContent) {
     // Extract chapters from the manuscript and put numbers in a Set for quick lookup
-    const manuscriptChapterNumbers = new Set();
-    const chapterRegex = /Chapter\s+(\d+):\s+(.*?)(?=\n\n|\n*$)/gs;
-    let match;
-    
-    while ((match = chapterRegex.exec(manuscriptContent)) !== null) {
-      manuscriptChapterNumbers.add(parseInt(match[1], 10));
-    }
+    const manuscriptChapterNumbers = new Set(
+      parseManuscript(manuscriptContent).chapters
+        .filter(chapter => chapter.number !== null)
+        .map(chapter => chapter.number)
+    );
     
     this.emitOutput(`Found ${manuscriptChapterNumbers.size} chapters in manuscript.\n`);
     
-    // Find all chapters in the outline with a more specific regex
+    // Find all numbered chapters in the outline, keeping the first heading for each number
     const outlineChapters = [];
-    // This improved regex looks specifically for lines that start with "Chapter" at beginning of line
-    const outlineChapterRegex = /^Chapter\s+(\d+):\s+(.+)$/gm;
-    let outlineMatch;
-    
-    while ((outlineMatch = outlineChapterRegex.exec(outlineContent)) !== null) {
+    const seenNumbers = new Set();
+    for (const chapter of parseManuscript(outlineContent).chapters) {
+      if (chapter.number === null || seenNumbers.has(chapter.number)) {
+        continue;
+      }
+      seenNumbers.add(chapter.number);
+      
       // Debug output for each chapter found
-      this.emitOutput(`Found in outline: Chapter ${outlineMatch[1]}: ${outlineMatch[2]}\n`);
+      this.emitOutput(`Found in outline: ${chapter.heading}\n`);
       
       outlineChapters.push({
-        number: parseInt(outlineMatch[1], 10),
-        title: outlineMatch[2],
-        full: `Chapter ${outlineMatch[1]}: ${outlineMatch[2]}`
+        number: chapter.number,
+        title: chapter.title,
+        full: chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`
       });
     }
     
@@ -177,6 +180,7 @@ class ChapterWriter extends ToolBase {
    * @param {string} worldFile - Path to world file
    * @param {string} language - Language to write in
    * @param {string} saveDir - Directory to save output files
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<Object>} - Result of chapter processing
    */
   async processChapter(
@@ -185,7 +189,8 @@ class ChapterWriter extends ToolBase {
     outlineFile,
     worldFile,
     language,
-    saveDir
+    saveDir,
+    signal = null
   ) {
     try {
       // Extract chapter number and formatted chapter number
@@ -260,15 +265,13 @@ class ChapterWriter extends ToolBase {
       let fullResponse = "";
 
       try {
-        await this.apiService.streamWithThinking(
+        await this.apiService.streamResponse(
           prompt,
           (textDelta) => {
             fullResponse += textDelta;
             this.emitOutput(textDelta);
           },
-          true, // don't use cached file
-          false, // don't show metadata
-          { includeThinking: false } // don't include thinking in the response
+          this.streamOptions(signal) // no manuscript, metadata or thinking in the chapter text
         );
       } catch (error) {
         this.emitOutput(`\n*** Error during generation:\n${error.message}\n`);
@@ -332,50 +335,21 @@ class ChapterWriter extends ToolBase {
       throw new Error('Empty chapter heading');
     }
     
-    // Check for the different formats with more robust patterns
-    const fullPattern = /^Chapter\s+(\d+):\s+(.+)$/i;
-    const colonPattern = /^(\d+):\s+(.+)$/;
-    const periodPattern = /^(\d+)\.\s+(.+)$/;
-    
-    let chapterNum;
-    let title;
-    
-    let fullMatch = chapterHeading.match(fullPattern);
-    let colonMatch = chapterHeading.match(colonPattern);
-    let periodMatch = chapterHeading.match(periodPattern);
-    
-    if (fullMatch) {
-      chapterNum = fullMatch[1];
-      title = fullMatch[2].trim();
-      this.emitOutput(`Matched full pattern: Chapter ${chapterNum}: ${title}\n`);
-    } else if (colonMatch) {
-      chapterNum = colonMatch[1];
-      title = colonMatch[2].trim();
-      this.emitOutput(`Matched colon pattern: ${chapterNum}: ${title}\n`);
-    } else if (periodMatch) {
-      chapterNum = periodMatch[1];
-      title = periodMatch[2].trim();
-      this.emitOutput(`Matched period pattern: ${chapterNum}. ${title}\n`);
-    } else {
-      // Try a more lenient pattern as a fallback
-      const anyNumberPattern = /Chapter\s+(\d+)[^a-zA-Z0-9]*(.+)/i;
-      const anyNumberMatch = chapterHeading.match(anyNumberPattern);
-      
-      if (anyNumberMatch) {
-        chapterNum = anyNumberMatch[1];
-        title = anyNumberMatch[2].trim();
-        this.emitOutput(`Matched fallback pattern: Chapter ${chapterNum} with title: ${title}\n`);
-      } else {
-        this.emitOutput("\nERROR: Chapter format must be like:\n");
-        this.emitOutput(`\t"Chapter X: Title"\n`);
-        this.emitOutput(`\t"X: Title"\n`);
-        this.emitOutput(`\t"X. Title"\n`);
-        this.emitOutput(`... where X is a number.\n`);
-        this.emitOutput(`But your chapter heading was: '${chapterHeading}'\n\n`);
-        throw new Error('Invalid chapter heading format!');
-      }
+    const heading = classifyHeading(chapterHeading);
+    if (!heading || heading.type !== 'chapter' || heading.number === null) {
+      this.emitOutput("\nERROR: Chapter format must be like:\n");
+      this.emitOutput(`\t"Chapter X: Title"\n`);
+      this.emitOutput(`\t"X: Title"\n`);
+      this.emitOutput(`\t"X. Title"\n`);
+      this.emitOutput(`... where X is a number (digits, roman numerals or words).\n`);
+      this.emitOutput(`But your chapter heading was: '${chapterHeading}'\n\n`);
+      throw new Error('Invalid chapter heading format!');
     }
     
+    const chapterNum = String(heading.number);
+    const title = heading.title;
+    this.emitOutput(`Matched chapter heading: Chapter ${chapterNum}: ${title}\n`);
+    
     // Format the chapter number as 3-digit
     const formattedChapter = String(parseInt(chapterNum, 10)).padStart(3, '0');
     
@@ -394,14 +368,10 @@ class ChapterWriter extends ToolBase {
    */
   formatChapterHeading(chapterHeading) {
     // Extract chapter number and title if possible
-    const fullPattern = /^Chapter\s+(\d+)[:\.\s-]+(.+)$/i;
-    const numberPattern = /^(\d+)[:\.\s-]+(.+)$/;
-    
-    let match = chapterHeading.match(fullPattern) || chapterHeading.match(numberPattern);
+    const heading = classifyHeading(chapterHeading);
     
-    if (match) {
-      const [, num, title] = match;
-      return `Chapter ${num}: ${title.trim()}`;
+    if (heading && heading.type === 'chapter' && heading.number !== null && heading.title) {
+      return `Chapter ${heading.number}: ${heading.title}`;
     }
     
     // If we couldn't parse it, return the original
@@ -415,14 +385,10 @@ class ChapterWriter extends ToolBase {
    */
   formatOutlineHeading(chapterHeading) {
     // Extract chapter number and title if possible
-    const fullPattern = /^Chapter\s+(\d+)[:\.\s-]+(.+)$/i;
-    const numberPattern = /^(\d+)[:\.\s-]+(.+)$/;
-    
-    let match = chapterHeading.match(fullPattern) || chapterHeading.match(numberPattern);
+    const heading = classifyHeading(chapterHeading);
     
-    if (match) {
-      const [, num, title] = match;
-      return `Chapter ${num}: ${title.trim()}`;
+    if (heading && heading.type === 'chapter' && heading.number !== null && heading.title) {
+      return `Chapter ${heading.number}: ${heading.title}`;
     }
     
     // If we couldn't parse it, return the original
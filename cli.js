@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+// cli.js
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+require('dotenv').config({ path: path.join(os.homedir(), '.env') });
+
+const { v4: uuidv4 } = require('uuid');
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const promptManager = require('./tool-prompts-manager');
+const { checkTemplate } = require('./prompt-template');
+const { runTool, defaultOptionValues, parseOptionValue } = require('./tool-runs');
+const {
+  getCompleteApiSettings,
+  getResilienceOptions,
+  getGeminiCacheSettings,
+  applyStoredToolOverrides
+} = require('./app-settings');
+
+/**
+ * StoryGrinder on the command line
+ * Runs the same tools as the desktop app without opening a window, using the
+ * app's settings (AI provider, model, per-tool overrides, generation defaults)
+ * and API keys from ~/.env. Tool output streams to stdout and the usual report
+ * files, run history and usage ledger entries are written to the project.
+ * Diagnostics go to stderr with --verbose.
+ */
+
+const USAGE = `Usage: storygrinder <command> [arguments]
+
+Commands:
+  list                          List the tools
+  list <tool>                   Show a tool's description and options
+  run <tool> --project <name>   Run a tool on a project in ~/writing_with_storygrinder
+      [--opt key=value ...]     Set a tool option (repeatable); others use their defaults
+  prompts list                  List the tools' prompt files, and which were edited
+  prompts show <tool>           Print a tool's prompt
+  prompts path <tool>           Print the path of a tool's prompt file
+  prompts set <tool> <file>     Replace a tool's prompt with a file's text (- for stdin)
+  prompts reset <tool>          Put a tool's built-in prompt back (the newest default)
+  prompts diff <tool>           Compare a tool's prompt with the default, three ways
+                                if a newer default came out since you edited it
+  prompts keep <tool>           Keep your edited prompt and stop offering the newer default
+  prompts history <tool>        List a prompt's past versions
+  prompts revert <tool> <id>    Put back a past version from the history
+
+Options:
+  --verbose                     Show diagnostic logging on stderr
+  --help                        Show this help
+
+Exit status: 0 on success, 1 if the tool or command failed, 2 for a usage
+error, 130 if the run was cancelled with Ctrl-C.`;
+
+// Error in how the command was written, as opposed to a failure running it
+class UsageError extends Error {}
+
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Settings file the desktop app's electron-store writes to, found without Electron.
+ * Electron keeps it in a folder named after the app: the product name once
+ * packaged, the package name when run from source with `npm start`. The first
+ * of those that has a settings file wins.
+ * @returns {string}
+ */
+function defaultStorePath() {
+  const home = os.homedir();
+  let appData;
+  if (process.platform === 'darwin') {
+    appData = path.join(home, 'Library', 'Application Support');
+  } else if (process.platform === 'win32') {
+    appData = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  const { name, build } = require('./package.json');
+  const candidates = [...new Set([(build && build.productName) || 'StoryGrinder', name])]
+    .map(appName => path.join(appData, appName, `${appState.STORE_NAME}.json`));
+  return candidates.find(file => fs.existsSync(file)) || candidates[0];
+}
+
+/**
+ * The desktop app's settings, read with the get/set/path that appState uses
+ * from electron-store. Changes are kept in memory only: the command line
+ * never changes what the app has saved.
+ */
+class SettingsSnapshot {
+  /**
+   * @param {string} filePath - Settings JSON file; missing means no settings yet
+   */
+  constructor(filePath) {
+    this.path = filePath;
+    try {
+      this.data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read settings from ${filePath}: ${error.message}`);
+      }
+      this.data = {};
+    }
+  }
+
+  get(key, defaultValue) {
+    return this.data[key] !== undefined ? this.data[key] : defaultValue;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+  }
+
+  clear() {
+    this.data = {};
+  }
+}
+
+/**
+ * Split the command line into positional arguments and flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - { args, project, opts, verbose, help }
+ */
+function parseArgs(argv) {
+  const parsed = { args: [], project: null, opts: [], verbose: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+    if (arg === '--project' || arg === '-p') {
+      parsed.project = next();
+    } else if (arg === '--opt' || arg === '-o') {
+      parsed.opts.push(next());
+    } else if (arg === '--verbose' || arg === '-v') {
+      parsed.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (arg.startsWith('--project=')) {
+      parsed.project = arg.slice('--project='.length);
+    } else if (arg.startsWith('--opt=')) {
+      parsed.opts.push(arg.slice('--opt='.length));
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      parsed.args.push(arg);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Load settings and register the tools, as the desktop app does at startup
+ * @param {boolean} withAi - Create the provider clients; only `run` needs them,
+ *   and leaving them out keeps other commands from warning about API keys
+ * @returns {Promise<void>}
+ */
+async function initialize(withAi) {
+  await appState.initialize(new SettingsSnapshot(process.env.STORYGRINDER_CONFIG || defaultStorePath()));
+
+  // Each command runs one tool and exits, so nothing would reuse a Gemini
+  // context cache; it would only be paid for until it expired
+  appState.store.set('geminiCacheSettings', { ...getGeminiCacheSettings(), context_caching: false });
+
+  if (withAi) {
+    await toolSystem.initializeToolSystem(getCompleteApiSettings(), getResilienceOptions());
+    applyStoredToolOverrides();
+  } else {
+    await toolSystem.initializeToolSystem(null);
+  }
+  toolSystem.getToolPackErrors().forEach(error => console.error(`Tool pack left out: ${error}`));
+
+  await promptManager.ensurePromptsDirectory();
+  await promptManager.initializeAllPrompts();
+}
+
+/**
+ * A registered tool, by ID
+ * @param {string} toolId - Tool ID, as shown by `list`
+ * @returns {Object}
+ * @throws {UsageError} - If there's no such tool
+ */
+function getTool(toolId) {
+  const tool = toolSystem.toolRegistry.getAllToolIds().includes(toolId)
+    ? toolSystem.toolRegistry.getTool(toolId)
+    : null;
+  if (!tool) {
+    throw new UsageError(toolId
+      ? `No tool named "${toolId}"; run "storygrinder list" to see them`
+      : 'Name a tool; run "storygrinder list" to see them');
+  }
+  return tool;
+}
+
+function listTools() {
+  const toolIds = toolSystem.toolRegistry.getAllToolIds();
+  const width = Math.max(...toolIds.map(id => id.length));
+  for (const toolId of toolIds) {
+    const tool = toolSystem.toolRegistry.getTool(toolId);
+    const aiNote = toolSystem.isAiTool(toolId) ? '' : '  (no AI)';
+    print(`${toolId.padEnd(width)}  ${tool.config.title || toolId}${aiNote}`);
+  }
+}
+
+function describeTool(toolId) {
+  const tool = getTool(toolId);
+  print(`${tool.config.title || toolId} (${toolId})\n`);
+  if (tool.config.description) {
+    print(`${tool.config.description}\n`);
+  }
+  print('Options (--opt name=value):');
+  for (const option of tool.config.options || []) {
+    const choices = option.choices ? ` [${option.choices.map(choice => choice.value).join('|')}]` : '';
+    const defaultValue = option.default !== undefined && option.default !== '' ? `, default ${option.default}` : '';
+    print(`  ${option.name} (${option.type}${option.required ? ', required' : ''}${defaultValue})${choices}`);
+    if (option.description) {
+      print(`      ${option.description}`);
+    }
+  }
+}
+
+/**
+ * Option values for a run: each option's default, with the --opt values over them
+ * @param {Object} tool - Registered tool
+ * @param {string[]} pairs - "key=value" from --opt
+ * @returns {Object}
+ * @throws {UsageError} - For an unknown option, a bad value or a missing required one
+ */
+function buildOptionValues(tool, pairs) {
+  const options = tool.config.options || [];
+  const values = defaultOptionValues(tool);
+
+  for (const pair of pairs) {
+    const equals = pair.indexOf('=');
+    if (equals < 1) {
+      throw new UsageError(`--opt takes name=value, not "${pair}"`);
+    }
+    const name = pair.slice(0, equals);
+    const option = options.find(candidate => candidate.name === name);
+    if (!option) {
+      throw new UsageError(`${tool.config.title} has no option "${name}"; ` +
+        `its options are: ${options.map(candidate => candidate.name).join(', ')}`);
+    }
+    try {
+      values[name] = parseOptionValue(option, pair.slice(equals + 1));
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  const missing = options.filter(option => option.required && String(values[option.name]).trim() === '');
+  if (missing.length > 0) {
+    throw new UsageError(`Missing required option${missing.length > 1 ? 's' : ''}: ` +
+      missing.map(option => `--opt ${option.name}=...`).join(' '));
+  }
+  return values;
+}
+
+/**
+ * Point appState at a project, for this process only
+ * @param {string} project - Project folder name, or its path
+ * @throws {UsageError} - If it isn't a project folder
+ */
+function selectProject(project) {
+  if (!project) {
+    throw new UsageError('Name the project to run on with --project');
+  }
+  const projectPath = path.resolve(appState.PROJECTS_DIR, project);
+  if (!appState.isPathValid(projectPath) || projectPath === path.resolve(appState.PROJECTS_DIR) ||
+      !appState.directoryExists(projectPath)) {
+    throw new UsageError(`No project "${project}" in ${appState.PROJECTS_DIR}`);
+  }
+  appState.CURRENT_PROJECT = path.basename(projectPath);
+  appState.CURRENT_PROJECT_PATH = projectPath;
+  appState.DEFAULT_SAVE_DIR = projectPath;
+}
+
+/**
+ * Run a tool with its output on stdout; Ctrl-C cancels it like Stop does
+ * @param {string} toolId - Tool ID
+ * @param {Object} parsed - From parseArgs()
+ * @returns {Promise<number>} - Exit status
+ */
+async function runCommand(toolId, parsed) {
+  const tool = getTool(toolId);
+  selectProject(parsed.project);
+  const optionValues = buildOptionValues(tool, parsed.opts);
+
+  const runId = uuidv4();
+  const abortController = new AbortController();
+  const onInterrupt = () => {
+    if (abortController.signal.aborted) {
+      process.exit(130);
+    }
+    process.stderr.write('\nCancelling (press Ctrl-C again to quit at once)...\n');
+    abortController.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  const sendOutput = (text) => process.stdout.write(text);
+  try {
+    sendOutput(`Starting ${toolId} on ${appState.CURRENT_PROJECT}...\n\n`);
+    const outcome = await runTool(runId, toolId, optionValues, sendOutput, abortController.signal);
+    if (outcome.outputFiles.length > 0) {
+      sendOutput(`\nFiles:\n${outcome.outputFiles.map(file => `  ${file}`).join('\n')}\n`);
+    }
+    if (outcome.status === 'cancelled') {
+      return 130;
+    }
+    return outcome.status === 'success' ? 0 : 1;
+  } catch (error) {
+    console.error(`\n${tool.config.title || toolId} failed: ${error.message}`);
+    return 1;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * The `prompts` subcommands
+ * @param {string[]} args - Arguments after "prompts"
+ * @returns {Promise<number>} - Exit status
+ */
+async function promptsCommand([action, toolId, source]) {
+  if (action === 'list' || !action) {
+    const toolIds = toolSystem.toolRegistry.getAllToolIds();
+    const width = Math.max(...toolIds.map(id => id.length));
+    let updates = 0;
+    for (const id of toolIds) {
+      const tool = toolSystem.toolRegistry.getTool(id);
+      if (tool.pack) {
+        print(`${id.padEnd(width)}  pack     ${tool.pack.promptPath}`);
+        continue;
+      }
+      const status = await promptManager.getPromptStatus(id);
+      if (status) {
+        const label = status.updateAvailable ? 'update' : status.edited ? 'edited' : 'default';
+        updates += status.updateAvailable ? 1 : 0;
+        print(`${id.padEnd(width)}  ${label.padEnd(7)}  ${promptManager.getPromptPath(id)}`);
+      }
+    }
+    if (updates > 0) {
+      print('\n"update": you edited the prompt and a newer default came out; see "prompts diff <tool>"');
+    }
+    return 0;
+  }
+
+  const tool = getTool(toolId);
+  // A tool pack's prompt is a file in the pack, edited there
+  if (tool.pack && action !== 'show' && action !== 'path') {
+    throw new UsageError(`${toolId} is from a tool pack; edit its prompt file, ${tool.pack.promptPath}`);
+  }
+  switch (action) {
+    case 'show': {
+      const prompt = tool.pack ? await tool.readPromptFile() : await promptManager.getPrompt(toolId);
+      if (!prompt) {
+        console.error(`${toolId} has no prompt`);
+        return 1;
+      }
+      process.stdout.write(prompt.endsWith('\n') ? prompt : `${prompt}\n`);
+      return 0;
+    }
+    case 'path':
+      print(tool.pack ? tool.pack.promptPath : promptManager.getPromptPath(toolId));
+      return 0;
+    case 'set': {
+      if (!source) {
+        throw new UsageError('Give the file to read the prompt from, or - for stdin');
+      }
+      const content = fs.readFileSync(source === '-' ? 0 : path.resolve(source), 'utf8');
+      const problems = await checkTemplate(content, Object.keys(await tool.templateVariables()), {
+        fragmentsDir: promptManager.fragmentsDir
+      });
+      if (problems.length > 0) {
+        console.error(`Not saved; the prompt has ${problems.length === 1 ? 'a problem' : 'problems'}:\n- ${problems.join('\n- ')}`);
+        return 1;
+      }
+      await promptManager.savePrompt(toolId, content);
+      print(`Saved ${promptManager.getPromptPath(toolId)}`);
+      return 0;
+    }
+    case 'reset':
+      if (!(await promptManager.resetPrompt(toolId))) {
+        console.error(`${toolId} has no built-in prompt to reset to`);
+        return 1;
+      }
+      print(`Reset ${promptManager.getPromptPath(toolId)} to the built-in prompt`);
+      return 0;
+    case 'diff': {
+      const comparison = await promptManager.comparePrompt(toolId);
+      if (!comparison) {
+        console.error(`${toolId} has no built-in prompt to compare with`);
+        return 1;
+      }
+      printComparison(comparison);
+      return 0;
+    }
+    case 'keep':
+      if (!(await promptManager.getPromptStatus(toolId))) {
+        console.error(`${toolId} has no built-in prompt`);
+        return 1;
+      }
+      await promptManager.keepPrompt(toolId);
+      print(`Keeping your ${toolId} prompt; default v${promptManager.getDefaultVersion(toolId)} won't be offered again`);
+      return 0;
+    case 'history': {
+      const versions = await promptManager.getPromptHistory(toolId);
+      if (versions.length === 0) {
+        console.error(`${toolId} has no prompt history`);
+        return 1;
+      }
+      for (const version of versions) {
+        const words = version.text.split(/\s+/).filter(Boolean).length;
+        print(`${version.hash}  ${new Date(version.savedAt).toLocaleString()}  ${words} words  ${version.source}${version.current ? '  (current)' : ''}`);
+      }
+      return 0;
+    }
+    case 'revert': {
+      if (!source) {
+        throw new UsageError('Give the ID of the version to put back, from "prompts history"');
+      }
+      const version = await promptManager.revertPrompt(toolId, source);
+      print(`Put back the ${toolId} prompt from ${new Date(version.savedAt).toLocaleString()}`);
+      return 0;
+    }
+    default:
+      throw new UsageError(`Unknown prompts command "${action}"`);
+  }
+}
+
+/**
+ * Print a prompt's comparison with its default (see promptManager.comparePrompt):
+ * three ways in diff3's style, or as a line diff, with long unchanged stretches cut
+ * @param {Object} comparison
+ */
+function printComparison({ status, blocks, lines }) {
+  // Unchanged lines, cut down to a few next to the changes either side
+  const context = (unchanged, atStart, atEnd) => {
+    const keep = 3;
+    const head = atStart ? [] : unchanged.slice(0, keep);
+    const tail = atEnd ? [] : unchanged.slice(-keep);
+    if (unchanged.length <= head.length + tail.length + 1) {
+      return unchanged.map(line => `  ${line}`);
+    }
+    return [
+      ...head.map(line => `  ${line}`),
+      `  ... ${unchanged.length - head.length - tail.length} unchanged lines ...`,
+      ...tail.map(line => `  ${line}`)
+    ];
+  };
+
+  if (!blocks) {
+    if (!status.edited) {
+      print(`Your prompt is the same as default v${status.defaultVersion}.`);
+      return;
+    }
+    if (status.updateAvailable) {
+      print(`Default v${status.defaultVersion} came out after you edited your prompt; the default you started from isn't known.`);
+    }
+    print(`--- default v${status.defaultVersion}\n+++ yours`);
+    let unchanged = [];
+    let changed = false;
+    const flush = (atEnd) => {
+      context(unchanged, !changed, atEnd).forEach(line => print(line));
+      unchanged = [];
+    };
+    for (const line of lines) {
+      if (line.type === 'same') {
+        unchanged.push(line.text);
+        continue;
+      }
+      flush(false);
+      changed = true;
+      print(`${line.type === 'added' ? '+' : '-'} ${line.text}`);
+    }
+    flush(true);
+    return;
+  }
+
+  print(`Your prompt started from default v${status.baseVersion}; default v${status.defaultVersion} has come out since.`);
+  blocks.forEach((block, index) => {
+    if (block.type === 'same') {
+      context(block.mine, index === 0, index === blocks.length - 1).forEach(line => print(line));
+      return;
+    }
+    if (block.type === 'conflict') {
+      print('<<<<<<< yours');
+      block.mine.forEach(line => print(line));
+      print(`||||||| default v${status.baseVersion}`);
+      block.base.forEach(line => print(line));
+      print('=======');
+      block.theirs.forEach(line => print(line));
+      print(`>>>>>>> default v${status.defaultVersion}`);
+      return;
+    }
+    const label = { mine: 'your edit', theirs: `new in default v${status.defaultVersion}`, both: 'in both' }[block.type];
+    const changed = block.type === 'theirs' ? block.theirs : block.mine;
+    print(`@@ ${label}`);
+    block.base.forEach(line => print(`- ${line}`));
+    changed.forEach(line => print(`+ ${line}`));
+  });
+}
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit status
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  // stdout is for tool output; the modules' own logging only shows with --verbose
+  console.log = parsed.verbose ? console.error.bind(console) : () => {};
+
+  const [command, ...args] = parsed.args;
+  if (parsed.help || !command || command === 'help') {
+    print(USAGE);
+    return command || parsed.help ? 0 : 2;
+  }
+
+  try {
+    await initialize(command === 'run');
+    switch (command) {
+      case 'list':
+        if (args[0]) {
+          describeTool(args[0]);
+        } else {
+          listTools();
+        }
+        return 0;
+      case 'run':
+        return await runCommand(args[0], parsed);
+      case 'prompts':
+        return await promptsCommand(args);
+      default:
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\nRun "storygrinder --help" for usage.`);
+      return 2;
+    }
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  // Piped into head or the like, which stopped reading
+  process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') {
+      process.exit(0);
+    }
+    throw error;
+  });
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+    // Let output finish writing, but don't wait on a provider SDK's idle connections
+    setTimeout(() => process.exit(code), 1000).unref();
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,234 @@
+// client-base.js
+const fs = require('fs/promises');
+
+/**
+ * Options accepted by streamResponse(). Every provider client honours all of
+ * them, or documents why it can't (e.g. Claude ignores temperature while
+ * extended thinking is on, and OpenAI takes no thinking budget).
+ * @typedef {Object} StreamOptions
+ * @property {boolean} [includeManuscript=false] - Prepend the manuscript loaded by
+ *   prepareFileAndCache(); throws if none is loaded
+ * @property {boolean} [includeThinking=false] - Stream the model's reasoning, when it has any
+ * @property {boolean} [includeMetadata=false] - Append a RESPONSE METADATA block
+ * @property {number} [temperature] - Sampling temperature, provider default if unset
+ * @property {number} [topP] - Nucleus sampling cutoff (0-1], provider default if unset
+ * @property {number} [maxOutputTokens] - Upper limit on response tokens, provider default if unset
+ * @property {number} [thinkingBudget] - Tokens the model may spend reasoning, 0 for none;
+ *   provider default if unset. Checked against the model by generation-params.js
+ * @property {AbortSignal} [signal] - Aborts the request when the user cancels the run
+ * @property {Function} [onStatus] - Receives retry and failover notices (see
+ *   client-resilient.js) meant for the tool output rather than the response
+ * @property {Function} [onUsage] - Receives the tokens the provider reports for the
+ *   request once it finishes, as a TokenUsage; not called if the provider reports none
+ */
+
+/**
+ * Tokens a provider reports for one request
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens - Tokens sent, cached ones included
+ * @property {number} outputTokens - Tokens generated, thinking included
+ * @property {number} thinkingTokens - Part of outputTokens spent reasoning, 0 if
+ *   the provider doesn't say
+ * @property {number} cachedTokens - Part of inputTokens read from a context cache
+ */
+
+const STREAM_OPTION_DEFAULTS = {
+  includeManuscript: false,
+  includeThinking: false,
+  includeMetadata: false,
+  temperature: undefined,
+  topP: undefined,
+  maxOutputTokens: undefined,
+  thinkingBudget: undefined,
+  signal: null,
+  onStatus: null,
+  onUsage: null
+};
+
+// Methods with no useful default that every provider must supply
+const PROVIDER_METHODS = ['getAvailableModels', 'verifyAiAPI', 'streamRequest', 'countTokens'];
+
+/**
+ * AI API Service base class
+ * The interface every provider client (client-*.js) implements, so tools can
+ * switch providers without caring which one is selected. Handles loading the
+ * manuscript, option defaults and building the input; subclasses only talk to
+ * their API in streamRequest().
+ */
+class AiApiServiceBase {
+  /**
+   * @param {Object} defaults - Provider config defaults (model_name, context_window, ...)
+   * @param {Object} [config={}] - Settings that override the defaults
+   */
+  constructor(defaults, config = {}) {
+    this.config = {
+      ...defaults,
+      ...config
+    };
+    this.manuscriptContent = null;
+  }
+
+  /**
+   * Get list of models the provider offers
+   * @returns {Promise<Array>} Array of model objects with id or name
+   */
+  async getAvailableModels() {
+    return [];
+  }
+
+  /**
+   * Verifies the provider is reachable and serves the selected model
+   * @returns {Promise<boolean>}
+   */
+  async verifyAiAPI() {
+    return false;
+  }
+
+  /**
+   * Reads a manuscript file into memory for requests with includeManuscript
+   * @param {string} manuscriptFile - Path to the manuscript file
+   * @returns {Promise<Object>} - { cache, messages, errors }
+   */
+  async prepareFileAndCache(manuscriptFile) {
+    const messages = [];
+    const errors = [];
+
+    try {
+      const content = await fs.readFile(manuscriptFile, 'utf8');
+      if (!content.trim()) {
+        throw new Error('Manuscript file is empty');
+      }
+      this.manuscriptContent = content;
+      messages.push('Manuscript file loaded successfully');
+      messages.push(`Manuscript length: ${content.length} characters`);
+    } catch (error) {
+      errors.push(`Error loading manuscript: ${error.message}`);
+      this.manuscriptContent = null;
+    }
+
+    return { cache: null, messages, errors };
+  }
+
+  /**
+   * Forget the loaded manuscript
+   */
+  async clearFilesAndCaches() {
+    this.manuscriptContent = null;
+  }
+
+  /**
+   * Stream a response
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for each piece of response text
+   * @param {StreamOptions} [options={}] - Request options
+   * @returns {Promise<void>}
+   */
+  async streamResponse(prompt, onText, options = {}) {
+    const streamOptions = this.normalizeStreamOptions(options);
+    const input = this.buildInput(prompt, streamOptions.includeManuscript);
+    return this.streamRequest(input, onText, streamOptions);
+  }
+
+  /**
+   * Send the complete input to the provider and stream the reply to onText.
+   * Implemented by each provider client.
+   * @param {string} input - Prompt, with the manuscript already prepended if requested
+   * @param {Function} onText - Callback for each piece of response text
+   * @param {StreamOptions} options - Request options with defaults filled in
+   * @returns {Promise<void>}
+   */
+  async streamRequest(input, onText, options) {
+    throw new Error(`${this.constructor.name} does not implement streamRequest()`);
+  }
+
+  /**
+   * Older positional form of streamResponse(), kept for existing callers
+   * @deprecated Use streamResponse(prompt, onText, options)
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for response text
+   * @param {boolean} [noCache=false] - Whether to leave out the manuscript
+   * @param {boolean} [includeMetaData=false] - Whether to include metadata in response
+   * @param {Object} [options={}] - Remaining StreamOptions
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = false, options = {}) {
+    return this.streamResponse(prompt, onText, {
+      ...options,
+      includeManuscript: !noCache,
+      includeMetadata: includeMetaData
+    });
+  }
+
+  /**
+   * Count tokens in a text string
+   * @param {string} text - Text to count tokens in
+   * @returns {number|Promise<number>} - Token count (-1 on error)
+   */
+  countTokens(text) {
+    return -1;
+  }
+
+  /**
+   * Fill in defaults for any options not given
+   * @param {StreamOptions} options - Options from the caller
+   * @returns {StreamOptions}
+   */
+  normalizeStreamOptions(options = {}) {
+    const normalized = { ...STREAM_OPTION_DEFAULTS };
+    Object.keys(STREAM_OPTION_DEFAULTS).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        normalized[key] = options[key];
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Prepend the loaded manuscript to a prompt
+   * @param {string} prompt - Prompt text
+   * @param {boolean} includeManuscript - Whether the manuscript was asked for
+   * @returns {string}
+   */
+  buildInput(prompt, includeManuscript) {
+    if (!includeManuscript) {
+      return prompt;
+    }
+    if (!this.manuscriptContent) {
+      throw new Error('No manuscript loaded. Call prepareFileAndCache() first.');
+    }
+    return `=== MANUSCRIPT ===\n${this.manuscriptContent}\n=== END MANUSCRIPT ===\n\n${prompt}`;
+  }
+
+  /**
+   * Text of the metadata block appended when includeMetadata is on
+   * @param {Object} metadata - Provider details about the response
+   * @returns {string}
+   */
+  formatMetadata(metadata) {
+    return '\n\n--- RESPONSE METADATA ---\n' + JSON.stringify(metadata, null, 2);
+  }
+
+  /**
+   * Check a provider client class implements this interface; used by the
+   * client factory so a broken provider is reported when it is selected
+   * rather than partway through a tool run
+   * @param {Function} ServiceClass - Provider client class
+   * @returns {string[]} - Problems found, empty if it conforms
+   */
+  static checkConformance(ServiceClass) {
+    if (typeof ServiceClass !== 'function') {
+      return ['is not a class'];
+    }
+    if (!(ServiceClass.prototype instanceof AiApiServiceBase)) {
+      return [`${ServiceClass.name} does not extend AiApiServiceBase`];
+    }
+    return PROVIDER_METHODS
+      .filter(method => ServiceClass.prototype[method] === AiApiServiceBase.prototype[method])
+      .map(method => `${ServiceClass.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = {
+  AiApiServiceBase,
+  STREAM_OPTION_DEFAULTS
+};
@@ -1,18 +1,17 @@
 // client-claude.js
 const anthropic = require('@anthropic-ai/sdk');
-const fs = require('fs/promises');
 const path = require('path');
+const { AiApiServiceBase } = require('./client-base');
 
 /**
  * Claude AI API Service
  * Handles interactions with Claude AI API services
  */
-class AiApiService {
+class AiApiService extends AiApiServiceBase {
   constructor(config = {}) {
     // WARNING: the May 2025 release of Claude 4 has this:
     // Store configuration with defaults
-    this.config = {
-      max_retries: 1,
+    super({
       request_timeout: 300,
       context_window: 200000,
       thinking_budget_tokens: 32000,
@@ -22,8 +21,7 @@ class AiApiService {
       // betas: 'output-128k-2025-02-19',
       max_thinking_budget: 32000,  // Allow full 32K when possible
       max_tokens: 32000,
-      ...config
-    };
+    }, config);
     
     // Debug logging to verify model selection
     console.log('Claude API Constructor called with config:', config);
@@ -39,11 +37,9 @@ class AiApiService {
     this.client = new anthropic.Anthropic({
       apiKey: apiKeyFromEnv,
       timeout: this.config.request_timeout * 1000,
-      maxRetries: this.config.max_retries,
+      // ResilientApiService retries, logging and metering every attempt
+      maxRetries: 0,
     });
-
-    // Store manuscript content for prepending to prompts
-    this.manuscriptContent = null;
     
     console.log('Claude API Service initialized with:');
     console.log('- Context window:', this.config.context_window);
@@ -111,39 +107,6 @@ class AiApiService {
     }
   }
 
-  /**
-   * Prepares file content for manuscript processing
-   * @param {string} manuscriptFile - Path to the manuscript file
-   * @returns {Promise<Object>} - Returns {cache: null, messages, errors}
-   */
-  async prepareFileAndCache(manuscriptFile) {
-    const messages = [];
-    const errors = [];
-    
-    try {
-      messages.push('Loading manuscript file...');
-      const content = await fs.readFile(manuscriptFile, 'utf8');
-      
-      if (!content.trim()) {
-        throw new Error('Manuscript file is empty');
-      }
-      
-      this.manuscriptContent = content;
-      messages.push('Manuscript file loaded successfully');
-      messages.push(`Manuscript length: ${content.length} characters`);
-      
-    } catch (error) {
-      errors.push(`Error loading manuscript: ${error.message}`);
-      this.manuscriptContent = null;
-    }
-    
-    return {
-      cache: null, // Claude doesn't use caching like Gemini
-      messages,
-      errors
-    };
-  }
-
   /**
    * Clear any cached content (Claude doesn't use external caching)
    */
@@ -154,29 +117,26 @@ class AiApiService {
 
   /**
    * Stream a response with thinking
-   * @param {string} prompt - Prompt to complete
+   * options.temperature and options.topP are ignored while extended thinking
+   * is on, since the API only accepts the default sampling with thinking
+   * enabled; a thinkingBudget of 0 turns thinking off so they can be used.
+   * With thinking off the API takes temperature or top_p but not both, so
+   * topP is only sent when no temperature is set.
+   * @param {string} input - Prompt, with the manuscript prepended if requested
    * @param {Function} onText - Callback for response text
-   * @param {boolean} [noCache=false] - Whether to skip using cached content (ignored for Claude)
-   * @param {boolean} [includeMetaData=true] - Whether to include metadata in response
-   * @param {Object} [options={}] - Additional options
+   * @param {Object} options - StreamOptions, see client-base.js
    * @returns {Promise<void>}
    */
-  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
+  async streamRequest(input, onText, options) {
     if (!this.client || this.apiKeyMissing) {
       throw new Error('Claude API client not initialized - API key missing');
     }
 
-    // Prepare the full prompt with manuscript content if available
-    let fullPrompt = prompt;
-    if (this.manuscriptContent && !noCache) {
-      fullPrompt = `=== MANUSCRIPT ===\n${this.manuscriptContent}\n=== END MANUSCRIPT ===\n\n${prompt}`;
-    }
-
     // Count tokens in the full prompt
-    const promptTokens = await this.countTokens(fullPrompt);
+    const promptTokens = await this.countTokens(input);
     
     // Calculate token budgets
-    const budgets = this.calculateTokenBudgets(promptTokens);
+    const budgets = this.calculateTokenBudgets(promptTokens, options.maxOutputTokens, options.thinkingBudget);
     
     // Log token information
     console.log(`Prompt tokens: ${promptTokens}`);
@@ -185,30 +145,40 @@ class AiApiService {
     console.log(`Thinking budget: ${budgets.thinkingBudget}`);
     
     if (budgets.isPromptTooLarge) {
-      onText(`\nWARNING: Prompt is very large (${promptTokens} tokens). This may affect response quality.\n\n`);
+      onText(`\nWARNING: Prompt is very large (${promptTokens} tokens). This may affect response quality; consider turning on Chunked Mode in the tool's Setup.\n\n`);
     }
 
     const modelOptions = {
       model: this.config.model_name,
       max_tokens: budgets.maxTokens,
-      messages: [{ role: "user", content: fullPrompt }],
+      messages: [{ role: "user", content: input }],
       thinking: {
         type: "enabled",
         budget_tokens: budgets.thinkingBudget
       },
       // betas: this._getBetasArray()
     };
+    // The API rejects thinking budgets under 1024, so a small maxOutputTokens
+    // (or a thinkingBudget of 0) turns thinking off
+    if (budgets.thinkingBudget < 1024) {
+      delete modelOptions.thinking;
+      if (options.temperature !== undefined) {
+        modelOptions.temperature = options.temperature;
+      } else if (options.topP !== undefined) {
+        modelOptions.top_p = options.topP;
+      }
+    }
 
     try {
       // const { data: stream, response: rawResponse } = await this.client.beta.messages
       //   .stream(modelOptions)
       //   .withResponse();
       const { data: stream, response: rawResponse } = await this.client.messages
-        .stream(modelOptions)
+        .stream(modelOptions, { signal: options.signal })
         .withResponse();
 
       // Show rate limit headers if metadata is requested
-      if (includeMetaData) {
+      if (options.includeMetadata) {
         onText('\n=== FYI: Rate Limits ===\n');
         const headerEntries = Array.from(rawResponse.headers.entries());
         for (const [name, value] of headerEntries) {
@@ -221,8 +191,21 @@ class AiApiService {
 
       let isThinking = false;
       let isResponding = false;
+      // message_start carries the input counts, message_delta the running output count
+      const usage = {};
 
       for await (const event of stream) {
+        if (event.type === "message_start" && event.message.usage) {
+          Object.assign(usage, event.message.usage);
+        }
+        if (event.type === "message_delta" && event.usage) {
+          Object.entries(event.usage).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) {
+              usage[key] = value;
+            }
+          });
+        }
+
         if (event.type === "content_block_start") {
           if (event.content_block.type === "thinking") {
             if (!isThinking) {
@@ -250,14 +233,24 @@ class AiApiService {
         }
         
         if (event.type === "message_stop") {
-          if (includeMetaData) {
+          if (options.onUsage && usage.output_tokens !== undefined) {
+            const cachedTokens = usage.cache_read_input_tokens || 0;
+            // Claude bills thinking as output without counting it separately
+            options.onUsage({
+              inputTokens: (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0),
+              outputTokens: usage.output_tokens,
+              thinkingTokens: 0,
+              cachedTokens
+            });
+          }
+          if (options.includeMetadata) {
             const metadata = {
               model: this.config.model_name,
               promptTokens: promptTokens,
               maxTokens: budgets.maxTokens,
               thinkingBudget: budgets.thinkingBudget
             };
-            onText('\n\n--- Response MetaData ---\n' + JSON.stringify(metadata, null, 2));
+            onText(this.formatMetadata(metadata));
           }
         }
       }
@@ -310,9 +303,11 @@ class AiApiService {
   /**
    * Calculate token budgets and validate prompt size
    * @param {number} promptTokens - Number of tokens in the prompt
+   * @param {number} [maxOutputTokens] - Caller's limit on response tokens, thinking included
+   * @param {number} [requestedThinkingBudget] - Caller's thinking budget, 0 for none
    * @returns {Object} - Calculated token budgets and limits
    */
-  calculateTokenBudgets(promptTokens) {
+  calculateTokenBudgets(promptTokens, maxOutputTokens, requestedThinkingBudget) {
     const contextWindow = this.config.context_window;
     const desiredOutputTokens = this.config.desired_output_tokens;
     const configuredThinkingBudget = this.config.thinking_budget_tokens;
@@ -324,6 +319,9 @@ class AiApiService {
 
     // For API call, max_tokens must respect the API limit (32K without betas)
     let maxTokens = Math.min(availableTokens, this.config.max_tokens);
+    if (maxOutputTokens) {
+      maxTokens = Math.min(maxTokens, maxOutputTokens);
+    }
     
     // Thinking budget: maximize based on available space
     // API requires: max_tokens > thinking_budget
@@ -332,6 +330,9 @@ class AiApiService {
       maxTokens - 1,        // Must be less than max_tokens
       maxThinkingBudget     // Respect configured limit (32K)
     );
+    if (requestedThinkingBudget !== undefined) {
+      thinkingBudget = Math.min(thinkingBudget, requestedThinkingBudget);
+    }
     
     // Check if prompt is too large (using more than 90% of context window)
     const isPromptTooLarge = promptTokens > (contextWindow * 0.9);
@@ -382,7 +383,8 @@ class AiApiService {
     this.client = new anthropic.Anthropic({
       apiKey: apiKey,
       timeout: this.config.request_timeout * 1000,
-      maxRetries: this.config.max_retries,
+      // ResilientApiService retries, logging and metering every attempt
+      maxRetries: 0,
     });
     
     console.log('Claude client recreated successfully');
@@ -6,17 +6,22 @@ const {
     createUserContent,
     createPartFromUri,
 } = require('@google/genai');
+const path = require('path');
+const crypto = require('crypto');
+const { AiApiServiceBase } = require('./client-base');
 
 /**
  * AI API Service
  * Handles interactions with AI API services
  */
-class AiApiService {
+class AiApiService extends AiApiServiceBase {
   constructor(config = {}) {
-    this.config = {
+    super({
       model_name: 'gemini-2.5-pro-preview-05-06',
-      ...config
-    };
+      context_window: 1048576,
+      context_caching: true,
+      cache_ttl_seconds: 1800,
+    }, config);
 
     const apiKeyFromEnv = process.env.GEMINI_API_KEY;
     if (!apiKeyFromEnv) {
@@ -26,8 +31,8 @@ class AiApiService {
     }
 
     this.aiApiCache = null;
-    // Store manuscript content for direct API calls (bypassing file upload/cache)
-    this.manuscriptContent = null;
+    // { key, promise } while prepareFileAndCache is creating or renewing the cache
+    this.pendingCache = null;
 
     this.client = new GoogleGenAI({
       apiKey: apiKeyFromEnv
@@ -107,10 +112,14 @@ class AiApiService {
   }
 
   /**
-   * Prepares file upload and caching for manuscript processing
-   * NOTE: File upload and caching code preserved but bypassed for direct content usage
+   * Loads the manuscript and, with context caching on, uploads it once and
+   * creates a Gemini context cache for it. Later tools reuse that cache for as
+   * long as the manuscript and model are unchanged, so only the first one pays
+   * for sending the whole manuscript; each reuse pushes the expiry back by the TTL.
+   * The manuscript is always kept in memory too, for requests that can't use
+   * the cache (it expired mid-run, or couldn't be created).
    * @param {string} manuscriptFile - Path to the manuscript file
-   * @returns {Promise<Object>} - Returns {cache, messages, errors} where cache is the existing cache object
+   * @returns {Promise<Object>} - Returns {cache, messages, errors}
    */
   async prepareFileAndCache(manuscriptFile) {
     if (!this.client || this.apiKeyMissing) {
@@ -118,7 +127,6 @@ class AiApiService {
     }
 
     const fs = require('fs/promises');
-    const path = require('path');
     
     // Create arrays to collect messages and errors
     const messages = [];
@@ -136,9 +144,6 @@ class AiApiService {
       console.error(message); // Also log to console for debugging
     };
 
-    // BYPASSING FILE UPLOAD AND CACHING - Load manuscript content directly into memory
-    log(`Loading manuscript file directly into memory (bypassing upload/cache)...`);
-    
     try {
       const content = await fs.readFile(manuscriptFile, 'utf8');
       
@@ -153,220 +158,202 @@ class AiApiService {
     } catch (error) {
       logError(`Error loading manuscript: ${error.message}`);
       this.manuscriptContent = null;
+      this.aiApiCache = null;
+      return { cache: null, messages, errors };
     }
 
-    // Clear any existing cache reference since we're not using it
-    this.aiApiCache = null;
-
-    // Return structure consistent with original API
-    return {
-      cache: null, // No cache when bypassing
-      messages,
-      errors
-    };
-  }
-
-  /* ===== PRESERVED FILE UPLOAD AND CACHING CODE FOR FUTURE USE =====
-   * This code is intact but not currently executed
-   * 
-  async prepareFileAndCacheOriginal(manuscriptFile) {
-    if (!this.client || this.apiKeyMissing) {
-      throw new Error('Gemini API client not initialized - API key missing');
+    if (!this.config.context_caching) {
+      this.aiApiCache = null;
+      return { cache: null, messages, errors };
     }
 
-    const path = require('path');
-    let uploadedFileMetadata = null;
-    let existingCache = null;
-    let activeModelName = this.config.model_name;
-    
-    // Create arrays to collect messages and errors
-    const messages = [];
-    const errors = [];
-    
-    // Log function for internal use
-    const log = (message) => {
-      messages.push(message);
-      console.log(message); // Also log to console for debugging
-    };
-    
-    // Error log function
-    const logError = (message) => {
-      errors.push(message);
-      console.error(message); // Also log to console for debugging
-    };
-
-    // Step 1: Check for existing file uploads
-    log(`\n--- Checking for existing file uploads ---`);
-    
-    if (this.client && this.client.files && 
-        typeof this.client.files.list === 'function') {
-      const fileListParams = {};
-      try {
-        const fileListResponsePager = await this.client.files.list(fileListParams);
-        
-        let fileCount = 0;
-        for await (const file of fileListResponsePager) {
-          fileCount++;
-          log(`Found file #${fileCount}:`);
-          log(`- Name: ${file.name}`);
-          log(`- Display Name: ${file.displayName || 'N/A'}`);
-          log(`- Size: ${file.sizeBytes || 'N/A'} bytes`);
-          
-          // Use the first active file found
-          if (file.state === 'ACTIVE' && !uploadedFileMetadata) {
-            log(`Using this file for processing.`);
-            uploadedFileMetadata = file;
-          }
+    const manuscriptHash = crypto.createHash('sha256').update(this.manuscriptContent).digest('hex');
+    const key = `${manuscriptHash}:${this.config.model_name}`;
+
+    // Tools sharing this client can run at once: one preparation at a time,
+    // and a run that finds the same one under way waits for it instead of
+    // uploading again and leaving the other cache behind
+    while (this.pendingCache) {
+      const pending = this.pendingCache;
+      if (pending.key === key) {
+        log(`Waiting for the Gemini context cache another tool is creating for this manuscript...`);
+        await pending.promise.catch(() => {});
+        if (this.usableCache() && this.aiApiCache.manuscriptHash === manuscriptHash) {
+          log(`Reusing Gemini context cache for this manuscript (expires ${new Date(this.aiApiCache.expireTime).toLocaleTimeString()})`);
         }
-        
-        if (fileCount === 0) {
-          log(`No existing files found. Will upload manuscript.`);
-        } else if (!uploadedFileMetadata) {
-          log(`No ACTIVE files found. Will upload manuscript.`);
-        }
-      } catch (fileListError) {
-        logError(`Error listing files: ${fileListError.message}`);
-        log(`Will proceed without file API.`);
+        return { cache: this.aiApiCache, messages, errors };
       }
-    } else {
-      log(`Files API not available. Will proceed without file upload.`);
+      await pending.promise.catch(() => {});
     }
-    
-    // Upload file if no existing file is found
-    if (!uploadedFileMetadata && this.client && this.client.files && 
-        typeof this.client.files.upload === 'function') {
+
+    const promise = this.updateContextCache(manuscriptFile, manuscriptHash, log);
+    this.pendingCache = { key, promise };
+    try {
+      await promise;
+    } finally {
+      this.pendingCache = null;
+    }
+
+    return { cache: this.aiApiCache, messages, errors };
+  }
+
+  /**
+   * Reuse the context cache for this manuscript, or replace it with a new one.
+   * Only called by prepareFileAndCache, one at a time.
+   * @param {string} manuscriptFile - Path to the manuscript file
+   * @param {string} manuscriptHash - sha256 of its content
+   * @param {Function} log - Adds a message for the tool's output
+   * @returns {Promise<void>}
+   */
+  async updateContextCache(manuscriptFile, manuscriptHash, log) {
+    const ttl = `${this.config.cache_ttl_seconds}s`;
+
+    if (this.usableCache() && this.aiApiCache.manuscriptHash === manuscriptHash) {
       try {
-        log(`Uploading manuscript file to API...`);
-        uploadedFileMetadata = await this.client.files.upload({
-          file: manuscriptFile,
-          config: {
-            mimeType: 'text/plain',
-            displayName: path.resolve(manuscriptFile)
-          }
-        });
-        log(`Successfully uploaded file: ${uploadedFileMetadata.name}`);
-      } catch (uploadError) {
-        logError(`Error uploading file: ${uploadError.message}`);
-        log(`Will proceed without file upload.`);
-        uploadedFileMetadata = null;
+        const updated = await this.client.caches.update({ name: this.aiApiCache.name, config: { ttl } });
+        this.aiApiCache.expireTime = updated.expireTime || this.aiApiCache.expireTime;
+        log(`Reusing Gemini context cache for this manuscript (expires ${new Date(this.aiApiCache.expireTime).toLocaleTimeString()})`);
+        return;
+      } catch (error) {
+        // Deleted elsewhere, or expired just now; make a new one
+        log(`Gemini context cache could not be reused (${error.message}), creating a new one...`);
       }
     }
-    
-    // Step 2: Check for existing caches
-    log(`\n--- Checking for existing caches ---`);
-    
-    if (this.client && this.client.caches && 
-        typeof this.client.caches.list === 'function') {
-      const cacheListParams = { pageSize: 20 };
-      try {
-        const cacheListResponsePager = await this.client.caches.list(cacheListParams);
-        
-        let cacheCount = 0;
-        
-        for await (const cache of cacheListResponsePager) {
-          cacheCount++;
-          // Use formatRemainingTime if available, otherwise calculate directly
-          let remainingTime = "unknown";
-          if (typeof this.formatRemainingTime === 'function') {
-            remainingTime = this.formatRemainingTime(cache.expireTime);
-          } else if (cache.expireTime) {
-            const now = new Date();
-            const expireTime = new Date(cache.expireTime);
-            const remainingMs = expireTime.getTime() - now.getTime();
-            
-            if (remainingMs <= 0) {
-              remainingTime = "expired";
-            } else {
-              const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
-              const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-              remainingTime = `${remainingHours}h ${remainingMinutes}m`;
-            }
-          }
-          
-          log(`Found cache #${cacheCount}:`);
-          log(`- Name: ${cache.name}`);
-          log(`- Model: ${cache.model}`);
-          log(`- Display Name: ${cache.displayName || 'N/A'}`);
-          log(`- Expires: ${new Date(cache.expireTime).toLocaleString()} (Remaining: ${remainingTime})`);
-          
-          // Use the first non-expired cache found
-          if (new Date(cache.expireTime) > new Date() && !existingCache) {
-            log(`Using this cache for processing.`);
-            existingCache = cache;
-            activeModelName = cache.model;
-          }
-        }
-        
-        if (cacheCount === 0) {
-          log(`No existing caches found. Will proceed without cache.`);
-        } else if (!existingCache) {
-          log(`All found caches are expired. Will proceed without cache.`);
+
+    await this.deleteContextCache();
+
+    let file = null;
+    try {
+      log(`Uploading manuscript to Gemini for context caching...`);
+      file = await this.client.files.upload({
+        file: manuscriptFile,
+        config: {
+          mimeType: 'text/plain',
+          displayName: path.resolve(manuscriptFile)
         }
-      } catch (cacheListError) {
-        logError(`Error listing caches: ${cacheListError.message}`);
-        log(`Will proceed without cache API.`);
+      });
+      for (let wait = 0; file.state === 'PROCESSING' && wait < 30; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        file = await this.client.files.get({ name: file.name });
       }
-    } else {
-      log(`Caches API not available. Will proceed without cache.`);
-    }
-    
-    // Create a cache if we have an uploaded file but no existing cache
-    if (uploadedFileMetadata && !existingCache && 
-        this.client && this.client.caches && 
-        typeof this.client.caches.create === 'function') {
-      try {
-        log(`Creating new cache with uploaded file...`);
-        
-        const instructions = `
-You will analyze the creative fiction manuscript provided for the specific issues described in the user's follow-up prompt.
-In your final output/response, DO NOT include any introductory or concluding remarks (e.g., "Okay, here's the analysis...", "Overall, the manuscript is...").
-DO NOT repeat any parts of the manuscript that are correct or do not have specific issues described in the user's follow-up prompt.
-        `;
-        
-        // Set default TTL if not provided
-        const ttl = this.ttl || "14400s"; // 4 hours default if not specified
-        
-        const cacheConfig = {
-          model: this.config.model_name,
-          config: {
-            contents: [createUserContent(createPartFromUri(uploadedFileMetadata.uri, uploadedFileMetadata.mimeType))],
-            displayName: path.resolve(manuscriptFile),
-            systemInstruction: instructions,
-            ttl: ttl
-          }
-        };
-        
-        existingCache = await this.client.caches.create(cacheConfig);
-        log(`Successfully created cache: ${existingCache.name}`);
-        log(`Cache expires: ${new Date(existingCache.expireTime).toLocaleString()}`);
-      } catch (cacheCreateError) {
-        logError(`Error creating cache: ${cacheCreateError.message}`);
-        log(`Will proceed without cache.`);
-        existingCache = null;
+      if (file.state === 'FAILED') {
+        throw new Error(`Gemini could not process the uploaded file ${file.name}`);
       }
+
+      const cache = await this.client.caches.create({
+        model: this.config.model_name,
+        config: {
+          // Same framing as the manuscript gets when sent inline (see buildInput)
+          contents: [createUserContent([
+            '=== MANUSCRIPT ===',
+            createPartFromUri(file.uri, file.mimeType),
+            '=== END MANUSCRIPT ==='
+          ])],
+          displayName: path.resolve(manuscriptFile),
+          ttl
+        }
+      });
+
+      this.aiApiCache = {
+        name: cache.name,
+        fileName: file.name,
+        model: this.config.model_name,
+        expireTime: cache.expireTime,
+        manuscriptHash
+      };
+      log(`Created Gemini context cache ${cache.name} (expires ${new Date(cache.expireTime).toLocaleTimeString()})`);
+    } catch (error) {
+      // Too small to cache, or the model doesn't support it: send it inline instead
+      log(`Gemini context caching unavailable (${error.message}); sending the manuscript with each request instead`);
+      this.aiApiCache = { fileName: file && file.name };
+      await this.deleteContextCache();
     }
-    
-    this.aiApiCache = existingCache;
+  }
 
-    // Return both the cache and collected messages/errors
-    return {
-      cache: existingCache,
-      messages,
-      errors
-    };
+  /**
+   * The context cache, if requests for the current model can use it now
+   * @returns {Object|null} - { name, fileName, model, expireTime, manuscriptHash }
+   */
+  usableCache() {
+    const cache = this.aiApiCache;
+    if (!cache || cache.model !== this.config.model_name) {
+      return null;
+    }
+    // Leave a minute's margin so the cache doesn't expire mid-request
+    return new Date(cache.expireTime).getTime() - Date.now() > 60000 ? cache : null;
+  }
+
+  /**
+   * Whether requests that include the manuscript currently read it from the context cache
+   * @returns {boolean}
+   */
+  hasContextCache() {
+    return Boolean(this.usableCache());
+  }
+
+  /**
+   * Delete the context cache and uploaded file this client created, if any
+   */
+  async deleteContextCache() {
+    const cache = this.aiApiCache;
+    this.aiApiCache = null;
+    if (!cache || !this.client) {
+      return;
+    }
+    if (cache.name) {
+      await this.client.caches.delete({ name: cache.name })
+        .catch(error => console.warn(`Gemini API: could not delete cache ${cache.name}: ${error.message}`));
+    }
+    if (cache.fileName) {
+      await this.client.files.delete({ name: cache.fileName })
+        .catch(error => console.warn(`Gemini API: could not delete file ${cache.fileName}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Stream a response, reading the manuscript from the context cache when
+   * there is one, and falling back to sending it inline if the cache has gone
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for each piece of response text
+   * @param {Object} [options={}] - StreamOptions, see client-base.js
+   * @returns {Promise<void>}
+   */
+  async streamResponse(prompt, onText, options = {}) {
+    const streamOptions = this.normalizeStreamOptions(options);
+    const cache = streamOptions.includeManuscript ? this.usableCache() : null;
+    if (!cache) {
+      return super.streamResponse(prompt, onText, streamOptions);
+    }
+
+    let received = false;
+    try {
+      return await this.streamRequest(prompt, (text) => {
+        received = true;
+        onText(text);
+      }, { ...streamOptions, cachedContent: cache.name });
+    } catch (error) {
+      const status = error.status || (error.response && error.response.status);
+      if (received || (status !== 403 && status !== 404)) {
+        throw error;
+      }
+      // Deleted outside this app (e.g. from the Gemini cache manager)
+      console.warn(`Gemini context cache ${cache.name} is gone, sending the manuscript inline`);
+      this.aiApiCache = null;
+      return super.streamResponse(prompt, onText, streamOptions);
+    }
   }
-  ===== END PRESERVED CODE ===== */
 
   /**
    * Method to clear ALL uploaded files and ALL caches
    * from the Gemini API associated with this API key.
    * Called when switching projects in the app.
-   * NOTE: Now also clears manuscript content from memory (bypassing API cleanup)
+   * Also forgets the manuscript and the context cache made for it.
    */
   async clearFilesAndCaches() {
     // Clear manuscript content from memory
-    console.log('Gemini API: Clearing manuscript content from memory');
+    console.log('Gemini API: Clearing manuscript content and context cache');
     this.manuscriptContent = null;
+    // Deleted along with everything else below
     this.aiApiCache = null;
 
     if (!this.client || this.apiKeyMissing) {
@@ -446,12 +433,13 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
 
   /**
    * Stream a response
-   * @param {string} prompt - Prompt to complete
+   * @param {string} input - Prompt, with the manuscript prepended if requested
    * @param {Function} onText - Callback for response text
-   * @param {boolean} [noCache=false] - Whether to skip using cached content
+   * @param {Object} options - StreamOptions, see client-base.js, plus
+   *   cachedContent: name of the context cache holding the manuscript
    * @returns {Promise<void>}
    */
-  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
+  async streamRequest(input, onText, options) {
     if (!this.client || this.apiKeyMissing) {
       throw new Error('Gemini API client not initialized - API key missing');
     }
@@ -461,12 +449,9 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         responseMimeType: 'text/plain',
       };
 
-      // Extract includeThinking from options with a default of true for backward compatibility
-      const includeThoughts = options.includeThinking !== undefined ? options.includeThinking : false;
-    
       const thinkingConfig = {
-        includeThoughts: includeThoughts,
-        thinkingBudget: 24576
+        includeThoughts: options.includeThinking,
+        thinkingBudget: options.thinkingBudget !== undefined ? options.thinkingBudget : 24576
       }
 
       const safetySettings = [
@@ -476,36 +461,39 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.OFF }
       ];
 
-      // Prepare the full prompt with manuscript content if available (bypassing cache)
-      let fullPrompt = prompt;
-      if (this.manuscriptContent && !noCache) {
-        fullPrompt = `=== MANUSCRIPT ===\n${this.manuscriptContent}\n=== END MANUSCRIPT ===\n\n${prompt}`;
-        console.log(`Using manuscript content directly (${this.manuscriptContent.length} characters)`);
-      } else {
-        console.log(`Not using manuscript content (noCache: ${noCache}, manuscriptContent available: ${!!this.manuscriptContent})`);
-      }
-
       const contentsForRequest = [
         {
           role: 'user',
           parts: [
-            { text: fullPrompt },
+            { text: input },
           ],
         }
       ];
 
-      // Create config object without cache (since we're bypassing file upload/caching)
       const configObj = { 
         generationConfig: generationConfiguration,
         thinkingConfig: thinkingConfig,
         safetySettings: safetySettings
       };
+      if (options.temperature !== undefined) {
+        configObj.temperature = options.temperature;
+      }
+      if (options.topP !== undefined) {
+        configObj.topP = options.topP;
+      }
+      if (options.maxOutputTokens) {
+        configObj.maxOutputTokens = options.maxOutputTokens;
+      }
+
+      // Allow the tool run to be cancelled mid-stream
+      if (options.signal) {
+        configObj.abortSignal = options.signal;
+      }
       
-      // NOTE: Cached content functionality preserved but not used
-      // if (this.aiApiCache && !noCache) {
-      //   console.log(`Using cached content: ${this.aiApiCache.name}`);
-      //   configObj.cachedContent = this.aiApiCache.name;
-      // }
+      // Manuscript read from the context cache rather than sent in the input
+      if (options.cachedContent) {
+        configObj.cachedContent = options.cachedContent;
+      }
 
       const responseStream = await this.client.models.generateContentStream({
         model: this.config.model_name,
@@ -513,7 +501,13 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         config: configObj
       });
 
+      // Each chunk's usageMetadata is the running total; the last one counts
+      let usageMetadata = null;
+
       for await (const chunk of responseStream) {
+        if (chunk.usageMetadata) {
+          usageMetadata = chunk.usageMetadata;
+        }
         let currentText = chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
         
         // Check if this is the final chunk with finishReason: 'STOP'
@@ -535,16 +529,24 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
             usageMetadata: chunk.usageMetadata
           };
 
-          const doMetaData = includeMetaData !== undefined ? includeMetaData : true;
-          
-          if (doMetaData) {
+          if (options.includeMetadata) {
             // Append metadata as text to the current text
-            currentText += '\n\n--- RESPONSE METADATA ---\n' + JSON.stringify(metadata, null, 2);
+            currentText += this.formatMetadata(metadata);
           }
         }
         
         onText(currentText);
       }
+
+      if (options.onUsage && usageMetadata) {
+        const thinkingTokens = usageMetadata.thoughtsTokenCount || 0;
+        options.onUsage({
+          inputTokens: usageMetadata.promptTokenCount || 0,
+          outputTokens: (usageMetadata.candidatesTokenCount || 0) + thinkingTokens,
+          thinkingTokens,
+          cachedTokens: usageMetadata.cachedContentTokenCount || 0
+        });
+      }
     } catch (error) {
       console.error('API Connection Error:', {
         message: error.message,
@@ -0,0 +1,201 @@
+// client-local.js
+const { OpenAI, APIConnectionError, APIConnectionTimeoutError } = require('openai');
+const tiktoken = require('tiktoken-node');
+const { AiApiServiceBase } = require('./client-base');
+const { PROVIDERS_REGISTRY } = require('./providers-registry');
+
+const DEFAULT_BASE_URL = PROVIDERS_REGISTRY.local.defaultBaseUrl;
+
+/**
+ * Local AI API Service
+ * Talks to any self-hosted server with an OpenAI-compatible
+ * /v1/chat/completions endpoint, such as llama.cpp server, Ollama or
+ * LM Studio, so manuscripts never leave the writer's own machine or network.
+ * The base URL and context size come from Settings; an API key is optional
+ * (LOCAL_AI_API_KEY in .env) since most local servers don't check one.
+ */
+class AiApiService extends AiApiServiceBase {
+  constructor(config = {}) {
+    super({
+      model_name: '',
+      base_url: DEFAULT_BASE_URL,
+      context_window: PROVIDERS_REGISTRY.local.defaultContextWindow,
+      max_tokens: 8192,
+      request_timeout: 900, // local models can be slow on long manuscripts
+    }, config);
+    // Small local context windows can't spare the default output budget
+    this.config.max_tokens = Math.min(this.config.max_tokens, Math.floor(this.config.context_window / 4));
+
+    this.client = new OpenAI({
+      baseURL: this.config.base_url || DEFAULT_BASE_URL,
+      // The SDK insists on a key; local servers ignore it
+      apiKey: process.env.LOCAL_AI_API_KEY || 'not-needed',
+      timeout: this.config.request_timeout * 1000,
+      maxRetries: 0,
+    });
+
+    // Local models use many different tokenizers, so this is only an estimate
+    this._localEncoder = tiktoken.getEncoding('cl100k_base');
+
+    this.temp = 0.3;
+  }
+
+  /**
+   * Get list of models the local server has available
+   * @returns {Promise<Array>} Array of model objects with id
+   */
+  async getAvailableModels() {
+    try {
+      const models = await this.client.models.list();
+      return models.data || [];
+    } catch (error) {
+      console.error(`Local AI server models list error (${this.config.base_url}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Verifies the local server is reachable and serves the selected model.
+   * @returns {Promise<boolean>}
+   */
+  async verifyAiAPI() {
+    const models = await this.getAvailableModels();
+    if (models.length === 0) {
+      console.error(`Local AI server not reachable or has no models: ${this.config.base_url}`);
+      return false;
+    }
+    if (!this.config.model_name) {
+      return true; // the first model will be used
+    }
+    const match = models.find((m) => m.id === this.config.model_name);
+    if (match) {
+      console.log(`Local model accessible: ${this.config.model_name}`);
+      return true;
+    }
+    console.error('Model not found on local server:', this.config.model_name);
+    return false;
+  }
+
+  async clearFilesAndCaches() {
+    console.log('Local AI API: Clearing manuscript content from memory');
+    this.manuscriptContent = null;
+  }
+
+  /**
+   * Use the selected model, or the first one the server offers
+   * @returns {Promise<string>} - Model id
+   */
+  async resolveModelName() {
+    if (this.config.model_name) {
+      return this.config.model_name;
+    }
+    const models = await this.getAvailableModels();
+    if (models.length === 0) {
+      throw new Error(`No models available from the local AI server at ${this.config.base_url}`);
+    }
+    this.config.model_name = models[0].id;
+    console.log(`No local model selected, using: ${this.config.model_name}`);
+    return this.config.model_name;
+  }
+
+  /**
+   * Streams a response using the Chat Completions API
+   * options.thinkingBudget is ignored, since local servers have no common way
+   * to limit reasoning.
+   * @param {string} input - Prompt, with the manuscript prepended if requested
+   * @param {Function} onText - Callback to receive the response as it arrives
+   * @param {Object} options - StreamOptions, see client-base.js
+   */
+  async streamRequest(input, onText, options) {
+    const model = await this.resolveModelName();
+    const maxTokens = options.maxOutputTokens
+      ? Math.min(options.maxOutputTokens, this.config.max_tokens)
+      : this.config.max_tokens;
+
+    const inputTokens = this.countTokens(input);
+    if (inputTokens > this.config.context_window - maxTokens) {
+      onText(`\nWARNING: Prompt (~${inputTokens} tokens) may not fit the ${this.config.context_window} token context size set for the local model; consider turning on Chunked Mode in the tool's Setup.\n\n`);
+    }
+
+    try {
+      const stream = await this.client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: 'You are a very experienced creative fiction writer and editor.' },
+          { role: 'user', content: input }
+        ],
+        max_tokens: maxTokens,
+        temperature: options.temperature !== undefined ? options.temperature : this.temp,
+        ...(options.topP !== undefined ? { top_p: options.topP } : {}),
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal: options.signal });
+
+      let isThinking = false;
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+        // llama.cpp and some Ollama models stream reasoning separately
+        if (delta && delta.reasoning_content && options.includeThinking) {
+          if (!isThinking) {
+            onText('🤔 Thinking...\n\n');
+            isThinking = true;
+          }
+          onText(delta.reasoning_content);
+        }
+        if (delta && delta.content) {
+          if (isThinking) {
+            onText('\n\n🤖 Responding...\n\n');
+            isThinking = false;
+          }
+          onText(delta.content);
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      if (options.onUsage && usage) {
+        const details = usage.completion_tokens_details || {};
+        const promptDetails = usage.prompt_tokens_details || {};
+        options.onUsage({
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0,
+          thinkingTokens: details.reasoning_tokens || 0,
+          cachedTokens: promptDetails.cached_tokens || 0
+        });
+      }
+
+      if (options.includeMetadata) {
+        const metadata = { model, base_url: this.config.base_url };
+        if (usage) {
+          metadata.usage = usage;
+        }
+        onText(this.formatMetadata(metadata));
+      }
+    } catch (err) {
+      if (err instanceof APIConnectionError && !(err instanceof APIConnectionTimeoutError)) {
+        throw new Error(`Could not connect to the local AI server at ${this.config.base_url}. Is it running?`);
+      }
+      console.error('Local AI chat completions error:', err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Estimate tokens in a text string using tiktoken-node's cl100k_base encoding.
+   * @param {string} text - Text to count tokens in
+   * @returns {number} - Token count (returns -1 on error)
+   */
+  countTokens(text) {
+    try {
+      if (!this._localEncoder) throw new Error('Encoder not initialized');
+      return this._localEncoder.encode(text).length;
+    } catch (error) {
+      console.error('Token counting error:', error);
+      return -1;
+    }
+  }
+}
+
+module.exports = AiApiService;
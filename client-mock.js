@@ -0,0 +1,268 @@
+// client-mock.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AiApiServiceBase } = require('./client-base');
+
+/**
+ * Mock AI API Service
+ * A deterministic stand-in for the real providers, so every tool can be run
+ * end to end without API keys, network access or cost. Responses are replayed
+ * from fixtures, streamed in fixed-size chunks with an optional delay, and
+ * errors can be injected at a given call or partway through a response.
+ *
+ * Fixtures come from `config.fixtures` or the MOCK_AI_FIXTURES environment
+ * variable: a .json file, or a directory whose .json files are loaded in name
+ * order. Each file holds `{ models, responses }` or just a responses array:
+ *
+ * {
+ *   "models": ["mock-default"],
+ *   "responses": [{
+ *     "match": "CHAPTER",         // substring, or "/regex/flags", tested against the full prompt
+ *     "text": "...",              // response text, or
+ *     "file": "chapter.txt",      // response text read from a file next to the fixture
+ *     "thinking": "...",          // streamed first when includeThinking is on
+ *     "times": 1,                 // how many calls it answers (default: unlimited)
+ *     "chunkSize": 64, "delayMs": 0,
+ *     "error": { "message": "...", "status": 503, "afterChars": 0, "retryAfter": 2 }
+ *   }]
+ * }
+ *
+ * Responses without `match` form a script answered in order; matching ones
+ * take priority. With nothing left to replay, a short text derived from the
+ * prompt hash is returned, so results are the same on every run.
+ * Inline `config.responses` entries are used before any fixture files.
+ */
+
+const DEFAULT_MODEL = 'mock-default';
+
+class AiApiService extends AiApiServiceBase {
+  constructor(config = {}) {
+    super({
+      model_name: DEFAULT_MODEL,
+      context_window: 1048576,
+      max_tokens: 32768,
+      fixtures: process.env.MOCK_AI_FIXTURES || null,
+      responses: [],
+      chunk_size: 64,
+      delay_ms: 0,
+    }, config);
+
+    this.fixtureError = null;
+    this.models = [DEFAULT_MODEL];
+    this.responses = this.config.responses.map(entry => ({ ...entry, baseDir: process.cwd() }));
+
+    try {
+      if (this.config.fixtures) {
+        this.loadFixtures(this.config.fixtures);
+      }
+    } catch (error) {
+      this.fixtureError = error;
+      console.error('Mock AI fixtures could not be loaded:', error.message);
+    }
+
+    // Every call is recorded so tests can check what a tool sent
+    this.calls = [];
+  }
+
+  /**
+   * Load fixture responses from a .json file or a directory of them
+   * @param {string} fixturesPath - File or directory
+   */
+  loadFixtures(fixturesPath) {
+    const resolved = path.resolve(fixturesPath);
+    const files = fs.statSync(resolved).isDirectory()
+      ? fs.readdirSync(resolved)
+          .filter(name => name.endsWith('.json'))
+          .sort()
+          .map(name => path.join(resolved, name))
+      : [resolved];
+
+    files.forEach(file => {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const responses = Array.isArray(data) ? data : (data.responses || []);
+      if (!Array.isArray(data) && Array.isArray(data.models) && data.models.length > 0) {
+        this.models = data.models;
+      }
+      responses.forEach(entry => {
+        this.responses.push({ ...entry, baseDir: path.dirname(file) });
+      });
+    });
+    console.log(`Mock AI: loaded ${this.responses.length} fixture responses from ${resolved}`);
+  }
+
+  /**
+   * Get list of mock models
+   * @returns {Promise<Array>} Array of model objects with id
+   */
+  async getAvailableModels() {
+    return this.models.map(id => ({ id, name: id }));
+  }
+
+  /**
+   * Succeeds unless the fixtures could not be loaded
+   * @returns {Promise<boolean>}
+   */
+  async verifyAiAPI() {
+    if (this.fixtureError) {
+      console.error('Mock AI fixtures error:', this.fixtureError.message);
+      return false;
+    }
+    return true;
+  }
+
+  async clearFilesAndCaches() {
+    console.log('Mock AI API: Clearing manuscript content from memory');
+    this.manuscriptContent = null;
+  }
+
+  /**
+   * Pick the response for a prompt: the first matching fixture, then the
+   * next scripted one, and uses it up if it has a `times` limit
+   * @param {string} input - Prompt including the manuscript
+   * @returns {Object|null} - Fixture entry
+   */
+  nextResponse(input) {
+    const available = this.responses.filter(entry => entry.times === undefined || entry.times > 0);
+    const entry = available.find(e => e.match !== undefined && this.matches(e.match, input)) ||
+      available.find(e => e.match === undefined);
+    if (!entry) {
+      return null;
+    }
+    if (entry.times !== undefined) {
+      entry.times--;
+    } else if (entry.match === undefined) {
+      // Scripted responses answer one call each unless told otherwise
+      entry.times = 0;
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} pattern - Substring, or /regex/flags
+   * @param {string} text - Prompt text
+   * @returns {boolean}
+   */
+  matches(pattern, text) {
+    const regex = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+    if (regex) {
+      return new RegExp(regex[1], regex[2]).test(text);
+    }
+    return text.includes(pattern);
+  }
+
+  /**
+   * Text for a fixture entry, or the default reply for unscripted prompts
+   * @param {Object|null} entry - Fixture entry
+   * @param {string} input - Prompt including the manuscript
+   * @returns {string}
+   */
+  responseText(entry, input) {
+    if (entry && entry.file) {
+      return fs.readFileSync(path.resolve(entry.baseDir, entry.file), 'utf8');
+    }
+    if (entry && typeof entry.text === 'string') {
+      return entry.text;
+    }
+    if (entry && entry.error) {
+      return '';
+    }
+    const hash = crypto.createHash('sha256').update(input).digest('hex').slice(0, 12);
+    return `Mock response for prompt #${hash} (${input.length} characters).\n\n` +
+      `This text was generated by the offline mock AI provider. ` +
+      `Add a fixture matching this prompt to replay a real response instead.\n`;
+  }
+
+  /**
+   * Streams a scripted response
+   * @param {string} input - Prompt, with the manuscript prepended if requested
+   * @param {Function} onText - Callback to receive the response as it arrives
+   * @param {Object} options - StreamOptions, see client-base.js
+   */
+  async streamRequest(input, onText, options) {
+    this.calls.push({ input, options: { ...options, signal: undefined } });
+    const callNumber = this.calls.length;
+
+    const entry = this.nextResponse(input);
+    let text = this.responseText(entry, input);
+    if (options.maxOutputTokens) {
+      text = text.slice(0, options.maxOutputTokens * 4);
+    }
+    const chunkSize = Math.max(1, (entry && entry.chunkSize) || this.config.chunk_size);
+    const delayMs = (entry && entry.delayMs !== undefined) ? entry.delayMs : this.config.delay_ms;
+    const error = entry && entry.error;
+    const errorAt = error ? Math.min(error.afterChars || 0, text.length) : text.length;
+
+    const emit = async (chunk) => {
+      if (options.signal && options.signal.aborted) {
+        const abortError = new Error('Request was aborted.');
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      onText(chunk);
+    };
+
+    if (entry && entry.thinking && options.includeThinking) {
+      await emit('🤔 Thinking...\n\n');
+      for (let i = 0; i < entry.thinking.length; i += chunkSize) {
+        await emit(entry.thinking.slice(i, i + chunkSize));
+      }
+      await emit('\n\n🤖 Responding...\n\n');
+    }
+
+    for (let i = 0; i < errorAt; i += chunkSize) {
+      await emit(text.slice(i, Math.min(i + chunkSize, errorAt)));
+    }
+
+    if (error) {
+      const injected = new Error(error.message || 'Mock AI injected error');
+      if (error.status) {
+        injected.status = error.status;
+      }
+      if (error.retryAfter !== undefined) {
+        injected.headers = { 'retry-after': String(error.retryAfter) };
+      }
+      console.error(`Mock AI injected error on call ${callNumber}:`, injected.message);
+      throw injected;
+    }
+
+    // Reported like a real provider's: thinking is generated whether or not it's shown
+    const thinkingTokens = entry && entry.thinking ? this.countTokens(entry.thinking) : 0;
+    const usage = {
+      prompt_tokens: this.countTokens(input),
+      completion_tokens: this.countTokens(text) + thinkingTokens
+    };
+    if (options.onUsage) {
+      options.onUsage({
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens,
+        thinkingTokens,
+        cachedTokens: 0
+      });
+    }
+
+    if (options.includeMetadata) {
+      const metadata = {
+        model: this.config.model_name,
+        call: callNumber,
+        fixture: entry ? (entry.match !== undefined ? `match: ${entry.match}` : 'scripted') : 'default',
+        usage
+      };
+      await emit(this.formatMetadata(metadata));
+    }
+  }
+
+  /**
+   * Estimate tokens the same way on every machine: about four characters each
+   * @param {string} text - Text to count tokens in
+   * @returns {number} - Token count
+   */
+  countTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+module.exports = AiApiService;
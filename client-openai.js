@@ -2,18 +2,18 @@
 const path = require('path');
 const { OpenAI } = require('openai');
 const tiktoken = require('tiktoken-node');
-const fs = require('fs/promises');
+const { AiApiServiceBase } = require('./client-base');
 
 /**
  * OpenAI API Service
  * Handles interactions with OpenAI API services using openai-node SDK
  */
-class AiApiService {
+class AiApiService extends AiApiServiceBase {
   constructor(config = {}) {
-    this.config = {
+    super({
       model_name: 'gpt-4.1-2025-04-14',
-      ...config,
-    };
+      context_window: 1047576,
+    }, config);
 
     const apiKeyFromEnv = process.env.OPENAI_API_KEY;
     if (!apiKeyFromEnv) {
@@ -22,7 +22,11 @@ class AiApiService {
       return;
     }
 
-    this.client = new OpenAI({ apiKey: apiKeyFromEnv });
+    this.client = new OpenAI({
+      apiKey: apiKeyFromEnv,
+      // ResilientApiService retries, logging and metering every attempt
+      maxRetries: 0,
+    });
 
     try {
       this._localEncoder =
@@ -32,8 +36,6 @@ class AiApiService {
       this._localEncoder = tiktoken.getEncoding('cl100k_base');
     }
 
-    this.prompt = null;
-
     this.user = "StoryGrinder";
     this.temp = 0.3;
   }
@@ -93,63 +95,86 @@ class AiApiService {
   }
 
   async clearFilesAndCaches() {
-    console.log('OpenAI API: No files or caches to clear');
+    console.log('OpenAI API: Clearing manuscript content from memory');
+    this.manuscriptContent = null;
   }
 
   /**
-   * Reads a manuscript file and sets this.prompt to its content.
-   * @param {string} manuscriptFile - Path to the manuscript file
-   * @returns {Promise<Object>} { messages, errors }
+   * Whether the selected model is a reasoning model (o1, o3, o4-mini, ...),
+   * which takes no sampling settings and only shares a summary of its reasoning
+   * @returns {boolean}
    */
-  async prepareFileAndCache(manuscriptFile) {
-    const messages = [];
-    const errors = [];
-    try {
-      const fileContent = await fs.readFile(manuscriptFile, 'utf-8');
-      this.prompt = fileContent;
-      messages.push('Manuscript file loaded successfully.');
-    } catch (fileErr) {
-      errors.push(`File read error: ${fileErr.message}`);
-      this.prompt = null;
-    }
-    return { messages, errors };
+  isReasoningModel() {
+    return /^o\d/.test(this.config.model_name || '');
   }
 
   /**
    * Streams a response using OpenAI Responses API
-   * @param {string} prompt - The user prompt to send (will prepend manuscript)
+   * options.thinkingBudget is ignored: the Responses API sets reasoning effort,
+   * not a token budget. Reasoning models ignore temperature and topP, which
+   * the API rejects for them, and with includeThinking stream a summary of
+   * their reasoning; other models have none to show.
+   * @param {string} input - Prompt, with the manuscript prepended if requested
    * @param {Function} onText - Callback to receive the response as it arrives
-   * @param {object} options - (optional) {includeMetaData}
+   * @param {Object} options - StreamOptions, see client-base.js
    */
-  async streamWithThinking(prompt, onText, options = {}) {
+  async streamRequest(input, onText, options) {
     if (!this.client || this.apiKeyMissing) {
       throw new Error('OpenAI client not initialized - missing API key');
     }
-    if (!this.prompt) {
-      throw new Error('No manuscript prompt loaded. Call prepareFileAndCache() first.');
-    }
-    const fullInput = `=== MANUSCRIPT ===\n${this.prompt}\n=== MANUSCRIPT ===\n${prompt}`;
-    console.log(fullInput);
     try {
-      const response = await this.client.responses.create({
+      const request = {
         user: "StoryGrinder",
         model: this.config.model_name,
         instructions: "You are a very experienced creative fiction writer and editor.",
-        input: fullInput,
+        input,
         stream: true,
-        temperature: options.temperature || this.temp,
-      });
+      };
+      if (this.isReasoningModel()) {
+        if (options.includeThinking) {
+          request.reasoning = { summary: 'auto' };
+        }
+      } else {
+        request.temperature = options.temperature !== undefined ? options.temperature : this.temp;
+        if (options.topP !== undefined) {
+          request.top_p = options.topP;
+        }
+      }
+      if (options.maxOutputTokens) {
+        request.max_output_tokens = options.maxOutputTokens;
+      }
+      const response = await this.client.responses.create(request, { signal: options.signal });
       
+      let isThinking = false;
       for await (const event of response) {
-        if (event.type === 'response.output_text.delta') {
+        if (event.type === 'response.reasoning_summary_text.delta' && options.includeThinking) {
+          if (!isThinking) {
+            onText('🤔 Thinking...\n\n');
+            isThinking = true;
+          }
+          onText(event.delta);
+        }
+        else if (event.type === 'response.output_text.delta') {
+          if (isThinking) {
+            onText('\n\n🤖 Responding...\n\n');
+            isThinking = false;
+          }
           onText(event.delta);
         }
-        else if (event.type === 'response.output_text.done') {
-          if (options.includeMetaData) {
-            const metadata = '\n\n--- RESPONSE METADATA ---\n' + JSON.stringify({ model: this.config.model_name }, null, 2);
-            onText(metadata);
+        // The final event carries the usage, so read the stream to its end
+        else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+          const usage = event.response && event.response.usage;
+          if (options.onUsage && usage) {
+            options.onUsage({
+              inputTokens: usage.input_tokens || 0,
+              outputTokens: usage.output_tokens || 0,
+              thinkingTokens: (usage.output_tokens_details && usage.output_tokens_details.reasoning_tokens) || 0,
+              cachedTokens: (usage.input_tokens_details && usage.input_tokens_details.cached_tokens) || 0
+            });
+          }
+          if (options.includeMetadata) {
+            onText(this.formatMetadata({ model: this.config.model_name, usage }));
           }
-          break;
         }
       }
     } catch (err) {
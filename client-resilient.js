@@ -0,0 +1,385 @@
+// client-resilient.js
+const { AiApiServiceBase } = require('./client-base');
+const { ProvidersRegistry } = require('./providers-registry');
+
+// HTTP statuses worth retrying: rate limits, overload and server errors
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+// Node/undici socket errors from a dropped connection or stream
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+const TRANSIENT_MESSAGE = /socket hang up|fetch failed|network|terminated|premature close|connection error|overloaded|timed? ?out/i;
+
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 60000;
+const MAX_RETRY_AFTER_MS = 300000;
+
+/**
+ * Resilient AI API Service
+ * Wraps the selected provider client so a flaky network doesn't end a long
+ * tool run: transient errors are retried with exponential backoff (or the
+ * wait the server asks for in Retry-After), a stream that dies partway is
+ * resumed by asking the model to continue from where it stopped, and when
+ * retries run out an optional fallback provider takes over for the rest of
+ * that tool run. Every attempt is reported through options.onStatus.
+ * It also meters each run's requests and tokens per provider for the
+ * usage ledger (see getRunUsage).
+ */
+class ResilientApiService extends AiApiServiceBase {
+  /**
+   * @param {Object} primary - The selected provider client
+   * @param {Object} [resilience={}]
+   * @param {string} [resilience.providerId] - Registry id of the primary provider, for pricing
+   * @param {string} [resilience.providerName] - Display name of the primary provider
+   * @param {number} [resilience.maxRetries=3] - Retries per request before giving up or failing over
+   * @param {Object} [resilience.fallback] - Client for the fallback provider
+   * @param {string} [resilience.fallbackId] - Registry id of the fallback provider
+   * @param {string} [resilience.fallbackName] - Display name of the fallback provider
+   */
+  constructor(primary, resilience = {}) {
+    super({}, {});
+    this.primary = primary;
+    this.providerId = resilience.providerId || null;
+    this.providerName = resilience.providerName || 'AI provider';
+    this.maxRetries = resilience.maxRetries !== undefined ? resilience.maxRetries : 3;
+    this.fallback = resilience.fallback || null;
+    this.fallbackId = resilience.fallbackId || null;
+    this.fallbackName = resilience.fallbackName || 'fallback provider';
+
+    this.manuscriptFile = null;
+    this.fallbackManuscriptFile = null;
+    // Tool runs (by their abort signal) that have already switched to the fallback
+    this.failedOverRuns = new WeakSet();
+    // Usage per tool run (by its abort signal): Map of 'provider/model' -> totals
+    this.runUsage = new WeakMap();
+  }
+
+  // Tools read model_name and context_window from the selected provider
+  get config() {
+    return this.primary.config;
+  }
+
+  set config(value) {
+    // AiApiServiceBase assigns a config; the primary's is the one that matters
+  }
+
+  get apiKeyMissing() {
+    return this.primary.apiKeyMissing;
+  }
+
+  async getAvailableModels() {
+    return this.primary.getAvailableModels();
+  }
+
+  async verifyAiAPI() {
+    return this.primary.verifyAiAPI();
+  }
+
+  async prepareFileAndCache(manuscriptFile) {
+    this.manuscriptFile = manuscriptFile;
+    return this.primary.prepareFileAndCache(manuscriptFile);
+  }
+
+  async clearFilesAndCaches() {
+    this.manuscriptFile = null;
+    this.fallbackManuscriptFile = null;
+    await this.primary.clearFilesAndCaches();
+    if (this.fallback) {
+      await this.fallback.clearFilesAndCaches();
+    }
+  }
+
+  countTokens(text) {
+    return this.primary.countTokens(text);
+  }
+
+  /**
+   * Requests, tokens and cost of one tool run so far, per provider and model.
+   * Tokens are the ones each provider reported; a request it reported none
+   * for (one that failed partway, say) is estimated at four characters a
+   * token, counting the manuscript if it was sent, and marks the entry
+   * `estimated`.
+   * @param {AbortSignal} signal - The run's abort signal
+   * @returns {Array<Object>} - [{ provider, model, requests, inputTokens, outputTokens,
+   *   thinkingTokens, cachedTokens, cost, estimated }], cost being US dollars or
+   *   null if the model's price is unknown
+   */
+  getRunUsage(signal) {
+    const usage = signal && this.runUsage.get(signal);
+    return usage ? [...usage.values()].map(entry => ({ ...entry })) : [];
+  }
+
+  /**
+   * Whether a tool run switched to the fallback provider
+   * @param {AbortSignal} signal - The run's abort signal
+   * @returns {boolean}
+   */
+  hasFailedOver(signal) {
+    return Boolean(signal) && this.failedOverRuns.has(signal);
+  }
+
+  /**
+   * Add one request to its run's usage
+   * @param {Object} client - Provider client the request went to
+   * @param {AbortSignal} signal - The run's abort signal
+   * @param {Object} tokens - TokenUsage (see client-base.js), plus `estimated`
+   *   when it was guessed from characters rather than reported
+   */
+  meterRequest(client, signal, tokens) {
+    if (!signal) {
+      return;
+    }
+    if (!this.runUsage.has(signal)) {
+      this.runUsage.set(signal, new Map());
+    }
+    const provider = client === this.fallback ? this.fallbackId : this.providerId;
+    const model = client.config.model_name || '';
+    const key = `${provider}/${model}`;
+    const usage = this.runUsage.get(signal);
+    if (!usage.has(key)) {
+      usage.set(key, {
+        provider, model, requests: 0, inputTokens: 0, outputTokens: 0, thinkingTokens: 0, cachedTokens: 0, cost: 0, estimated: false
+      });
+    }
+
+    const entry = usage.get(key);
+    entry.requests++;
+    entry.inputTokens += tokens.inputTokens;
+    entry.outputTokens += tokens.outputTokens;
+    entry.thinkingTokens += tokens.thinkingTokens;
+    entry.cachedTokens += tokens.cachedTokens;
+    entry.estimated = entry.estimated || Boolean(tokens.estimated);
+    // Priced per request, since long-context rates depend on each prompt's size
+    const cost = ProvidersRegistry.estimateCost(provider, model, tokens.inputTokens, tokens.outputTokens, tokens.cachedTokens);
+    entry.cost = (entry.cost === null || cost === null) ? null : entry.cost + cost;
+  }
+
+  /**
+   * Stream a response, retrying and failing over as needed
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for each piece of response text
+   * @param {Object} [options={}] - StreamOptions, see client-base.js
+   * @returns {Promise<void>}
+   */
+  async streamResponse(prompt, onText, options = {}) {
+    const streamOptions = this.normalizeStreamOptions(options);
+    const report = streamOptions.onStatus || (message => console.log(message.trim()));
+    const runKey = streamOptions.signal;
+
+    // Text already passed on to the caller, across all attempts
+    let received = '';
+    const forward = (text) => {
+      received += text;
+      onText(text);
+    };
+
+    const useFallback = this.fallback && runKey && this.failedOverRuns.has(runKey);
+    if (!useFallback) {
+      try {
+        return await this.streamWithRetries(this.primary, this.providerName, prompt, forward, () => received, streamOptions, report);
+      } catch (error) {
+        if (!this.fallback || isAborted(error, streamOptions.signal)) {
+          throw error;
+        }
+        report(`\n🔁 ${this.providerName} is still failing (${describeError(error)}); switching to ${this.fallbackName} for the rest of this run . . .\n`);
+        if (runKey) {
+          this.failedOverRuns.add(runKey);
+        }
+      }
+    }
+
+    if (streamOptions.includeManuscript && this.fallbackManuscriptFile !== this.manuscriptFile) {
+      const result = await this.fallback.prepareFileAndCache(this.manuscriptFile);
+      if (result.errors && result.errors.length > 0) {
+        throw new Error(`${this.fallbackName} could not load the manuscript: ${result.errors.join('; ')}`);
+      }
+      this.fallbackManuscriptFile = this.manuscriptFile;
+    }
+    return this.streamWithRetries(this.fallback, this.fallbackName, prompt, forward, () => received, streamOptions, report);
+  }
+
+  /**
+   * Run one request against one provider, retrying transient errors
+   * @param {Object} client - Provider client
+   * @param {string} name - Provider display name for status messages
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Forwards text to the caller
+   * @param {Function} getReceived - Text passed on so far
+   * @param {Object} options - Normalized StreamOptions
+   * @param {Function} report - Status message callback
+   * @returns {Promise<void>}
+   */
+  async streamWithRetries(client, name, prompt, onText, getReceived, options, report) {
+    for (let attempt = 0; ; attempt++) {
+      const received = getReceived();
+      const requestPrompt = received ? buildResumePrompt(prompt, received) : prompt;
+      if (attempt > 0) {
+        report(received
+          ? `🔄 Attempt ${attempt + 1} of ${this.maxRetries + 1}: asking ${name} to continue the response . . .\n`
+          : `🔄 Attempt ${attempt + 1} of ${this.maxRetries + 1}: sending the request to ${name} again . . .\n`);
+      }
+
+      const manuscriptChars = options.includeManuscript && client.manuscriptContent
+        ? client.manuscriptContent.length
+        : 0;
+      // Gemini reads the manuscript from its context cache at a lower price
+      const cachedChars = typeof client.hasContextCache === 'function' && client.hasContextCache()
+        ? manuscriptChars
+        : 0;
+      let outputChars = 0;
+      const meteredOnText = (text) => {
+        outputChars += text.length;
+        onText(text);
+      };
+      let reported = null;
+      const onUsage = (usage) => {
+        reported = usage;
+        if (options.onUsage) {
+          options.onUsage(usage);
+        }
+      };
+
+      try {
+        return await client.streamResponse(requestPrompt, meteredOnText, { ...options, onUsage });
+      } catch (error) {
+        if (isAborted(error, options.signal) || !isTransientError(error) || attempt >= this.maxRetries) {
+          if (attempt > 0 && !isAborted(error, options.signal)) {
+            report(`\n❌ ${name} request failed after ${attempt + 1} attempts: ${describeError(error)}\n`);
+          }
+          throw error;
+        }
+        const delayMs = getRetryDelay(error, attempt);
+        report(`\n⚠️  ${name} request failed (${describeError(error)}); retrying in ${Math.ceil(delayMs / 1000)}s . . .\n`);
+        await sleep(delayMs, options.signal);
+      } finally {
+        this.meterRequest(client, options.signal, reported || {
+          inputTokens: Math.ceil((requestPrompt.length + manuscriptChars) / 4),
+          outputTokens: Math.ceil(outputChars / 4),
+          thinkingTokens: 0,
+          cachedTokens: Math.ceil(cachedChars / 4),
+          estimated: true
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Prompt asking the model to carry on from a response that was cut off
+ * @param {string} prompt - Original prompt
+ * @param {string} received - Text streamed before the connection dropped
+ * @returns {string}
+ */
+function buildResumePrompt(prompt, received) {
+  return `${prompt}\n\n` +
+    `=== YOUR RESPONSE SO FAR ===\n${received}\n=== END OF RESPONSE SO FAR ===\n\n` +
+    `Your response above was cut off by a network error. Continue it from exactly where it stops. ` +
+    `Do not repeat any of it and do not mention the interruption.`;
+}
+
+/**
+ * Whether an error is worth retrying: rate limits, overload, server errors
+ * and dropped connections, but not bad requests or missing API keys
+ * @param {Error} error - Error from a provider client
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const status = getStatus(error);
+  if (status) {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  if (code && TRANSIENT_CODES.includes(code)) {
+    return true;
+  }
+  if (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') {
+    return true;
+  }
+  return TRANSIENT_MESSAGE.test(error.message || '');
+}
+
+function isAborted(error, signal) {
+  return (signal && signal.aborted) || (error && error.name === 'AbortError');
+}
+
+function getStatus(error) {
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  return typeof status === 'number' ? status : parseInt(status, 10) || null;
+}
+
+function describeError(error) {
+  const status = getStatus(error);
+  return status ? `${status} ${error.message}` : error.message;
+}
+
+/**
+ * Wait before the next attempt: what Retry-After asks for, otherwise
+ * exponential backoff with a little jitter so parallel runs spread out
+ * @param {Error} error - The failed attempt's error
+ * @param {number} attempt - Zero-based attempt that failed
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+  }
+  const backoff = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+  return Math.round(backoff * (1 + Math.random() * 0.25));
+}
+
+/**
+ * Read retry-after-ms / retry-after from the error's response headers
+ * @param {Error} error - Provider error
+ * @returns {number|null} - Milliseconds, or null if the server didn't say
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers || (error.response && error.response.headers);
+  if (!headers) {
+    return null;
+  }
+  const get = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (ms >= 0) {
+    return ms;
+  }
+  const value = get('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  if (seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+module.exports = {
+  ResilientApiService,
+  isTransientError,
+  getRetryDelay
+};
@@ -1,9 +1,14 @@
 // client.js - Base API Provider Factory
 const appState = require('./state.js');
+const { AiApiServiceBase } = require('./client-base');
 
-function createApiService() {
+/**
+ * @param {string} [providerId] - Provider to load, instead of the one selected in Settings
+ * @returns {Function|null} - The provider's AiApiService class
+ */
+function createApiService(providerId = null) {
   // Get selected provider from settings
-  const selectedProvider = appState.store ? appState.store.get('selectedApiProvider') : null;
+  const selectedProvider = providerId || (appState.store ? appState.store.get('selectedApiProvider') : null);
   
   // Default to gemini if no selection (fallback)
   const provider = selectedProvider || 'gemini';
@@ -23,6 +28,12 @@ function createApiService() {
       case 'claude':
         ApiServiceClass = require('./client-claude.js');
         break;
+      case 'local':
+        ApiServiceClass = require('./client-local.js');
+        break;
+      case 'mock':
+        ApiServiceClass = require('./client-mock.js');
+        break;
       case 'skipped':
         // User skipped API setup, return null
         console.log('API setup was skipped by user');
@@ -32,6 +43,11 @@ function createApiService() {
         ApiServiceClass = require('./client-gemini.js');
     }
     
+    const problems = AiApiServiceBase.checkConformance(ApiServiceClass);
+    if (problems.length > 0) {
+      console.error(`API provider ${provider} does not conform to the client interface:\n  ${problems.join('\n  ')}`);
+    }
+    
     // Return the constructor class, not an instance
     return ApiServiceClass;
     
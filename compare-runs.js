@@ -0,0 +1,103 @@
+// compare-runs.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Compare runs
+ * Compare mode runs one tool, with one prompt and one set of options, against
+ * two or three provider/model "contenders" at once. Each contender saves its
+ * own report tagged with its model; this module checks the contenders and
+ * writes the combined comparison file that puts those reports one after another.
+ */
+
+const MIN_CONTENDERS = 2;
+const MAX_CONTENDERS = 3;
+
+/**
+ * Check the contenders picked for a comparison
+ * @param {Array<{provider: string, model: string}>} contenders
+ * @returns {Array<{provider: string, model: string}>} - The contenders, trimmed
+ * @throws {Error} - If there are too few or too many, or the same one twice
+ */
+function validateContenders(contenders) {
+  const picked = (contenders || [])
+    .filter(contender => contender && contender.provider)
+    .map(contender => ({ provider: contender.provider, model: (contender.model || '').trim() }));
+
+  if (picked.length < MIN_CONTENDERS || picked.length > MAX_CONTENDERS) {
+    throw new Error(`Pick ${MIN_CONTENDERS} or ${MAX_CONTENDERS} providers or models to compare`);
+  }
+  const keys = picked.map(contender => `${contender.provider}/${contender.model}`);
+  if (new Set(keys).size !== keys.length) {
+    throw new Error('Each provider and model can only be compared once');
+  }
+  return picked;
+}
+
+/**
+ * Text of the combined comparison file
+ * @param {Object} comparison
+ * @param {string} comparison.toolTitle - Tool title
+ * @param {string} [comparison.manuscriptFile] - Manuscript the tool ran on
+ * @param {Date} comparison.date - When the comparison started
+ * @param {Object[]} comparison.contenders - For each contender, in order:
+ *   { label, status, error, durationMs, cost, reportFile, report }, where
+ *   report is the saved report's text (null if none was saved)
+ * @returns {string}
+ */
+function buildComparisonReport({ toolTitle, manuscriptFile, date, contenders }) {
+  const formatCost = (cost) => cost === null || cost === undefined
+    ? 'unknown'
+    : `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  const formatDuration = (ms) => `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+  const countWords = (text) => text ? text.split(/\s+/).filter(word => word.length > 0).length : 0;
+
+  const lines = [
+    `=== ${toolTitle.toUpperCase()} COMPARISON ===`,
+    `Date: ${date.toLocaleString()}`
+  ];
+  if (manuscriptFile) {
+    lines.push(`Manuscript: ${manuscriptFile}`);
+  }
+  lines.push('');
+
+  contenders.forEach((contender, index) => {
+    lines.push(`${index + 1}. ${contender.label}: ${contender.status}, ` +
+      `${formatDuration(contender.durationMs)}, ~${countWords(contender.report)} words, ` +
+      `est. ${formatCost(contender.cost)}`);
+    lines.push(`   ${contender.reportFile || 'no report saved'}`);
+  });
+
+  contenders.forEach((contender, index) => {
+    const rule = '='.repeat(76);
+    lines.push('', rule, `${index + 1}. ${contender.label}`, rule, '');
+    if (contender.report) {
+      lines.push(contender.report.trim());
+    } else {
+      lines.push(contender.error ? `No report: ${contender.error}` : 'No report was saved.');
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the comparison file next to the reports
+ * @param {string} saveDir - Directory the reports were saved to
+ * @param {string} toolId - Tool ID
+ * @param {string} text - From buildComparisonReport()
+ * @returns {Promise<string>} - Path of the file
+ */
+async function saveComparisonReport(saveDir, toolId, text) {
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+  const filePath = path.join(saveDir, `${toolId.toLowerCase()}_comparison_${timestamp}.txt`);
+  await fs.writeFile(filePath, text, 'utf8');
+  return filePath;
+}
+
+module.exports = {
+  MAX_CONTENDERS,
+  validateContenders,
+  buildComparisonReport,
+  saveComparisonReport
+};
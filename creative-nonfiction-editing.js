@@ -0,0 +1,16 @@
+// creative-nonfiction-editing.js
+const ToolBase = require('./tool-base');
+
+/**
+ * Creative Non-Fiction Editing Tool
+ * Developmental edit for memoir, personal essay and other literary
+ * non-fiction: artistic integrity, then resonance and completion
+ */
+class CreativeNonfictionEditing extends ToolBase {
+  constructor(apiService, config = {}) {
+    super('creative_nonfiction_editing', config);
+    this.apiService = apiService;
+  }
+}
+
+module.exports = CreativeNonfictionEditing;
@@ -793,7 +793,404 @@ function countWords(text) {
 }
 
 // =============================================================================
-// SECTION 14: ELECTRON API INTEGRATION
+// SECTION 14: FINDINGS REVIEW MODE
+// =============================================================================
+
+// Opening a tool's _findings.json shows the manuscript with every suggestion
+// highlighted, plus a panel to Accept, Reject or Edit each one. Accepted edits
+// are saved straight back to the manuscript, and review decisions are saved
+// to the findings file so a review can be picked up again later.
+let reviewState = null; // { findingsPath, document, marks, history, selectedId }
+
+// Switch the editor into review mode for the findings sent by the main process
+function enterReviewMode(review) {
+  exitReviewMode();
+  
+  reviewState = {
+    findingsPath: review.findingsPath,
+    document: review.document,
+    marks: new Map(), // finding id -> CodeMirror TextMarker
+    history: [], // accept/reject decisions, most recent last
+    selectedId: null
+  };
+  
+  // Review happens in the editor, not the preview
+  if (!htmlEl.classList.contains('edit-mode')) {
+    toggleEditMode();
+  }
+  htmlEl.classList.add('review-mode');
+  
+  document.getElementById('review-report').textContent = review.reportText || 'The original report was not found.';
+  document.getElementById('review-panel').classList.remove('show-report');
+  
+  reviewState.document.findings.forEach(finding => markFinding(finding));
+  renderFindingsList();
+  setTimeout(() => editor.refresh(), 50);
+}
+
+// Leave review mode, removing all highlights
+function exitReviewMode() {
+  if (reviewState) {
+    reviewState.marks.forEach(mark => mark.clear());
+  }
+  reviewState = null;
+  htmlEl.classList.remove('review-mode');
+}
+
+// Highlight a finding in the editor; the mark then follows the text as it is edited
+function markFinding(finding) {
+  if (finding.offset === null || finding.offset === undefined) {
+    return;
+  }
+  
+  const from = editor.posFromIndex(finding.offset);
+  const to = editor.posFromIndex(finding.offset + finding.length);
+  let className = `finding-mark finding-${finding.severity}`;
+  if (finding.status === 'accepted') {
+    className = 'finding-accepted';
+  } else if (finding.status === 'rejected') {
+    className = 'finding-rejected';
+  }
+  
+  const mark = editor.markText(from, to, { className, inclusiveLeft: false, inclusiveRight: false });
+  reviewState.marks.set(finding.id, mark);
+}
+
+// Replace a finding's mark with one styled for its new status
+function remarkFinding(finding, range) {
+  const oldMark = reviewState.marks.get(finding.id);
+  if (oldMark) {
+    oldMark.clear();
+  }
+  finding.offset = editor.indexFromPos(range.from);
+  finding.length = editor.indexFromPos(range.to) - finding.offset;
+  markFinding(finding);
+}
+
+// Find each pending finding again by its quoted text. Marks follow the text
+// as it is edited, but an accepted edit that overlaps or moves another quote
+// can leave that finding's mark on the wrong words, or remove it.
+async function relocatePendingFindings() {
+  if (!window.electronAPI || !window.electronAPI.locateFindings) return;
+  const state = reviewState;
+  const pending = state.document.findings.filter(f => f.status === 'pending');
+  if (pending.length === 0) return;
+  
+  // Current positions are tried first so repeated phrases stay where they were
+  pending.forEach(finding => {
+    const mark = state.marks.get(finding.id);
+    const range = mark && mark.find();
+    if (range) {
+      finding.offset = editor.indexFromPos(range.from);
+    }
+  });
+  
+  const content = editor.getValue();
+  try {
+    const located = await window.electronAPI.locateFindings({ findings: pending, content });
+    // Skip results for text that has changed again, or a review that has closed
+    if (reviewState !== state || editor.getValue() !== content) return;
+    
+    located.forEach(result => {
+      const finding = pending.find(f => f.id === result.id);
+      if (!finding || finding.status !== 'pending') return;
+      const oldMark = state.marks.get(finding.id);
+      if (oldMark) {
+        oldMark.clear();
+        state.marks.delete(finding.id);
+      }
+      Object.assign(finding, {
+        offset: result.offset,
+        length: result.length,
+        line: result.line,
+        chapter: result.chapter
+      });
+      markFinding(finding);
+    });
+  } catch (error) {
+    console.error('Error locating findings:', error);
+  }
+}
+
+// Build the list of finding cards in the review panel
+function renderFindingsList() {
+  const list = document.getElementById('review-list');
+  const findings = reviewState.document.findings;
+  list.innerHTML = '';
+  
+  const pending = findings.filter(f => f.status === 'pending').length;
+  const located = findings.filter(f => reviewState.marks.has(f.id)).length;
+  document.getElementById('review-summary').textContent =
+    `${reviewState.document.title || 'Findings'}: ${pending} of ${findings.length} to review` +
+    (located < findings.length ? ` (${findings.length - located} not found in text)` : '');
+  document.getElementById('review-undo').disabled = reviewState.history.length === 0;
+  
+  findings.forEach(finding => {
+    const card = document.createElement('div');
+    card.className = `finding-card ${finding.status}`;
+    card.dataset.findingId = finding.id;
+    if (finding.id === reviewState.selectedId) {
+      card.classList.add('selected');
+    }
+    
+    const meta = document.createElement('div');
+    meta.className = 'finding-meta';
+    const label = document.createElement('span');
+    label.textContent = `#${finding.id} ${finding.category}` +
+      (finding.chapter ? ` · ${finding.chapter.heading}` : '') +
+      (finding.line ? ` · line ${finding.line}` : '');
+    const severity = document.createElement('span');
+    severity.className = `finding-severity-${finding.severity}`;
+    severity.textContent = finding.status === 'pending' ? finding.severity : finding.status;
+    meta.appendChild(label);
+    meta.appendChild(severity);
+    card.appendChild(meta);
+    
+    if (finding.original) {
+      const original = document.createElement('div');
+      original.className = 'finding-original';
+      original.textContent = finding.original;
+      card.appendChild(original);
+    }
+    if (finding.suggestion) {
+      const suggestion = document.createElement('div');
+      suggestion.className = 'finding-suggestion';
+      suggestion.textContent = finding.suggestion;
+      card.appendChild(suggestion);
+    }
+    if (finding.explanation) {
+      const explanation = document.createElement('div');
+      explanation.className = 'finding-explanation';
+      explanation.textContent = finding.explanation;
+      card.appendChild(explanation);
+    }
+    
+    if (finding.status === 'pending') {
+      card.appendChild(createFindingActions(finding, card));
+    }
+    
+    card.addEventListener('click', () => selectFinding(finding.id));
+    list.appendChild(card);
+  });
+}
+
+// Accept / Reject / Edit buttons for a pending finding
+function createFindingActions(finding, card) {
+  const actions = document.createElement('div');
+  actions.className = 'finding-actions';
+  const canApply = reviewState.marks.has(finding.id);
+  
+  const addButton = (text, onClick, disabled = false) => {
+    const button = document.createElement('button');
+    button.className = 'text-control-button';
+    button.textContent = text;
+    button.disabled = disabled;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    actions.appendChild(button);
+    return button;
+  };
+  
+  addButton('Accept', () => acceptFinding(finding, finding.suggestion), !canApply || !finding.suggestion);
+  addButton('Reject', () => rejectFinding(finding));
+  addButton('Edit', () => {
+    // Swap the buttons for a textarea holding the suggestion
+    const textarea = document.createElement('textarea');
+    textarea.className = 'finding-edit';
+    textarea.value = finding.suggestion || finding.original;
+    textarea.addEventListener('click', event => event.stopPropagation());
+    actions.replaceWith(textarea);
+    
+    const editActions = document.createElement('div');
+    editActions.className = 'finding-actions';
+    const apply = document.createElement('button');
+    apply.className = 'text-control-button';
+    apply.textContent = 'Apply Edit';
+    apply.addEventListener('click', (event) => {
+      event.stopPropagation();
+      acceptFinding(finding, textarea.value);
+    });
+    const cancel = document.createElement('button');
+    cancel.className = 'text-control-button';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', (event) => {
+      event.stopPropagation();
+      renderFindingsList();
+    });
+    editActions.appendChild(apply);
+    editActions.appendChild(cancel);
+    card.appendChild(editActions);
+    textarea.focus();
+  }, !canApply);
+  
+  return actions;
+}
+
+// Scroll the editor to a finding and highlight its card
+function selectFinding(id) {
+  reviewState.selectedId = id;
+  document.querySelectorAll('.finding-card').forEach(card => {
+    card.classList.toggle('selected', Number(card.dataset.findingId) === id);
+  });
+  
+  const mark = reviewState.marks.get(id);
+  const range = mark && mark.find();
+  if (range) {
+    editor.setSelection(range.from, range.to);
+    editor.scrollIntoView({ from: range.from, to: range.to }, 120);
+  } else {
+    showNotification('This text was not found in the manuscript');
+  }
+}
+
+// Clicking highlighted text in the editor selects its card
+function selectFindingAtCursor() {
+  if (!reviewState) return;
+  
+  for (const mark of editor.findMarksAt(editor.getCursor())) {
+    for (const [id, findingMark] of reviewState.marks) {
+      if (findingMark === mark && id !== reviewState.selectedId) {
+        reviewState.selectedId = id;
+        const card = document.querySelector(`.finding-card[data-finding-id="${id}"]`);
+        document.querySelectorAll('.finding-card.selected').forEach(c => c.classList.remove('selected'));
+        if (card) {
+          card.classList.add('selected');
+          card.scrollIntoView({ block: 'nearest' });
+        }
+        return;
+      }
+    }
+  }
+}
+
+// Replace the quoted text with the suggestion (or an edited version of it)
+async function acceptFinding(finding, replacement) {
+  const mark = reviewState.marks.get(finding.id);
+  const range = mark && mark.find();
+  if (!range) {
+    showNotification('Cannot apply: the quoted text is no longer in the manuscript');
+    return;
+  }
+  
+  const previousText = editor.getRange(range.from, range.to);
+  editor.replaceRange(replacement, range.from, range.to, '+review');
+  const to = editor.posFromIndex(editor.indexFromPos(range.from) + replacement.length);
+  
+  finding.status = 'accepted';
+  finding.appliedText = replacement;
+  remarkFinding(finding, { from: range.from, to });
+  reviewState.history.push({ id: finding.id, action: 'accepted', previousText });
+  
+  await relocatePendingFindings();
+  renderFindingsList();
+  await saveReview(true);
+}
+
+// Mark a finding as rejected, leaving the text alone
+async function rejectFinding(finding) {
+  const mark = reviewState.marks.get(finding.id);
+  const range = mark && mark.find();
+  
+  finding.status = 'rejected';
+  if (range) {
+    remarkFinding(finding, range);
+  }
+  reviewState.history.push({ id: finding.id, action: 'rejected' });
+  
+  renderFindingsList();
+  await saveReview(false);
+}
+
+// Undo the most recent accept or reject
+async function undoReviewDecision() {
+  if (!reviewState || reviewState.history.length === 0) return;
+  
+  const entry = reviewState.history.pop();
+  const finding = reviewState.document.findings.find(f => f.id === entry.id);
+  const mark = reviewState.marks.get(entry.id);
+  const range = mark && mark.find();
+  
+  if (entry.action === 'accepted' && range) {
+    editor.replaceRange(entry.previousText, range.from, range.to, '+review');
+    const to = editor.posFromIndex(editor.indexFromPos(range.from) + entry.previousText.length);
+    finding.status = 'pending';
+    delete finding.appliedText;
+    remarkFinding(finding, { from: range.from, to });
+  } else {
+    finding.status = 'pending';
+    if (range) {
+      remarkFinding(finding, range);
+    }
+  }
+  
+  if (entry.action === 'accepted') {
+    await relocatePendingFindings();
+  }
+  renderFindingsList();
+  await saveReview(entry.action === 'accepted');
+}
+
+// Save review decisions to the findings file, and the manuscript if it changed
+async function saveReview(manuscriptChanged) {
+  if (!window.electronAPI || !window.electronAPI.saveFile) {
+    showNotification('Error: API not available');
+    return;
+  }
+  
+  try {
+    if (manuscriptChanged) {
+      const content = editor.getValue();
+      const result = await window.electronAPI.saveFile({
+        filePath: currentFilePath,
+        content,
+        saveAs: false
+      });
+      if (!result || !result.success) {
+        showNotification('Failed to save manuscript');
+        return;
+      }
+      originalContent = content;
+      documentChanged = false;
+    }
+    
+    // Store current positions so the next review starts from them
+    reviewState.document.findings.forEach(finding => {
+      const mark = reviewState.marks.get(finding.id);
+      const range = mark && mark.find();
+      if (range) {
+        finding.offset = editor.indexFromPos(range.from);
+        finding.length = editor.indexFromPos(range.to) - finding.offset;
+      }
+    });
+    reviewState.document.reviewedAt = new Date().toISOString();
+    
+    const result = await window.electronAPI.saveFile({
+      filePath: reviewState.findingsPath,
+      content: JSON.stringify(reviewState.document, null, 2),
+      saveAs: false
+    });
+    showNotification(result && result.success ? 'Review saved' : 'Failed to save review');
+  } catch (error) {
+    showNotification('Error saving review: ' + error.message);
+  }
+}
+
+// Panel header buttons
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('review-undo').addEventListener('click', undoReviewDecision);
+  document.getElementById('review-report-toggle').addEventListener('click', () => {
+    const panel = document.getElementById('review-panel');
+    panel.classList.toggle('show-report');
+    document.getElementById('review-report-toggle').textContent =
+      panel.classList.contains('show-report') ? 'Findings' : 'Report';
+  });
+  editor.on('cursorActivity', selectFindingAtCursor);
+});
+
+// =============================================================================
+// SECTION 15: ELECTRON API INTEGRATION
 // =============================================================================
 
 // Handle file opened message from the main Electron process
@@ -809,6 +1206,13 @@ if (window.electronAPI && window.electronAPI.onFileOpened) {
       filepath.textContent = currentFilePath;
       filepath.title = currentFilePath;
       
+      // Findings files open the manuscript in review mode
+      if (data.review) {
+        enterReviewMode(data.review);
+      } else {
+        exitReviewMode();
+      }
+      
       // Update interface elements
       updatePositionAndStats();
       updatePreview();
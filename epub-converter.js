@@ -8,6 +8,7 @@ const appState = require('./state.js');
 const JSZip = require('jszip');
 const { DOMParser } = require('@xmldom/xmldom');
 const xpath = require('xpath');
+const { parseManuscript, classifyHeading } = require('./manuscript-structure');
 
 /**
  * EpubConverter Tool
@@ -78,6 +79,14 @@ class EpubConverter extends ToolBase {
         allText += ch.textBlocks.join('\n\n') + '\n\n';
       });
       
+      // Report the structure the other tools will see in the converted text
+      const structure = parseManuscript(allText);
+      this.emitOutput(
+        `Recognized ${structure.chapters.length} chapter headings` +
+        (structure.parts.length > 0 ? ` in ${structure.parts.length} parts` : '') +
+        ` and ${structure.scenes.length} scenes\n`
+      );
+      
       // Create output filename with timestamp
       const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
       const baseFileName = path.basename(epubFile, '.epub');
@@ -213,6 +222,26 @@ class EpubConverter extends ToolBase {
         // Split into paragraphs
         const textBlocks = bodyText.split(/\n\s*\n/).filter(block => block.trim() !== "");
         
+        // Without an <h1>, many EPUBs still open with a heading like
+        // "Chapter IV" or "Part Two" (as <h2>/<h3> or a plain paragraph)
+        if (!title) {
+          const candidates = [
+            ...Array.from(doc.getElementsByTagName("h2")),
+            ...Array.from(doc.getElementsByTagName("h3"))
+          ].map(el => el.textContent.trim());
+          if (textBlocks.length > 0) {
+            candidates.push(textBlocks[0].trim());
+          }
+          const headingText = candidates.find(text => classifyHeading(text));
+          if (headingText) {
+            title = headingText;
+            // Don't repeat the heading as the first paragraph
+            if (textBlocks.length > 0 && textBlocks[0].trim() === headingText) {
+              textBlocks.shift();
+            }
+          }
+        }
+        
         // Special handling for CONTENTS page
         if (title.toUpperCase() === "CONTENTS") {
           for (let i = 0; i < textBlocks.length; i++) {
@@ -0,0 +1,99 @@
+// evidence-gap-finder.js
+const path = require('path');
+const ToolBase = require('./tool-base');
+
+/**
+ * Evidence Gap Finder Tool
+ * Lists a non-fiction manuscript's factual claims with how well each is
+ * sourced, high-stakes claims (health, legal, financial) first. Besides the
+ * report, its claims tables are saved as a CSV file, to work through in a
+ * spreadsheet while checking sources.
+ */
+
+// Most specific first, as UNVERIFIED contains VERIFIED
+const SOURCE_STATUSES = ['PARTIALLY SUPPORTED', 'CONFLICTING SOURCES', 'UNVERIFIED', 'OUTDATED', 'CONFLICT', 'VERIFIED'];
+const CLAIM_COLUMNS = ['Table', 'Claim', 'Source Status', 'Suggested Citation', 'Notes', 'Risk Level'];
+
+/**
+ * The rows of the report's PRIORITY ISSUES and STANDARD FINDINGS tables
+ * @param {string} report - The AI's response
+ * @returns {Object[]} - { table, claim, status, citation, notes, risk }, table
+ *   being 'Priority' or 'Standard'
+ */
+function parseClaims(report) {
+  const claims = [];
+  let table = null;
+  for (const rawLine of report.split('\n')) {
+    const line = rawLine.trim();
+    if (/PRIORITY ISSUES TABLE/i.test(line)) {
+      table = 'Priority';
+      continue;
+    }
+    if (/STANDARD FINDINGS TABLE/i.test(line)) {
+      table = 'Standard';
+      continue;
+    }
+    if (/SUGGESTED IMPROVEMENTS/i.test(line)) {
+      table = null;
+      continue;
+    }
+    if (!table || !line.includes('|')) {
+      continue;
+    }
+
+    const cells = line.replace(/^[-*•]\s+/, '').replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+    // Header rows, and the dashes under them if the AI drew a Markdown table
+    if (cells[0].toLowerCase() === 'claim' || cells.every(cell => /^:?-*:?$/.test(cell))) {
+      continue;
+    }
+    const [claim, status = '', citation = '', notes = '', risk = ''] = cells;
+    claims.push({ table, claim, status: normalizeStatus(status), citation, notes, risk: table === 'Priority' ? risk : '' });
+  }
+  return claims;
+}
+
+// One of SOURCE_STATUSES if the cell names one, otherwise the cell as written
+function normalizeStatus(cell) {
+  const upper = cell.toUpperCase();
+  return SOURCE_STATUSES.find(status => upper.includes(status)) || cell;
+}
+
+function toCsv(claims) {
+  const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const rows = claims.map(claim => [claim.table, claim.claim, claim.status, claim.citation, claim.notes, claim.risk]);
+  return [CLAIM_COLUMNS, ...rows].map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+class EvidenceGapFinder extends ToolBase {
+  constructor(apiService, config = {}) {
+    super('evidence_gap_finder', config);
+    this.apiService = apiService;
+  }
+
+  /**
+   * Save the report, then its claims as <report>_claims.csv
+   * @returns {Promise<string[]>} - The report, and the claims file if there were any claims
+   */
+  async saveReport(content, promptTokens, responseTokens, saveDir, isPartial = false) {
+    const savedFiles = await super.saveReport(content, promptTokens, responseTokens, saveDir, isPartial);
+
+    const claims = parseClaims(content);
+    if (claims.length === 0) {
+      this.emitOutput(`No claims table was found in the report, so no claims file was saved.\n`);
+      return savedFiles;
+    }
+
+    const claimsFilename = path.basename(savedFiles[0]).replace(/\.txt$/, '') + '_claims.csv';
+    const claimsPath = await this.writeOutputFile(toCsv(claims), saveDir, claimsFilename);
+
+    const counts = {};
+    claims.forEach(claim => {
+      counts[claim.status] = (counts[claim.status] || 0) + 1;
+    });
+    const breakdown = Object.entries(counts).map(([status, count]) => `${count} ${status || 'no status'}`).join(', ');
+    this.emitOutput(`Saved ${claims.length} claims (${breakdown}) to: ${claimsPath}\n`);
+    return [...savedFiles, claimsPath];
+  }
+}
+
+module.exports = EvidenceGapFinder;
@@ -0,0 +1,319 @@
+// findings-to-docx.js
+const ToolBase = require('./tool-base');
+const path = require('path');
+const fs = require('fs');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+const { classifyHeading } = require('./manuscript-structure');
+const findingsUtils = require('./findings');
+
+const COMMENT_AUTHOR = 'StoryGrinder';
+const COMMENT_INITIALS = 'SG';
+
+/**
+ * FindingsToDocx Tool
+ * Writes the manuscript to a DOCX file with each finding from a tool report
+ * anchored as a Word comment on the passage it quotes, so the feedback shows
+ * up in the margin in Word or Google Docs.
+ * Takes either a *_findings.json file or a .txt report; a report without a
+ * findings file next to it is converted with one AI request.
+ */
+class FindingsToDocx extends ToolBase {
+  /**
+   * Constructor
+   * @param {Object} apiService - AI API service, only needed for .txt reports
+   * @param {Object} config - Tool configuration
+   */
+  constructor(apiService, config = {}) {
+    super('findings_to_docx', config);
+    this.apiService = apiService;
+  }
+
+  /**
+   * Execute the tool
+   * @param {Object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
+   * @returns {Promise<Object>} - Execution result
+   */
+  async execute(options, signal = null) {
+    console.log('Executing FindingsToDocx with options:', options);
+
+    const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
+    if (!saveDir) {
+      const errorMsg = 'Error: No save directory specified and no current project selected.\n' +
+                      'Please select a project or specify a save directory.';
+      this.emitOutput(errorMsg);
+      throw new Error('No save directory available');
+    }
+
+    const reportFile = this.ensureAbsolutePath(options.report_file, saveDir);
+    const outputFiles = [];
+
+    try {
+      if (!reportFile || !fs.existsSync(reportFile)) {
+        throw new Error(`File not found: ${reportFile}`);
+      }
+
+      const { document: findingsDoc, findingsPath } = await this.loadFindings(reportFile, options, saveDir, signal);
+      if (findingsPath) {
+        outputFiles.push(findingsPath);
+      }
+
+      const manuscriptOption = options.manuscript_file || findingsDoc.manuscriptFile;
+      if (!manuscriptOption) {
+        throw new Error('The findings don\'t say which manuscript they are about. Please choose it as the Manuscript File.');
+      }
+      const manuscriptFile = this.ensureAbsolutePath(manuscriptOption, saveDir);
+      this.emitOutput(`Reading manuscript: ${manuscriptFile}\n`);
+      const manuscriptContent = await this.readInputFile(manuscriptFile);
+
+      // Offsets go stale as soon as the manuscript is edited, so always re-locate
+      const findings = findingsUtils.locateFindings(findingsDoc.findings, manuscriptContent)
+        .filter(finding => finding.status !== 'rejected');
+      const located = findings.filter(finding => finding.offset !== null);
+
+      this.emitOutput(`Anchoring ${located.length} of ${findings.length} findings as comments . . .\n`);
+
+      const buffer = await this.buildDocx(manuscriptContent, located);
+
+      const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+      const baseName = path.basename(manuscriptFile).replace(/\.[^.]+$/, '');
+      const outputPath = await this.writeOutputFile(buffer, saveDir, `${baseName}_comments_${timestamp}.docx`);
+      outputFiles.push(outputPath);
+      this.emitOutput(`DOCX with comments saved to: ${outputPath}\n`);
+
+      const missing = findings.filter(finding => finding.offset === null);
+      if (missing.length > 0) {
+        this.emitOutput(`\n${missing.length} findings quote text that was not found in the manuscript and were left out:\n`);
+        missing.forEach(finding => {
+          this.emitOutput(`  #${finding.id} [${finding.category}] "${finding.original}"\n`);
+        });
+      }
+
+      outputFiles.forEach(file => {
+        fileCache.addFile(this.name, file);
+      });
+
+      return {
+        success: true,
+        outputFiles
+      };
+    } catch (error) {
+      console.error('Error in FindingsToDocx:', error);
+      this.emitOutput(`\nError: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Load findings from a findings file, the findings file saved next to a
+   * report, or by asking the AI to extract them from the report
+   * @param {string} reportFile - A *_findings.json file or a .txt report
+   * @param {Object} options - Tool options
+   * @param {string} saveDir - Project directory
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<Object>} - { document, findingsPath } where findingsPath
+   *   is set only when a new findings file was written
+   */
+  async loadFindings(reportFile, options, saveDir, signal) {
+    if (reportFile.endsWith('.json')) {
+      this.emitOutput(`Reading findings: ${reportFile}\n`);
+      return { document: await findingsUtils.readFindingsFile(reportFile), findingsPath: null };
+    }
+
+    const siblingPath = reportFile.replace(/\.txt$/, '') + '_findings.json';
+    if (fs.existsSync(siblingPath)) {
+      this.emitOutput(`Reading findings: ${siblingPath}\n`);
+      return { document: await findingsUtils.readFindingsFile(siblingPath), findingsPath: null };
+    }
+
+    if (!this.apiService) {
+      throw new Error(
+        `No findings file found for ${path.basename(reportFile)} and no AI provider is set up to extract one. ` +
+        `Re-run the tool with "Save Findings as JSON" enabled, or choose its _findings.json file.`
+      );
+    }
+    const manuscriptFile = this.ensureAbsolutePath(options.manuscript_file || 'manuscript.txt', saveDir);
+    const manuscriptContent = await this.readInputFile(manuscriptFile);
+    const reportText = await this.readInputFile(reportFile);
+
+    const findingsPath = await this.saveFindings(reportText, manuscriptContent, manuscriptFile, reportFile, signal);
+    if (!findingsPath) {
+      throw new Error('Could not extract findings from the report');
+    }
+    return { document: await findingsUtils.readFindingsFile(findingsPath), findingsPath };
+  }
+
+  /**
+   * Build the DOCX: same layout as the TXT to DOCX converter, with each
+   * finding's quoted text wrapped in a comment range
+   * @param {string} text - Manuscript text
+   * @param {Object[]} findings - Located findings
+   * @returns {Promise<Buffer>} - The .docx file contents
+   */
+  async buildDocx(text, findings) {
+    const docx = require('docx');
+
+    const comments = findings.map((finding, i) => ({
+      ...finding,
+      commentId: i,
+      end: finding.offset + finding.length
+    }));
+
+    const children = [];
+    let headingCount = 0;
+
+    this.splitParagraphs(text).forEach(paragraph => {
+      // A finding that runs past the end of its paragraph is cut off there
+      const inParagraph = comments.filter(comment =>
+        comment.offset >= paragraph.start && comment.offset < paragraph.end
+      );
+      const runs = this.buildRuns(docx, paragraph, inParagraph);
+
+      const heading = classifyHeading(paragraph.text, { standalone: true });
+      if (heading) {
+        headingCount++;
+        if (headingCount > 1) {
+          children.push(new docx.Paragraph({ pageBreakBefore: true }));
+        }
+        children.push(new docx.Paragraph({
+          children: runs,
+          heading: docx.HeadingLevel.HEADING_1,
+          alignment: docx.AlignmentType.CENTER,
+          spacing: { before: 240, after: 120 }
+        }));
+      } else {
+        children.push(new docx.Paragraph({
+          children: runs,
+          indent: { firstLine: 720 }, // 0.5 inch
+          spacing: { line: 480 } // Double spacing
+        }));
+      }
+    });
+
+    const doc = new docx.Document({
+      comments: {
+        children: comments.map(comment => ({
+          id: comment.commentId,
+          author: COMMENT_AUTHOR,
+          initials: COMMENT_INITIALS,
+          date: new Date(),
+          children: this.buildCommentBody(docx, comment)
+        }))
+      },
+      sections: [
+        {
+          properties: {
+            page: {
+              margin: {
+                top: 1440, // 1 inch (1440 twips)
+                right: 1440,
+                bottom: 1440,
+                left: 1440
+              }
+            }
+          },
+          children
+        }
+      ]
+    });
+
+    return docx.Packer.toBuffer(doc);
+  }
+
+  /**
+   * Split text into blank-line separated paragraphs, keeping the offset of
+   * each one so findings can be matched to it
+   * @param {string} text - Manuscript text
+   * @returns {Object[]} - { text, start, end } with surrounding whitespace trimmed
+   */
+  splitParagraphs(text) {
+    const paragraphs = [];
+    const separator = /\n\s*\n/g;
+    let start = 0;
+    let match;
+
+    const add = (from, to) => {
+      const raw = text.slice(from, to);
+      const trimmed = raw.trim();
+      if (trimmed) {
+        const leading = raw.length - raw.trimStart().length;
+        paragraphs.push({ text: trimmed, start: from + leading, end: from + leading + trimmed.length });
+      }
+    };
+
+    while ((match = separator.exec(text)) !== null) {
+      add(start, match.index);
+      start = match.index + match[0].length;
+    }
+    add(start, text.length);
+    return paragraphs;
+  }
+
+  /**
+   * Cut a paragraph into text runs at every comment boundary. Comment ranges
+   * may overlap, so starts and ends are placed independently.
+   * @param {Object} docx - The docx module
+   * @param {Object} paragraph - { text, start, end }
+   * @param {Object[]} comments - Comments starting in this paragraph
+   * @returns {Object[]} - Paragraph children
+   */
+  buildRuns(docx, paragraph, comments) {
+    const events = [];
+    comments.forEach(comment => {
+      const start = comment.offset - paragraph.start;
+      const end = Math.max(Math.min(comment.end, paragraph.end) - paragraph.start, start);
+      events.push({ at: start, type: 'start', id: comment.commentId });
+      events.push({ at: end, type: 'end', id: comment.commentId });
+    });
+    // Close ranges before opening new ones at the same position
+    events.sort((a, b) => a.at - b.at || (a.type === 'end' ? -1 : 1));
+
+    const runs = [];
+    let position = 0;
+    events.forEach(event => {
+      if (event.at > position) {
+        runs.push(new docx.TextRun(paragraph.text.slice(position, event.at)));
+        position = event.at;
+      }
+      if (event.type === 'start') {
+        runs.push(new docx.CommentRangeStart(event.id));
+      } else {
+        runs.push(new docx.CommentRangeEnd(event.id));
+        runs.push(new docx.TextRun({ children: [new docx.CommentReference(event.id)] }));
+      }
+    });
+    if (position < paragraph.text.length) {
+      runs.push(new docx.TextRun(paragraph.text.slice(position)));
+    }
+    return runs;
+  }
+
+  /**
+   * Comment text: category and severity, the suggestion, then the explanation
+   * @param {Object} docx - The docx module
+   * @param {Object} finding - A located finding
+   * @returns {Object[]} - Comment paragraphs
+   */
+  buildCommentBody(docx, finding) {
+    const paragraphs = [
+      new docx.Paragraph({
+        children: [new docx.TextRun({ text: `${finding.category} (${finding.severity})`, bold: true })]
+      })
+    ];
+    if (finding.suggestion) {
+      paragraphs.push(new docx.Paragraph({
+        children: [
+          new docx.TextRun({ text: 'Suggestion: ', italics: true }),
+          new docx.TextRun(finding.suggestion)
+        ]
+      }));
+    }
+    if (finding.explanation) {
+      paragraphs.push(new docx.Paragraph(finding.explanation));
+    }
+    return paragraphs;
+  }
+}
+
+module.exports = FindingsToDocx;
@@ -0,0 +1,186 @@
+// findings.js
+const fs = require('fs/promises');
+const { parseManuscript } = require('./manuscript-structure');
+
+/**
+ * Structured findings
+ * Turns a tool's plain-text report into a list of individual findings that
+ * can be filtered, sorted and applied. Saved next to the .txt report as
+ * `<report>_findings.json`:
+ *
+ * {
+ *   version: 1,
+ *   tool, title, createdAt, manuscriptFile, reportFile,
+ *   findings: [{
+ *     id, original, suggestion, category, severity, explanation,
+ *     status,               // 'pending', 'accepted' or 'rejected' (editor review mode)
+ *     appliedText,          // what replaced `original`, once accepted
+ *     chapter: { index, number, title, heading } | null,
+ *     offset, length, line  // where `original` (or `appliedText`) was found, or null
+ *   }]
+ * }
+ */
+
+const FINDINGS_VERSION = 1;
+const SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Build the prompt asking the AI to convert a report into JSON findings
+ * @param {string} reportText - The tool's plain-text report
+ * @returns {string} - Prompt text
+ */
+function buildExtractionPrompt(reportText) {
+  return `=== EDITING REPORT ===
+${reportText}
+=== END EDITING REPORT ===
+
+Convert every specific, actionable finding in the editing report above into a JSON array.
+Each element must be an object with exactly these keys:
+  "original"    - the exact text quoted from the manuscript, copied character for character (empty string if none was quoted)
+  "suggestion"  - the suggested replacement text (empty string if the report gives no replacement)
+  "category"    - a short lowercase label such as "punctuation", "tense", "dangling modifier", "word choice", "consistency"
+  "severity"    - one of "high", "medium", "low"
+  "explanation" - one or two sentences on why it should change
+
+Leave out general commentary that is not tied to a specific passage.
+Reply with the JSON array only: no Markdown code fences, no text before or after it.`;
+}
+
+/**
+ * Parse the AI's reply into a clean findings array
+ * @param {string} responseText - Raw AI response
+ * @returns {Object[]} - Findings without location info
+ */
+function parseFindingsResponse(responseText) {
+  let text = (responseText || '').trim();
+
+  // Tolerate code fences and chatter around the array
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON array found in the findings response');
+  }
+  text = text.slice(start, end + 1);
+
+  const raw = JSON.parse(text);
+  if (!Array.isArray(raw)) {
+    throw new Error('Findings response is not a JSON array');
+  }
+
+  return raw
+    .filter(item => item && typeof item === 'object')
+    .map(item => {
+      const severity = String(item.severity || '').toLowerCase();
+      return {
+        original: String(item.original || ''),
+        suggestion: String(item.suggestion || ''),
+        category: String(item.category || 'general').toLowerCase(),
+        severity: SEVERITIES.includes(severity) ? severity : 'medium',
+        explanation: String(item.explanation || '')
+      };
+    })
+    .filter(item => item.original || item.explanation);
+}
+
+/**
+ * Find `needle` in `haystack`, falling back to a whitespace-insensitive
+ * search since AI quotes often reflow line breaks
+ * @param {string} haystack - Manuscript text
+ * @param {string} needle - Quoted text
+ * @param {number} [fromIndex=0] - Where to start looking
+ * @returns {{offset: number, length: number}|null}
+ */
+function findQuote(haystack, needle, fromIndex = 0) {
+  if (!needle) return null;
+
+  const exact = haystack.indexOf(needle, fromIndex);
+  if (exact !== -1) {
+    return { offset: exact, length: needle.length };
+  }
+
+  const words = needle.trim().split(/\s+/).map(word =>
+    word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      // Straight vs curly quotes are the other usual mismatch
+      .replace(/["“”]/g, '["“”]')
+      .replace(/['‘’]/g, "['‘’]")
+  );
+  if (words.length === 0 || !words[0]) return null;
+
+  const pattern = new RegExp(words.join('\\s+'), 'g');
+  pattern.lastIndex = fromIndex;
+  const match = pattern.exec(haystack);
+  return match ? { offset: match.index, length: match[0].length } : null;
+}
+
+/**
+ * Add ids, manuscript offsets, line numbers and chapters to findings.
+ * Also used to re-locate saved findings after the manuscript has been edited:
+ * existing ids and statuses are kept, and a previous offset is tried first
+ * so repeated phrases resolve to the same place. Accepted findings are found
+ * by the text that replaced the quote.
+ * @param {Object[]} findings - Parsed (or previously saved) findings
+ * @param {string} manuscriptContent - The manuscript the report was about
+ * @returns {Object[]} - Findings with location info
+ */
+function locateFindings(findings, manuscriptContent) {
+  const text = manuscriptContent || '';
+  const { chapters } = parseManuscript(text);
+
+  return findings.map((finding, i) => {
+    const previous = typeof finding.offset === 'number' ? finding.offset : null;
+    const hint = previous !== null ? Math.max(0, previous - 200) : 0;
+    const quote = finding.status === 'accepted' && finding.appliedText ? finding.appliedText : finding.original;
+    const unmoved = quote && previous !== null && text.startsWith(quote, previous);
+    const found = (unmoved ? { offset: previous, length: quote.length } : null) ||
+      findQuote(text, quote, hint) ||
+      (hint > 0 ? findQuote(text, quote) : null);
+    let chapter = null;
+    let line = null;
+
+    if (found) {
+      line = text.slice(0, found.offset).split('\n').length;
+      const match = chapters.find(ch => found.offset >= ch.start && found.offset < ch.end);
+      if (match) {
+        chapter = {
+          index: match.index,
+          number: match.number,
+          title: match.title,
+          heading: match.heading
+        };
+      }
+    }
+
+    return {
+      id: finding.id || i + 1,
+      ...finding,
+      status: finding.status || 'pending',
+      chapter,
+      offset: found ? found.offset : null,
+      length: found ? found.length : null,
+      line
+    };
+  });
+}
+
+/**
+ * Read and validate a findings file
+ * @param {string} filePath - Path to a *_findings.json file
+ * @returns {Promise<Object>} - The parsed findings document
+ */
+async function readFindingsFile(filePath) {
+  const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (!data || !Array.isArray(data.findings)) {
+    throw new Error(`Not a findings file: ${filePath}`);
+  }
+  return data;
+}
+
+module.exports = {
+  FINDINGS_VERSION,
+  SEVERITIES,
+  buildExtractionPrompt,
+  parseFindingsResponse,
+  findQuote,
+  locateFindings,
+  readFindingsFile
+};
@@ -0,0 +1,280 @@
+// gemini-storage-dialog.js
+
+// DOM elements
+const closeBtn = document.getElementById('close-btn');
+const refreshBtn = document.getElementById('refresh-btn');
+const deleteSelectedBtn = document.getElementById('delete-selected-btn');
+const storageStatus = document.getElementById('storage-status');
+const storageBody = document.getElementById('storage-body');
+
+// Checked rows, keyed by name: { type, name, label }
+const selected = new Map();
+
+window.addEventListener('DOMContentLoaded', async () => {
+  window.electronAPI.onSetTheme((theme) => {
+    document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+  });
+
+  await loadStorage();
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeGeminiStorage();
+});
+
+refreshBtn.addEventListener('click', loadStorage);
+
+deleteSelectedBtn.addEventListener('click', () => {
+  deleteItems([...selected.values()]);
+});
+
+async function loadStorage() {
+  storageStatus.textContent = 'Loading...';
+  refreshBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.listGeminiStorage();
+    if (!result.success) {
+      showEmpty(result.message || 'Could not list Gemini storage.');
+      return;
+    }
+    renderStorage(result);
+  } catch (error) {
+    console.error('Error listing Gemini storage:', error);
+    showEmpty(`Error listing Gemini storage: ${error.message}`);
+  } finally {
+    storageStatus.textContent = '';
+    refreshBtn.disabled = false;
+  }
+}
+
+function showEmpty(message) {
+  selected.clear();
+  updateSelection();
+  storageBody.innerHTML = '';
+  const empty = document.createElement('div');
+  empty.className = 'storage-empty';
+  empty.textContent = message;
+  storageBody.appendChild(empty);
+}
+
+function renderStorage(storage) {
+  selected.clear();
+  updateSelection();
+  storageBody.innerHTML = '';
+
+  const perHour = storage.caches.reduce((sum, cache) => sum + (cache.costPerHour || 0), 0);
+  const untilExpiry = storage.caches.reduce((sum, cache) => sum + (cache.costUntilExpiry || 0), 0);
+
+  const note = document.createElement('div');
+  note.className = 'storage-note';
+  note.textContent = `Context caches cost about ${formatCost(perHour)} per hour to keep ` +
+    `(${formatCost(untilExpiry)} more until they expire), at prices as of ${storage.pricesUpdated}. ` +
+    'Uploaded files are stored free and Gemini deletes them after 48 hours.';
+  storageBody.appendChild(note);
+
+  addSection('Context Caches', 'cache', storage.caches,
+    ['Name', 'Model', 'Tokens', 'Expires In', 'Cost/Hour', 'Until Expiry', ''],
+    cache => [
+      cache.model,
+      cache.tokens ? cache.tokens.toLocaleString() : '?',
+      formatRemaining(cache.remainingMs),
+      formatCost(cache.costPerHour),
+      formatCost(cache.costUntilExpiry)
+    ]);
+
+  addSection('Uploaded Files', 'file', storage.files,
+    ['Name', 'Type', 'Size', 'Expires In', 'State', ''],
+    file => [
+      file.mimeType || '',
+      formatBytes(file.sizeBytes),
+      formatRemaining(file.remainingMs),
+      file.state || ''
+    ]);
+}
+
+// A heading and a table of caches or files, each row with a checkbox and actions
+function addSection(heading, type, items, columns, cells) {
+  const title = document.createElement('h3');
+  title.textContent = `${heading} (${items.length})`;
+  storageBody.appendChild(title);
+
+  if (items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'storage-empty';
+    empty.textContent = `No ${heading.toLowerCase()}.`;
+    storageBody.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'storage-table';
+
+  const headerRow = document.createElement('tr');
+  const allCheckbox = document.createElement('input');
+  allCheckbox.type = 'checkbox';
+  allCheckbox.title = 'Select all';
+  const allCell = document.createElement('th');
+  allCell.appendChild(allCheckbox);
+  headerRow.appendChild(allCell);
+  columns.forEach((label, index) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    if (index > 1 && index < columns.length - 1) th.className = 'number';
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+
+  const checkboxes = [];
+  items.forEach(item => {
+    const label = item.displayName || item.name;
+    const row = document.createElement('tr');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.set(item.name, { type, name: item.name, label });
+      } else {
+        selected.delete(item.name);
+      }
+      updateSelection();
+    });
+    checkboxes.push(checkbox);
+    const checkCell = document.createElement('td');
+    checkCell.appendChild(checkbox);
+    row.appendChild(checkCell);
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = item.displayName || '(no name)';
+    const id = document.createElement('div');
+    id.className = 'item-id';
+    id.textContent = item.name;
+    nameCell.appendChild(id);
+    row.appendChild(nameCell);
+
+    cells(item).forEach((value, index) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      if (index > 0) td.className = 'number';
+      row.appendChild(td);
+    });
+
+    const details = document.createElement('tr');
+    details.style.display = 'none';
+    const detailsCell = document.createElement('td');
+    detailsCell.colSpan = columns.length + 1;
+    detailsCell.className = 'storage-details';
+    details.appendChild(detailsCell);
+
+    row.appendChild(createActions(type, item, label, details, detailsCell));
+    table.appendChild(row);
+    table.appendChild(details);
+  });
+
+  allCheckbox.addEventListener('change', () => {
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = allCheckbox.checked;
+      checkbox.dispatchEvent(new Event('change'));
+    });
+  });
+
+  storageBody.appendChild(table);
+}
+
+// Inspect, change expiry (caches only) and delete buttons for one row
+function createActions(type, item, label, details, detailsCell) {
+  const actions = document.createElement('td');
+
+  const inspectBtn = document.createElement('button');
+  inspectBtn.textContent = 'Inspect';
+  inspectBtn.addEventListener('click', async () => {
+    if (details.style.display !== 'none') {
+      details.style.display = 'none';
+      return;
+    }
+    const result = await window.electronAPI.inspectGeminiStorage(type, item.name);
+    detailsCell.textContent = result.success
+      ? JSON.stringify(result.item.raw, null, 2)
+      : `Could not inspect: ${result.message}`;
+    details.style.display = '';
+  });
+  actions.appendChild(inspectBtn);
+
+  if (type === 'cache') {
+    const minutes = document.createElement('input');
+    minutes.type = 'number';
+    minutes.min = '1';
+    minutes.value = '30';
+    minutes.title = 'Minutes from now';
+    const expiryBtn = document.createElement('button');
+    expiryBtn.textContent = 'Set Expiry';
+    expiryBtn.title = 'Make the cache expire this many minutes from now';
+    expiryBtn.addEventListener('click', async () => {
+      const result = await window.electronAPI.setGeminiCacheExpiry(item.name, Number(minutes.value));
+      if (!result.success) {
+        alert(`Could not change the expiry: ${result.message}`);
+        return;
+      }
+      await loadStorage();
+    });
+    actions.appendChild(document.createTextNode(' '));
+    actions.appendChild(minutes);
+    actions.appendChild(document.createTextNode(' min '));
+    actions.appendChild(expiryBtn);
+  }
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'delete-btn';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => {
+    deleteItems([{ type, name: item.name, label }]);
+  });
+  actions.appendChild(document.createTextNode(' '));
+  actions.appendChild(deleteBtn);
+
+  return actions;
+}
+
+function updateSelection() {
+  deleteSelectedBtn.disabled = selected.size === 0;
+  deleteSelectedBtn.textContent = selected.size > 0 ? `Delete Selected (${selected.size})` : 'Delete Selected';
+}
+
+async function deleteItems(items) {
+  if (items.length === 0) return;
+  const names = items.map(item => item.label).join('\n');
+  if (!confirm(`Delete ${items.length === 1 ? 'this item' : `these ${items.length} items`} from Gemini?\n\n${names}`)) {
+    return;
+  }
+
+  storageStatus.textContent = 'Deleting...';
+  deleteSelectedBtn.disabled = true;
+  const result = await window.electronAPI.deleteGeminiStorage(items.map(({ type, name }) => ({ type, name })));
+  if (!result.success) {
+    alert(`Could not delete: ${result.message}`);
+  } else if (result.failed.length > 0) {
+    alert(`Deleted ${result.deleted.length}; could not delete:\n\n` +
+      result.failed.map(failure => `${failure.name}: ${failure.error}`).join('\n'));
+  }
+  await loadStorage();
+}
+
+function formatRemaining(ms) {
+  if (ms === null || ms === undefined) return '?';
+  if (ms <= 0) return 'expired';
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '?';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'unknown';
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
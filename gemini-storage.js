@@ -0,0 +1,165 @@
+// gemini-storage.js
+const { GoogleGenAI } = require('@google/genai');
+const { ProvidersRegistry } = require('./providers-registry');
+
+/**
+ * Gemini storage
+ * The list, inspect, expiry and delete operations of gemini-cache-manager.js
+ * and gemini-file-manager.js, for the Gemini Storage window. Context caches
+ * are billed for every hour they exist, so each is described with its size,
+ * time left and what it costs to keep; uploaded files are free and Gemini
+ * deletes them itself after 48 hours.
+ */
+
+/**
+ * Gemini client for the API key in .env
+ * @returns {GoogleGenAI}
+ */
+function createClient() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not set in your .env file');
+  }
+  return new GoogleGenAI({ apiKey });
+}
+
+/**
+ * Milliseconds until a time, 0 if it has passed, null if unknown
+ * @param {string} time - ISO date
+ * @returns {number|null}
+ */
+function remainingMs(time) {
+  if (!time) return null;
+  return Math.max(0, new Date(time).getTime() - Date.now());
+}
+
+/**
+ * Plain summary of a context cache for display
+ * @param {Object} cache - Cache from the Gemini API
+ * @returns {Object} - { name, displayName, model, tokens, createTime, expireTime,
+ *   remainingMs, costPerHour, costUntilExpiry, raw }; costs are US dollars,
+ *   null if the model's storage price is unknown
+ */
+function describeCache(cache) {
+  const usage = cache.usageMetadata || {};
+  const tokens = usage.totalTokenCount || usage.cachedContentTokenCount || null;
+  const model = (cache.model || '').replace(/^models\//, '');
+  const pricing = ProvidersRegistry.getModelPricing('gemini', model);
+  const costPerHour = pricing && pricing.cacheStoragePerHour !== undefined && tokens
+    ? tokens * pricing.cacheStoragePerHour / 1000000
+    : null;
+  const remaining = remainingMs(cache.expireTime);
+
+  return {
+    name: cache.name,
+    displayName: cache.displayName || null,
+    model,
+    tokens,
+    createTime: cache.createTime || null,
+    expireTime: cache.expireTime || null,
+    remainingMs: remaining,
+    costPerHour,
+    costUntilExpiry: costPerHour !== null && remaining !== null ? costPerHour * remaining / 3600000 : null,
+    raw: cache
+  };
+}
+
+/**
+ * Plain summary of an uploaded file for display
+ * @param {Object} file - File from the Gemini API
+ * @returns {Object} - { name, displayName, sizeBytes, mimeType, state, createTime,
+ *   expireTime, remainingMs, raw }
+ */
+function describeFile(file) {
+  return {
+    name: file.name,
+    displayName: file.displayName || null,
+    sizeBytes: file.sizeBytes ? Number(file.sizeBytes) : null,
+    mimeType: file.mimeType || null,
+    state: file.state || null,
+    createTime: file.createTime || null,
+    expireTime: file.expirationTime || null,
+    remainingMs: remainingMs(file.expirationTime),
+    raw: file
+  };
+}
+
+/**
+ * Every context cache and uploaded file for the API key
+ * @param {GoogleGenAI} client - Gemini client
+ * @returns {Promise<Object>} - { caches, files }
+ */
+async function listStorage(client) {
+  const caches = [];
+  for await (const cache of await client.caches.list({ config: { pageSize: 50 } })) {
+    caches.push(describeCache(cache));
+  }
+  const files = [];
+  for await (const file of await client.files.list({ config: { pageSize: 50 } })) {
+    files.push(describeFile(file));
+  }
+  caches.sort((a, b) => (b.costPerHour || 0) - (a.costPerHour || 0));
+  return { caches, files };
+}
+
+/**
+ * Full details of one cache or file
+ * @param {GoogleGenAI} client - Gemini client
+ * @param {string} type - 'cache' or 'file'
+ * @param {string} name - Its name (ID)
+ * @returns {Promise<Object>}
+ */
+async function inspectItem(client, type, name) {
+  return type === 'cache'
+    ? describeCache(await client.caches.get({ name }))
+    : describeFile(await client.files.get({ name }));
+}
+
+/**
+ * Make a cache expire a given number of minutes from now
+ * @param {GoogleGenAI} client - Gemini client
+ * @param {string} name - Cache name (ID)
+ * @param {number} minutes - New time to live
+ * @returns {Promise<Object>} - The updated cache
+ */
+async function setCacheExpiry(client, name, minutes) {
+  if (!(minutes > 0)) {
+    throw new Error('Expiry must be at least one minute away; delete the cache instead');
+  }
+  const cache = await client.caches.update({ name, config: { ttl: `${Math.round(minutes * 60)}s` } });
+  return describeCache(cache);
+}
+
+/**
+ * Delete caches and files, carrying on past any that fail
+ * @param {GoogleGenAI} client - Gemini client
+ * @param {Array<{type: string, name: string}>} items - What to delete
+ * @returns {Promise<Object>} - { deleted: names, failed: [{ name, error }] }
+ */
+async function deleteItems(client, items) {
+  const deleted = [];
+  const failed = [];
+  for (const item of items) {
+    try {
+      if (item.type === 'cache') {
+        await client.caches.delete({ name: item.name });
+      } else {
+        await client.files.delete({ name: item.name });
+      }
+      deleted.push(item.name);
+    } catch (error) {
+      failed.push({ name: item.name, error: error.message });
+    }
+  }
+  return { deleted, failed };
+}
+
+module.exports = {
+  createClient,
+  describeCache,
+  describeFile,
+  listStorage,
+  inspectItem,
+  setCacheExpiry,
+  deleteItems
+};
@@ -0,0 +1,167 @@
+// generation-params.js
+const { ProvidersRegistry } = require('./providers-registry');
+
+/**
+ * Generation parameters
+ * Temperature, top-p, max output tokens and thinking budget can be set in
+ * Settings (for every tool) and in a tool's Advanced options (for that tool);
+ * anything left blank falls back to Settings, then to the provider's default.
+ * Stored values use the option names below; requests use the StreamOptions
+ * names in client-base.js:
+ *
+ *   temperature       -> temperature
+ *   top_p             -> topP
+ *   max_output_tokens -> maxOutputTokens
+ *   thinking_budget   -> thinkingBudget   (0 turns thinking off)
+ */
+
+const PARAM_NAMES = {
+  temperature: 'temperature',
+  top_p: 'topP',
+  max_output_tokens: 'maxOutputTokens',
+  thinking_budget: 'thinkingBudget'
+};
+
+/**
+ * Generation parameters from option values or stored settings
+ * @param {Object} [values={}] - Values keyed by option name; blank means unset
+ * @returns {Object} - { temperature, topP, maxOutputTokens, thinkingBudget }, unset ones undefined
+ */
+function readGenerationParams(values = {}) {
+  const params = {};
+  for (const [optionName, paramName] of Object.entries(PARAM_NAMES)) {
+    const value = values[optionName];
+    const number = value === '' || value === null || value === undefined ? NaN : Number(value);
+    params[paramName] = Number.isFinite(number) ? number : undefined;
+  }
+  return params;
+}
+
+/**
+ * Generation settings as stored: each option name with a number or null
+ * @param {Object} [values={}] - Values keyed by option name
+ * @returns {Object}
+ */
+function normalizeGenerationSettings(values = {}) {
+  const params = readGenerationParams(values);
+  const settings = {};
+  for (const [optionName, paramName] of Object.entries(PARAM_NAMES)) {
+    settings[optionName] = params[paramName] !== undefined ? params[paramName] : null;
+  }
+  return settings;
+}
+
+/**
+ * Tool option values over the Settings defaults, each parameter on its own
+ * @param {Object} toolValues - The tool's option values
+ * @param {Object} settingsValues - Stored generation settings
+ * @returns {Object} - As readGenerationParams()
+ */
+function mergeGenerationParams(toolValues, settingsValues) {
+  const tool = readGenerationParams(toolValues);
+  const settings = readGenerationParams(settingsValues);
+  const params = {};
+  for (const name of Object.values(PARAM_NAMES)) {
+    params[name] = tool[name] !== undefined ? tool[name] : settings[name];
+  }
+  return params;
+}
+
+/**
+ * Check parameters against a model's limits (see modelLimits in providers-registry.js)
+ * @param {string} providerId - Provider ID
+ * @param {string} model - Model name
+ * @param {Object} params - As readGenerationParams()
+ * @returns {Object} - { params, problems }: params brought within the limits
+ *   (or dropped when the model can't use them), and a message for each change
+ */
+function checkGenerationParams(providerId, model, params) {
+  const limits = ProvidersRegistry.getModelLimits(providerId, model);
+  const checked = { ...params };
+  const problems = [];
+  const modelName = model || 'the default model';
+
+  const [minTemperature, maxTemperature] = limits.temperatureRange;
+  if (checked.temperature !== undefined &&
+      (checked.temperature < minTemperature || checked.temperature > maxTemperature)) {
+    const clamped = Math.min(Math.max(checked.temperature, minTemperature), maxTemperature);
+    problems.push(`Temperature must be between ${minTemperature} and ${maxTemperature} for ${modelName}; using ${clamped}`);
+    checked.temperature = clamped;
+  }
+
+  if (checked.topP !== undefined && (checked.topP <= 0 || checked.topP > 1)) {
+    problems.push(`Top-p must be above 0 and at most 1; using the provider's default`);
+    checked.topP = undefined;
+  }
+
+  if (checked.maxOutputTokens !== undefined) {
+    if (checked.maxOutputTokens < 1) {
+      problems.push(`Max output tokens must be at least 1; using the provider's default`);
+      checked.maxOutputTokens = undefined;
+    } else if (limits.maxOutputTokens && checked.maxOutputTokens > limits.maxOutputTokens) {
+      problems.push(`${modelName} writes at most ${limits.maxOutputTokens} tokens; using ${limits.maxOutputTokens}`);
+      checked.maxOutputTokens = limits.maxOutputTokens;
+    } else {
+      checked.maxOutputTokens = Math.floor(checked.maxOutputTokens);
+    }
+  }
+
+  if (checked.thinkingBudget !== undefined && limits.thinking !== undefined) {
+    const thinking = limits.thinking;
+    if (!thinking) {
+      problems.push(`${modelName} doesn't take a thinking budget; ignoring it`);
+      checked.thinkingBudget = undefined;
+    } else if (checked.thinkingBudget <= 0) {
+      if (!thinking.canDisable) {
+        problems.push(`${modelName} can't turn thinking off; using ${thinking.min} tokens`);
+        checked.thinkingBudget = thinking.min;
+      } else {
+        checked.thinkingBudget = 0;
+      }
+    } else if (checked.thinkingBudget < thinking.min || checked.thinkingBudget > thinking.max) {
+      const clamped = Math.min(Math.max(Math.floor(checked.thinkingBudget), thinking.min), thinking.max);
+      problems.push(`${modelName}'s thinking budget must be between ${thinking.min} and ${thinking.max} tokens; using ${clamped}`);
+      checked.thinkingBudget = clamped;
+    } else {
+      checked.thinkingBudget = Math.floor(checked.thinkingBudget);
+    }
+  }
+
+  // Thinking counts towards the output limit, so it has to leave room for the answer
+  if (checked.thinkingBudget > 0 && checked.maxOutputTokens !== undefined &&
+      checked.thinkingBudget >= checked.maxOutputTokens) {
+    const thinking = limits.thinking || { min: 1, canDisable: true };
+    const half = Math.floor(checked.maxOutputTokens / 2);
+    const reduced = half >= thinking.min ? half : (thinking.canDisable ? 0 : thinking.min);
+    problems.push(`The thinking budget (${checked.thinkingBudget}) must be less than max output tokens ` +
+      `(${checked.maxOutputTokens}), which include the thinking; using ${reduced === 0 ? 'no thinking' : reduced}`);
+    checked.thinkingBudget = reduced;
+  }
+
+  return { params: checked, problems };
+}
+
+/**
+ * One-line description for report headers
+ * @param {Object} params - As readGenerationParams()
+ * @returns {string} - e.g. "temperature 0.8, max output 8000 tokens", or "provider defaults"
+ */
+function describeGenerationParams(params = {}) {
+  const parts = [];
+  if (params.temperature !== undefined) parts.push(`temperature ${params.temperature}`);
+  if (params.topP !== undefined) parts.push(`top-p ${params.topP}`);
+  if (params.maxOutputTokens !== undefined) parts.push(`max output ${params.maxOutputTokens} tokens`);
+  if (params.thinkingBudget !== undefined) {
+    parts.push(params.thinkingBudget === 0 ? 'thinking off' : `thinking budget ${params.thinkingBudget} tokens`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'provider defaults';
+}
+
+module.exports = {
+  GENERATION_OPTION_NAMES: Object.keys(PARAM_NAMES),
+  readGenerationParams,
+  normalizeGenerationSettings,
+  mergeGenerationParams,
+  checkGenerationParams,
+  describeGenerationParams
+};
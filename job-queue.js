@@ -0,0 +1,262 @@
+// job-queue.js
+const path = require('path');
+const toolSystem = require('./tool-system');
+const { runTool } = require('./tool-runs');
+
+/**
+ * Job queue
+ * Tool runs started from the Setup & Run dialog are queued here and run in
+ * the main process, up to a set number at once, so a run carries on (and its
+ * output is kept) after its window closes. Each job keeps its output so far,
+ * for any window to pick up and follow.
+ *
+ * Two jobs never run at once if they use the same tool, which has one
+ * instance, or share an AI service but not a manuscript, since the service
+ * holds the manuscript its requests include; such a job waits its turn.
+ */
+
+// Most output kept per job; a job that writes more keeps the end of it
+const MAX_OUTPUT_CHARS = 2 * 1024 * 1024;
+// Finished jobs kept in the list, newest first
+const MAX_FINISHED_JOBS = 50;
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxParallel - How many jobs may run at once
+   * @param {Function} [options.isHeld] - Returns true while something outside
+   *   the queue (such as a pipeline) needs the tools to itself; no job starts
+   *   until it returns false and schedule() is called
+   * @param {Function} [options.onUpdate] - Called with a job's summary whenever
+   *   it is queued, starts or finishes
+   * @param {Function} [options.onOutput] - Called with (job ID, text) as a job writes output
+   */
+  constructor({ maxParallel, isHeld = () => false, onUpdate = () => {}, onOutput = () => {} }) {
+    this.maxParallel = maxParallel;
+    this.isHeld = isHeld;
+    this.onUpdate = onUpdate;
+    this.onOutput = onOutput;
+    this.jobs = [];
+  }
+
+  /**
+   * Queue a tool run; it starts as soon as a slot is free and nothing it would clash with is running
+   * @param {string} runId - Run ID, which is also the job's ID
+   * @param {string} toolName - Tool ID
+   * @param {Object} optionValues - Options to run the tool with
+   * @param {Object} project - { name, path } of the project it runs on
+   * @returns {Object} - The job's summary
+   */
+  enqueue(runId, toolName, optionValues, project) {
+    const tool = toolSystem.toolRegistry.getTool(toolName);
+    if (!tool) {
+      throw new Error(`Tool not found: ${toolName}`);
+    }
+
+    const job = {
+      id: runId,
+      toolName,
+      toolTitle: tool.config.title || toolName,
+      options: optionValues,
+      project: project.name,
+      projectPath: project.path,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      outputFiles: [],
+      error: null,
+      cost: null,
+      output: '',
+      abortController: new AbortController()
+    };
+    this.jobs.push(job);
+    this.onUpdate(this.summarize(job));
+    this.schedule();
+
+    if (job.status === 'queued') {
+      const ahead = this.position(runId);
+      this.write(job, `Queued behind ${ahead} other run${ahead === 1 ? '' : 's'}; it starts when there's room.\n`);
+    }
+    return this.summarize(job);
+  }
+
+  /**
+   * Start whichever queued jobs can run now, oldest first
+   */
+  schedule() {
+    if (this.isHeld()) {
+      return;
+    }
+    for (const job of this.jobs.filter(candidate => candidate.status === 'queued')) {
+      if (this.running().length >= this.maxParallel) {
+        return;
+      }
+      if (this.canStart(job)) {
+        this.start(job);
+      }
+    }
+  }
+
+  canStart(job) {
+    const apiService = toolSystem.toolRegistry.getTool(job.toolName).apiService;
+    return this.running().every(other => {
+      if (other.toolName === job.toolName) {
+        return false;
+      }
+      const otherService = toolSystem.toolRegistry.getTool(other.toolName).apiService;
+      return !apiService || apiService !== otherService || this.manuscriptOf(job) === this.manuscriptOf(other);
+    });
+  }
+
+  manuscriptOf(job) {
+    const file = job.options.manuscript_file;
+    return file ? path.resolve(job.projectPath, file) : null;
+  }
+
+  async start(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.onUpdate(this.summarize(job));
+
+    const sendOutput = (text) => this.write(job, text);
+    try {
+      sendOutput(`Starting ${job.toolName}...\n\n`);
+      const outcome = await runTool(job.id, job.toolName, job.options, sendOutput, job.abortController.signal);
+      job.outputFiles = outcome.outputFiles;
+      job.cost = outcome.cost === undefined ? null : outcome.cost;
+      job.status = outcome.status === 'success' ? 'done' : outcome.status === 'cancelled' ? 'cancelled' : 'failed';
+      job.error = outcome.error || null;
+    } catch (error) {
+      console.error(`Error running tool ${job.toolName}:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    this.finish(job);
+  }
+
+  finish(job) {
+    job.finishedAt = new Date().toISOString();
+    this.onUpdate(this.summarize(job));
+
+    // Forget the oldest finished jobs, and the output of any job no longer listed
+    const finished = this.jobs.filter(other => !['queued', 'running'].includes(other.status));
+    const forgotten = finished
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+      .slice(MAX_FINISHED_JOBS);
+    this.jobs = this.jobs.filter(other => !forgotten.includes(other));
+
+    this.schedule();
+  }
+
+  write(job, text) {
+    job.output += text;
+    if (job.output.length > MAX_OUTPUT_CHARS) {
+      job.output = job.output.slice(-MAX_OUTPUT_CHARS);
+    }
+    this.onOutput(job.id, text);
+  }
+
+  /**
+   * Cancel a job: a queued one is dropped, a running one is stopped and keeps
+   * whatever it had written so far
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - False if there's no such job waiting or running
+   */
+  cancel(jobId) {
+    const job = this.jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      return false;
+    }
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      this.write(job, `\nRemoved from the queue before it started.\n`);
+      this.finish(job);
+      return true;
+    }
+    if (job.status === 'running') {
+      job.abortController.abort();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove finished jobs from the list
+   */
+  clearFinished() {
+    this.jobs = this.jobs.filter(job => ['queued', 'running'].includes(job.status));
+  }
+
+  /**
+   * Change how many jobs may run at once; more start at once if there's room
+   * @param {number} maxParallel
+   */
+  setMaxParallel(maxParallel) {
+    this.maxParallel = maxParallel;
+    this.schedule();
+  }
+
+  running() {
+    return this.jobs.filter(job => job.status === 'running');
+  }
+
+  /**
+   * How many jobs are running or queued ahead of a queued job
+   * @param {string} jobId - Job ID
+   * @returns {number}
+   */
+  position(jobId) {
+    const index = this.jobs.findIndex(job => job.id === jobId);
+    return this.jobs.slice(0, index).filter(job => ['queued', 'running'].includes(job.status)).length;
+  }
+
+  /**
+   * Whether any job is waiting or running
+   * @returns {boolean}
+   */
+  hasActiveJobs() {
+    return this.jobs.some(job => ['queued', 'running'].includes(job.status));
+  }
+
+  /**
+   * Whether a job for the tool is waiting or running
+   * @param {string} toolName - Tool ID
+   * @returns {boolean}
+   */
+  isToolActive(toolName) {
+    return this.jobs.some(job => job.toolName === toolName && ['queued', 'running'].includes(job.status));
+  }
+
+  /**
+   * Summaries of every job, oldest first
+   * @returns {Object[]}
+   */
+  list() {
+    return this.jobs.map(job => this.summarize(job));
+  }
+
+  /**
+   * A job's summary with its output so far
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  get(jobId) {
+    const job = this.jobs.find(candidate => candidate.id === jobId);
+    return job ? { ...this.summarize(job), output: job.output } : null;
+  }
+
+  /**
+   * What windows are told about a job
+   * @param {Object} job
+   * @returns {Object} - { id, toolName, toolTitle, project, status, createdAt,
+   *   startedAt, finishedAt, outputFiles, error, cost }, status being
+   *   'queued', 'running', 'done', 'failed' or 'cancelled'
+   */
+  summarize(job) {
+    const { options, output, abortController, projectPath, ...summary } = job;
+    return summary;
+  }
+}
+
+module.exports = JobQueue;
@@ -1,5 +1,5 @@
 // main.js
-const { app, BrowserWindow, Menu, ipcMain, dialog, screen, shell } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, screen, shell, Notification } = require('electron');
 
 // Handle Squirrel events - MUST be first!
 if (require('electron-squirrel-startup')) return;
@@ -15,6 +15,33 @@ const appState = require('./state.js');
 const toolSystem = require('./tool-system');
 const fileCache = require('./file-cache');
 const promptManager = require('./tool-prompts-manager');
+const { classifyHeading } = require('./manuscript-structure');
+const findingsUtils = require('./findings');
+const runHistory = require('./run-history');
+const geminiStorage = require('./gemini-storage');
+const compareRuns = require('./compare-runs');
+const pipelines = require('./pipelines');
+const JobQueue = require('./job-queue');
+const usageLedger = require('./usage-ledger');
+const responseCache = require('./response-cache');
+const generationParams = require('./generation-params');
+const projectGenre = require('./project-genre');
+const {
+  LOCAL_AI_DEFAULTS,
+  getLocalAiSettings,
+  getGeminiCacheSettings,
+  getGeminiClientSettings,
+  getResilienceSettings,
+  getResilienceOptions,
+  getJobQueueSettings,
+  getApiSettingsFor,
+  getToolOverrides,
+  applyToolOverride,
+  applyStoredToolOverrides,
+  getCompleteApiSettings
+} = require('./app-settings');
+const { recordToolRun, recordRunCost } = require('./tool-runs');
+const { ProvidersRegistry, PRICES_UPDATED } = require('./providers-registry');
 
 const homeDir = os.homedir();
 const envFilePath = path.join(homeDir, '.env');
@@ -267,9 +294,10 @@ async function initializeApp() {
     }
 
     // Initialize tool system and get the AiApiService instance
-    const toolSystemResult = await toolSystem.initializeToolSystem(getCompleteApiSettings());
+    const toolSystemResult = await toolSystem.initializeToolSystem(getCompleteApiSettings(), getResilienceOptions());
 
     AiApiServiceInstance = toolSystemResult.AiApiService;
+    applyStoredToolOverrides();
 
     // Initialize tool-prompts manager and create default prompts
     try {
@@ -286,6 +314,22 @@ async function initializeApp() {
     // Create the main application window
     createWindow();
 
+    // Tool packs with a broken manifest are left out; say which and why
+    const toolPackErrors = toolSystem.getToolPackErrors();
+    if (toolPackErrors.length > 0) {
+      dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        title: 'Tool Packs',
+        message: 'Some tools in your tool packs were not loaded',
+        detail: toolPackErrors.join('\n\n'),
+        buttons: ['OK']
+      });
+    }
+
+    // Prompts nobody edited were already brought up to date; offer to
+    // compare the edited ones that have a newer default
+    offerPromptUpdates();
+
     // Check for API key verification (only if we have an API service)
     if (AiApiServiceInstance) {
       const verifiedAiAPI = await AiApiServiceInstance.verifyAiAPI();
@@ -407,34 +451,48 @@ if (isPackaged) {
   logToFile(`Resources path: ${path.join(app.getAppPath(), '..')}`);
 }
 
-// Global function to get complete settings 
-function getCompleteApiSettings() {
-  // Start with an empty settings object
-  const completeSettings = {};
-  
-  // Include stored model selection if available
-  const storedModel = appState.store ? appState.store.get('selectedAiModel') : null;
-  if (storedModel) {
-    completeSettings.model_name = storedModel;
+/**
+ * Delete the uploaded files and context caches of every provider in use
+ * @returns {Promise<void>}
+ */
+async function clearAllApiFilesAndCaches() {
+  for (const apiService of toolSystem.getApiServices()) {
+    await apiService.clearFilesAndCaches();
   }
-  
-  console.log('getCompleteApiSettings returning:', completeSettings);
-  console.log('- selectedApiProvider:', appState.store ? appState.store.get('selectedApiProvider') : 'no store');
-  console.log('- selectedAiModel:', storedModel);
-  
-  return completeSettings;
 }
 
 // Store references to windows
 let projectDialogWindow = null;
 let apiSettingsWindow = null;
 let toolSetupRunWindow = null;
+let runHistoryWindow = null;
+let usageWindow = null;
+let promptsWindow = null;
+let geminiStorageWindow = null;
+let pipelinesWindow = null;
 
 // Flag to control whether to show the project dialog
 let shouldShowProjectDialog = true;
 
 // Store the currently selected tool
 let currentTool = null;
+// Option values to pre-fill when a tool is re-run from the run history
+let currentToolPresetOptions = null;
+
+// Tool runs in progress, keyed by runId, so they can be cancelled
+const activeToolRuns = new Map();
+
+// Single tool runs from the Setup & Run dialog, queued and run in the background
+// (created along with the IPC handlers, once settings can be read)
+let jobQueue = null;
+// The job whose output the main window's queue panel is showing
+let watchedJobId = null;
+
+// Runs that take at least this long get a desktop notification when they end
+const LONG_RUN_MS = 60 * 1000;
+
+// Response length assumed by the pre-run cost estimate, about a 6,000 word report
+const ESTIMATED_REPORT_TOKENS = 8000;
 
 // Set application name
 app.name = "StoryGrinder";
@@ -704,6 +762,11 @@ function checkApiProviderConfiguration() {
     case 'claude':
       apiKeyVar = 'ANTHROPIC_API_KEY';
       break;
+    case 'local':
+      // Self-hosted servers usually don't need a key, only a base URL from Settings
+      return true;
+    case 'mock':
+      return true;
     default:
       console.log('Unknown provider:', selectedProvider);
       return false;
@@ -739,7 +802,9 @@ function setupWelcomeHandlers() {
       const providerNames = {
         'gemini': 'Gemini',
         'openai': 'OpenAI',
-        'claude': 'Claude'
+        'claude': 'Claude',
+        'local': 'Local AI',
+        'mock': 'Mock AI'
       };
       
       const providerName = providerNames[provider] || provider;
@@ -753,9 +818,18 @@ function setupWelcomeHandlers() {
         ? `AI provider changed to ${providerName}.`
         : `API provider set to ${providerName}.`;
         
-      const dialogDetail = isUserSwitch
+      let dialogDetail = isUserSwitch
         ? `StoryGrinder will now quit so you can restart with the new AI provider.\n\nNote: You will need a valid API key in your .env file located at:\n${envFilePath}`
         : `Please restart StoryGrinder to continue with the selected AI provider.\n\nNote: You will need a valid API key in your .env file located in your home path at:\n${envFilePath}`;
+      if (provider === 'local') {
+        dialogDetail = isUserSwitch
+          ? `StoryGrinder will now quit so you can restart with the new AI provider.\n\nNote: Set your local AI server's address in Settings if it is not ${LOCAL_AI_DEFAULTS.base_url}`
+          : `Please restart StoryGrinder to continue with the selected AI provider.\n\nNote: Set your local AI server's address in Settings if it is not ${LOCAL_AI_DEFAULTS.base_url}`;
+      } else if (provider === 'mock') {
+        dialogDetail = isUserSwitch
+          ? `StoryGrinder will now quit so you can restart with the new AI provider.\n\nNote: Mock AI replays canned responses for offline testing; set MOCK_AI_FIXTURES in your .env file to use your own.`
+          : `Please restart StoryGrinder to continue with the selected AI provider.\n\nNote: Mock AI replays canned responses for offline testing; set MOCK_AI_FIXTURES in your .env file to use your own.`;
+      }
       
       dialog.showMessageBox(mainWindow, {
         type: 'info',
@@ -830,6 +904,14 @@ function setupProjectHandlers() {
   // Open an existing project
   ipcMain.handle('open-project', async (event, projectName) => {
     try {
+      // Switching clears the AI services' files and caches, which queued and running tools still need
+      if (jobQueue && jobQueue.hasActiveJobs()) {
+        return {
+          success: false,
+          message: 'Wait for the background runs to finish, or cancel them, before switching projects'
+        };
+      }
+      
       const projectPath = path.join(appState.PROJECTS_DIR, projectName);
       
       // Check if the project directory exists
@@ -846,7 +928,7 @@ function setupProjectHandlers() {
       if (AiApiServiceInstance) {
         try {
           // console.log(`Calling clearFilesAndCaches (global cleanup for API key)`);
-          await AiApiServiceInstance.clearFilesAndCaches(); // No argument needed
+          await clearAllApiFilesAndCaches(); // Selected provider and any per-tool overrides
         } catch (cleanupError) {
           console.error('Error during global API files and caches cleanup:', cleanupError);
           // Log this error but allow the project switch to continue
@@ -869,14 +951,8 @@ function setupProjectHandlers() {
       appState.CURRENT_PROJECT_PATH = projectPath;
       appState.DEFAULT_SAVE_DIR = projectPath;
       
-      // Save to electron-store
-      if (appState.store) {
-        appState.store.set('settings', {
-          default_save_dir: projectPath,
-          current_project: projectName,
-          current_project_path: projectPath
-        });
-      }
+      // Save to electron-store, keeping the other saved settings
+      appState.saveSettings();
       
       return {
         success: true,
@@ -894,6 +970,14 @@ function setupProjectHandlers() {
   // Create a new project
   ipcMain.handle('create-project', async (event, projectName) => {
     try {
+      // Switching clears the AI services' files and caches, which queued and running tools still need
+      if (jobQueue && jobQueue.hasActiveJobs()) {
+        return {
+          success: false,
+          message: 'Wait for the background runs to finish, or cancel them, before switching projects'
+        };
+      }
+      
       const projectPath = path.join(appState.PROJECTS_DIR, projectName);
       
       // Check if the project already exists
@@ -913,7 +997,7 @@ function setupProjectHandlers() {
       if (AiApiServiceInstance) {
         try {
           // console.log(`Calling clearFilesAndCaches (global cleanup for API key)`);
-          await AiApiServiceInstance.clearFilesAndCaches(); // No argument needed
+          await clearAllApiFilesAndCaches(); // Selected provider and any per-tool overrides
         } catch (cleanupError) {
           console.error('Error during global API files and caches cleanup:', cleanupError);
           // Log this error but allow the project switch to continue
@@ -936,14 +1020,8 @@ function setupProjectHandlers() {
       appState.CURRENT_PROJECT_PATH = projectPath;
       appState.DEFAULT_SAVE_DIR = projectPath;
       
-      // Save to electron-store
-      if (appState.store) {
-        appState.store.set('settings', {
-          default_save_dir: projectPath,
-          current_project: projectName,
-          current_project_path: projectPath
-        });
-      }
+      // Save to electron-store, keeping the other saved settings
+      appState.saveSettings();
 
       return {
         success: true,
@@ -1010,8 +1088,8 @@ function createToolSetupRunDialog(toolName) {
   return toolSetupRunWindow;
 }
 
-// Show the tool setup dialog
-function showToolSetupRunDialog(toolName) {
+// Show the tool setup dialog, optionally pre-filled with option values
+function showToolSetupRunDialog(toolName, presetOptions = null) {
   // Always close any existing tool window first
   if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
     toolSetupRunWindow.destroy();
@@ -1020,12 +1098,229 @@ function showToolSetupRunDialog(toolName) {
   
   // Store the selected tool
   currentTool = toolName;
+  currentToolPresetOptions = presetOptions;
   // console.log(`Creating new tool setup dialog for: ${toolName}`);
   
   // Create a new dialog window with the current tool
   createToolSetupRunDialog(toolName);
 }
 
+// Create the run history window, listing past tool runs for the current project
+function createRunHistoryWindow() {
+  if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+    runHistoryWindow.focus();
+    return runHistoryWindow;
+  }
+  
+  runHistoryWindow = new BrowserWindow({
+    width: mainWindow.getSize()[0],
+    height: mainWindow.getSize()[1],
+    x: mainWindow.getPosition()[0],
+    y: mainWindow.getPosition()[1],
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  runHistoryWindow.loadFile(path.join(__dirname, 'run-history-dialog.html'));
+
+  runHistoryWindow.once('ready-to-show', () => {
+    runHistoryWindow.show();
+    
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+            runHistoryWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  runHistoryWindow.on('closed', () => {
+    runHistoryWindow = null;
+  });
+  
+  return runHistoryWindow;
+}
+
+// Create the Usage & Costs window, totalling AI spending across all projects
+function createUsageWindow() {
+  if (usageWindow && !usageWindow.isDestroyed()) {
+    usageWindow.focus();
+    return usageWindow;
+  }
+  
+  usageWindow = new BrowserWindow({
+    width: mainWindow.getSize()[0],
+    height: mainWindow.getSize()[1],
+    x: mainWindow.getPosition()[0],
+    y: mainWindow.getPosition()[1],
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  usageWindow.loadFile(path.join(__dirname, 'usage-dialog.html'));
+
+  usageWindow.once('ready-to-show', () => {
+    usageWindow.show();
+    
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (usageWindow && !usageWindow.isDestroyed()) {
+            usageWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  usageWindow.on('closed', () => {
+    usageWindow = null;
+  });
+  
+  return usageWindow;
+}
+
+// Ask whether to compare prompts the user edited that have a newer default
+async function offerPromptUpdates() {
+  try {
+    const updates = (await promptManager.getAllPromptStatuses()).filter(status => status.updateAvailable);
+    if (updates.length === 0 || !mainWindow || mainWindow.isDestroyed()) {
+      return;
+    }
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      title: 'Newer Default Prompts',
+      message: `${updates.length === 1 ? 'A prompt you edited has' : `${updates.length} prompts you edited have`} a newer default`,
+      detail: updates.map(status => `${status.toolName}: default v${status.defaultVersion}`).join('\n') +
+        '\n\nCompare them with your versions to take the new default or keep yours.',
+      buttons: ['Compare', 'Later'],
+      defaultId: 0,
+      cancelId: 1
+    });
+    if (response === 0) {
+      createPromptsWindow();
+    }
+  } catch (error) {
+    console.error('Error checking for newer default prompts:', error);
+  }
+}
+
+// Create the Prompts window: each tool's prompt against its default, with its past versions
+function createPromptsWindow() {
+  if (promptsWindow && !promptsWindow.isDestroyed()) {
+    promptsWindow.focus();
+    return promptsWindow;
+  }
+  
+  promptsWindow = new BrowserWindow({
+    width: mainWindow.getSize()[0],
+    height: mainWindow.getSize()[1],
+    x: mainWindow.getPosition()[0],
+    y: mainWindow.getPosition()[1],
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  promptsWindow.loadFile(path.join(__dirname, 'prompts-dialog.html'));
+
+  promptsWindow.once('ready-to-show', () => {
+    promptsWindow.show();
+    
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (promptsWindow && !promptsWindow.isDestroyed()) {
+            promptsWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  promptsWindow.on('closed', () => {
+    promptsWindow = null;
+  });
+  
+  return promptsWindow;
+}
+
+// Create the Gemini Storage window listing remote context caches and uploaded files,
+// opened from the settings dialog
+function createGeminiStorageWindow() {
+  if (geminiStorageWindow && !geminiStorageWindow.isDestroyed()) {
+    geminiStorageWindow.focus();
+    return geminiStorageWindow;
+  }
+  
+  const parent = settingsWindow && !settingsWindow.isDestroyed() ? settingsWindow : mainWindow;
+  
+  geminiStorageWindow = new BrowserWindow({
+    width: mainWindow.getSize()[0],
+    height: mainWindow.getSize()[1],
+    x: mainWindow.getPosition()[0],
+    y: mainWindow.getPosition()[1],
+    parent,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  geminiStorageWindow.loadFile(path.join(__dirname, 'gemini-storage-dialog.html'));
+
+  geminiStorageWindow.once('ready-to-show', () => {
+    geminiStorageWindow.show();
+    
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (geminiStorageWindow && !geminiStorageWindow.isDestroyed()) {
+            geminiStorageWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  geminiStorageWindow.on('closed', () => {
+    geminiStorageWindow = null;
+  });
+  
+  return geminiStorageWindow;
+}
+
 function launchEditor(fileToOpen = null) {
   return new Promise((resolve) => {
     try {
@@ -1138,12 +1433,61 @@ ipcMain.handle('save-file', async (event, data) => {
 });
 
 // Setup handlers for tool operations
+// Create the Pipelines window, for editing and running saved sequences of tools
+function createPipelinesWindow() {
+  if (pipelinesWindow && !pipelinesWindow.isDestroyed()) {
+    pipelinesWindow.focus();
+    return pipelinesWindow;
+  }
+  
+  pipelinesWindow = new BrowserWindow({
+    width: mainWindow.getSize()[0],
+    height: mainWindow.getSize()[1],
+    x: mainWindow.getPosition()[0],
+    y: mainWindow.getPosition()[1],
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  pipelinesWindow.loadFile(path.join(__dirname, 'pipeline-dialog.html'));
+
+  pipelinesWindow.once('ready-to-show', () => {
+    pipelinesWindow.show();
+    
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (pipelinesWindow && !pipelinesWindow.isDestroyed()) {
+            pipelinesWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  pipelinesWindow.on('closed', () => {
+    pipelinesWindow = null;
+  });
+  
+  return pipelinesWindow;
+}
+
 function setupToolHandlers() {
-  ipcMain.handle('get-tools', () => {
+  ipcMain.handle('get-tools', async () => {
     // console.log('get-tools handler called');
     
-    // Get all tool IDs
-    const allToolIds = toolSystem.toolRegistry.getAllToolIds();
+    // Get the tool IDs listed for the current project's genre
+    const genre = await projectGenre.readProjectGenre(appState.CURRENT_PROJECT_PATH);
+    const allToolIds = toolSystem.toolRegistry.getAllToolIds()
+      .filter(id => toolSystem.toolSuitsGenre(id, genre));
     // console.log(`Found ${allToolIds.length} tools in registry:`, allToolIds);
     // console.log('Raw tool IDs from registry:', allToolIds);
     
@@ -1196,7 +1540,11 @@ function setupToolHandlers() {
           return {
             name: currentTool,
             title: tool.config.title || currentTool,
-            description: tool.config.description || ''
+            description: tool.config.description || '',
+            canCompare: toolSystem.usesSharedWorkflow(currentTool),
+            usesAi: toolSystem.isAiTool(currentTool),
+            override: getToolOverrides()[currentTool] || null,
+            presetOptions: currentToolPresetOptions
           };
         }
       }
@@ -1207,85 +1555,316 @@ function setupToolHandlers() {
     }
   });
   
-  // When updating the start-tool-run handler:
+  // Queue a tool run; it carries on in the background if the dialog closes.
+  // Output and the outcome go to the dialog (if still open) by run ID
   ipcMain.handle('start-tool-run', async (event, toolName, optionValues) => {
-    try {
-      // Generate a unique run ID
-      const runId = uuidv4();
-      
-      // Set up output function
-      const sendOutput = (text) => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      throw new Error('Select a project first');
+    }
+    const runId = uuidv4();
+    const job = jobQueue.enqueue(runId, toolName, optionValues, {
+      name: appState.CURRENT_PROJECT,
+      path: appState.CURRENT_PROJECT_PATH
+    });
+    return { runId, queuedBehind: job.status === 'queued' ? jobQueue.position(runId) : 0 };
+  });
+  
+  // Run one tool against two or three providers/models at once; output is
+  // sent with the index of the contender's pane, and Stop cancels them all
+  ipcMain.handle('start-tool-compare', async (event, toolName, optionValues, contenders) => {
+    const picked = compareRuns.validateContenders(contenders);
+    const runId = uuidv4();
+    const abortController = new AbortController();
+    
+    // Fails here, before starting, if a contender has no API key
+    const resilience = { maxRetries: getResilienceSettings().max_retries };
+    // Gemini doesn't keep a context cache for these one-off clients, since
+    // nothing would reuse or clean it up
+    const tools = picked.map(contender => toolSystem.createToolForProvider(
+      toolName,
+      contender.provider,
+      { ...getApiSettingsFor(contender.provider, contender.model), context_caching: false },
+      resilience
+    ));
+    activeToolRuns.set(runId, { toolName, abortController });
+    
+    const sendOutput = (text, pane) => {
+      if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
+        toolSetupRunWindow.webContents.send('tool-output', { runId, text, pane });
+      }
+    };
+    
+    runToolComparison(runId, toolName, optionValues, tools, abortController.signal, sendOutput)
+      .then(({ cancelled, createdFiles }) => {
         if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-          toolSetupRunWindow.webContents.send('tool-output', { 
-            runId, 
-            text 
+          toolSetupRunWindow.webContents.send(cancelled ? 'tool-cancelled' : 'tool-finished', {
+            runId,
+            code: 0,
+            createdFiles
           });
         }
-      };
-      
-      // Execute the tool in the background
-      (async () => {
-        try {
-          // Send initial output notification
-          sendOutput(`Starting ${toolName}...\n\n`);
-          
-          // Get the tool
-          const tool = toolSystem.toolRegistry.getTool(toolName);
-          
-          if (!tool) {
-            throw new Error(`Tool not found: ${toolName}`);
-          }
-          
-          fileCache.clear(toolName);
-
-          // Execute the tool (passing sendOutput so it can assign emitOutput)
-          const result = await toolSystem.executeToolById(toolName, optionValues, runId, sendOutput);
-          
-          // Get files from cache
-          const cachedFiles = fileCache.getFiles(toolName);
-          
-          // Combine cached files with any files returned by the tool
-          const allFiles = [...new Set([
-            ...(result.outputFiles || []),
-            ...cachedFiles.map(file => file.path)
-          ])];
-          
-          // Send completion notification
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('tool-finished', { 
-              runId, 
-              code: 0, 
-              createdFiles: allFiles 
-            });
-          }
-        } catch (error) {
-          console.error(`Error running tool ${toolName}:`, error);
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('tool-error', { 
-              runId, 
-              error: error.message 
-            });
-          }
+      })
+      .catch(error => {
+        console.error(`Error comparing ${toolName}:`, error);
+        if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
+          toolSetupRunWindow.webContents.send('tool-error', { runId, error: error.message });
         }
-      })();
+      })
+      .finally(() => {
+        activeToolRuns.delete(runId);
+      });
+    
+    return { runId, panes: tools.map(tool => tool.reportLabel) };
+  });
+  
+  // Give a tool its own provider and model (or null to go back to the one in
+  // Settings); takes effect from the tool's next run, no restart needed
+  ipcMain.handle('set-tool-override', (event, toolId, override) => {
+    try {
+      if (jobQueue.isToolActive(toolId) ||
+          [...activeToolRuns.values()].some(run => run.toolName === toolId || (run.toolNames || []).includes(toolId))) {
+        return { success: false, message: 'Wait for the tool to finish running first' };
+      }
+      const picked = override && override.provider ? { provider: override.provider, model: override.model || '' } : null;
+      applyToolOverride(toolId, picked);
       
-      return runId;
+      const overrides = getToolOverrides();
+      if (picked) {
+        overrides[toolId] = picked;
+      } else {
+        delete overrides[toolId];
+      }
+      appState.store.set('toolProviderOverrides', overrides);
+      return { success: true };
     } catch (error) {
-      console.error('Error starting tool run:', error);
-      throw error;
+      console.error(`Error setting the provider for ${toolId}:`, error);
+      return { success: false, message: error.message };
     }
   });
   
-  // Store tool options in app state
-  ipcMain.handle('set-tool-options', (event, options) => {
+  // Check generation parameters against a model's limits before they are
+  // saved: a tool's options (over Settings, for the model that tool uses), or
+  // the Settings dialog's values for the provider and model picked there
+  ipcMain.handle('check-generation-params', (event, values, target = {}) => {
     try {
-      appState.OPTION_VALUES = options;
-      return true;
+      if (target.toolId) {
+        const tool = toolSystem.toolRegistry.getTool(target.toolId);
+        if (!tool || typeof tool.resolveGenerationParams !== 'function') {
+          return { problems: [] };
+        }
+        return { problems: tool.resolveGenerationParams(values).problems };
+      }
+      const params = generationParams.readGenerationParams(values);
+      return { problems: generationParams.checkGenerationParams(target.provider, target.model, params).problems };
     } catch (error) {
-      console.error('Error setting tool options:', error);
+      console.error('Error checking generation parameters:', error);
+      return { problems: [] };
+    }
+  });
+  
+  // Cancel a running tool, aborting its in-flight AI request
+  ipcMain.handle('stop-tool', (event, runId) => {
+    if (jobQueue.cancel(runId)) {
+      return true;
+    }
+    const run = activeToolRuns.get(runId);
+    if (!run) {
       return false;
     }
+    run.abortController.abort();
+    return true;
   });
+  
+  // Store tool options in app state
+  ipcMain.handle('set-tool-options', (event, options) => {
+    try {
+      appState.OPTION_VALUES = options;
+      return true;
+    } catch (error) {
+      console.error('Error setting tool options:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * Run each contender's copy of a tool in parallel, then save the combined
+ * comparison file. Every contender is priced and goes into the run history
+ * on its own, so one failing doesn't stop the others.
+ * @param {string} runId - Run ID shared by the contenders
+ * @param {string} toolName - Tool ID
+ * @param {Object} optionValues - Options from the Setup dialog
+ * @param {Object[]} tools - From createToolForProvider(), one per contender
+ * @param {AbortSignal} signal - Aborted when the user cancels
+ * @param {Function} sendOutput - (text, pane) writes to the dialog; no pane means the shared log
+ * @returns {Promise<Object>} - { cancelled, createdFiles }
+ */
+async function runToolComparison(runId, toolName, optionValues, tools, signal, sendOutput) {
+  const startedAt = new Date();
+  const registered = toolSystem.toolRegistry.getTool(toolName);
+  const toolTitle = registered ? registered.config.title || toolName : toolName;
+  sendOutput(`Comparing ${toolTitle}: ${tools.map(tool => tool.reportLabel).join(' vs. ')}\n`);
+  
+  const contenders = await Promise.all(tools.map(async (tool, pane) => {
+    const send = (text) => sendOutput(text, pane);
+    tool.emitOutput = send;
+    const outcome = { status: 'success', outputFiles: [] };
+    const started = Date.now();
+    try {
+      send(`Starting ${toolTitle} with ${tool.reportLabel}...\n\n`);
+      tool.prepareGeneration(optionValues);
+      const result = await tool.execute(optionValues, signal);
+      outcome.outputFiles = result.outputFiles || [];
+      outcome.usage = result.usage;
+      if (result.cancelled || signal.aborted) {
+        outcome.status = 'cancelled';
+      } else if (result.success === false) {
+        outcome.status = 'error';
+        outcome.error = result.errorType || 'Tool reported failure';
+      }
+    } catch (error) {
+      outcome.status = signal.aborted ? 'cancelled' : 'error';
+      outcome.error = signal.aborted ? null : error.message;
+    }
+    outcome.cost = await recordRunCost(runId, toolName, signal, send, tool);
+    send(`\n${tool.reportLabel}: ${outcome.status}${outcome.error ? ` (${outcome.error})` : ''}\n`);
+    await recordToolRun(`${runId}-${pane + 1}`, toolName, optionValues, startedAt, outcome, tool);
+    
+    const reportFile = outcome.outputFiles.find(file => file.endsWith('.txt')) || null;
+    const report = reportFile ? await fs.promises.readFile(reportFile, 'utf8').catch(() => null) : null;
+    return { ...outcome, label: tool.reportLabel, durationMs: Date.now() - started, reportFile, report };
+  }));
+  
+  const createdFiles = contenders.flatMap(contender => contender.outputFiles);
+  const saveDir = optionValues.save_dir || appState.CURRENT_PROJECT_PATH;
+  if (saveDir && contenders.some(contender => contender.report)) {
+    const comparisonFile = await compareRuns.saveComparisonReport(saveDir, toolName, compareRuns.buildComparisonReport({
+      toolTitle,
+      manuscriptFile: optionValues.manuscript_file,
+      date: startedAt,
+      contenders
+    }));
+    sendOutput(`\nComparison saved to: ${comparisonFile}\n`);
+    createdFiles.unshift(comparisonFile);
+  }
+  
+  const total = contenders.every(contender => typeof contender.cost === 'number')
+    ? contenders.reduce((sum, contender) => sum + contender.cost, 0)
+    : null;
+  sendOutput(`💰 Estimated cost of the comparison: ${usageLedger.formatCost(total)}\n`);
+  
+  return { cancelled: signal.aborted, createdFiles };
+}
+
+/**
+ * Rough cost of running a tool before it starts: the tool's prompt plus every
+ * input file it was given, sent once, and a typical full-length report back
+ * @param {string} toolName - Tool ID
+ * @param {Object} optionValues - Options from the Setup dialog
+ * @returns {Promise<Object>} - { available, cost, inputTokens, outputTokens, provider, model, pricesUpdated }
+ */
+async function estimateToolCost(toolName, optionValues = {}) {
+  const tool = toolSystem.toolRegistry.getTool(toolName);
+  const apiService = tool && tool.apiService;
+  if (!apiService) {
+    return { available: false };
+  }
+  
+  let inputChars = 0;
+  const prompt = typeof tool.loadPrompt === 'function'
+    ? await tool.loadPrompt(optionValues).catch(() => null)
+    : null;
+  if (prompt) {
+    inputChars += prompt.length;
+  }
+  const projectPath = appState.CURRENT_PROJECT_PATH || appState.PROJECTS_DIR;
+  const inputFiles = (tool.config.options || [])
+    .filter(option => option.type === 'file' && optionValues[option.name])
+    .map(option => optionValues[option.name])
+    .map(value => path.isAbsolute(value) ? value : path.join(projectPath, value));
+  if (typeof tool.referenceFilePaths === 'function') {
+    inputFiles.push(...tool.referenceFilePaths(optionValues, projectPath));
+  }
+  for (const filePath of new Set(inputFiles)) {
+    try {
+      inputChars += (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+      // Missing files are reported when the tool runs
+    }
+  }
+  
+  const provider = apiService.providerId || appState.store.get('selectedApiProvider') || 'gemini';
+  const model = (apiService.config && apiService.config.model_name) || '';
+  const inputTokens = Math.ceil(inputChars / 4);
+  const outputTokens = ESTIMATED_REPORT_TOKENS;
+  return {
+    available: true,
+    cost: ProvidersRegistry.estimateCost(provider, model, inputTokens, outputTokens),
+    inputTokens,
+    outputTokens,
+    provider,
+    model,
+    pricesUpdated: PRICES_UPDATED,
+    cachedAt: optionValues.reuse_cached_response
+      ? ((await findCachedRun(tool, prompt, optionValues)) || {}).createdAt || null
+      : null
+  };
+}
+
+/**
+ * The cached response a run with these options could reuse instead of
+ * calling the AI (see response-cache.js), whether or not reuse is ticked
+ * @param {Object} tool - Tool instance
+ * @param {string|null} prompt - The tool's prompt
+ * @param {Object} optionValues - Options from the Setup dialog
+ * @returns {Promise<Object|null>} - { createdAt, provider, model }, or null
+ */
+async function findCachedRun(tool, prompt, optionValues) {
+  const projectPath = optionValues.save_dir || appState.CURRENT_PROJECT_PATH;
+  if (typeof tool.responseCacheKey !== 'function' || !prompt || !projectPath || !optionValues.manuscript_file) {
+    return null;
+  }
+  try {
+    const manuscript = await fs.promises.readFile(tool.ensureAbsolutePath(optionValues.manuscript_file, projectPath), 'utf8');
+    const request = await tool.withReferenceFiles(prompt, optionValues, projectPath);
+    const key = tool.responseCacheKey(manuscript, request, optionValues);
+    const cached = await responseCache.getCachedResponse(projectPath, key);
+    return cached ? { createdAt: cached.createdAt, provider: cached.provider, model: cached.model } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the editor payload for reviewing a findings file: the manuscript it
+ * refers to, the findings re-located against the manuscript's current text,
+ * and the original report for reference.
+ * @param {string} findingsPath - Path to a *_findings.json file
+ * @returns {Promise<Object>} - { filePath, content, review }
+ */
+async function loadFindingsReview(findingsPath) {
+  const document = await findingsUtils.readFindingsFile(findingsPath);
+  
+  if (!document.manuscriptFile || !fs.existsSync(document.manuscriptFile)) {
+    throw new Error(`Manuscript not found: ${document.manuscriptFile}`);
+  }
+  const content = await fs.promises.readFile(document.manuscriptFile, 'utf8');
+  document.findings = findingsUtils.locateFindings(document.findings, content);
+  
+  let reportText = '';
+  if (document.reportFile && fs.existsSync(document.reportFile)) {
+    reportText = await fs.promises.readFile(document.reportFile, 'utf8');
+  }
+  
+  return {
+    filePath: document.manuscriptFile,
+    content,
+    review: {
+      findingsPath,
+      document,
+      reportText
+    }
+  };
 }
 
 function createEditorDialog(fileToOpen = null) {
@@ -1295,8 +1874,8 @@ function createEditorDialog(fileToOpen = null) {
     editorDialogWindow = null;
   }
 
-  // Get the parent window - either the tool window or main window
-  const parentWindow = toolSetupRunWindow || mainWindow;
+  // Get the parent window - the tool window, run history or main window
+  const parentWindow = toolSetupRunWindow || runHistoryWindow || mainWindow;
 
   editorDialogWindow = new BrowserWindow({
     width: parentWindow.getSize()[0],
@@ -1357,6 +1936,21 @@ function createEditorDialog(fileToOpen = null) {
           return;
         }
         
+        // A findings file opens its manuscript in review mode instead
+        if (fileToOpen.endsWith('_findings.json')) {
+          loadFindingsReview(fileToOpen)
+            .then(payload => {
+              if (editorDialogWindow && !editorDialogWindow.isDestroyed()) {
+                editorDialogWindow.webContents.send('file-opened', payload);
+              }
+            })
+            .catch(error => {
+              console.error('Error loading findings:', error);
+              dialog.showErrorBox('Error', `Failed to load findings: ${error.message}`);
+            });
+          return;
+        }
+        
         const content = fs.readFileSync(fileToOpen, 'utf8');
         editorDialogWindow.webContents.send('file-opened', { 
           filePath: fileToOpen, 
@@ -1381,6 +1975,11 @@ function createEditorDialog(fileToOpen = null) {
   return editorDialogWindow;
 }
 
+// Find review findings again in the editor's current text after an edit
+ipcMain.handle('locate-findings', (event, { findings, content }) => {
+  return findingsUtils.locateFindings(findings, content);
+});
+
 // Make sure we properly handle the IPC for closing the editor window
 ipcMain.on('close-editor-dialog', () => {
   if (editorDialogWindow && !editorDialogWindow.isDestroyed()) {
@@ -1391,15 +1990,473 @@ ipcMain.on('close-editor-dialog', () => {
   }
 });
 
+// Run history window handlers
+function setupRunHistoryHandlers() {
+  ipcMain.on('show-run-history', () => {
+    createRunHistoryWindow();
+  });
+  
+  ipcMain.on('close-run-history', () => {
+    if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+      runHistoryWindow.destroy();
+      runHistoryWindow = null;
+    }
+  });
+  
+  // Past runs for the current project, plus the tools that appear in them
+  ipcMain.handle('get-run-history', async (event, filter = {}) => {
+    try {
+      if (!appState.CURRENT_PROJECT_PATH) {
+        return { success: false, message: 'No active project selected', runs: [], tools: [] };
+      }
+      
+      const allRuns = await runHistory.readRuns(appState.CURRENT_PROJECT_PATH);
+      const runs = await runHistory.readRuns(appState.CURRENT_PROJECT_PATH, filter);
+      
+      const tools = new Map();
+      allRuns.forEach(run => tools.set(run.toolId, run.toolTitle || run.toolId));
+      
+      return {
+        success: true,
+        projectName: appState.CURRENT_PROJECT,
+        runs: runs.map(run => ({
+          ...run,
+          outputFiles: (run.outputFiles || []).map(filePath => ({
+            path: filePath,
+            name: path.basename(filePath),
+            exists: fs.existsSync(filePath)
+          }))
+        })),
+        tools: Array.from(tools, ([id, title]) => ({ id, title }))
+      };
+    } catch (error) {
+      console.error('Error reading run history:', error);
+      return { success: false, message: error.message, runs: [], tools: [] };
+    }
+  });
+  
+  // Cost estimate shown in the Setup & Run dialog before running
+  ipcMain.handle('estimate-tool-cost', async (event, toolName, optionValues) => {
+    try {
+      return await estimateToolCost(toolName, optionValues);
+    } catch (error) {
+      console.error('Error estimating tool cost:', error);
+      return { available: false, message: error.message };
+    }
+  });
+  
+  // An earlier identical run whose result Setup offers to reuse
+  ipcMain.handle('find-cached-run', async (event, toolName, optionValues) => {
+    try {
+      const tool = toolSystem.toolRegistry.getTool(toolName);
+      if (!tool || typeof tool.loadPrompt !== 'function') {
+        return null;
+      }
+      const prompt = await tool.loadPrompt(optionValues).catch(() => null);
+      return await findCachedRun(tool, prompt, optionValues);
+    } catch (error) {
+      console.error('Error looking for a cached run:', error);
+      return null;
+    }
+  });
+  
+  // Open the tool's setup dialog with the options from a past run
+  ipcMain.handle('rerun-tool', async (event, runId) => {
+    try {
+      const run = await runHistory.getRun(appState.CURRENT_PROJECT_PATH, runId);
+      if (!run) {
+        return { success: false, message: 'Run not found in history' };
+      }
+      if (!toolSystem.toolRegistry.getTool(run.toolId)) {
+        return { success: false, message: `Tool is no longer available: ${run.toolId}` };
+      }
+      
+      if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+        runHistoryWindow.destroy();
+        runHistoryWindow = null;
+      }
+      showToolSetupRunDialog(run.toolId, run.options || {});
+      return { success: true };
+    } catch (error) {
+      console.error('Error re-running tool:', error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Pipelines window handlers
+function setupPipelineHandlers() {
+  ipcMain.on('show-pipelines', () => {
+    createPipelinesWindow();
+  });
+  
+  ipcMain.on('close-pipelines', () => {
+    if (pipelinesWindow && !pipelinesWindow.isDestroyed()) {
+      pipelinesWindow.destroy();
+      pipelinesWindow = null;
+    }
+  });
+  
+  // Saved pipelines with their last run in the current project, and the tools
+  // (with their options) a step can use
+  ipcMain.handle('get-pipelines', async () => {
+    try {
+      const saved = await pipelines.listPipelines(appState.PROJECTS_DIR);
+      for (const pipeline of saved) {
+        pipeline.lastRun = appState.CURRENT_PROJECT_PATH && !pipeline.error
+          ? await pipelines.getLastRun(appState.CURRENT_PROJECT_PATH, pipeline.id)
+          : null;
+      }
+      
+      const tools = toolSystem.toolRegistry.getAllToolIds().map(id => {
+        const tool = toolSystem.toolRegistry.getTool(id);
+        return {
+          id,
+          title: tool.config.title || id,
+          options: (tool.config.options || []).map(({ name, label, type, default: value }) => ({ name, label, type, default: value }))
+        };
+      });
+      
+      return { success: true, projectName: appState.CURRENT_PROJECT || null, pipelines: saved, tools };
+    } catch (error) {
+      console.error('Error listing pipelines:', error);
+      return { success: false, message: error.message, pipelines: [], tools: [] };
+    }
+  });
+  
+  ipcMain.handle('save-pipeline', async (event, pipeline, previousId = null) => {
+    try {
+      return { success: true, pipeline: await pipelines.savePipeline(appState.PROJECTS_DIR, pipeline, previousId) };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('delete-pipeline', async (event, id) => {
+    try {
+      await pipelines.deletePipeline(appState.PROJECTS_DIR, id);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting pipeline:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Run a saved pipeline on the current project, from the start or resuming its
+  // last run; output is sent with the index of the step writing it, and Stop
+  // (stop-tool with the pipeline's run ID) cancels the step that is running
+  ipcMain.handle('start-pipeline', async (event, id, resume = false) => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      return { success: false, message: 'Select a project first' };
+    }
+    // Pipeline steps share the AI service (and its manuscript) with queued runs
+    if (jobQueue.hasActiveJobs()) {
+      return { success: false, message: 'Wait for the background runs to finish first' };
+    }
+    let pipeline;
+    try {
+      pipeline = await pipelines.loadPipeline(appState.PROJECTS_DIR, id);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+    
+    const runId = uuidv4();
+    const abortController = new AbortController();
+    activeToolRuns.set(runId, { toolName: null, toolNames: pipeline.steps.map(step => step.tool), abortController });
+    
+    const send = (channel, data) => {
+      if (pipelinesWindow && !pipelinesWindow.isDestroyed()) {
+        pipelinesWindow.webContents.send(channel, { runId, ...data });
+      }
+    };
+    
+    (async () => {
+      try {
+        const state = await pipelines.runPipeline(pipeline, {
+          projectPath: appState.CURRENT_PROJECT_PATH,
+          runId,
+          resume,
+          sendOutput: (step, text) => send('pipeline-output', { step, text }),
+          onProgress: (state) => send('pipeline-progress', { state }),
+          signal: abortController.signal
+        });
+        send('pipeline-finished', { state });
+      } catch (error) {
+        console.error(`Error running pipeline ${pipeline.name}:`, error);
+        send('pipeline-error', { error: error.message });
+      } finally {
+        activeToolRuns.delete(runId);
+        jobQueue.schedule();
+      }
+    })();
+    
+    return { success: true, runId };
+  });
+}
+
+// Background run (job queue) handlers; the queue panel in the main window
+// lists the jobs and follows the output of the one it's showing
+function setupJobHandlers() {
+  const sendToMain = (channel, data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send(channel, data);
+    }
+  };
+  const sendToToolWindow = (channel, data) => {
+    if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
+      toolSetupRunWindow.webContents.send(channel, data);
+    }
+  };
+  
+  jobQueue = new JobQueue({
+    maxParallel: getJobQueueSettings().max_parallel,
+    // Nothing starts while a pipeline runs
+    isHeld: () => [...activeToolRuns.values()].some(run => run.toolNames),
+    onUpdate: (job) => {
+      sendToMain('job-updated', job);
+      if (job.finishedAt) {
+        jobFinished(job);
+      }
+    },
+    onOutput: (jobId, text) => {
+      sendToToolWindow('tool-output', { runId: jobId, text });
+      if (jobId === watchedJobId) {
+        sendToMain('job-output', { jobId, text });
+      }
+    }
+  });
+  
+  // Tell the Setup & Run dialog, and the writer if the run was a long one
+  const jobFinished = (job) => {
+    if (job.status === 'failed') {
+      sendToToolWindow('tool-error', { runId: job.id, error: job.error });
+    } else {
+      sendToToolWindow(job.status === 'cancelled' ? 'tool-cancelled' : 'tool-finished', {
+        runId: job.id,
+        code: 0,
+        createdFiles: job.outputFiles
+      });
+    }
+    
+    const took = job.startedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : 0;
+    if (took < LONG_RUN_MS || job.status === 'cancelled' || !Notification.isSupported()) {
+      return;
+    }
+    const notification = new Notification({
+      title: job.status === 'done' ? `${job.toolTitle} finished` : `${job.toolTitle} failed`,
+      body: job.status === 'done'
+        ? `${job.project}: ${job.outputFiles.length} report${job.outputFiles.length === 1 ? '' : 's'} saved`
+        : `${job.project}: ${job.error}`
+    });
+    notification.on('click', () => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.show();
+        mainWindow.focus();
+        sendToMain('show-job', job.id);
+      }
+    });
+    notification.show();
+  };
+  
+  ipcMain.handle('get-jobs', () => {
+    return jobQueue.list();
+  });
+  
+  // Show a job in the queue panel: its output so far, then what it writes next
+  ipcMain.handle('watch-job', (event, jobId) => {
+    const job = jobQueue.get(jobId);
+    watchedJobId = job ? jobId : null;
+    return job;
+  });
+  
+  ipcMain.handle('cancel-job', (event, jobId) => {
+    return jobQueue.cancel(jobId);
+  });
+  
+  ipcMain.handle('clear-finished-jobs', () => {
+    jobQueue.clearFinished();
+    return jobQueue.list();
+  });
+}
+
+// Usage & Costs window handlers
+function setupUsageHandlers() {
+  ipcMain.on('show-usage', () => {
+    createUsageWindow();
+  });
+  
+  ipcMain.on('close-usage', () => {
+    if (usageWindow && !usageWindow.isDestroyed()) {
+      usageWindow.destroy();
+      usageWindow = null;
+    }
+  });
+  
+  // Ledger totals across all projects, by project and by month
+  ipcMain.handle('get-usage-summary', async () => {
+    try {
+      const entries = await usageLedger.readLedger(appState.PROJECTS_DIR);
+      return {
+        success: true,
+        ...usageLedger.summarizeUsage(entries),
+        // Older entries have no `estimated` field; settle it here for the window
+        recent: entries.slice(-50).reverse().map(entry => ({ ...entry, estimated: usageLedger.isEstimated(entry) })),
+        ledgerPath: usageLedger.getLedgerPath(appState.PROJECTS_DIR),
+        pricesUpdated: PRICES_UPDATED
+      };
+    } catch (error) {
+      console.error('Error reading usage ledger:', error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Prompts window handlers
+function setupPromptHandlers() {
+  ipcMain.on('show-prompts', () => {
+    createPromptsWindow();
+  });
+  
+  ipcMain.on('close-prompts', () => {
+    if (promptsWindow && !promptsWindow.isDestroyed()) {
+      promptsWindow.destroy();
+      promptsWindow = null;
+    }
+  });
+  
+  // Every tool with a default prompt, and where its prompt stands
+  ipcMain.handle('get-prompt-list', async () => {
+    try {
+      const statuses = await promptManager.getAllPromptStatuses();
+      return {
+        success: true,
+        prompts: statuses.map(status => {
+          const tool = toolSystem.toolRegistry.getTool(status.toolName);
+          return { ...status, title: (tool && tool.config.title) || status.toolName, path: promptManager.getPromptPath(status.toolName) };
+        })
+      };
+    } catch (error) {
+      console.error('Error listing prompts:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('get-prompt-details', async (event, toolName) => {
+    try {
+      const comparison = await promptManager.comparePrompt(toolName);
+      if (!comparison) {
+        return { success: false, message: `${toolName} has no prompt file` };
+      }
+      return { success: true, comparison, history: await promptManager.getPromptHistory(toolName) };
+    } catch (error) {
+      console.error(`Error comparing the ${toolName} prompt:`, error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // action: 'use-default', 'keep' or 'revert' (to the version with the given hash)
+  ipcMain.handle('change-prompt', async (event, toolName, action, hash) => {
+    try {
+      if (action === 'use-default') {
+        await promptManager.resetPrompt(toolName);
+      } else if (action === 'keep') {
+        await promptManager.keepPrompt(toolName);
+      } else if (action === 'revert') {
+        await promptManager.revertPrompt(toolName, hash);
+      } else {
+        throw new Error(`Unknown prompt action: ${action}`);
+      }
+      return { success: true };
+    } catch (error) {
+      console.error(`Error changing the ${toolName} prompt:`, error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Gemini Storage window handlers
+function setupGeminiStorageHandlers() {
+  ipcMain.on('show-gemini-storage', () => {
+    createGeminiStorageWindow();
+  });
+  
+  ipcMain.on('close-gemini-storage', () => {
+    if (geminiStorageWindow && !geminiStorageWindow.isDestroyed()) {
+      geminiStorageWindow.destroy();
+      geminiStorageWindow = null;
+    }
+  });
+  
+  // Every context cache and uploaded file for the Gemini API key
+  ipcMain.handle('gemini-storage-list', async () => {
+    try {
+      const storage = await geminiStorage.listStorage(geminiStorage.createClient());
+      return { success: true, ...storage, pricesUpdated: PRICES_UPDATED };
+    } catch (error) {
+      console.error('Error listing Gemini storage:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('gemini-storage-inspect', async (event, type, name) => {
+    try {
+      const item = await geminiStorage.inspectItem(geminiStorage.createClient(), type, name);
+      return { success: true, item };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('gemini-storage-set-expiry', async (event, name, minutes) => {
+    try {
+      const cache = await geminiStorage.setCacheExpiry(geminiStorage.createClient(), name, Number(minutes));
+      return { success: true, cache };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // items: [{ type: 'cache' | 'file', name }]; a cache the app is still using
+  // is simply recreated (or skipped) by the Gemini client on its next run
+  ipcMain.handle('gemini-storage-delete', async (event, items) => {
+    try {
+      const result = await geminiStorage.deleteItems(geminiStorage.createClient(), items || []);
+      return { success: true, ...result };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+}
+
 // Set up all IPC handlers
 function setupIPCHandlers() {
   setupProjectHandlers();
   setupToolHandlers();
+  setupRunHistoryHandlers();
+  setupPipelineHandlers();
+  setupJobHandlers();
+  setupUsageHandlers();
+  setupPromptHandlers();
+  setupGeminiStorageHandlers();
   setupWelcomeHandlers();
   
   // Handle quit request from renderer
-  ipcMain.on('app-quit', () => {
+  ipcMain.on('app-quit', async () => {
     // console.log('Quit requested from renderer');
+    if (jobQueue && jobQueue.hasActiveJobs()) {
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        title: 'Background Runs',
+        message: 'Tools are still running or waiting to run',
+        detail: 'Quitting stops them; reports they have not finished are not saved.',
+        buttons: ['Quit', 'Keep Running'],
+        defaultId: 1,
+        cancelId: 1
+      });
+      if (response !== 0) {
+        return;
+      }
+    }
     app.quit();
   });
 
@@ -1416,6 +2473,10 @@ function setupIPCHandlers() {
       // Add app and env paths that the settings dialog expects
       settings.appPath = app.getAppPath();
       settings.envPath = envFilePath;
+      settings.localAi = getLocalAiSettings();
+      settings.resilience = getResilienceSettings();
+      settings.geminiCache = getGeminiCacheSettings();
+      settings.jobQueue = getJobQueueSettings();
       return settings;
     } catch (error) {
       console.error('Error getting current settings:', error);
@@ -1430,7 +2491,7 @@ function setupIPCHandlers() {
   });
 
   // Get available models for a specific AI provider
-  ipcMain.handle('getAvailableModels', async (event, provider) => {
+  ipcMain.handle('getAvailableModels', async (event, provider, config = {}) => {
     try {
       // console.log('Getting available models for provider:', provider);
       
@@ -1447,13 +2508,22 @@ function setupIPCHandlers() {
         case 'claude':
           ApiServiceClass = require('./client-claude.js');
           break;
+        case 'local':
+          ApiServiceClass = require('./client-local.js');
+          break;
+        case 'mock':
+          ApiServiceClass = require('./client-mock.js');
+          break;
         default:
           console.error(`Unknown provider: ${provider}`);
           return [];
       }
       
-      // Create a temporary client instance
-      const tempClient = new ApiServiceClass();
+      // Create a temporary client instance; the settings dialog passes the
+      // local server address so models can be listed before it is saved
+      const tempClient = new ApiServiceClass(provider === 'local'
+        ? getLocalAiSettings(Object.keys(config).length > 0 ? config : null)
+        : {});
       
       // Check if client initialized properly (has API key)
       if (tempClient.apiKeyMissing) {
@@ -1489,6 +2559,27 @@ function setupIPCHandlers() {
       if (settings.language) {
         appState.setLanguage(settings.language);
       }
+      if (Array.isArray(settings.headingPatterns)) {
+        appState.setHeadingPatterns(settings.headingPatterns);
+      }
+      if (settings.generation) {
+        appState.setGenerationSettings(generationParams.normalizeGenerationSettings(settings.generation));
+      }
+      if (settings.localAi) {
+        appState.store.set('localAiSettings', getLocalAiSettings(settings.localAi));
+      }
+      if (settings.resilience) {
+        appState.store.set('resilienceSettings', getResilienceSettings(settings.resilience));
+      }
+      if (settings.geminiCache) {
+        appState.store.set('geminiCacheSettings', getGeminiCacheSettings(settings.geminiCache));
+      }
+      // Takes effect at once; runs over the new limit finish, but no more start
+      if (settings.jobQueue) {
+        const jobQueueSettings = getJobQueueSettings(settings.jobQueue);
+        appState.store.set('jobQueueSettings', jobQueueSettings);
+        jobQueue.setMaxParallel(jobQueueSettings.max_parallel);
+      }
       
       // Close settings dialog
       if (settingsWindow && !settingsWindow.isDestroyed()) {
@@ -1581,6 +2672,27 @@ function setupIPCHandlers() {
     };
   });
   
+  // The current project's genre, which decides the tools listed
+  ipcMain.handle('get-project-genre', async () => {
+    return {
+      genre: await projectGenre.readProjectGenre(appState.CURRENT_PROJECT_PATH),
+      genres: projectGenre.GENRES
+    };
+  });
+  
+  ipcMain.handle('set-project-genre', async (event, genre) => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      return { success: false, message: 'No project selected' };
+    }
+    try {
+      await projectGenre.saveProjectGenre(appState.CURRENT_PROJECT_PATH, genre);
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving project genre:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
   // File selection dialog
   ipcMain.handle('select-file', async (event, options) => {
     try {
@@ -1784,9 +2896,17 @@ function setupIPCHandlers() {
         const textRaw = block.textContent.trim();
         const textLower = textRaw.toLowerCase();
         
-        // Skip everything until first <h1>
+        // A new chapter starts at every <h1>, and at any other heading or
+        // paragraph that reads like a part/chapter heading ("Part Two",
+        // "Chapter IV", "Prologue"). Bare numbers like "1." only count when
+        // styled as a heading, so numbered lists in the text are left alone.
+        const isHeadingTag = /^h[1-6]$/.test(tagName);
+        const startsChapter = tagName === "h1" ||
+          !!classifyHeading(textRaw, { standalone: isHeadingTag });
+        
+        // Skip everything until the first chapter heading
         if (ignoreFrontMatter) {
-          if (tagName === "h1") {
+          if (startsChapter) {
             ignoreFrontMatter = false;
           } else {
             return;
@@ -1794,13 +2914,12 @@ function setupIPCHandlers() {
         }
         
         // If this heading is a "stop" heading, ignore the rest
-        if (tagName.startsWith("h") && STOP_TITLES.some(title => textLower.startsWith(title))) {
+        if (isHeadingTag && STOP_TITLES.some(title => textLower.startsWith(title))) {
           ignoreRest = true;
           return;
         }
         
-        // If we see a new <h1>, that means a new chapter
-        if (tagName === "h1") {
+        if (startsChapter) {
           currentChapter = {
             title: textRaw,
             textBlocks: []
@@ -1892,26 +3011,23 @@ function setupIPCHandlers() {
       // Split text into paragraphs (separated by empty lines)
       const paragraphs = textContent.split(/\n\s*\n/).map(p => p.trim()).filter(p => p);
       
-      // Simple function to check if a paragraph looks like a chapter heading
-      function isChapterTitle(text) {
-        // Common chapter title patterns
-        return /^chapter\s+\d+/i.test(text) || // "Chapter X"
-               /^chapter\s+[ivxlcdm]+/i.test(text) || // "Chapter IV"
-               /^\d+[\.:]\s+/i.test(text); // "1: " or "1. "
-      }
-
       // Create array of document content
       const children = [];
       let chapterCount = 0;
+      let headingCount = 0;
       
       // Process each paragraph
       paragraphs.forEach((paragraph, index) => {
-        // Test if it's a chapter title
-        if (isChapterTitle(paragraph)) {
-          chapterCount++;
+        // Test if it's a part or chapter heading (paragraphs are already blank-line separated)
+        const heading = classifyHeading(paragraph, { standalone: true });
+        if (heading) {
+          headingCount++;
+          if (heading.type === 'chapter') {
+            chapterCount++;
+          }
           
-          // Add page break before chapters (except the first one)
-          if (chapterCount > 1) {
+          // Add page break before headings (except the first one)
+          if (headingCount > 1) {
             children.push(new docx.Paragraph({ pageBreakBefore: true }));
           }
           
@@ -2026,7 +3142,9 @@ function setupIPCHandlers() {
       const providerNames = {
         'gemini': 'Gemini',
         'openai': 'OpenAI', 
-        'claude': 'Claude'
+        'claude': 'Claude',
+        'local': 'Local AI',
+        'mock': 'Mock AI'
       };
       
       const friendlyProvider = providerNames[selectedProvider] || selectedProvider || 'Unknown';
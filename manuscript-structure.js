@@ -0,0 +1,302 @@
+// manuscript-structure.js
+const appState = require('./state.js');
+
+/**
+ * Manuscript structure parser
+ * One place to recognize parts, chapters and scene breaks in a plain text
+ * manuscript (or outline), so every tool and converter agrees on what a
+ * chapter heading looks like.
+ *
+ * Recognized headings (case-insensitive, on a line of their own):
+ *   Part One / Part 2 / Part IV / Book Three       -> part
+ *   Chapter 1 / Chapter IV / Chapter Twelve: Title  -> chapter
+ *     A title follows the number after `:`, `.`, `-` or a dash, never after a
+ *     plain space, so "Chapter did not matter." stays prose.
+ *   Prologue / Epilogue / Interlude ...             -> chapter (no number)
+ *   1. / 1: Title / 12                              -> chapter, only when the
+ *                                                     line is its own paragraph
+ *   Custom patterns from Settings                   -> chapter
+ * Scene breaks are lines like `***`, `* * *`, `#`, `~~~` or `---`.
+ */
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS_WORDS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// A well-formed roman numeral from I to MMMCMXCIX
+const ROMAN_NUMERAL = '(?=[mdclxvi])m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})';
+const ROMAN_PATTERN = new RegExp(`^${ROMAN_NUMERAL}$`, 'i');
+
+// A chapter/part number written as digits, roman numerals or English words
+const NUMBER_TOKEN = `(\\d+|${ROMAN_NUMERAL}|(?:twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)(?:[-\\s](?:one|two|three|four|five|six|seven|eight|nine))?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen)`;
+// Separator between the number and an optional title, e.g. "Chapter 3: Title"
+const TITLE_SEPARATOR = '\\s*[.:\\-\\u2013\\u2014]\\s*';
+
+const PART_PATTERN = new RegExp(`^(?:part|book)\\s+${NUMBER_TOKEN}\\b(?:${TITLE_SEPARATOR}(.*))?$`, 'i');
+const CHAPTER_PATTERN = new RegExp(`^chapter\\s+${NUMBER_TOKEN}\\b(?:${TITLE_SEPARATOR}(.*))?$`, 'i');
+const NAMED_CHAPTER_PATTERN = /^(prologue|epilogue|interlude|foreword|afterword|introduction)\b(?:\s*[.:\-–—]\s*(.*))?$/i;
+const NUMBERED_PATTERN = /^(\d{1,3})(?:[.:]\s*(.*))?$/;
+const SCENE_BREAK_PATTERN = /^(?:(?:\*\s*){3,}|#{1,3}|(?:~\s*){3,}|(?:-\s*){3,}|(?:•\s*){3,})$/;
+
+// Headings are short; anything longer is prose that happens to start with "Chapter"
+const MAX_HEADING_LENGTH = 100;
+
+/**
+ * Convert a chapter/part number token to an integer
+ * @param {string} token - Digits, roman numerals or English number words
+ * @returns {number|null} - The number, or null if it can't be read
+ */
+function parseNumberToken(token) {
+  if (!token) return null;
+  const value = token.trim().toLowerCase();
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  if (ROMAN_PATTERN.test(value)) {
+    const numerals = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+    let total = 0;
+    for (let i = 0; i < value.length; i++) {
+      const current = numerals[value[i]];
+      const next = numerals[value[i + 1]] || 0;
+      total += current < next ? -current : current;
+    }
+    return total > 0 ? total : null;
+  }
+
+  if (NUMBER_WORDS[value]) {
+    return NUMBER_WORDS[value];
+  }
+  const [tens, ones] = value.split(/[-\s]/);
+  if (TENS_WORDS[tens]) {
+    return TENS_WORDS[tens] + (ones ? (NUMBER_WORDS[ones] || 0) : 0);
+  }
+  return null;
+}
+
+/**
+ * Compile the custom heading patterns saved in Settings (one regex per entry).
+ * Invalid patterns are skipped with a warning rather than breaking a tool run.
+ * @param {string[]} patterns - Regular expression sources
+ * @returns {RegExp[]} - Compiled, case-insensitive patterns
+ */
+function compileCustomPatterns(patterns) {
+  const compiled = [];
+  for (const source of patterns || []) {
+    if (!source || !source.trim()) continue;
+    try {
+      compiled.push(new RegExp(source.trim(), 'i'));
+    } catch (error) {
+      console.warn(`Ignoring invalid heading pattern "${source}": ${error.message}`);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Classify a single line as a part or chapter heading
+ * @param {string} line - The line of text
+ * @param {Object} [options]
+ * @param {boolean} [options.standalone=true] - True when the line is its own
+ *   paragraph; bare numbers like "1." only count as headings then
+ * @param {string[]} [options.headingPatterns] - Custom chapter heading regexes
+ *   (defaults to the ones saved in Settings). Group 1 is the number and
+ *   group 2 the title, when present.
+ * @returns {Object|null} - { type: 'part'|'chapter', number, title, heading } or null
+ */
+function classifyHeading(line, options = {}) {
+  const heading = (line || '').trim();
+  if (!heading || heading.length > MAX_HEADING_LENGTH) {
+    return null;
+  }
+
+  const standalone = options.standalone !== false;
+  const customPatterns = options.compiledPatterns ||
+    compileCustomPatterns(options.headingPatterns || appState.HEADING_PATTERNS);
+
+  for (const pattern of customPatterns) {
+    const match = heading.match(pattern);
+    if (match) {
+      return {
+        type: 'chapter',
+        number: parseNumberToken(match[1]),
+        title: (match[2] || '').trim(),
+        heading
+      };
+    }
+  }
+
+  let match = heading.match(PART_PATTERN);
+  if (match) {
+    return { type: 'part', number: parseNumberToken(match[1]), title: (match[2] || '').trim(), heading };
+  }
+
+  match = heading.match(CHAPTER_PATTERN);
+  if (match) {
+    return { type: 'chapter', number: parseNumberToken(match[1]), title: (match[2] || '').trim(), heading };
+  }
+
+  match = heading.match(NAMED_CHAPTER_PATTERN);
+  if (match) {
+    return { type: 'chapter', number: null, title: (match[2] || '').trim(), name: match[1], heading };
+  }
+
+  if (standalone) {
+    match = heading.match(NUMBERED_PATTERN);
+    if (match) {
+      return { type: 'chapter', number: parseInt(match[1], 10), title: (match[2] || '').trim(), heading };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a line is a scene break such as `***` or `#`
+ * @param {string} line - The line of text
+ * @returns {boolean}
+ */
+function isSceneBreak(line) {
+  return SCENE_BREAK_PATTERN.test((line || '').trim());
+}
+
+/**
+ * Parse a manuscript into parts, chapters and scenes.
+ * Every element carries start/end character offsets into the original text
+ * and 1-based line numbers, so callers can slice out or point at content.
+ * @param {string} text - Manuscript (or outline) text
+ * @param {Object} [options]
+ * @param {string[]} [options.headingPatterns] - Custom chapter heading regexes
+ * @returns {Object} - { parts, chapters, scenes, frontMatter }
+ */
+function parseManuscript(text, options = {}) {
+  text = text || '';
+  const compiledPatterns = compileCustomPatterns(options.headingPatterns || appState.HEADING_PATTERNS);
+
+  // Split into lines, remembering where each starts
+  const lines = [];
+  let offset = 0;
+  for (const content of text.split('\n')) {
+    lines.push({ content, start: offset, end: offset + content.length });
+    offset += content.length + 1;
+  }
+  const isBlank = (i) => i < 0 || i >= lines.length || !lines[i].content.trim();
+
+  const parts = [];
+  const chapters = [];
+  const scenes = [];
+  let currentPart = null;
+  let currentChapter = null;
+  let currentScene = null;
+
+  const closeScene = (end, endLine) => {
+    if (currentScene) {
+      currentScene.end = end;
+      currentScene.endLine = endLine;
+      scenes.push(currentScene);
+      currentScene = null;
+    }
+  };
+  const openScene = (start, startLine) => {
+    currentScene = {
+      index: scenes.length,
+      chapterIndex: currentChapter ? currentChapter.index : null,
+      start,
+      startLine
+    };
+  };
+  const closeChapter = (end, endLine) => {
+    if (currentChapter) {
+      currentChapter.end = end;
+      currentChapter.endLine = endLine;
+      currentChapter = null;
+    }
+  };
+  const closePart = (end, endLine) => {
+    if (currentPart) {
+      currentPart.end = end;
+      currentPart.endLine = endLine;
+      currentPart = null;
+    }
+  };
+
+  lines.forEach((line, i) => {
+    const lineNumber = i + 1;
+    const trimmed = line.content.trim();
+    if (!trimmed) return;
+
+    // The next scene starts at the first line of text after the break
+    if (isSceneBreak(trimmed)) {
+      closeScene(line.start, lineNumber - 1);
+      return;
+    }
+
+    const heading = classifyHeading(trimmed, {
+      standalone: isBlank(i - 1) && isBlank(i + 1),
+      compiledPatterns
+    });
+    if (!heading) {
+      if (!currentScene) {
+        openScene(line.start, lineNumber);
+      }
+      return;
+    }
+
+    closeScene(line.start, lineNumber - 1);
+    closeChapter(line.start, lineNumber - 1);
+
+    if (heading.type === 'part') {
+      closePart(line.start, lineNumber - 1);
+      currentPart = {
+        ...heading,
+        index: parts.length,
+        start: line.start,
+        startLine: lineNumber,
+        contentStart: line.end + 1
+      };
+      parts.push(currentPart);
+      return;
+    }
+
+    currentChapter = {
+      ...heading,
+      index: chapters.length,
+      partIndex: currentPart ? currentPart.index : null,
+      start: line.start,
+      startLine: lineNumber,
+      contentStart: line.end + 1
+    };
+    chapters.push(currentChapter);
+  });
+
+  closeScene(text.length, lines.length);
+  closeChapter(text.length, lines.length);
+  closePart(text.length, lines.length);
+
+  // Anything before the first heading (title page, dedication, or the whole
+  // text when there are no headings at all)
+  const firstHeading = [parts[0], chapters[0]]
+    .filter(Boolean)
+    .reduce((min, item) => Math.min(min, item.start), text.length);
+
+  return {
+    parts,
+    chapters,
+    scenes,
+    frontMatter: { start: 0, end: firstHeading }
+  };
+}
+
+module.exports = {
+  parseManuscript,
+  classifyHeading,
+  isSceneBreak,
+  parseNumberToken,
+  compileCustomPatterns
+};
@@ -0,0 +1,16 @@
+// nonfiction-integrity-editing.js
+const ToolBase = require('./tool-base');
+
+/**
+ * Non-Fiction Integrity Editing Tool
+ * Developmental edit for general non-fiction: conceptual consistency of the
+ * argument, then ideas left underdeveloped
+ */
+class NonfictionIntegrityEditing extends ToolBase {
+  constructor(apiService, config = {}) {
+    super('nonfiction_integrity_editing', config);
+    this.apiService = apiService;
+  }
+}
+
+module.exports = NonfictionIntegrityEditing;
@@ -18,9 +18,10 @@ class OutlineWriter extends ToolBase {
   /**
    * Execute the tool
    * @param {Object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<Object>} - Execution result
    */
-  async execute(options) {
+  async execute(options, signal = null) {
     // Clear the cache for this tool
     fileCache.clear(this.name);
     
@@ -71,13 +72,13 @@ class OutlineWriter extends ToolBase {
       let fullResponse = "";
       
       try {
-        await this.apiService.streamWithThinking(
+        await this.apiService.streamResponse(
           prompt,
           (textDelta) => {
             fullResponse += textDelta;
             this.emitOutput(textDelta);
           },
-          true // don't use cached file
+          this.streamOptions(signal, { includeMetadata: true })
         );
       } catch (error) {
         this.emitOutput(`\nAPI Error: ${error.message}\n`);
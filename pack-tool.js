@@ -0,0 +1,78 @@
+// pack-tool.js
+const fs = require('fs/promises');
+const ToolBase = require('./tool-base');
+const { templateVariableNames } = require('./prompt-template');
+
+/**
+ * Tool defined by a tool pack (see tool-packs.js): the shared prompt and
+ * report workflow, with the prompt from the pack's own file, its option
+ * values filled in or added after the prompt, and its other input files sent
+ * along with the manuscript
+ */
+class PackTool extends ToolBase {
+  constructor(apiService, config = {}) {
+    super(config.name, config);
+    this.apiService = apiService;
+    this.pack = config.pack;
+    this.reportName = config.pack.output;
+  }
+
+  /**
+   * The pack's prompt file as written
+   * @returns {Promise<string>}
+   * @throws {Error} - If the prompt file is missing or empty
+   */
+  async readPromptFile() {
+    let prompt;
+    try {
+      prompt = await fs.readFile(this.pack.promptPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Prompt file not found: ${this.pack.promptPath}`);
+    }
+    if (!prompt.trim()) {
+      throw new Error(`Prompt file is empty: ${this.pack.promptPath}`);
+    }
+    return prompt;
+  }
+
+  /**
+   * The pack's prompt with its {{...}} tags filled in, and the values of
+   * options it doesn't use after it
+   * @param {Object} [options={}] - Tool options
+   * @returns {Promise<string>}
+   * @throws {Error} - If the prompt file is missing, empty or has template mistakes
+   */
+  async loadPrompt(options = {}) {
+    const template = await this.readPromptFile();
+    const prompt = await this.renderPrompt(template, options);
+
+    const used = templateVariableNames(template);
+    const settings = this.pack.promptOptions
+      .filter(option => !used.includes(option.name))
+      .filter(option => options[option.name] !== undefined && options[option.name] !== '')
+      .map(option => {
+        const value = options[option.name];
+        return `${option.label}: ${option.type === 'boolean' ? (value ? 'Yes' : 'No') : value}`;
+      });
+    return settings.length > 0 ? `${prompt.trimEnd()}\n\n${settings.join('\n')}\n` : prompt;
+  }
+
+  // Unlike the built-in tools' prompts, a missing pack prompt stops the run with its path
+  async getPrompt(options = {}) {
+    const prompt = await this.loadPrompt(options);
+    this.emitOutput(`Using this prompt for ${this.name}:\n`);
+    this.emitOutput(`${prompt}\n`);
+    return prompt;
+  }
+
+  // The pack's input files go ahead of any the user adds under Also Send
+  referenceFilePaths(options, saveDir) {
+    const inputs = this.pack.inputs
+      .map(name => String(options[name] || '').trim())
+      .filter(Boolean)
+      .map(file => this.ensureAbsolutePath(file, saveDir));
+    return [...new Set([...inputs, ...super.referenceFilePaths(options, saveDir)])];
+  }
+}
+
+module.exports = PackTool;
@@ -0,0 +1,526 @@
+// pipeline-dialog.js
+
+// DOM elements
+const projectNameElement = document.getElementById('project-name');
+const closeBtn = document.getElementById('close-btn');
+const newPipelineBtn = document.getElementById('new-pipeline-btn');
+const pipelineCards = document.getElementById('pipeline-cards');
+const nameInput = document.getElementById('pipeline-name');
+const descriptionInput = document.getElementById('pipeline-description');
+const manuscriptInput = document.getElementById('pipeline-manuscript');
+const stepsContainer = document.getElementById('pipeline-steps');
+const addStepBtn = document.getElementById('add-step-btn');
+const saveBtn = document.getElementById('save-btn');
+const deleteBtn = document.getElementById('delete-btn');
+const runBtn = document.getElementById('run-btn');
+const resumeBtn = document.getElementById('resume-btn');
+const stopBtn = document.getElementById('stop-btn');
+const messageElement = document.getElementById('pipeline-message');
+const progressElement = document.getElementById('pipeline-progress');
+const outputElement = document.getElementById('pipeline-output');
+
+// Tools a step can use, with their options
+let tools = [];
+let pipelines = [];
+// Saved id of the pipeline being edited, null for a new one
+let selectedId = null;
+// Steps being edited: { key, id, tool, alsoSend: [keys of earlier steps], optionsText }
+let steps = [];
+let nextStepKey = 1;
+let dirty = false;
+let currentRunId = null;
+
+window.addEventListener('DOMContentLoaded', async () => {
+  window.electronAPI.onSetTheme((theme) => {
+    document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+  });
+
+  window.electronAPI.onPipelineOutput(({ runId, text }) => {
+    if (runId !== currentRunId) return;
+    outputElement.textContent += text;
+    outputElement.scrollTop = outputElement.scrollHeight;
+  });
+  window.electronAPI.onPipelineProgress(({ runId, state }) => {
+    if (runId === currentRunId) renderProgress(state);
+  });
+  window.electronAPI.onPipelineFinished(async ({ runId, state }) => {
+    if (runId !== currentRunId) return;
+    renderProgress(state);
+    const failed = state.steps.findIndex(step => step.status !== 'success');
+    outputElement.textContent += failed === -1
+      ? `\n✅ ${state.pipelineName} finished all ${state.steps.length} steps.`
+      : `\n⛔️ ${state.pipelineName} stopped at step ${failed + 1} (${state.steps[failed].title}): ${state.status}. Resume to carry on from there.`;
+    if (typeof state.cost === 'number') {
+      outputElement.textContent += ` Estimated cost: $${state.cost.toFixed(state.cost > 0 && state.cost < 0.01 ? 4 : 2)}`;
+    }
+    outputElement.textContent += '\n';
+    outputElement.scrollTop = outputElement.scrollHeight;
+    finishRun();
+    await loadPipelines();
+  });
+  window.electronAPI.onPipelineError(async ({ runId, error }) => {
+    if (runId !== currentRunId) return;
+    outputElement.textContent += `\nError: ${error}\n`;
+    finishRun();
+    await loadPipelines();
+  });
+
+  await loadPipelines();
+  if (pipelines.length > 0) {
+    selectPipeline(pipelines[0]);
+  } else {
+    newPipeline();
+  }
+});
+
+closeBtn.addEventListener('click', () => {
+  if (currentRunId) {
+    alert('Stop the pipeline before closing, or wait for it to finish.');
+    return;
+  }
+  if (dirty && !confirm('Close without saving your changes?')) {
+    return;
+  }
+  window.electronAPI.closePipelines();
+});
+
+newPipelineBtn.addEventListener('click', () => {
+  if (dirty && !confirm('Discard your changes?')) return;
+  newPipeline();
+});
+
+[nameInput, descriptionInput, manuscriptInput].forEach(input => {
+  input.addEventListener('input', markDirty);
+});
+
+addStepBtn.addEventListener('click', () => {
+  const tool = tools.find(candidate => candidate.id === 'developmental_editing') || tools[0];
+  steps.push({ key: nextStepKey++, id: uniqueStepId(tool.id), tool: tool.id, alsoSend: [], optionsText: '' });
+  markDirty();
+  renderSteps();
+});
+
+saveBtn.addEventListener('click', save);
+
+deleteBtn.addEventListener('click', async () => {
+  if (!selectedId || !confirm(`Delete the pipeline "${nameInput.value}"?`)) return;
+  const result = await window.electronAPI.deletePipeline(selectedId);
+  if (!result.success) {
+    showMessage(result.message);
+    return;
+  }
+  await loadPipelines();
+  if (pipelines.length > 0) {
+    selectPipeline(pipelines[0]);
+  } else {
+    newPipeline();
+  }
+});
+
+runBtn.addEventListener('click', () => start(false));
+resumeBtn.addEventListener('click', () => start(true));
+
+stopBtn.addEventListener('click', async () => {
+  if (!currentRunId) return;
+  stopBtn.disabled = true;
+  outputElement.textContent += '\nStopping . . .\n';
+  await window.electronAPI.stopTool(currentRunId);
+});
+
+// Fetch the saved pipelines and tools, and show the list
+async function loadPipelines() {
+  const result = await window.electronAPI.getPipelines();
+  if (!result.success) {
+    showMessage(result.message || 'Could not load the pipelines.');
+    return;
+  }
+  projectNameElement.textContent = result.projectName || '';
+  tools = result.tools.sort((a, b) => a.title.localeCompare(b.title));
+  pipelines = result.pipelines;
+  renderPipelineCards();
+  updateButtons();
+}
+
+function renderPipelineCards() {
+  pipelineCards.innerHTML = '';
+  pipelines.forEach(pipeline => {
+    const card = document.createElement('div');
+    card.className = `pipeline-card${pipeline.id === selectedId ? ' selected' : ''}`;
+
+    const name = document.createElement('div');
+    name.className = 'pipeline-card-name';
+    name.textContent = pipeline.name;
+    card.appendChild(name);
+
+    if (pipeline.error) {
+      const error = document.createElement('div');
+      error.className = 'pipeline-card-error';
+      error.textContent = pipeline.error;
+      card.appendChild(error);
+    } else {
+      const details = document.createElement('div');
+      details.className = 'pipeline-card-details';
+      details.textContent = describeCard(pipeline);
+      card.appendChild(details);
+      card.addEventListener('click', () => {
+        if (currentRunId || pipeline.id === selectedId) return;
+        if (dirty && !confirm('Discard your changes?')) return;
+        selectPipeline(pipeline);
+      });
+    }
+    pipelineCards.appendChild(card);
+  });
+}
+
+function describeCard(pipeline) {
+  const parts = [`${pipeline.steps.length} step${pipeline.steps.length === 1 ? '' : 's'}`];
+  const run = pipeline.lastRun;
+  if (run) {
+    const failed = run.steps.findIndex(step => step.status !== 'success');
+    parts.push(failed === -1
+      ? `finished ${new Date(run.finishedAt || run.startedAt).toLocaleDateString()}`
+      : `last run: ${run.status} at step ${failed + 1}`);
+  }
+  return parts.join(' · ');
+}
+
+function newPipeline() {
+  selectedId = null;
+  nameInput.value = '';
+  descriptionInput.value = '';
+  manuscriptInput.value = 'manuscript.txt';
+  steps = [];
+  dirty = false;
+  progressElement.innerHTML = '';
+  showMessage('');
+  renderSteps();
+  renderPipelineCards();
+  updateButtons();
+  nameInput.focus();
+}
+
+// Load a saved pipeline into the editor, and its last run into the progress view
+function selectPipeline(pipeline) {
+  selectedId = pipeline.id;
+  nameInput.value = pipeline.name;
+  descriptionInput.value = pipeline.description || '';
+  manuscriptInput.value = (pipeline.options && pipeline.options.manuscript_file) || '';
+
+  const keys = {};
+  steps = pipeline.steps.map(step => {
+    const key = nextStepKey++;
+    const alsoSend = [];
+    const lines = [];
+    for (const [name, value] of Object.entries(step.options || {})) {
+      if (name === 'reference_files' && Array.isArray(value)) {
+        const others = [];
+        value.forEach(item => {
+          if (item && item.from && keys[item.from]) {
+            alsoSend.push(keys[item.from]);
+          } else {
+            others.push(formatValue(item));
+          }
+        });
+        if (others.length > 0) lines.push(`${name}=${others.join(', ')}`);
+      } else {
+        lines.push(`${name}=${Array.isArray(value) ? value.map(formatValue).join(', ') : formatValue(value)}`);
+      }
+    }
+    keys[step.id] = key;
+    return { key, id: step.id, tool: step.tool, alsoSend, optionsText: lines.join('\n') };
+  });
+
+  dirty = false;
+  showMessage('');
+  progressElement.innerHTML = '';
+  if (pipeline.lastRun) {
+    renderProgress(pipeline.lastRun);
+  }
+  outputElement.textContent = pipeline.description || 'Each step\'s output appears here as it runs.';
+  renderSteps();
+  renderPipelineCards();
+  updateButtons();
+}
+
+function formatValue(value) {
+  return value && typeof value === 'object' && value.from ? `@${value.from}` : String(value);
+}
+
+function uniqueStepId(toolId, exceptKey = null) {
+  const taken = steps.filter(step => step.key !== exceptKey).map(step => step.id);
+  let id = toolId;
+  for (let n = 2; taken.includes(id); n++) {
+    id = `${toolId}_${n}`;
+  }
+  return id;
+}
+
+function toolById(id) {
+  return tools.find(tool => tool.id === id);
+}
+
+function renderSteps() {
+  stepsContainer.innerHTML = '';
+  steps.forEach((step, index) => stepsContainer.appendChild(createStepRow(step, index)));
+}
+
+function createStepRow(step, index) {
+  const row = document.createElement('div');
+  row.className = 'step-row';
+
+  const number = document.createElement('span');
+  number.className = 'step-number';
+  number.textContent = `${index + 1}.`;
+  row.appendChild(number);
+
+  const fields = document.createElement('div');
+  fields.className = 'step-fields';
+
+  // Tool, step id and the move/remove buttons
+  const line = document.createElement('div');
+  line.className = 'step-line';
+
+  const toolSelect = document.createElement('select');
+  tools.forEach(tool => {
+    const option = document.createElement('option');
+    option.value = tool.id;
+    option.textContent = tool.title;
+    option.selected = tool.id === step.tool;
+    toolSelect.appendChild(option);
+  });
+  toolSelect.addEventListener('change', () => {
+    // A step still named after its tool follows the new tool
+    if (step.id.startsWith(step.tool)) {
+      step.id = uniqueStepId(toolSelect.value, step.key);
+    }
+    step.tool = toolSelect.value;
+    markDirty();
+    renderSteps();
+  });
+  line.appendChild(toolSelect);
+
+  const idInput = document.createElement('input');
+  idInput.type = 'text';
+  idInput.className = 'step-id';
+  idInput.value = step.id;
+  idInput.title = 'Step name; other steps use this step\'s report as @name';
+  idInput.addEventListener('input', () => {
+    step.id = idInput.value.trim();
+    markDirty();
+  });
+  idInput.addEventListener('change', renderSteps);
+  line.appendChild(idInput);
+
+  line.appendChild(createStepButton('↑', 'Move up', index === 0, () => moveStep(index, -1)));
+  line.appendChild(createStepButton('↓', 'Move down', index === steps.length - 1, () => moveStep(index, 1)));
+  line.appendChild(createStepButton('✕', 'Remove this step', false, () => {
+    steps.splice(index, 1);
+    steps.forEach(other => {
+      other.alsoSend = other.alsoSend.filter(key => key !== step.key);
+    });
+    markDirty();
+    renderSteps();
+  }));
+  fields.appendChild(line);
+
+  // Reports of earlier steps to send along, for tools that take reference files
+  const tool = toolById(step.tool);
+  const takesReferences = tool && tool.options.some(option => option.name === 'reference_files');
+  if (takesReferences && index > 0) {
+    const alsoSend = document.createElement('div');
+    alsoSend.className = 'step-also-send';
+    alsoSend.appendChild(document.createTextNode('Also send the report of: '));
+    steps.slice(0, index).forEach(earlier => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = step.alsoSend.includes(earlier.key);
+      checkbox.addEventListener('change', () => {
+        step.alsoSend = checkbox.checked
+          ? [...step.alsoSend, earlier.key]
+          : step.alsoSend.filter(key => key !== earlier.key);
+        markDirty();
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${earlier.id}`));
+      alsoSend.appendChild(label);
+    });
+    fields.appendChild(alsoSend);
+  }
+
+  const optionsText = document.createElement('textarea');
+  optionsText.className = 'step-options';
+  optionsText.rows = Math.max(1, step.optionsText.split('\n').length);
+  optionsText.value = step.optionsText;
+  optionsText.placeholder = 'Options other than the defaults, one name=value per line, e.g. temperature=0.3; @step uses that step\'s report';
+  optionsText.title = tool ? `Options: ${tool.options.map(option => option.name).join(', ')}` : '';
+  optionsText.addEventListener('input', () => {
+    step.optionsText = optionsText.value;
+    markDirty();
+  });
+  fields.appendChild(optionsText);
+
+  row.appendChild(fields);
+  return row;
+}
+
+function createStepButton(text, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function moveStep(index, offset) {
+  const [step] = steps.splice(index, 1);
+  steps.splice(index + offset, 0, step);
+  // A step can only use the reports of steps before it
+  steps.forEach((other, position) => {
+    const earlier = steps.slice(0, position).map(candidate => candidate.key);
+    other.alsoSend = other.alsoSend.filter(key => earlier.includes(key));
+  });
+  markDirty();
+  renderSteps();
+}
+
+// The pipeline definition as saved (see pipelines.js); values stay text and
+// are checked and converted when saved
+function buildDefinition() {
+  const ids = {};
+  steps.forEach(step => {
+    ids[step.key] = step.id;
+  });
+
+  return {
+    name: nameInput.value.trim(),
+    description: descriptionInput.value.trim(),
+    options: manuscriptInput.value.trim() ? { manuscript_file: manuscriptInput.value.trim() } : {},
+    steps: steps.map((step, index) => {
+      const options = {};
+      step.optionsText.split('\n').map(text => text.trim()).filter(Boolean).forEach(text => {
+        const equals = text.indexOf('=');
+        if (equals < 1) {
+          throw new Error(`Step ${index + 1} (${step.id}): options are written name=value, not "${text}"`);
+        }
+        const name = text.slice(0, equals).trim();
+        const value = text.slice(equals + 1).trim();
+        options[name] = name === 'reference_files'
+          ? value.split(',').map(item => item.trim()).filter(Boolean).map(parseValue)
+          : parseValue(value);
+      });
+
+      const references = step.alsoSend.map(key => ({ from: ids[key] }));
+      if (references.length > 0) {
+        options.reference_files = [...references, ...(options.reference_files || [])];
+      }
+      return { id: step.id, tool: step.tool, options };
+    })
+  };
+}
+
+function parseValue(value) {
+  return value.startsWith('@') ? { from: value.slice(1) } : value;
+}
+
+async function save() {
+  let definition;
+  try {
+    definition = buildDefinition();
+  } catch (error) {
+    showMessage(error.message);
+    return false;
+  }
+
+  const result = await window.electronAPI.savePipeline(definition, selectedId);
+  if (!result.success) {
+    showMessage(result.message);
+    return false;
+  }
+  showMessage('');
+  dirty = false;
+  await loadPipelines();
+  const saved = pipelines.find(pipeline => pipeline.id === result.pipeline.id);
+  if (saved) {
+    selectPipeline(saved);
+  }
+  return true;
+}
+
+async function start(resume) {
+  if ((dirty || !selectedId) && !(await save())) {
+    return;
+  }
+
+  const result = await window.electronAPI.startPipeline(selectedId, resume);
+  if (!result.success) {
+    showMessage(result.message);
+    return;
+  }
+  currentRunId = result.runId;
+  outputElement.textContent = resume ? 'Resuming . . .\n' : '';
+  showMessage('');
+  updateButtons();
+}
+
+function finishRun() {
+  currentRunId = null;
+  renderSteps();
+  updateButtons();
+}
+
+// One chip per step with its status, and buttons to open the files it wrote
+function renderProgress(state) {
+  progressElement.innerHTML = '';
+  state.steps.forEach((step, index) => {
+    const chip = document.createElement('span');
+    chip.className = `progress-step ${step.status}`;
+    chip.title = step.error || '';
+    chip.appendChild(document.createTextNode(`${index + 1}. ${step.title}`));
+
+    const status = document.createElement('span');
+    status.className = 'status';
+    status.textContent = step.resumed ? 'kept' : step.status;
+    chip.appendChild(status);
+
+    (step.outputFiles || []).forEach(file => {
+      const name = file.split(/[\\/]/).pop();
+      chip.appendChild(createStepButton('Open', name, false, async () => {
+        const result = await window.electronAPI.openFileInEditor(file);
+        if (!result.success) {
+          alert(`Could not open file: ${result.error}`);
+        }
+      }));
+    });
+    progressElement.appendChild(chip);
+  });
+}
+
+function updateButtons() {
+  const running = Boolean(currentRunId);
+  const selected = pipelines.find(pipeline => pipeline.id === selectedId);
+  const lastRun = selected && selected.lastRun;
+  const resumable = Boolean(lastRun) && ['error', 'cancelled'].includes(lastRun.status);
+
+  [nameInput, descriptionInput, manuscriptInput, addStepBtn, saveBtn, newPipelineBtn].forEach(element => {
+    element.disabled = running;
+  });
+  if (running) {
+    stepsContainer.querySelectorAll('input, select, textarea, button').forEach(element => {
+      element.disabled = true;
+    });
+  }
+  deleteBtn.disabled = running || !selectedId;
+  runBtn.disabled = running;
+  resumeBtn.disabled = running || !resumable;
+  stopBtn.disabled = !running;
+}
+
+function markDirty() {
+  dirty = true;
+}
+
+function showMessage(text) {
+  messageElement.textContent = text;
+}
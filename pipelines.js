@@ -0,0 +1,452 @@
+// pipelines.js
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const toolSystem = require('./tool-system');
+const { runTool, defaultOptionValues, parseOptionValue } = require('./tool-runs');
+
+/**
+ * Tool pipelines
+ * A pipeline runs several tools one after another on the current project,
+ * e.g. extracting an outline and character list and then checking the
+ * manuscript against them. Pipelines are saved as one JSON file each in
+ * `~/writing_with_storygrinder/pipelines/`, so every project can use them:
+ *
+ * {
+ *   name, description,
+ *   options: { manuscript_file },      // given to every step that has the option
+ *   steps: [{
+ *     id,                              // unique within the pipeline, e.g. "outline"
+ *     tool,                            // tool ID
+ *     options: {                       // over the tool's defaults
+ *       temperature: 0.3,
+ *       reference_files: [{ from: "outline" }]
+ *     }
+ *   }]
+ * }
+ *
+ * An option value `{ "from": "<step id>" }` is replaced by the report file of
+ * that earlier step when the pipeline runs, which is how a later step reads
+ * what an earlier one wrote (a list can mix these with file paths).
+ *
+ * The latest run of each pipeline is kept in
+ * `<project>/.storygrinder/pipelines/<pipeline id>.json`, with each step's
+ * status and files, so a run that failed or was stopped can resume at the
+ * step that didn't finish. Every step is also an ordinary tool run, with its
+ * own entry in the run history and usage ledger.
+ */
+
+const PIPELINES_DIR = 'pipelines';
+const RUNS_DIR = path.join('.storygrinder', 'pipelines');
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Written when the pipelines folder is first created
+const DEFAULT_PIPELINES = [
+  {
+    name: 'Revision Pass',
+    description: 'Outline and characters from the manuscript, the characters checked against them, then integrity and developmental editing.',
+    options: { manuscript_file: 'manuscript.txt' },
+    steps: [
+      { id: 'outline', tool: 'manuscript_to_outline', options: {} },
+      { id: 'characters', tool: 'manuscript_to_characters', options: {} },
+      { id: 'character_check', tool: 'character_analyzer', options: {
+        reference_files: [{ from: 'outline' }, { from: 'characters' }]
+      } },
+      { id: 'integrity', tool: 'narrative_integrity', options: {} },
+      { id: 'developmental', tool: 'developmental_editing', options: {} }
+    ]
+  }
+];
+
+/**
+ * Pipeline ID for a name: its file name without .json
+ * @param {string} name - Pipeline name
+ * @returns {string}
+ */
+function pipelineId(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function isStepReference(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.from === 'string';
+}
+
+/**
+ * Check a pipeline definition and tidy it for saving: option values typed as
+ * text are converted as in Setup, and step references must point back
+ * @param {Object} pipeline - Definition (see above)
+ * @returns {Object} - The definition with its id
+ * @throws {Error} - Naming the first problem found
+ */
+function validatePipeline(pipeline) {
+  const name = String((pipeline && pipeline.name) || '').trim();
+  const id = pipelineId(name);
+  if (!id) {
+    throw new Error('Give the pipeline a name');
+  }
+  const steps = (pipeline && pipeline.steps) || [];
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(`${name} has no steps`);
+  }
+
+  const seen = [];
+  const checkedSteps = steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    const stepId = String((step && step.id) || '').trim();
+    if (!STEP_ID_PATTERN.test(stepId)) {
+      throw new Error(`${label} needs an id of letters, digits, _ or -`);
+    }
+    if (seen.includes(stepId)) {
+      throw new Error(`${label}: another step is already called "${stepId}"`);
+    }
+    const tool = toolSystem.toolRegistry.getAllToolIds().includes(step.tool)
+      ? toolSystem.toolRegistry.getTool(step.tool)
+      : null;
+    if (!tool) {
+      throw new Error(`${label} (${stepId}): there is no tool "${step.tool}"`);
+    }
+
+    const optionDefs = tool.config.options || [];
+    const options = {};
+    for (const [optionName, value] of Object.entries(step.options || {})) {
+      const option = optionDefs.find(def => def.name === optionName);
+      if (!option) {
+        throw new Error(`${label} (${stepId}): ${tool.config.title} has no option "${optionName}"`);
+      }
+      options[optionName] = checkOptionValue(option, value, seen, `${label} (${stepId})`);
+    }
+    seen.push(stepId);
+    return { id: stepId, tool: step.tool, options };
+  });
+
+  return {
+    id,
+    name,
+    description: String((pipeline && pipeline.description) || '').trim(),
+    options: { ...((pipeline && pipeline.options) || {}) },
+    steps: checkedSteps
+  };
+}
+
+function checkOptionValue(option, value, earlierStepIds, label) {
+  const values = Array.isArray(value) ? value : [value];
+  const checked = values.map(item => {
+    if (isStepReference(item)) {
+      if (!earlierStepIds.includes(item.from)) {
+        throw new Error(`${label}: ${option.name} uses the report of "${item.from}", which isn't an earlier step`);
+      }
+      return { from: item.from };
+    }
+    if (typeof item !== 'string') {
+      return item;
+    }
+    try {
+      return parseOptionValue(option, item);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  });
+  return Array.isArray(value) ? checked : checked[0];
+}
+
+/**
+ * The options a step runs with: the tool's defaults, the pipeline's options
+ * the tool has, then the step's own, with step references replaced by files
+ * @param {Object} step - Step of a validated pipeline
+ * @param {Object} pipelineOptions - The pipeline's options
+ * @param {Object} outputs - Output files of the steps run so far, by step id
+ * @returns {Object}
+ * @throws {Error} - If a referenced step wrote no file
+ */
+function resolveStepOptions(step, pipelineOptions, outputs) {
+  const tool = toolSystem.toolRegistry.getTool(step.tool);
+  const values = defaultOptionValues(tool);
+  for (const [name, value] of Object.entries(pipelineOptions || {})) {
+    if (name in values && value !== '' && value !== null && value !== undefined) {
+      values[name] = value;
+    }
+  }
+
+  const resolve = (value) => {
+    if (!isStepReference(value)) {
+      return value;
+    }
+    const files = outputs[value.from] || [];
+    const report = files.find(file => file.endsWith('.txt')) || files[0];
+    if (!report) {
+      throw new Error(`Step "${value.from}" wrote no file for step "${step.id}" to use`);
+    }
+    return report;
+  };
+  for (const [name, value] of Object.entries(step.options || {})) {
+    values[name] = Array.isArray(value) ? value.map(resolve) : resolve(value);
+  }
+  // Lists of files are given to tools one per line, as typed in Setup
+  if (Array.isArray(values.reference_files)) {
+    values.reference_files = values.reference_files.join('\n');
+  }
+  return values;
+}
+
+/**
+ * Write the default pipelines the first time
+ * @param {string} projectsDir - ~/writing_with_storygrinder
+ * @returns {Promise<void>}
+ */
+async function ensurePipelinesDir(projectsDir) {
+  const dir = path.join(projectsDir, PIPELINES_DIR);
+  try {
+    await fs.access(dir);
+    return;
+  } catch (error) {
+    // Not there yet
+  }
+  await fs.mkdir(dir, { recursive: true });
+  for (const pipeline of DEFAULT_PIPELINES) {
+    await fs.writeFile(path.join(dir, `${pipelineId(pipeline.name)}.json`), JSON.stringify(pipeline, null, 2), 'utf8');
+  }
+}
+
+/**
+ * Every saved pipeline, by name. A file that can't be read is listed with its error.
+ * @param {string} projectsDir - ~/writing_with_storygrinder
+ * @returns {Promise<Object[]>} - Definitions with their id, or { id, name, error }
+ */
+async function listPipelines(projectsDir) {
+  await ensurePipelinesDir(projectsDir);
+  const dir = path.join(projectsDir, PIPELINES_DIR);
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+  const pipelines = [];
+  for (const fileName of names) {
+    const id = path.basename(fileName, '.json');
+    try {
+      const pipeline = JSON.parse(await fs.readFile(path.join(dir, fileName), 'utf8'));
+      pipelines.push({ ...pipeline, id });
+    } catch (error) {
+      pipelines.push({ id, name: id, error: `Could not read ${fileName}: ${error.message}` });
+    }
+  }
+  return pipelines.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * A saved pipeline, checked against the tools as they are now
+ * @param {string} projectsDir - ~/writing_with_storygrinder
+ * @param {string} id - Pipeline ID
+ * @returns {Promise<Object>}
+ * @throws {Error} - If it doesn't exist or no longer fits the tools
+ */
+async function loadPipeline(projectsDir, id) {
+  const filePath = path.join(projectsDir, PIPELINES_DIR, `${pipelineId(id)}.json`);
+  let pipeline;
+  try {
+    pipeline = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT' ? `No pipeline "${id}"` : `Could not read ${filePath}: ${error.message}`);
+  }
+  return validatePipeline(pipeline);
+}
+
+/**
+ * Save a pipeline under the id of its name
+ * @param {string} projectsDir - ~/writing_with_storygrinder
+ * @param {Object} pipeline - Definition
+ * @param {string} [previousId] - Its id before it was renamed, whose file is removed
+ * @returns {Promise<Object>} - The validated definition with its id
+ * @throws {Error} - If it isn't valid, or another pipeline has the name
+ */
+async function savePipeline(projectsDir, pipeline, previousId = null) {
+  const checked = validatePipeline(pipeline);
+  const dir = path.join(projectsDir, PIPELINES_DIR);
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${checked.id}.json`);
+
+  if (checked.id !== previousId) {
+    const taken = await fs.access(filePath).then(() => true, () => false);
+    if (taken) {
+      throw new Error(`There is already a pipeline called ${checked.name}`);
+    }
+  }
+
+  const { id, ...definition } = checked;
+  await fs.writeFile(filePath, JSON.stringify(definition, null, 2), 'utf8');
+  if (previousId && previousId !== checked.id) {
+    await fs.unlink(path.join(dir, `${pipelineId(previousId)}.json`)).catch(() => {});
+  }
+  return checked;
+}
+
+/**
+ * Delete a saved pipeline; its runs in projects are left alone
+ * @param {string} projectsDir - ~/writing_with_storygrinder
+ * @param {string} id - Pipeline ID
+ * @returns {Promise<void>}
+ */
+async function deletePipeline(projectsDir, id) {
+  await fs.unlink(path.join(projectsDir, PIPELINES_DIR, `${pipelineId(id)}.json`));
+}
+
+function getRunPath(projectPath, id) {
+  return path.join(projectPath, RUNS_DIR, `${pipelineId(id)}.json`);
+}
+
+/**
+ * The latest run of a pipeline in a project
+ * @param {string} projectPath - Project directory
+ * @param {string} id - Pipeline ID
+ * @returns {Promise<Object|null>} - Run state (see runPipeline), null if never run
+ */
+async function getLastRun(projectPath, id) {
+  try {
+    return JSON.parse(await fs.readFile(getRunPath(projectPath, id), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// The run state is what resuming needs, so failing to save it is only logged
+async function saveRunState(projectPath, state) {
+  try {
+    const runPath = getRunPath(projectPath, state.pipelineId);
+    await fs.mkdir(path.dirname(runPath), { recursive: true });
+    await fs.writeFile(runPath, JSON.stringify(state, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving pipeline run:', error);
+  }
+}
+
+/**
+ * How many steps of the last run can be kept when resuming: those that
+ * finished, with their files still there, up to the first one that didn't
+ * or whose definition has changed since
+ * @param {Object} pipeline - Validated pipeline
+ * @param {Object|null} lastRun - From getLastRun()
+ * @returns {Promise<number>}
+ */
+async function countResumableSteps(pipeline, lastRun) {
+  if (!lastRun || !Array.isArray(lastRun.steps)) {
+    return 0;
+  }
+  let count = 0;
+  for (const [index, step] of pipeline.steps.entries()) {
+    const previous = lastRun.steps[index];
+    if (!previous || previous.status !== 'success' || previous.id !== step.id || previous.tool !== step.tool ||
+        JSON.stringify(previous.options) !== JSON.stringify(step.options)) {
+      break;
+    }
+    const filesExist = await Promise.all((previous.outputFiles || []).map(file => fs.access(file).then(() => true, () => false)));
+    if (filesExist.includes(false)) {
+      break;
+    }
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Run a pipeline's steps in order on a project, stopping at the first one
+ * that fails or is cancelled
+ * @param {Object} pipeline - Validated pipeline
+ * @param {Object} run
+ * @param {string} run.projectPath - Project directory
+ * @param {string} [run.runId] - Run ID
+ * @param {boolean} [run.resume=false] - Keep the finished steps of the last run
+ * @param {Function} run.sendOutput - Called with (step index, text) as steps write output
+ * @param {Function} [run.onProgress] - Called with the run state whenever a step starts or ends
+ * @param {AbortSignal} run.signal - Aborted to cancel the run
+ * @returns {Promise<Object>} - Run state: { runId, pipelineId, pipelineName,
+ *   startedAt, finishedAt, status, cost (of the steps run this time), steps: [{ id, tool, title, options,
+ *   status, runId, error, outputFiles, cost, resumed }] }, status being
+ *   'success', 'error' or 'cancelled' ('pending' or 'running' for steps)
+ * @throws {Error} - If there's nothing to resume
+ */
+async function runPipeline(pipeline, { projectPath, runId = uuidv4(), resume = false, sendOutput, onProgress = () => {}, signal }) {
+  const lastRun = resume ? await getLastRun(projectPath, pipeline.id) : null;
+  const kept = resume ? await countResumableSteps(pipeline, lastRun) : 0;
+  if (resume && kept === pipeline.steps.length) {
+    throw new Error(`The last run of ${pipeline.name} finished every step, so there is nothing to resume`);
+  }
+
+  const state = {
+    runId,
+    pipelineId: pipeline.id,
+    pipelineName: pipeline.name,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    cost: null,
+    steps: pipeline.steps.map((step, index) => {
+      const tool = toolSystem.toolRegistry.getTool(step.tool);
+      const base = { id: step.id, tool: step.tool, title: tool.config.title || step.tool, options: step.options };
+      return index < kept
+        ? { ...lastRun.steps[index], ...base, resumed: true }
+        : { ...base, status: 'pending', runId: null, error: null, outputFiles: [], cost: null };
+    })
+  };
+  const outputs = {};
+  state.steps.slice(0, kept).forEach(step => {
+    outputs[step.id] = step.outputFiles;
+  });
+
+  const progress = async () => {
+    await saveRunState(projectPath, state);
+    onProgress(state);
+  };
+  await progress();
+
+  for (let index = kept; index < pipeline.steps.length; index++) {
+    const step = pipeline.steps[index];
+    const stepState = state.steps[index];
+    const output = (text) => sendOutput(index, text);
+
+    if (signal.aborted) {
+      stepState.status = 'cancelled';
+      break;
+    }
+    stepState.status = 'running';
+    stepState.runId = uuidv4();
+    await progress();
+    output(`\n=== Step ${index + 1} of ${pipeline.steps.length}: ${stepState.title} ===\n\n`);
+
+    try {
+      const options = resolveStepOptions(step, pipeline.options, outputs);
+      const outcome = await runTool(stepState.runId, step.tool, options, output, signal);
+      stepState.status = outcome.status;
+      stepState.error = outcome.error || null;
+      stepState.outputFiles = outcome.outputFiles;
+      stepState.cost = outcome.cost === undefined ? null : outcome.cost;
+    } catch (error) {
+      output(`\n${stepState.title} failed: ${error.message}\n`);
+      stepState.status = 'error';
+      stepState.error = error.message;
+    }
+    outputs[step.id] = stepState.outputFiles;
+
+    if (stepState.status !== 'success') {
+      break;
+    }
+    await progress();
+  }
+
+  const last = state.steps.find(step => step.status !== 'success');
+  state.status = last ? last.status : 'success';
+  state.finishedAt = new Date().toISOString();
+  const costs = state.steps.filter(step => !step.resumed).map(step => step.cost);
+  state.cost = costs.some(cost => typeof cost === 'number')
+    ? costs.reduce((sum, cost) => sum + (cost || 0), 0)
+    : null;
+  await progress();
+  return state;
+}
+
+module.exports = {
+  validatePipeline,
+  resolveStepOptions,
+  listPipelines,
+  loadPipeline,
+  savePipeline,
+  deletePipeline,
+  getLastRun,
+  countResumableSteps,
+  runPipeline
+};
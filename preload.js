@@ -15,6 +15,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getProjects: () => ipcRenderer.invoke('get-projects'),
   getProjectInfo: () => ipcRenderer.invoke('get-project-info'),
   selectProject: () => ipcRenderer.send('show-project-dialog'),
+  getProjectGenre: () => ipcRenderer.invoke('get-project-genre'),
+  setProjectGenre: (genre) => ipcRenderer.invoke('set-project-genre', genre),
   openProject: (projectName) => ipcRenderer.invoke('open-project', projectName),
   createProject: (projectName) => ipcRenderer.invoke('create-project', projectName),
   closeDialog: (action, data) => ipcRenderer.send('close-project-dialog', action, data),
@@ -45,25 +47,78 @@ contextBridge.exposeInMainWorld('electronAPI', {
   closeToolDialog: (action, data) => ipcRenderer.send('close-tool-dialog', action, data),
   getCurrentTool: () => ipcRenderer.invoke('get-current-tool'),
   startToolRun: (toolName, options) => ipcRenderer.invoke('start-tool-run', toolName, options),
+  startToolCompare: (toolName, options, contenders) => ipcRenderer.invoke('start-tool-compare', toolName, options, contenders),
+  setToolOverride: (toolId, override) => ipcRenderer.invoke('set-tool-override', toolId, override),
+  checkGenerationParams: (values, target) => ipcRenderer.invoke('check-generation-params', values, target),
   stopTool: (runId) => ipcRenderer.invoke('stop-tool', runId),
   setToolOptions: (options) => ipcRenderer.invoke('set-tool-options', options),
   onToolOutput: (callback) => ipcRenderer.on('tool-output', (_, data) => callback(data)),
   onToolFinished: (callback) => ipcRenderer.on('tool-finished', (_, data) => callback(data)),
   onToolError: (callback) => ipcRenderer.on('tool-error', (_, data) => callback(data)),
+  onToolCancelled: (callback) => ipcRenderer.on('tool-cancelled', (_, data) => callback(data)),
   removeAllListeners: (channel) => {
     if (channel === 'tool-output') ipcRenderer.removeAllListeners('tool-output');
     if (channel === 'tool-finished') ipcRenderer.removeAllListeners('tool-finished');
     if (channel === 'tool-error') ipcRenderer.removeAllListeners('tool-error');
+    if (channel === 'tool-cancelled') ipcRenderer.removeAllListeners('tool-cancelled');
   },
   // Get output files for a tool run
   getToolOutputFiles: (toolId) => ipcRenderer.invoke('get-tool-output-files', toolId),
 
+  // Run history
+  showRunHistory: () => ipcRenderer.send('show-run-history'),
+  closeRunHistory: () => ipcRenderer.send('close-run-history'),
+  getRunHistory: (filter) => ipcRenderer.invoke('get-run-history', filter),
+  rerunTool: (runId) => ipcRenderer.invoke('rerun-tool', runId),
+
+  // Pipelines
+  showPipelines: () => ipcRenderer.send('show-pipelines'),
+  closePipelines: () => ipcRenderer.send('close-pipelines'),
+  getPipelines: () => ipcRenderer.invoke('get-pipelines'),
+  savePipeline: (pipeline, previousId) => ipcRenderer.invoke('save-pipeline', pipeline, previousId),
+  deletePipeline: (id) => ipcRenderer.invoke('delete-pipeline', id),
+  startPipeline: (id, resume) => ipcRenderer.invoke('start-pipeline', id, resume),
+  onPipelineOutput: (callback) => ipcRenderer.on('pipeline-output', (_, data) => callback(data)),
+  onPipelineProgress: (callback) => ipcRenderer.on('pipeline-progress', (_, data) => callback(data)),
+  onPipelineFinished: (callback) => ipcRenderer.on('pipeline-finished', (_, data) => callback(data)),
+  onPipelineError: (callback) => ipcRenderer.on('pipeline-error', (_, data) => callback(data)),
+
+  // Background runs (job queue)
+  getJobs: () => ipcRenderer.invoke('get-jobs'),
+  watchJob: (jobId) => ipcRenderer.invoke('watch-job', jobId),
+  cancelJob: (jobId) => ipcRenderer.invoke('cancel-job', jobId),
+  clearFinishedJobs: () => ipcRenderer.invoke('clear-finished-jobs'),
+  onJobUpdated: (callback) => ipcRenderer.on('job-updated', (_, data) => callback(data)),
+  onJobOutput: (callback) => ipcRenderer.on('job-output', (_, data) => callback(data)),
+  onShowJob: (callback) => ipcRenderer.on('show-job', (_, jobId) => callback(jobId)),
+
+  // AI costs
+  estimateToolCost: (toolName, optionValues) => ipcRenderer.invoke('estimate-tool-cost', toolName, optionValues),
+  findCachedRun: (toolName, optionValues) => ipcRenderer.invoke('find-cached-run', toolName, optionValues),
+  showUsage: () => ipcRenderer.send('show-usage'),
+  closeUsage: () => ipcRenderer.send('close-usage'),
+  getUsageSummary: () => ipcRenderer.invoke('get-usage-summary'),
+  showGeminiStorage: () => ipcRenderer.send('show-gemini-storage'),
+  closeGeminiStorage: () => ipcRenderer.send('close-gemini-storage'),
+  listGeminiStorage: () => ipcRenderer.invoke('gemini-storage-list'),
+  inspectGeminiStorage: (type, name) => ipcRenderer.invoke('gemini-storage-inspect', type, name),
+  setGeminiCacheExpiry: (name, minutes) => ipcRenderer.invoke('gemini-storage-set-expiry', name, minutes),
+  deleteGeminiStorage: (items) => ipcRenderer.invoke('gemini-storage-delete', items),
+
+  // Prompts: versions, comparison with the defaults, history
+  showPrompts: () => ipcRenderer.send('show-prompts'),
+  closePrompts: () => ipcRenderer.send('close-prompts'),
+  getPromptList: () => ipcRenderer.invoke('get-prompt-list'),
+  getPromptDetails: (toolName) => ipcRenderer.invoke('get-prompt-details', toolName),
+  changePrompt: (toolName, action, hash) => ipcRenderer.invoke('change-prompt', toolName, action, hash),
+
   // Open a file in the editor
   openFileInEditor: (filePath) => ipcRenderer.invoke('open-file-in-editor', filePath),  
   
   // Editor dialog functions
   showEditorDialog: (filePath) => ipcRenderer.invoke('show-editor-dialog', filePath),
   saveFile: (data) => ipcRenderer.invoke('save-file', data),
+  locateFindings: (data) => ipcRenderer.invoke('locate-findings', data),
   closeEditorDialog: () => {
     console.log("PRELOAD: Sending close-editor-dialog IPC");
     ipcRenderer.send('close-editor-dialog');
@@ -97,7 +152,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     console.log('electronAPI.cancelSettings called');
     ipcRenderer.send('cancel-settings');
   },
-  getAvailableModels: (provider) => ipcRenderer.invoke('getAvailableModels', provider),
+  getAvailableModels: (provider, config) => ipcRenderer.invoke('getAvailableModels', provider, config),
 
 });
 
@@ -0,0 +1,75 @@
+// project-genre.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Project genre
+ * Each project says what kind of book it is, saved in
+ * `<project>/.storygrinder/project.json` as { "genre": "self_help" }. The
+ * genre decides which tools are listed: fiction projects don't see the
+ * non-fiction editors, and the other way round (see TOOL_GENRES in
+ * tool-system.js). Projects without the file are fiction.
+ */
+
+const GENRES = [
+  { id: 'fiction', label: 'Fiction' },
+  { id: 'creative_nonfiction', label: 'Creative Non-Fiction' },
+  { id: 'nonfiction', label: 'General Non-Fiction' },
+  { id: 'self_help', label: 'Self-Help' }
+];
+const DEFAULT_GENRE = 'fiction';
+
+const SETTINGS_FILE = path.join('.storygrinder', 'project.json');
+
+function isGenre(genre) {
+  return GENRES.some(g => g.id === genre);
+}
+
+async function readSettings(projectPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(projectPath, SETTINGS_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not read project settings in ${projectPath}:`, error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * A project's genre
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<string>} - A GENRES id, DEFAULT_GENRE if none is set
+ */
+async function readProjectGenre(projectPath) {
+  if (!projectPath) {
+    return DEFAULT_GENRE;
+  }
+  const { genre } = await readSettings(projectPath);
+  return isGenre(genre) ? genre : DEFAULT_GENRE;
+}
+
+/**
+ * Set a project's genre, keeping its other settings
+ * @param {string} projectPath - Project directory
+ * @param {string} genre - A GENRES id
+ * @returns {Promise<void>}
+ * @throws {Error} - If the genre isn't known
+ */
+async function saveProjectGenre(projectPath, genre) {
+  if (!isGenre(genre)) {
+    throw new Error(`Unknown genre "${genre}"; use ${GENRES.map(g => g.id).join(', ')}`);
+  }
+  const settings = await readSettings(projectPath);
+  const file = path.join(projectPath, SETTINGS_FILE);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ ...settings, genre }, null, 2), 'utf8');
+}
+
+module.exports = {
+  GENRES,
+  DEFAULT_GENRE,
+  isGenre,
+  readProjectGenre,
+  saveProjectGenre
+};
@@ -0,0 +1,149 @@
+// prompt-diff.js
+
+/**
+ * Line diffs for prompt files
+ * diffLines compares two texts; threeWayDiff lines up the user's copy of a
+ * prompt and a newer default against the default the copy started from, so
+ * each change shows as the user's, the new default's, the same in both, or a
+ * conflict where both changed the same lines differently.
+ */
+
+function splitLines(text) {
+  return (text || '').replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+/**
+ * For each line of a, the index of the matching line of b in a longest
+ * common subsequence, or -1
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number[]}
+ */
+function matchLines(a, b) {
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Line by line differences between two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: string, text: string}>} - type is 'same', 'removed' or 'added'
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const matches = matchLines(a, b);
+  const lines = [];
+  let j = 0;
+  a.forEach((line, i) => {
+    if (matches[i] === -1) {
+      lines.push({ type: 'removed', text: line });
+      return;
+    }
+    while (j < matches[i]) {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+    lines.push({ type: 'same', text: line });
+    j++;
+  });
+  while (j < b.length) {
+    lines.push({ type: 'added', text: b[j++] });
+  }
+  return lines;
+}
+
+/**
+ * Three-way comparison of a prompt: the default it started from, the user's
+ * copy, and the new default
+ * @param {string} baseText - The default the user's copy started from
+ * @param {string} mineText - The user's copy
+ * @param {string} theirsText - The new default
+ * @returns {Array<Object>} - Blocks in order, each { type, base, mine, theirs }
+ *   with the lines each text has there; type is 'same' (nobody changed it),
+ *   'mine' (only the user did), 'theirs' (only the new default did), 'both'
+ *   (both made the same change) or 'conflict'
+ */
+function threeWayDiff(baseText, mineText, theirsText) {
+  const base = splitLines(baseText);
+  const mine = splitLines(mineText);
+  const theirs = splitLines(theirsText);
+  const toMine = matchLines(base, mine);
+  const toTheirs = matchLines(base, theirs);
+  const same = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+
+  const blocks = [];
+  const push = (type, lines) => {
+    const last = blocks[blocks.length - 1];
+    if (type === 'same' && last && last.type === 'same') {
+      last.base.push(...lines.base);
+      last.mine.push(...lines.mine);
+      last.theirs.push(...lines.theirs);
+    } else {
+      blocks.push({ type, ...lines });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < base.length || j < mine.length || k < theirs.length) {
+    if (i < base.length && toMine[i] === j && toTheirs[i] === k) {
+      push('same', { base: [base[i]], mine: [mine[j]], theirs: [theirs[k]] });
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+
+    // Up to the next base line that both kept
+    let next = i;
+    while (next < base.length && (toMine[next] === -1 || toTheirs[next] === -1)) {
+      next++;
+    }
+    const lines = {
+      base: base.slice(i, next),
+      mine: mine.slice(j, next < base.length ? toMine[next] : mine.length),
+      theirs: theirs.slice(k, next < base.length ? toTheirs[next] : theirs.length)
+    };
+    if (same(lines.mine, lines.base)) {
+      push('theirs', lines);
+    } else if (same(lines.theirs, lines.base)) {
+      push('mine', lines);
+    } else if (same(lines.mine, lines.theirs)) {
+      push('both', lines);
+    } else {
+      push('conflict', lines);
+    }
+    i = next;
+    j += lines.mine.length;
+    k += lines.theirs.length;
+  }
+  return blocks;
+}
+
+module.exports = {
+  diffLines,
+  threeWayDiff
+};
@@ -0,0 +1,277 @@
+// prompt-template.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Prompt templates
+ * Prompt files may fill in the tool's options instead of having each tool
+ * add them to the prompt itself:
+ *
+ *   {{special_instructions}}          the value of an option
+ *   {{#if pov}}...{{/if}}             text kept only when the option has a value
+ *   {{#if pov}}...{{else}}...{{/if}}
+ *   {{> house-style}}                 the text of fragments/house-style.txt
+ *
+ * Any option the tool declares can be used, along with {{language}} (its
+ * lang option, or English), {{project}} (the project's name), {{title}} (the
+ * book's title: the tool's title option, else the project's name) and
+ * {{genre}} (the project's genre, see project-genre.js). {{pov}} is only an
+ * option of the tools that ask for one, such as the World Writer; nothing
+ * else records a book's point of view, so other tools' prompts can't use it.
+ * A name the tool doesn't have is an error rather than being left for the AI
+ * to read. Fragments live in tool-prompts/fragments/ and may use the same tags.
+ */
+
+// Folder in tool-prompts for shared fragments
+const FRAGMENTS_DIR = 'fragments';
+
+const TAG_PATTERN = /\{\{\s*(#if\b|\/if\b|else\b|>)?\s*([^{}]*?)\s*\}\}/g;
+// A block tag alone on its line takes the line with it
+const BLOCK_LINE_PATTERN = /^[ \t]*(\{\{\s*(?:#if\b[^{}]*|\/if|else)\s*\}\})[ \t]*\r?\n/gm;
+const VARIABLE_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const FRAGMENT_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Fragments including fragments stop here, which also catches loops
+const MAX_INCLUDE_DEPTH = 5;
+
+class PromptTemplateError extends Error {
+  constructor(problems) {
+    super(`The prompt template has ${problems.length === 1 ? 'a problem' : 'problems'}:\n- ${problems.join('\n- ')}`);
+    this.name = 'PromptTemplateError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Split a template into text, variables, conditionals and includes
+ * @param {string} text - Template text
+ * @param {string[]} problems - Syntax problems are added here
+ * @returns {Object[]} - Nodes: { type: 'text', text }, { type: 'variable', name },
+ *   { type: 'if', name, then, otherwise } or { type: 'include', name }; expand()
+ *   turns includes into { type: 'fragment', name, nodes }
+ */
+function parse(text, problems) {
+  const root = [];
+  const open = [];
+  let nodes = root;
+  let last = 0;
+
+  const source = text.replace(BLOCK_LINE_PATTERN, '$1');
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > last) {
+      nodes.push({ type: 'text', text: source.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+    const [tag, kind, name] = [match[0], match[1], match[2]];
+
+    if (kind === '#if') {
+      if (!VARIABLE_PATTERN.test(name)) {
+        problems.push(`${tag} needs the name of one option`);
+      }
+      const block = { type: 'if', name, then: [], otherwise: [] };
+      nodes.push(block);
+      open.push(block);
+      nodes = block.then;
+    } else if (kind === 'else' || kind === '/if') {
+      const block = open[open.length - 1];
+      if (!block) {
+        problems.push(`${tag} has no {{#if}} to go with`);
+        continue;
+      }
+      if (kind === 'else' && block.inElse) {
+        problems.push(`{{#if ${block.name}}} has more than one {{else}}`);
+        continue;
+      }
+      if (kind === 'else') {
+        block.inElse = true;
+        nodes = block.otherwise;
+      } else {
+        open.pop();
+        nodes = open.length > 0 ? currentBranch(open[open.length - 1]) : root;
+      }
+    } else if (kind === '>') {
+      if (!FRAGMENT_PATTERN.test(name)) {
+        problems.push(`${tag} needs a fragment name of letters, digits, _ and -`);
+      }
+      nodes.push({ type: 'include', name });
+    } else if (VARIABLE_PATTERN.test(name)) {
+      nodes.push({ type: 'variable', name });
+    } else {
+      problems.push(`${tag} isn't a tag this app knows`);
+    }
+  }
+  if (last < source.length) {
+    nodes.push({ type: 'text', text: source.slice(last) });
+  }
+  open.forEach(block => problems.push(`{{#if ${block.name}}} is never closed with {{/if}}`));
+  return root;
+}
+
+// The branch of an open {{#if}} that tags are going into
+function currentBranch(block) {
+  return block.inElse ? block.otherwise : block.then;
+}
+
+/**
+ * Parse a template and replace its includes with the fragments' nodes
+ * @param {string} text - Template text
+ * @param {string|null} fragmentsDir - Folder of fragments; null to skip includes
+ * @param {string[]} problems - Problems are added here
+ * @param {string[]} [including=[]] - Fragments being included, outermost first
+ * @returns {Promise<Object[]>}
+ */
+async function expand(text, fragmentsDir, problems, including = []) {
+  const nodes = parse(text, problems);
+  const visit = async (list) => {
+    for (let i = 0; i < list.length; i++) {
+      const node = list[i];
+      if (node.type === 'if') {
+        await visit(node.then);
+        await visit(node.otherwise);
+      } else if (node.type === 'include' && fragmentsDir && FRAGMENT_PATTERN.test(node.name)) {
+        if (including.includes(node.name) || including.length >= MAX_INCLUDE_DEPTH) {
+          problems.push(`{{> ${node.name}}} includes itself, or fragments nest too deep`);
+          list[i] = { type: 'text', text: '' };
+          continue;
+        }
+        const file = path.join(fragmentsDir, `${node.name}.txt`);
+        let fragment;
+        try {
+          fragment = await fs.readFile(file, 'utf8');
+        } catch (error) {
+          problems.push(`{{> ${node.name}}}: fragment not found: ${file}`);
+          list[i] = { type: 'text', text: '' };
+          continue;
+        }
+        // A fragment's last line break is the including line's
+        const fragmentNodes = await expand(fragment.replace(/\r?\n$/, ''), fragmentsDir, problems, [...including, node.name]);
+        list[i] = { type: 'fragment', name: node.name, nodes: fragmentNodes };
+      }
+    }
+  };
+  await visit(nodes);
+  return nodes;
+}
+
+/**
+ * Names of the variables a parsed template uses
+ * @param {Object[]} nodes
+ * @param {Set<string>} [names=new Set()]
+ * @returns {Set<string>}
+ */
+function collectNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (node.type === 'variable' || node.type === 'if') {
+      names.add(node.name);
+    }
+    if (node.type === 'if') {
+      collectNames(node.then, names);
+      collectNames(node.otherwise, names);
+    } else if (node.type === 'fragment') {
+      collectNames(node.nodes, names);
+    }
+  }
+  return names;
+}
+
+// Whether an {{#if}} on this value keeps its text
+function hasValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === 'string') {
+    return value.trim() !== '';
+  }
+  return value !== undefined && value !== null && value !== false;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function renderNodes(nodes, variables) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'variable':
+        return formatValue(variables[node.name]);
+      case 'if':
+        return renderNodes(hasValue(variables[node.name]) ? node.then : node.otherwise, variables);
+      case 'fragment':
+        return renderNodes(node.nodes, variables);
+      case 'include':
+        // Not expanded, as there was no fragments folder to look in
+        return '';
+      default:
+        return node.text;
+    }
+  }).join('');
+}
+
+/**
+ * Parse and expand a template, and find its problems
+ * @param {string} text - Template text
+ * @param {string[]} variableNames - Names the template may use
+ * @param {string|null} fragmentsDir - Folder of fragments
+ * @returns {Promise<Object>} - { nodes, problems }
+ */
+async function prepare(text, variableNames, fragmentsDir) {
+  const problems = [];
+  const nodes = await expand(text, fragmentsDir, problems);
+  for (const name of collectNames(nodes)) {
+    if (VARIABLE_PATTERN.test(name) && !variableNames.includes(name)) {
+      problems.push(`{{${name}}} isn't an option of this tool; it may use ${variableNames.map(known => `{{${known}}}`).join(', ')}`);
+    }
+  }
+  return { nodes, problems };
+}
+
+/**
+ * Problems with a template: bad tags, names the tool doesn't have, missing fragments
+ * @param {string} text - Template text
+ * @param {string[]} variableNames - Names the template may use
+ * @param {Object} [options]
+ * @param {string} [options.fragmentsDir] - Folder of fragments; without it includes aren't checked
+ * @returns {Promise<string[]>} - One message per problem; empty if there are none
+ */
+async function checkTemplate(text, variableNames, { fragmentsDir = null } = {}) {
+  return (await prepare(text, variableNames, fragmentsDir)).problems;
+}
+
+/**
+ * Fill in a template
+ * @param {string} text - Template text
+ * @param {Object} variables - Value of each name the template may use
+ * @param {Object} [options]
+ * @param {string} [options.fragmentsDir] - Folder of fragments
+ * @returns {Promise<string>}
+ * @throws {PromptTemplateError} - Listing every problem, if there are any
+ */
+async function renderTemplate(text, variables, { fragmentsDir = null } = {}) {
+  const { nodes, problems } = await prepare(text, Object.keys(variables), fragmentsDir);
+  if (problems.length > 0) {
+    throw new PromptTemplateError(problems);
+  }
+  return renderNodes(nodes, variables);
+}
+
+/**
+ * Names of the variables a template uses directly (not in its fragments)
+ * @param {string} text - Template text
+ * @returns {string[]}
+ */
+function templateVariableNames(text) {
+  return [...collectNames(parse(text, []))];
+}
+
+module.exports = {
+  FRAGMENTS_DIR,
+  PromptTemplateError,
+  checkTemplate,
+  renderTemplate,
+  templateVariableNames
+};
@@ -0,0 +1,269 @@
+// prompts-dialog.js
+
+// DOM elements
+const closeBtn = document.getElementById('close-btn');
+const promptList = document.getElementById('prompt-list');
+const promptDetail = document.getElementById('prompt-detail');
+
+// Unchanged lines shown either side of a change; longer stretches are cut
+const CONTEXT_LINES = 3;
+
+let selectedTool = null;
+
+window.addEventListener('DOMContentLoaded', async () => {
+  window.electronAPI.onSetTheme((theme) => {
+    document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+  });
+
+  await loadPrompts();
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closePrompts();
+});
+
+async function loadPrompts() {
+  try {
+    const result = await window.electronAPI.getPromptList();
+    if (!result.success) {
+      showMessage(promptDetail, result.message || 'Could not load the prompts.');
+      return;
+    }
+    renderList(result.prompts);
+  } catch (error) {
+    console.error('Error loading prompts:', error);
+    showMessage(promptDetail, `Error loading prompts: ${error.message}`);
+  }
+}
+
+function showMessage(container, message) {
+  container.innerHTML = '';
+  const empty = document.createElement('div');
+  empty.className = 'prompts-empty';
+  empty.textContent = message;
+  container.appendChild(empty);
+}
+
+// Prompts with a newer default first, then by title
+function renderList(prompts) {
+  promptList.innerHTML = '';
+  const sorted = [...prompts].sort((a, b) =>
+    (b.updateAvailable - a.updateAvailable) || a.title.localeCompare(b.title));
+
+  sorted.forEach(prompt => {
+    const item = document.createElement('div');
+    item.className = 'prompt-item';
+    item.dataset.tool = prompt.toolName;
+    item.textContent = prompt.title;
+
+    if (prompt.updateAvailable || prompt.edited) {
+      const badge = document.createElement('span');
+      badge.className = `prompt-badge${prompt.updateAvailable ? ' update' : ''}`;
+      badge.textContent = prompt.updateAvailable ? `new default v${prompt.defaultVersion}` : 'edited';
+      item.appendChild(badge);
+    }
+
+    item.addEventListener('click', () => showPrompt(prompt));
+    promptList.appendChild(item);
+  });
+
+  const selected = sorted.find(prompt => prompt.toolName === selectedTool) || sorted[0];
+  if (selected) {
+    showPrompt(selected);
+  } else {
+    showMessage(promptDetail, 'No tool prompts found.');
+  }
+}
+
+async function showPrompt(prompt) {
+  selectedTool = prompt.toolName;
+  promptList.querySelectorAll('.prompt-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.tool === prompt.toolName);
+  });
+
+  const result = await window.electronAPI.getPromptDetails(prompt.toolName);
+  if (selectedTool !== prompt.toolName) {
+    return;
+  }
+  if (!result.success) {
+    showMessage(promptDetail, result.message);
+    return;
+  }
+
+  const { comparison, history } = result;
+  const { status } = comparison;
+  promptDetail.innerHTML = '';
+
+  const title = document.createElement('h3');
+  title.textContent = prompt.title;
+  promptDetail.appendChild(title);
+
+  const note = document.createElement('div');
+  note.className = 'prompt-note';
+  note.textContent = `${describeStatus(status)} File: ${prompt.path}`;
+  promptDetail.appendChild(note);
+
+  const actions = document.createElement('div');
+  actions.className = 'prompt-actions';
+  if (status.updateAvailable) {
+    actions.appendChild(actionButton(`Use Default v${status.defaultVersion}`, () => changePrompt('use-default')));
+    actions.appendChild(actionButton('Keep Mine', () => changePrompt('keep')));
+  } else if (status.edited) {
+    actions.appendChild(actionButton('Reset to Default', () => changePrompt('use-default')));
+  }
+  if (actions.children.length > 0) {
+    promptDetail.appendChild(actions);
+  }
+
+  if (status.edited) {
+    const heading = document.createElement('h3');
+    heading.textContent = comparison.blocks
+      ? `Your Edits and Default v${status.defaultVersion}, Against Default v${status.baseVersion}`
+      : `Your Prompt Against Default v${status.defaultVersion}`;
+    promptDetail.appendChild(heading);
+    promptDetail.appendChild(comparison.blocks ? renderThreeWay(comparison.blocks, status) : renderTwoWay(comparison.lines));
+  }
+
+  renderHistory(history);
+}
+
+function describeStatus(status) {
+  if (!status.edited) {
+    return `The default prompt, v${status.defaultVersion}.`;
+  }
+  if (!status.updateAvailable) {
+    return `Edited from default v${status.defaultVersion}.`;
+  }
+  if (status.baseVersion === null) {
+    return `Edited, and default v${status.defaultVersion} has come out; which default you started from isn't known, ` +
+      `so this compares yours with the new one (your edits and its changes both show).`;
+  }
+  return `Edited from default v${status.baseVersion}; default v${status.defaultVersion} has come out since.`;
+}
+
+function actionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'action-button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// 'use-default', 'keep' or 'revert'; what's replaced stays in the history
+async function changePrompt(action, hash) {
+  const result = await window.electronAPI.changePrompt(selectedTool, action, hash);
+  if (!result.success) {
+    alert(`Could not change the prompt: ${result.message}`);
+  }
+  await loadPrompts();
+}
+
+function diffLine(type, text) {
+  const line = document.createElement('div');
+  line.className = `diff-line ${type}`;
+  line.textContent = `${type === 'removed' ? '-' : type === 'added' ? '+' : ' '} ${text}`;
+  return line;
+}
+
+function diffLabel(text, conflict = false) {
+  const label = document.createElement('div');
+  label.className = `diff-label${conflict ? ' conflict' : ''}`;
+  label.textContent = text;
+  return label;
+}
+
+// Unchanged lines, cut down to a few next to the changes either side
+function appendContext(container, lines, atStart, atEnd) {
+  const head = atStart ? [] : lines.slice(0, CONTEXT_LINES);
+  const tail = atEnd ? [] : lines.slice(-CONTEXT_LINES);
+  if (lines.length <= head.length + tail.length + 1) {
+    lines.forEach(text => container.appendChild(diffLine('same', text)));
+    return;
+  }
+  head.forEach(text => container.appendChild(diffLine('same', text)));
+  container.appendChild(diffLine('skipped', `... ${lines.length - head.length - tail.length} unchanged lines ...`));
+  tail.forEach(text => container.appendChild(diffLine('same', text)));
+}
+
+function renderTwoWay(lines) {
+  const container = document.createElement('div');
+  container.className = 'prompt-diff';
+  container.appendChild(diffLabel('- only in the default   + only in yours'));
+
+  let unchanged = [];
+  let changed = false;
+  const flush = (atEnd) => {
+    appendContext(container, unchanged, !changed, atEnd);
+    unchanged = [];
+  };
+  lines.forEach(line => {
+    if (line.type === 'same') {
+      unchanged.push(line.text);
+      return;
+    }
+    flush(false);
+    changed = true;
+    container.appendChild(diffLine(line.type, line.text));
+  });
+  flush(true);
+  return container;
+}
+
+function renderThreeWay(blocks, status) {
+  const container = document.createElement('div');
+  container.className = 'prompt-diff';
+
+  blocks.forEach((block, index) => {
+    if (block.type === 'same') {
+      appendContext(container, block.mine, index === 0, index === blocks.length - 1);
+      return;
+    }
+    if (block.type === 'conflict') {
+      container.appendChild(diffLabel('Both changed this: yours', true));
+      block.mine.forEach(text => container.appendChild(diffLine('added', text)));
+      container.appendChild(diffLabel(`Default v${status.baseVersion}`, true));
+      block.base.forEach(text => container.appendChild(diffLine('removed', text)));
+      container.appendChild(diffLabel(`Default v${status.defaultVersion}`, true));
+      block.theirs.forEach(text => container.appendChild(diffLine('added', text)));
+      return;
+    }
+    const labels = { mine: 'Your edit', theirs: `New in default v${status.defaultVersion}`, both: 'Your edit, also in the new default' };
+    container.appendChild(diffLabel(labels[block.type]));
+    block.base.forEach(text => container.appendChild(diffLine('removed', text)));
+    (block.type === 'theirs' ? block.theirs : block.mine).forEach(text => container.appendChild(diffLine('added', text)));
+  });
+  return container;
+}
+
+function renderHistory(history) {
+  const heading = document.createElement('h3');
+  heading.textContent = 'History';
+  promptDetail.appendChild(heading);
+
+  if (history.length === 0) {
+    showMessage(promptDetail.appendChild(document.createElement('div')), 'No earlier versions yet.');
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'history-table';
+  history.forEach(version => {
+    const row = document.createElement('tr');
+    const words = version.text.split(/\s+/).filter(Boolean).length;
+    [new Date(version.savedAt).toLocaleString(), version.source, `${words} words`].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      row.appendChild(td);
+    });
+
+    const actionCell = document.createElement('td');
+    if (version.current) {
+      actionCell.textContent = 'current';
+    } else {
+      actionCell.appendChild(actionButton('Revert', () => changePrompt('revert', version.hash)));
+    }
+    row.appendChild(actionCell);
+    table.appendChild(row);
+  });
+  promptDetail.appendChild(table);
+}
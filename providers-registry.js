@@ -1,6 +1,19 @@
 // providers-registry.js - Centralized registry for all AI provider information
 // This replaces scattered hardcoding throughout the app with a single source of truth
 
+// modelPricing: US dollars per million tokens, checked in order against the
+// model name (first match wins, so list more specific names first). Models
+// priced higher for long prompts have a longContext tier. Input read from a
+// context cache costs cachedInput, a quarter of the input price unless listed;
+// keeping a context cache costs cacheStoragePerHour per million tokens.
+const PRICES_UPDATED = '2025-06';
+
+// temperatureRange: the provider's accepted sampling temperatures.
+// modelLimits: checked like modelPricing. maxOutputTokens is the most a
+// request may ask for, thinking is { min, max, canDisable } for the thinking
+// budget in tokens, or null when the model takes no budget. A model that
+// isn't listed is not checked.
+
 const PROVIDERS_REGISTRY = {
   gemini: {
     id: 'gemini',
@@ -14,6 +27,23 @@ const PROVIDERS_REGISTRY = {
     defaultModel: 'gemini-2.5-pro-preview-05-06',
     supportedFeatures: ['streaming', 'thinking', 'file-upload', 'large-context', '1M context window'],
     pricing: 'low',
+    modelPricing: [
+      { match: 'gemini-2.5-pro', input: 1.25, output: 10, cacheStoragePerHour: 4.5, longContext: { threshold: 200000, input: 2.5, output: 15 } },
+      { match: 'gemini-2.5-flash-lite', input: 0.1, output: 0.4, cacheStoragePerHour: 1 },
+      { match: 'gemini-2.5-flash', input: 0.3, output: 2.5, cacheStoragePerHour: 1 },
+      { match: 'gemini-2.0-flash-lite', input: 0.075, output: 0.3, cacheStoragePerHour: 1 },
+      { match: 'gemini-2.0-flash', input: 0.1, output: 0.4, cacheStoragePerHour: 1 },
+      { match: 'gemini-1.5-pro', input: 1.25, output: 5, cacheStoragePerHour: 4.5, longContext: { threshold: 128000, input: 2.5, output: 10 } },
+      { match: 'gemini-1.5-flash', input: 0.075, output: 0.3, cacheStoragePerHour: 1, longContext: { threshold: 128000, input: 0.15, output: 0.6 } }
+    ],
+    temperatureRange: [0, 2],
+    modelLimits: [
+      { match: 'gemini-2.5-pro', maxOutputTokens: 65536, thinking: { min: 128, max: 32768, canDisable: false } },
+      { match: 'gemini-2.5-flash-lite', maxOutputTokens: 65536, thinking: { min: 512, max: 24576, canDisable: true } },
+      { match: 'gemini-2.5-flash', maxOutputTokens: 65536, thinking: { min: 1, max: 24576, canDisable: true } },
+      { match: 'gemini-2.0-flash', maxOutputTokens: 8192, thinking: null },
+      { match: 'gemini-1.5', maxOutputTokens: 8192, thinking: null }
+    ],
     recommended: true,
     order: 1
   },
@@ -30,6 +60,28 @@ const PROVIDERS_REGISTRY = {
     defaultModel: 'gpt-4.1-2025-04-14',
     supportedFeatures: ['streaming', 'thinking', 'large-context', '1M context window'],
     pricing: 'high',
+    modelPricing: [
+      { match: 'gpt-4.1-nano', input: 0.1, output: 0.4 },
+      { match: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+      { match: 'gpt-4.1', input: 2, output: 8 },
+      { match: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+      { match: 'gpt-4o', input: 2.5, output: 10 },
+      { match: 'o4-mini', input: 1.1, output: 4.4 },
+      { match: 'o3-mini', input: 1.1, output: 4.4 },
+      { match: 'o3', input: 2, output: 8 },
+      { match: 'o1-mini', input: 1.1, output: 4.4 },
+      { match: 'o1', input: 15, output: 60 }
+    ],
+    // Reasoning models (o-series) take an effort level rather than a thinking budget
+    temperatureRange: [0, 2],
+    modelLimits: [
+      { match: 'gpt-4.1', maxOutputTokens: 32768, thinking: null },
+      { match: 'gpt-4o', maxOutputTokens: 16384, thinking: null },
+      { match: 'o4-mini', maxOutputTokens: 100000, thinking: null },
+      { match: 'o3', maxOutputTokens: 100000, thinking: null },
+      { match: 'o1-mini', maxOutputTokens: 65536, thinking: null },
+      { match: 'o1', maxOutputTokens: 100000, thinking: null }
+    ],
     recommended: false,
     order: 2
   },
@@ -46,8 +98,69 @@ const PROVIDERS_REGISTRY = {
     defaultModel: 'claude-sonnet-4-20250514',
     supportedFeatures: ['streaming', 'thinking', '200K context window (tiny)'],
     pricing: 'high',
+    modelPricing: [
+      { match: 'claude-opus-4', input: 15, output: 75 },
+      { match: 'claude-sonnet-4', input: 3, output: 15 },
+      { match: 'claude-3-7-sonnet', input: 3, output: 15 },
+      { match: 'claude-3-5-sonnet', input: 3, output: 15 },
+      { match: 'claude-3-5-haiku', input: 0.8, output: 4 },
+      { match: 'claude-3-opus', input: 15, output: 75 },
+      { match: 'claude-3-haiku', input: 0.25, output: 1.25 }
+    ],
+    // client-claude.js asks for at most 32K tokens, thinking included
+    temperatureRange: [0, 1],
+    modelLimits: [
+      { match: 'claude-opus-4', maxOutputTokens: 32000, thinking: { min: 1024, max: 31999, canDisable: true } },
+      { match: 'claude-sonnet-4', maxOutputTokens: 32000, thinking: { min: 1024, max: 31999, canDisable: true } },
+      { match: 'claude-3-7-sonnet', maxOutputTokens: 32000, thinking: { min: 1024, max: 31999, canDisable: true } },
+      { match: 'claude-3-5', maxOutputTokens: 8192, thinking: null },
+      { match: 'claude-3-', maxOutputTokens: 4096, thinking: null }
+    ],
     recommended: false,
     order: 3
+  },
+  
+  local: {
+    id: 'local',
+    name: 'Local AI',
+    displayName: 'Local AI (self-hosted)',
+    description: 'Any OpenAI-compatible server you run yourself, such as llama.cpp, Ollama or LM Studio',
+    features: ['Manuscripts never leave your computer or network', 'No usage costs', 'Quality depends on the model'],
+    emoji: '🟣',
+    envVar: 'LOCAL_AI_API_KEY',
+    requiresApiKey: false, // most local servers don't check a key
+    clientFile: './client-local.js',
+    defaultModel: '',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultContextWindow: 32768,
+    supportedFeatures: ['streaming', 'private', 'configurable context window'],
+    pricing: 'low',
+    modelPricing: [{ match: '', input: 0, output: 0 }],
+    // Output is capped by the context size set for the server instead
+    temperatureRange: [0, 2],
+    modelLimits: [{ match: '', thinking: null }],
+    recommended: false,
+    order: 4
+  },
+  
+  mock: {
+    id: 'mock',
+    name: 'Mock AI',
+    displayName: 'Mock AI (offline testing)',
+    description: 'Replays scripted responses so tools can be tested without API keys or a network',
+    features: ['No API key or network needed', 'Same output on every run', 'Not a real AI'],
+    emoji: '⚪',
+    envVar: 'MOCK_AI_FIXTURES', // optional path to fixture responses
+    requiresApiKey: false,
+    clientFile: './client-mock.js',
+    defaultModel: 'mock-default',
+    supportedFeatures: ['streaming', 'thinking', 'deterministic'],
+    pricing: 'low',
+    modelPricing: [{ match: '', input: 0, output: 0 }],
+    temperatureRange: [0, 2],
+    modelLimits: [{ match: '', maxOutputTokens: 32768, thinking: { min: 1, max: 32768, canDisable: true } }],
+    recommended: false,
+    order: 5
   }
 };
 
@@ -77,6 +190,11 @@ class ProvidersRegistry {
     return this.getProvider(providerId).envVar;
   }
   
+  // Whether the provider needs an API key in .env before it can be used
+  static requiresApiKey(providerId) {
+    return this.getProvider(providerId).requiresApiKey !== false;
+  }
+  
   // Get client file path
   static getClientFile(providerId) {
     return this.getProvider(providerId).clientFile;
@@ -128,10 +246,52 @@ class ProvidersRegistry {
   static getProviderDisplayName(providerId) {
     return this.getProvider(providerId).displayName;
   }
+  
+  // Get per-million-token prices for a model, or null if it isn't listed
+  static getModelPricing(providerId, modelName) {
+    if (!this.isValidProvider(providerId)) {
+      return null;
+    }
+    const name = (modelName || '').toLowerCase();
+    const prices = this.getProvider(providerId).modelPricing || [];
+    return prices.find(price => name.includes(price.match)) || null;
+  }
+  
+  // Get a model's generation limits: { temperatureRange, maxOutputTokens, thinking },
+  // where maxOutputTokens and thinking are undefined if the model isn't listed
+  static getModelLimits(providerId, modelName) {
+    if (!this.isValidProvider(providerId)) {
+      return { temperatureRange: [0, 2], maxOutputTokens: undefined, thinking: undefined };
+    }
+    const provider = this.getProvider(providerId);
+    const name = (modelName || '').toLowerCase();
+    const limits = (provider.modelLimits || []).find(entry => name.includes(entry.match)) || {};
+    return {
+      temperatureRange: provider.temperatureRange || [0, 2],
+      maxOutputTokens: limits.maxOutputTokens,
+      thinking: limits.thinking
+    };
+  }
+  
+  // Estimate the cost in US dollars of a request, or null if the model's price is unknown;
+  // cachedInputTokens is the part of inputTokens read from a context cache
+  static estimateCost(providerId, modelName, inputTokens, outputTokens, cachedInputTokens = 0) {
+    const pricing = this.getModelPricing(providerId, modelName);
+    if (!pricing) {
+      return null;
+    }
+    const rates = pricing.longContext && inputTokens > pricing.longContext.threshold
+      ? pricing.longContext
+      : pricing;
+    const cachedRate = rates.cachedInput !== undefined ? rates.cachedInput : rates.input / 4;
+    return ((inputTokens - cachedInputTokens) * rates.input + cachedInputTokens * cachedRate +
+      outputTokens * rates.output) / 1000000;
+  }
 }
 
 module.exports = {
   PROVIDERS_REGISTRY,
+  PRICES_UPDATED,
   ProvidersRegistry
 };
 
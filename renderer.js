@@ -89,6 +89,8 @@ switchProviderBtn.addEventListener('click', () => {
 const selectProjectBtn = document.getElementById('select-project-btn');
 const currentProjectName = document.getElementById('current-project-name');
 const currentProjectPath = document.getElementById('current-project-path');
+const projectGenreGroup = document.getElementById('project-genre-group');
+const projectGenreSelect = document.getElementById('project-genre-select');
 
 // Tool selection functionality
 const aiToolSelect = document.getElementById('ai-tool-select');
@@ -106,11 +108,46 @@ async function loadProjectInfo() {
   try {
     const projectInfo = await window.electronAPI.getProjectInfo();
     updateProjectDisplay(projectInfo);
+    loadProjectGenre(Boolean(projectInfo && projectInfo.current_project));
   } catch (error) {
     console.error('Error loading project info:', error);
   }
 }
 
+// Show the project's genre; only shown once a project is selected
+async function loadProjectGenre(hasProject) {
+  if (!hasProject) {
+    projectGenreGroup.style.display = 'none';
+    return;
+  }
+  try {
+    const { genre, genres } = await window.electronAPI.getProjectGenre();
+    projectGenreSelect.innerHTML = '';
+    genres.forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      projectGenreSelect.appendChild(option);
+    });
+    projectGenreSelect.value = genre;
+    projectGenreGroup.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading project genre:', error);
+  }
+}
+
+// A new genre lists a different set of tools
+projectGenreSelect.addEventListener('change', async () => {
+  const result = await window.electronAPI.setProjectGenre(projectGenreSelect.value);
+  if (!result.success) {
+    alert(`Could not change the genre: ${result.message}`);
+    loadProjectGenre(true);
+    return;
+  }
+  loadAiTools();
+  loadNonAiTools();
+});
+
 // Update the project display in the UI
 function updateProjectDisplay(projectInfo) {
   if (projectInfo && projectInfo.current_project) {
@@ -142,6 +179,7 @@ window.electronAPI.onProjectUpdated((event) => {
       current_project: event.project.projectName,
       current_project_path: event.project.projectPath
     });
+    loadProjectGenre(true);
     
     // Reload tools list after project change
     loadAiTools();
@@ -153,7 +191,7 @@ window.electronAPI.onProjectUpdated((event) => {
 function isAiTool(tool) {
   // Check if tool requires AI API service - non-AI tools don't need AI
   // Based on tool-system.js, non-AI tools are those that don't need GeminiAPIService
-  const nonAiTools = ['docx_comments', 'epub_converter'];
+  const nonAiTools = ['docx_comments', 'epub_converter', 'findings_to_docx'];
   const result = !nonAiTools.includes(tool.name);
   console.log(`*** isAiTool: Tool "${tool.name}" is ${result ? 'AI' : 'non-AI'} tool`);
   return result;
@@ -206,7 +244,7 @@ async function loadAiTools() {
   }
   
   // Define tool categories
-  const topTools = ["tokens_words_counter", "narrative_integrity", "developmental_editing", "line_editing", "copy_editing", "proofreader_spelling", "proofreader_punctuation", "proofreader_plot_consistency"];
+  const topTools = ["tokens_words_counter", "narrative_integrity", "developmental_editing", "creative_nonfiction_editing", "nonfiction_integrity_editing", "selfhelp_nonfiction_editing", "evidence_gap_finder", "line_editing", "copy_editing", "proofreader_spelling", "proofreader_punctuation", "proofreader_plot_consistency"];
   const roughDraftTools = ["brainstorm", "outline_writer", "world_writer", "chapter_writer"];
   
   // Track which tools have been added to avoid duplicates
@@ -256,16 +294,19 @@ async function loadAiTools() {
     }
   });
   
-  // Now, append to the end the "Rough Draft Writing Tools" header
-  const roughDraftHeader = document.createElement('option');
-  roughDraftHeader.disabled = true;
-  roughDraftHeader.value = '';
-  roughDraftHeader.textContent = '- AI Rough Draft Writing Tools:';
-  roughDraftHeader.style.color = '#999';
-  roughDraftHeader.style.fontWeight = 'bold';
-  roughDraftHeader.style.backgroundColor = '#252525';
-  roughDraftHeader.style.padding = '2px';
-  aiToolSelect.appendChild(roughDraftHeader);
+  // Now, append to the end the "Rough Draft Writing Tools" header, unless the
+  // project's genre leaves them out
+  if (aiTools.some(tool => roughDraftTools.includes(tool.name))) {
+    const roughDraftHeader = document.createElement('option');
+    roughDraftHeader.disabled = true;
+    roughDraftHeader.value = '';
+    roughDraftHeader.textContent = '- AI Rough Draft Writing Tools:';
+    roughDraftHeader.style.color = '#999';
+    roughDraftHeader.style.fontWeight = 'bold';
+    roughDraftHeader.style.backgroundColor = '#252525';
+    roughDraftHeader.style.padding = '2px';
+    aiToolSelect.appendChild(roughDraftHeader);
+  }
   
   // Then add the rough draft tools
   aiTools.forEach(tool => {
@@ -869,6 +910,193 @@ if (exportTxtBtn) {
   });
 }
 
+// Run History button handler
+const runHistoryBtn = document.getElementById('run-history-btn');
+if (runHistoryBtn) {
+  runHistoryBtn.addEventListener('click', async () => {
+    const projectInfo = await window.electronAPI.getProjectInfo();
+    if (!projectInfo || !projectInfo.current_project) {
+      alert('Please select a project first.');
+      return;
+    }
+    window.electronAPI.showRunHistory();
+  });
+}
+
+// Pipelines button handler; pipelines run on the current project
+const pipelinesBtn = document.getElementById('pipelines-btn');
+if (pipelinesBtn) {
+  pipelinesBtn.addEventListener('click', async () => {
+    const projectInfo = await window.electronAPI.getProjectInfo();
+    if (!projectInfo || !projectInfo.current_project) {
+      alert('Please select a project first.');
+      return;
+    }
+    window.electronAPI.showPipelines();
+  });
+}
+
+// Usage & Costs button handler (covers all projects, so none need be selected)
+const usageBtn = document.getElementById('usage-btn');
+if (usageBtn) {
+  usageBtn.addEventListener('click', () => {
+    window.electronAPI.showUsage();
+  });
+}
+
+// Prompts button handler: compare prompts with their defaults, put back past versions
+const promptsBtn = document.getElementById('prompts-btn');
+if (promptsBtn) {
+  promptsBtn.addEventListener('click', () => {
+    window.electronAPI.showPrompts();
+  });
+}
+
+// Background runs: tools started from Setup & Run, listed with their status;
+// Output shows a job's output so far and follows it while it runs
+const jobList = document.getElementById('job-list');
+const jobOutputPanel = document.getElementById('job-output-panel');
+const jobOutputTitle = document.getElementById('job-output-title');
+const jobOutput = document.getElementById('job-output');
+const clearJobsBtn = document.getElementById('clear-jobs-btn');
+const jobOutputCloseBtn = document.getElementById('job-output-close-btn');
+let jobs = [];
+let watchedJobId = null;
+
+// How long a job has waited, run or took, as 1:05 or 1:02:05
+function formatJobTime(job) {
+  const from = Date.parse(job.startedAt || job.createdAt);
+  const to = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+  const seconds = Math.max(0, Math.floor((to - from) / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+function createJobButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'text-button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderJobs() {
+  jobList.innerHTML = '';
+  if (jobs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'job-empty';
+    empty.textContent = 'Tools you run from Setup & Run are listed here, and keep running if you close their window.';
+    jobList.appendChild(empty);
+    return;
+  }
+
+  // Newest first
+  [...jobs].reverse().forEach(job => {
+    const row = document.createElement('div');
+    row.className = job.id === watchedJobId ? 'job-row watched' : 'job-row';
+
+    const status = document.createElement('span');
+    status.className = `job-status ${job.status}`;
+    status.textContent = job.status;
+    row.appendChild(status);
+
+    const name = document.createElement('span');
+    name.className = 'job-name';
+    name.textContent = `${job.toolTitle} (${job.project})`;
+    name.title = job.error || '';
+    row.appendChild(name);
+
+    const time = document.createElement('span');
+    time.className = 'job-time';
+    time.dataset.jobId = job.id;
+    time.textContent = formatJobTime(job);
+    row.appendChild(time);
+
+    row.appendChild(createJobButton('Output', () => showJob(job.id)));
+    if (job.status === 'queued' || job.status === 'running') {
+      row.appendChild(createJobButton('Cancel', () => window.electronAPI.cancelJob(job.id)));
+    }
+    job.outputFiles.forEach(file => {
+      row.appendChild(createJobButton(`Open ${file.split(/[\\/]/).pop()}`, async () => {
+        const result = await window.electronAPI.openFileInEditor(file);
+        if (!result.success) {
+          alert(`Could not open file: ${result.error}`);
+        }
+      }));
+    });
+    jobList.appendChild(row);
+  });
+}
+
+async function showJob(jobId) {
+  const job = await window.electronAPI.watchJob(jobId);
+  if (!job) {
+    return;
+  }
+  watchedJobId = jobId;
+  jobOutputTitle.textContent = `${job.toolTitle} (${job.project})`;
+  jobOutput.textContent = job.output;
+  jobOutput.scrollTop = jobOutput.scrollHeight;
+  jobOutputPanel.style.display = 'block';
+  renderJobs();
+}
+
+if (jobList) {
+  window.electronAPI.getJobs()
+    .then(list => {
+      jobs = list;
+      renderJobs();
+    })
+    .catch(error => console.error('Error loading background runs:', error));
+
+  window.electronAPI.onJobUpdated(job => {
+    const index = jobs.findIndex(other => other.id === job.id);
+    if (index === -1) {
+      jobs.push(job);
+    } else {
+      jobs[index] = job;
+    }
+    renderJobs();
+  });
+
+  window.electronAPI.onJobOutput(({ jobId, text }) => {
+    if (jobId === watchedJobId) {
+      jobOutput.textContent += text;
+      jobOutput.scrollTop = jobOutput.scrollHeight;
+    }
+  });
+
+  // Clicking a finished-run notification shows that run
+  window.electronAPI.onShowJob(jobId => showJob(jobId));
+
+  clearJobsBtn.addEventListener('click', async () => {
+    jobs = await window.electronAPI.clearFinishedJobs();
+    if (!jobs.some(job => job.id === watchedJobId)) {
+      jobOutputCloseBtn.click();
+    }
+    renderJobs();
+  });
+
+  jobOutputCloseBtn.addEventListener('click', () => {
+    window.electronAPI.watchJob(null);
+    watchedJobId = null;
+    jobOutputPanel.style.display = 'none';
+    renderJobs();
+  });
+
+  // Keep the times of waiting and running jobs current
+  setInterval(() => {
+    jobs.filter(job => !job.finishedAt).forEach(job => {
+      const time = jobList.querySelector(`.job-time[data-job-id="${job.id}"]`);
+      if (time) {
+        time.textContent = formatJobTime(job);
+      }
+    });
+  }, 1000);
+}
+
 // Add this to listen for when a tool run finishes and the window gains focus again
 // This updates the timestamp when returning to the main window
 window.addEventListener('focus', updateTimestamp);
@@ -0,0 +1,144 @@
+// response-cache.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Response cache
+ * A finished AI response is saved as one JSON file per key in
+ * `<project>/.storygrinder/response-cache/`, so re-running a tool on an
+ * unchanged manuscript with the same prompt, provider, model and settings can
+ * reuse the answer instead of paying for it again:
+ *
+ * {
+ *   key, toolId, manuscriptFile, createdAt,
+ *   provider, model,
+ *   promptHash,             // same short hash as the run history
+ *   response                // full response text
+ * }
+ *
+ * The key hashes the manuscript and prompt contents, so editing either one
+ * (including the prompt file in tool-prompts) simply stops matching; the
+ * entries they leave behind are removed when the tool's next response from
+ * the same model is saved for that manuscript.
+ */
+
+const { GENERATION_OPTION_NAMES } = require('./generation-params');
+
+const CACHE_DIR = path.join('.storygrinder', 'response-cache');
+
+// Options that don't change the response: where files go, and this cache's own switch.
+// Generation options do, but are keyed by the values actually sent (see buildCacheKey),
+// and reference files by their contents, which are part of the prompt
+const IGNORED_OPTIONS = ['save_dir', 'reuse_cached_response', 'reference_files', ...GENERATION_OPTION_NAMES];
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Path of a project's cache folder
+ * @param {string} projectPath - Project directory
+ * @returns {string}
+ */
+function getCacheDir(projectPath) {
+  return path.join(projectPath, CACHE_DIR);
+}
+
+/**
+ * The tool options that affect the response. File paths are left out since
+ * the manuscript's content is hashed instead, so a moved manuscript still matches.
+ * @param {Object} options - Option values the tool is run with
+ * @param {Object[]} [optionDefs=[]] - The tool's option definitions
+ * @returns {Object} - Options sorted by name
+ */
+function cacheParams(options, optionDefs = []) {
+  const fileOptions = optionDefs.filter(def => def.type === 'file').map(def => def.name);
+  const params = {};
+  Object.keys(options || {})
+    .filter(name => !IGNORED_OPTIONS.includes(name) && !fileOptions.includes(name) && name !== 'manuscript_file')
+    .sort()
+    .forEach(name => {
+      params[name] = options[name];
+    });
+  return params;
+}
+
+/**
+ * Cache key for a request
+ * @param {Object} request
+ * @param {string} request.toolId - Tool ID
+ * @param {string} request.manuscript - Manuscript content
+ * @param {string} request.prompt - Prompt text
+ * @param {string} request.provider - Provider ID
+ * @param {string} request.model - Model name
+ * @param {Object} request.params - Result of cacheParams()
+ * @param {Object} [request.generation] - Generation parameters sent with the
+ *   request (see generation-params.js); left out of the key when none are set
+ * @returns {string}
+ */
+function buildCacheKey({ toolId, manuscript, prompt, provider, model, params, generation }) {
+  const key = {
+    toolId,
+    manuscript: sha256(manuscript),
+    prompt: sha256(prompt),
+    provider: provider || null,
+    model: model || null,
+    params: params || {}
+  };
+  const generationSet = Object.entries(generation || {}).filter(([, value]) => value !== undefined);
+  if (generationSet.length > 0) {
+    key.generation = Object.fromEntries(generationSet.sort(([a], [b]) => a.localeCompare(b)));
+  }
+  return sha256(JSON.stringify(key));
+}
+
+/**
+ * Look up a cached response
+ * @param {string} projectPath - Project directory
+ * @param {string} key - From buildCacheKey()
+ * @returns {Promise<Object|null>} - Cache entry (see above), or null
+ */
+async function getCachedResponse(projectPath, key) {
+  try {
+    const text = await fs.readFile(path.join(getCacheDir(projectPath), `${key}.json`), 'utf8');
+    const entry = JSON.parse(text);
+    return typeof entry.response === 'string' ? entry : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Ignoring unreadable response cache entry ${key}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Save a response, replacing the tool's older entries for the same manuscript
+ * and model (other models' answers stay, e.g. those of a comparison run)
+ * @param {string} projectPath - Project directory
+ * @param {Object} entry - Cache entry (see above)
+ * @returns {Promise<void>}
+ */
+async function saveCachedResponse(projectPath, entry) {
+  const cacheDir = getCacheDir(projectPath);
+  await fs.mkdir(cacheDir, { recursive: true });
+
+  for (const name of await fs.readdir(cacheDir)) {
+    if (!name.endsWith('.json') || name === `${entry.key}.json`) continue;
+    const old = await getCachedResponse(projectPath, path.basename(name, '.json'));
+    if (old && old.toolId === entry.toolId && old.manuscriptFile === entry.manuscriptFile &&
+        old.provider === entry.provider && old.model === entry.model) {
+      await fs.unlink(path.join(cacheDir, name)).catch(() => {});
+    }
+  }
+
+  await fs.writeFile(path.join(cacheDir, `${entry.key}.json`), JSON.stringify(entry), 'utf8');
+}
+
+module.exports = {
+  getCacheDir,
+  cacheParams,
+  buildCacheKey,
+  getCachedResponse,
+  saveCachedResponse
+};
@@ -0,0 +1,207 @@
+// run-history-dialog.js
+
+// DOM elements
+const projectNameElement = document.getElementById('project-name');
+const closeBtn = document.getElementById('close-btn');
+const toolFilter = document.getElementById('tool-filter');
+const fromFilter = document.getElementById('from-filter');
+const toFilter = document.getElementById('to-filter');
+const historyCount = document.getElementById('history-count');
+const historyList = document.getElementById('history-list');
+
+window.addEventListener('DOMContentLoaded', async () => {
+  window.electronAPI.onSetTheme((theme) => {
+    document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+  });
+
+  await loadRuns();
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeRunHistory();
+});
+
+toolFilter.addEventListener('change', loadRuns);
+fromFilter.addEventListener('change', loadRuns);
+toFilter.addEventListener('change', loadRuns);
+
+// Fetch runs matching the current filters and show them
+async function loadRuns() {
+  try {
+    const result = await window.electronAPI.getRunHistory({
+      toolId: toolFilter.value || undefined,
+      from: fromFilter.value || undefined,
+      to: toFilter.value || undefined
+    });
+
+    if (!result.success) {
+      historyList.innerHTML = '';
+      showEmpty(result.message || 'Could not load the run history.');
+      return;
+    }
+
+    projectNameElement.textContent = result.projectName || '';
+    updateToolFilter(result.tools);
+    renderRuns(result.runs);
+  } catch (error) {
+    console.error('Error loading run history:', error);
+    showEmpty(`Error loading run history: ${error.message}`);
+  }
+}
+
+// Keep the tool dropdown in sync with the tools found in the history
+function updateToolFilter(tools) {
+  const selected = toolFilter.value;
+  toolFilter.innerHTML = '<option value="">All tools</option>';
+
+  tools
+    .sort((a, b) => a.title.localeCompare(b.title))
+    .forEach(tool => {
+      const option = document.createElement('option');
+      option.value = tool.id;
+      option.textContent = tool.title;
+      option.selected = tool.id === selected;
+      toolFilter.appendChild(option);
+    });
+}
+
+function showEmpty(message) {
+  historyCount.textContent = '';
+  const empty = document.createElement('div');
+  empty.className = 'history-empty';
+  empty.textContent = message;
+  historyList.appendChild(empty);
+}
+
+function renderRuns(runs) {
+  historyList.innerHTML = '';
+
+  if (runs.length === 0) {
+    showEmpty('No tool runs recorded yet for this project.');
+    return;
+  }
+  historyCount.textContent = `${runs.length} run${runs.length === 1 ? '' : 's'}`;
+
+  runs.forEach(run => historyList.appendChild(createRunCard(run)));
+}
+
+function createRunCard(run) {
+  const card = document.createElement('div');
+  card.className = 'run-card';
+
+  // Title, status and date
+  const header = document.createElement('div');
+  header.className = 'run-card-header';
+
+  const title = document.createElement('span');
+  title.className = 'run-title';
+  title.textContent = run.toolTitle || run.toolId;
+
+  const status = document.createElement('span');
+  status.className = `run-status ${run.status}`;
+  status.textContent = run.status;
+
+  const date = document.createElement('span');
+  date.className = 'run-date';
+  date.textContent = new Date(run.startedAt).toLocaleString();
+
+  header.appendChild(title);
+  header.appendChild(status);
+  header.appendChild(date);
+  card.appendChild(header);
+
+  // Provider, model, tokens, cost and duration
+  const details = document.createElement('div');
+  details.className = 'run-details';
+  details.textContent = formatDetails(run);
+  card.appendChild(details);
+
+  if (run.error) {
+    const error = document.createElement('div');
+    error.className = 'run-error';
+    error.textContent = run.error;
+    card.appendChild(error);
+  }
+
+  const options = document.createElement('div');
+  options.className = 'run-options';
+  options.textContent = Object.entries(run.options || {})
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n') || 'No options';
+  card.appendChild(options);
+
+  // Actions: open each report, show options, re-run
+  const actions = document.createElement('div');
+  actions.className = 'run-actions';
+
+  run.outputFiles.forEach(file => {
+    const openBtn = document.createElement('button');
+    openBtn.textContent = `Open ${file.name}`;
+    openBtn.title = file.exists ? file.path : `File no longer exists: ${file.path}`;
+    openBtn.disabled = !file.exists;
+    openBtn.addEventListener('click', async () => {
+      const result = await window.electronAPI.openFileInEditor(file.path);
+      if (!result.success) {
+        alert(`Could not open file: ${result.error}`);
+      }
+    });
+    actions.appendChild(openBtn);
+  });
+
+  const optionsBtn = document.createElement('button');
+  optionsBtn.textContent = 'Options';
+  optionsBtn.addEventListener('click', () => {
+    card.classList.toggle('show-options');
+  });
+  actions.appendChild(optionsBtn);
+
+  const rerunBtn = document.createElement('button');
+  rerunBtn.className = 'rerun-btn';
+  rerunBtn.textContent = 'Re-run';
+  rerunBtn.title = 'Open this tool with the same options';
+  rerunBtn.addEventListener('click', async () => {
+    const result = await window.electronAPI.rerunTool(run.id);
+    if (!result.success) {
+      alert(result.message);
+    }
+  });
+  actions.appendChild(rerunBtn);
+
+  card.appendChild(actions);
+  return card;
+}
+
+function formatDetails(run) {
+  const parts = [];
+
+  if (run.provider || run.model) {
+    parts.push([run.provider, run.model].filter(Boolean).join(' / '));
+  }
+
+  if (run.tokens) {
+    const tokens = [];
+    if (run.tokens.prompt > 0) tokens.push(`prompt ${run.tokens.prompt}`);
+    if (run.tokens.manuscript > 0) tokens.push(`manuscript ${run.tokens.manuscript}`);
+    if (run.tokens.response > 0) tokens.push(`response ${run.tokens.response}`);
+    if (tokens.length > 0) {
+      parts.push(`tokens: ${tokens.join(', ')}`);
+    }
+  }
+
+  if (run.reusedResponse) {
+    parts.push('reused previous result');
+  } else if (typeof run.cost === 'number') {
+    parts.push(`~$${run.cost < 0.01 && run.cost > 0 ? run.cost.toFixed(4) : run.cost.toFixed(2)}`);
+  }
+
+  if (typeof run.durationMs === 'number') {
+    const seconds = run.durationMs / 1000;
+    parts.push(`${Math.floor(seconds / 60)}m ${(seconds % 60).toFixed(0)}s`);
+  }
+
+  if (run.promptHash) {
+    parts.push(`prompt #${run.promptHash}`);
+  }
+
+  return parts.join(' · ');
+}
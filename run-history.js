@@ -0,0 +1,118 @@
+// run-history.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Tool run history
+ * Every tool run is appended as one JSON line to
+ * `<project>/.storygrinder/runs.jsonl`, so past runs survive restarts and can
+ * be browsed, reopened and re-run from the Run History window:
+ *
+ * {
+ *   id, toolId, toolTitle, startedAt, finishedAt, durationMs,
+ *   status,                 // 'success', 'error' or 'cancelled'
+ *   error,                  // message when status is 'error'
+ *   options,                // option values the tool was run with
+ *   provider, model,        // null for non-AI tools
+ *   promptHash,             // short sha256 of the prompt sent, when known
+ *   tokens: { prompt, manuscript, response },
+ *   reusedResponse,         // true if the AI response came from the response cache
+ *   cost,                   // estimated US dollars, null if unknown
+ *   outputFiles
+ * }
+ */
+
+const HISTORY_DIR = '.storygrinder';
+const HISTORY_FILE = 'runs.jsonl';
+
+/**
+ * Path of a project's history file
+ * @param {string} projectPath - Project directory
+ * @returns {string}
+ */
+function getHistoryPath(projectPath) {
+  return path.join(projectPath, HISTORY_DIR, HISTORY_FILE);
+}
+
+/**
+ * Short, stable fingerprint of a prompt, so runs made with an edited prompt
+ * can be told apart without storing the whole prompt in every entry
+ * @param {string} text - Prompt text
+ * @returns {string|null}
+ */
+function hashPrompt(text) {
+  if (!text) return null;
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Append a run to the project's history
+ * @param {string} projectPath - Project directory
+ * @param {Object} entry - Run record (see above)
+ * @returns {Promise<void>}
+ */
+async function recordRun(projectPath, entry) {
+  const historyPath = getHistoryPath(projectPath);
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+  await fs.appendFile(historyPath, JSON.stringify(entry) + '\n', 'utf8');
+}
+
+/**
+ * Read a project's run history, newest first
+ * @param {string} projectPath - Project directory
+ * @param {Object} [filter]
+ * @param {string} [filter.toolId] - Only runs of this tool
+ * @param {string} [filter.from] - Only runs started on or after this date (YYYY-MM-DD)
+ * @param {string} [filter.to] - Only runs started on or before this date (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} - Run records
+ */
+async function readRuns(projectPath, filter = {}) {
+  let text;
+  try {
+    text = await fs.readFile(getHistoryPath(projectPath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const runs = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (error) {
+      // A line cut short by a crash shouldn't hide the rest of the history
+      console.warn(`Skipping unreadable run history line: ${error.message}`);
+    }
+  }
+
+  const from = filter.from ? new Date(`${filter.from}T00:00:00`) : null;
+  const to = filter.to ? new Date(`${filter.to}T23:59:59.999`) : null;
+
+  return runs
+    .filter(run => !filter.toolId || run.toolId === filter.toolId)
+    .filter(run => !from || new Date(run.startedAt) >= from)
+    .filter(run => !to || new Date(run.startedAt) <= to)
+    .reverse();
+}
+
+/**
+ * Find a single run by id
+ * @param {string} projectPath - Project directory
+ * @param {string} runId - Run id
+ * @returns {Promise<Object|null>}
+ */
+async function getRun(projectPath, runId) {
+  const runs = await readRuns(projectPath);
+  return runs.find(run => run.id === runId) || null;
+}
+
+module.exports = {
+  HISTORY_DIR,
+  getHistoryPath,
+  hashPrompt,
+  recordRun,
+  readRuns,
+  getRun
+};
@@ -0,0 +1,16 @@
+// selfhelp-nonfiction-editing.js
+const ToolBase = require('./tool-base');
+
+/**
+ * Self-Help Editing Tool
+ * Developmental edit for self-help books: how well the advice works in
+ * practice, then how well the book supports readers in following it
+ */
+class SelfhelpNonfictionEditing extends ToolBase {
+  constructor(apiService, config = {}) {
+    super('selfhelp_nonfiction_editing', config);
+    this.apiService = apiService;
+  }
+}
+
+module.exports = SelfhelpNonfictionEditing;
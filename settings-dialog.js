@@ -8,6 +8,25 @@ document.addEventListener('DOMContentLoaded', function() {
   const aiProviderSelect = document.getElementById('ai-provider-select');
   const aiModelSelect = document.getElementById('ai-model-select');
   const languageSelect = document.getElementById('language-select');
+  const headingPatternsInput = document.getElementById('heading-patterns');
+  const headingPatternsError = document.getElementById('heading-patterns-error');
+  const localAiSettings = document.getElementById('local-ai-settings');
+  const localBaseUrlInput = document.getElementById('local-base-url');
+  const localContextWindowInput = document.getElementById('local-context-window');
+  const geminiCacheSettings = document.getElementById('gemini-cache-settings');
+  const geminiContextCachingInput = document.getElementById('gemini-context-caching');
+  const geminiCacheTtlInput = document.getElementById('gemini-cache-ttl');
+  const geminiStorageBtn = document.getElementById('gemini-storage-btn');
+  const generationInputs = {
+    temperature: document.getElementById('generation-temperature'),
+    top_p: document.getElementById('generation-top-p'),
+    max_output_tokens: document.getElementById('generation-max-output-tokens'),
+    thinking_budget: document.getElementById('generation-thinking-budget')
+  };
+  const generationError = document.getElementById('generation-error');
+  const maxRetriesInput = document.getElementById('max-retries');
+  const fallbackProviderSelect = document.getElementById('fallback-provider-select');
+  const maxParallelJobsInput = document.getElementById('max-parallel-jobs');
   const cancelBtn = document.getElementById('cancel-btn');
   const saveBtn = document.getElementById('save-btn');
   const saveQuitBtn = document.getElementById('save-quit-btn');
@@ -34,6 +53,9 @@ document.addEventListener('DOMContentLoaded', function() {
   let currentProvider = null;
   let currentModel = null;
   let currentLanguage = null;
+  let initialLocalAi = null;
+  let initialResilience = null;
+  let initialGeminiCache = null;
 
   // Check if electronAPI is available
   if (!window.electronAPI) {
@@ -59,6 +81,32 @@ document.addEventListener('DOMContentLoaded', function() {
         projectsPath.textContent = settings.projectsPath;
       }
       
+      // Set local AI server details before models are listed from it
+      if (settings.localAi) {
+        localBaseUrlInput.value = settings.localAi.base_url;
+        localContextWindowInput.value = settings.localAi.context_window;
+        initialLocalAi = JSON.stringify(getLocalAiSettings());
+      }
+      
+      // Set Gemini context caching settings
+      if (settings.geminiCache) {
+        geminiContextCachingInput.checked = settings.geminiCache.context_caching;
+        geminiCacheTtlInput.value = settings.geminiCache.cache_ttl_minutes;
+        initialGeminiCache = JSON.stringify(getGeminiCacheSettings());
+      }
+      
+      // Set retry and fallback provider settings
+      if (settings.resilience) {
+        maxRetriesInput.value = settings.resilience.max_retries;
+        fallbackProviderSelect.value = settings.resilience.fallback_provider;
+        initialResilience = JSON.stringify(getResilienceSettings());
+      }
+      
+      // Set how many tools may run at once
+      if (settings.jobQueue) {
+        maxParallelJobsInput.value = settings.jobQueue.max_parallel;
+      }
+      
       // Set AI provider
       if (settings.aiProvider) {
         aiProviderSelect.value = settings.aiProvider;
@@ -91,20 +139,63 @@ document.addEventListener('DOMContentLoaded', function() {
         }
       }
       
+      // Set default generation parameters; null shows as blank
+      if (settings.generation) {
+        Object.entries(generationInputs).forEach(([name, input]) => {
+          const value = settings.generation[name];
+          input.value = value === null || value === undefined ? '' : value;
+        });
+      }
+      
+      // Set custom chapter heading patterns, one per line
+      if (Array.isArray(settings.headingPatterns)) {
+        headingPatternsInput.value = settings.headingPatterns.join('\n');
+      }
+      
       console.log('Settings loaded successfully');
     } catch (error) {
       console.error('Error loading settings:', error);
     }
   }
 
+  // Local AI server details from the form
+  function getLocalAiSettings() {
+    return {
+      base_url: localBaseUrlInput.value.trim(),
+      context_window: parseInt(localContextWindowInput.value, 10) || null
+    };
+  }
+
+  // Gemini context caching settings from the form
+  function getGeminiCacheSettings() {
+    return {
+      context_caching: geminiContextCachingInput.checked,
+      cache_ttl_minutes: parseInt(geminiCacheTtlInput.value, 10) || null
+    };
+  }
+
+  // Retry and fallback provider settings from the form
+  function getResilienceSettings() {
+    const maxRetries = parseInt(maxRetriesInput.value, 10);
+    return {
+      max_retries: isNaN(maxRetries) ? null : maxRetries,
+      fallback_provider: fallbackProviderSelect.value
+    };
+  }
+
   // Load models for a specific provider
   async function loadModelsForProvider(provider) {
+    localAiSettings.style.display = provider === 'local' ? 'block' : 'none';
+    geminiCacheSettings.style.display = provider === 'gemini' ? 'block' : 'none';
     aiModelSelect.innerHTML = '<option value="">Loading models...</option>';
     aiModelSelect.disabled = true;
     
     try {
       console.log('Loading models for provider:', provider);
-      const models = await window.electronAPI.getAvailableModels(provider);
+      const models = await window.electronAPI.getAvailableModels(
+        provider,
+        provider === 'local' ? getLocalAiSettings() : undefined
+      );
       console.log('Received models:', models);
       
       aiModelSelect.innerHTML = '';
@@ -127,7 +218,9 @@ document.addEventListener('DOMContentLoaded', function() {
       } else {
         const option = document.createElement('option');
         option.value = '';
-        option.textContent = 'No models available (check API key)';
+        option.textContent = provider === 'local'
+          ? 'No models available (is the local server running?)'
+          : 'No models available (check API key)';
         aiModelSelect.appendChild(option);
       }
       
@@ -144,7 +237,12 @@ document.addEventListener('DOMContentLoaded', function() {
     const providerChanged = currentProvider !== initialProvider;
     const modelChanged = currentModel !== initialModel;
     const languageChanged = currentLanguage !== initialLanguage;
-    const requiresRestart = providerChanged || modelChanged || languageChanged;
+    const localAiChanged = currentProvider === 'local' &&
+      JSON.stringify(getLocalAiSettings()) !== initialLocalAi;
+    const resilienceChanged = JSON.stringify(getResilienceSettings()) !== initialResilience;
+    const geminiCacheChanged = JSON.stringify(getGeminiCacheSettings()) !== initialGeminiCache;
+    const requiresRestart = providerChanged || modelChanged || languageChanged || localAiChanged ||
+      resilienceChanged || geminiCacheChanged;
     
     console.log('Checking for changes:', {
       providerChanged,
@@ -185,6 +283,20 @@ document.addEventListener('DOMContentLoaded', function() {
     checkForChanges();
   });
 
+  // Re-list models when the local server address changes
+  localBaseUrlInput.addEventListener('change', async function() {
+    await loadModelsForProvider(currentProvider);
+    checkForChanges();
+  });
+  localContextWindowInput.addEventListener('change', checkForChanges);
+  geminiContextCachingInput.addEventListener('change', checkForChanges);
+  geminiCacheTtlInput.addEventListener('change', checkForChanges);
+  geminiStorageBtn.addEventListener('click', () => {
+    window.electronAPI.showGeminiStorage();
+  });
+  maxRetriesInput.addEventListener('change', checkForChanges);
+  fallbackProviderSelect.addEventListener('change', checkForChanges);
+
   // Handle language selection change
   languageSelect.addEventListener('change', function() {
     currentLanguage = languageSelect.value;
@@ -217,13 +329,61 @@ document.addEventListener('DOMContentLoaded', function() {
     saveSettings(true);
   });
 
+  // Read the heading patterns textarea, returning null if any pattern is invalid
+  function getHeadingPatterns() {
+    const patterns = headingPatternsInput.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        headingPatternsError.textContent = `Invalid pattern "${pattern}": ${error.message}`;
+        return null;
+      }
+    }
+    headingPatternsError.textContent = '';
+    return patterns;
+  }
+
+  // Generation parameters from the form, or null if the selected model can't take them
+  async function getGenerationSettings() {
+    const values = {};
+    Object.entries(generationInputs).forEach(([name, input]) => {
+      values[name] = input.value.trim();
+    });
+    const { problems } = await window.electronAPI.checkGenerationParams(values, {
+      provider: currentProvider,
+      model: currentModel
+    });
+    generationError.textContent = problems.join('. ');
+    return problems.length > 0 ? null : values;
+  }
+
   // Save settings function
   async function saveSettings(shouldQuit) {
     try {
+      const headingPatterns = getHeadingPatterns();
+      if (headingPatterns === null) {
+        return;
+      }
+      const generation = await getGenerationSettings();
+      if (generation === null) {
+        return;
+      }
+      
       const settings = {
         aiProvider: currentProvider,
         aiModel: currentModel,
         language: JSON.parse(currentLanguage),
+        headingPatterns: headingPatterns,
+        generation: generation,
+        localAi: getLocalAiSettings(),
+        resilience: getResilienceSettings(),
+        geminiCache: getGeminiCacheSettings(),
+        jobQueue: { max_parallel: parseInt(maxParallelJobsInput.value, 10) || null },
         shouldQuit: shouldQuit
       };
       
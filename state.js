@@ -33,6 +33,8 @@ safeLog('Module loading started');
 
 // Create a placeholder for Electron Store that will be filled in later
 let Store = null;
+// Settings file name, without .json, in the app's user data folder
+const STORE_NAME = 'StoryGrinder-config';
 
 // Create the AppState class
 class AppState {
@@ -62,25 +64,35 @@ class AppState {
       name: 'English',
       nativeName: 'English'
     };
+    // Extra chapter heading regexes for manuscript-structure.js
+    this.HEADING_PATTERNS = [];
+    // Default temperature, top_p, max_output_tokens and thinking_budget for
+    // every tool (see generation-params.js); null leaves it to the provider
+    this.GENERATION_SETTINGS = {};
     
     // Store will be initialized in initialize()
     this.store = null;
     this.initialized = false;
   }
   
-  // Async initialization method
-  async initialize() {
+  // Async initialization method; outside Electron (the command line) pass
+  // a store with the same get/set/path as electron-store's
+  async initialize(store = null) {
     if (this.initialized) return;
     
     try {
-      if (!Store) {
-        Store = require('electron-store');
+      if (store) {
+        this.store = store;
+      } else {
+        if (!Store) {
+          Store = require('electron-store');
+        }
+        
+        // Initialize persistent storage
+        this.store = new Store({
+          name: STORE_NAME
+        });
       }
-      
-      // Initialize persistent storage
-      this.store = new Store({
-        name: 'StoryGrinder-config'
-      });
       console.log(`*** Electron Store location: ${this.store.path}`);
       
       // Load saved settings
@@ -102,6 +114,7 @@ class AppState {
     
     // Load settings from electron-store
     const settings = this.store.get('settings', {});
+    let needsSave = false;
     
     // Apply saved settings if available and validate they still exist
     if (settings.current_project && settings.current_project_path) {
@@ -111,11 +124,11 @@ class AppState {
         this.CURRENT_PROJECT_PATH = savedPath;
         this.DEFAULT_SAVE_DIR = savedPath;
       } else {
-        // Project directory no longer exists, clear stored settings
+        // Project directory no longer exists, clear the stored project
         console.log(`Project directory '${savedPath}' no longer exists, clearing stored project`);
-        this.store.set('settings', {});
         this.CURRENT_PROJECT = null;
         this.CURRENT_PROJECT_PATH = null;
+        needsSave = true;
       }
     }
     
@@ -128,11 +141,22 @@ class AppState {
       if (typeof settings.language === 'string') {
         this.LANGUAGE = this._migrateLanguageString(settings.language);
         // Save the migrated language object back to store
-        this.saveSettings();
+        needsSave = true;
       } else {
         this.LANGUAGE = settings.language;
       }
     }
+    if (Array.isArray(settings.heading_patterns)) {
+      this.HEADING_PATTERNS = settings.heading_patterns;
+    }
+    if (settings.generation) {
+      this.GENERATION_SETTINGS = settings.generation;
+    }
+    
+    // Saved once everything is loaded, so no setting is written as its default
+    if (needsSave) {
+      this.saveSettings();
+    }
   }
   
   // Helper method to migrate old language strings to new object format
@@ -170,7 +194,8 @@ class AppState {
     }
   }
   
-  // Save settings to persistent storage
+  // Save settings to persistent storage; the only writer of the 'settings'
+  // object, so every field in it is written from the current state
   saveSettings() {
     if (!this.store) {
       console.warn('Store not initialized, cannot save settings');
@@ -181,7 +206,9 @@ class AppState {
       current_project: this.CURRENT_PROJECT,
       current_project_path: this.CURRENT_PROJECT_PATH,
       ai_provider: this.AI_PROVIDER,
-      language: this.LANGUAGE
+      language: this.LANGUAGE,
+      heading_patterns: this.HEADING_PATTERNS,
+      generation: this.GENERATION_SETTINGS
     };
     
     this.store.set('settings', settings);
@@ -200,13 +227,27 @@ class AppState {
     this.saveSettings();
   }
   
+  // Update custom chapter heading patterns
+  setHeadingPatterns(patterns) {
+    this.HEADING_PATTERNS = patterns;
+    this.saveSettings();
+  }
+  
+  // Update default generation parameters
+  setGenerationSettings(generation) {
+    this.GENERATION_SETTINGS = generation;
+    this.saveSettings();
+  }
+  
   // Get current settings for settings dialog
   getCurrentSettings() {
     return {
       projectsPath: this.PROJECTS_DIR,
       aiProvider: this.store ? this.store.get('selectedApiProvider') : null,
       aiModel: this.store ? this.store.get('selectedAiModel') : null,
-      language: this.LANGUAGE
+      language: this.LANGUAGE,
+      headingPatterns: this.HEADING_PATTERNS,
+      generation: this.GENERATION_SETTINGS
     };
   }
 
@@ -217,4 +258,5 @@ const appStateInstance = new AppState();
 
 // Export the instance with an initialize method
 module.exports = appStateInstance;
+module.exports.STORE_NAME = STORE_NAME;
 
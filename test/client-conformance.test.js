@@ -0,0 +1,243 @@
+// test/client-conformance.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fakeSdks = require('./helpers/fake-sdks');
+
+fakeSdks.install();
+const { AiApiServiceBase } = require('../client-base');
+
+/**
+ * Runs every provider client against the same checks of the interface in
+ * client-base.js: each StreamOptions field reaches the request (or is left
+ * out where the client documents why), a missing manuscript is an error,
+ * aborting stops the stream, and the deprecated streamWithThinking() still
+ * maps its positional arguments.
+ *
+ * `sent` reads what a client asked its API for from the recorded request.
+ * `ignores` lists the options the client documents it can't use.
+ * `thinkingConfig` selects a model that can show its reasoning.
+ * `usage` is the TokenUsage the client should report for fakeSdks.reply.
+ * `sdkRetries` marks an SDK that retries failed requests itself unless told not to.
+ */
+const PROVIDERS = [
+  {
+    id: 'gemini',
+    config: { context_caching: false },
+    sent: () => {
+      const { body } = fakeSdks.lastRequest();
+      return {
+        input: body.contents[0].parts[0].text,
+        temperature: body.config.temperature,
+        topP: body.config.topP,
+        maxOutputTokens: body.config.maxOutputTokens,
+        thinkingBudget: body.config.thinkingConfig.thinkingBudget
+      };
+    },
+    usage: () => ({ inputTokens: 1200, outputTokens: 380, thinkingTokens: 300, cachedTokens: 1000 })
+  },
+  {
+    id: 'claude',
+    sdkRetries: true,
+    config: {},
+    sent: () => {
+      const { body } = fakeSdks.lastRequest();
+      return {
+        input: body.messages[0].content,
+        temperature: body.temperature,
+        topP: body.top_p,
+        maxOutputTokens: body.max_tokens,
+        thinkingBudget: body.thinking ? body.thinking.budget_tokens : 0
+      };
+    },
+    // Claude counts thinking as output without saying how much
+    usage: () => ({ inputTokens: 1200, outputTokens: 380, thinkingTokens: 0, cachedTokens: 1000 })
+  },
+  {
+    id: 'openai',
+    sdkRetries: true,
+    config: {},
+    thinkingConfig: { model_name: 'o4-mini' },
+    ignores: ['thinkingBudget'],
+    sent: () => {
+      const { body } = fakeSdks.lastRequest();
+      return {
+        input: body.input,
+        temperature: body.temperature,
+        topP: body.top_p,
+        maxOutputTokens: body.max_output_tokens
+      };
+    },
+    usage: () => ({ inputTokens: 1200, outputTokens: 380, thinkingTokens: 300, cachedTokens: 1000 })
+  },
+  {
+    id: 'local',
+    sdkRetries: true,
+    config: { model_name: 'local-test', base_url: 'http://localhost:1/v1', context_window: 32768 },
+    ignores: ['thinkingBudget'],
+    sent: () => {
+      const { body } = fakeSdks.lastRequest();
+      return {
+        input: body.messages[1].content,
+        temperature: body.temperature,
+        topP: body.top_p,
+        maxOutputTokens: body.max_tokens
+      };
+    },
+    usage: () => ({ inputTokens: 1200, outputTokens: 380, thinkingTokens: 0, cachedTokens: 0 })
+  },
+  {
+    id: 'mock',
+    config: { responses: [{ match: '', text: 'Hello from the mock.', thinking: 'THOUGHT', chunkSize: 6 }] },
+    sent: (service) => {
+      const { input, options } = service.calls[service.calls.length - 1];
+      return {
+        input,
+        temperature: options.temperature,
+        topP: options.topP,
+        maxOutputTokens: options.maxOutputTokens,
+        thinkingBudget: options.thinkingBudget
+      };
+    },
+    // Four characters a token, thinking included
+    usage: (service) => ({
+      inputTokens: service.countTokens(service.calls[service.calls.length - 1].input),
+      outputTokens: service.countTokens('Hello from the mock.') + service.countTokens('THOUGHT'),
+      thinkingTokens: service.countTokens('THOUGHT'),
+      cachedTokens: 0
+    })
+  }
+];
+
+const MANUSCRIPT = 'It was a dark and stormy night; the rain fell in torrents.';
+
+let tempDir;
+let manuscriptFile;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-clients-'));
+  manuscriptFile = path.join(tempDir, 'manuscript.txt');
+  fs.writeFileSync(manuscriptFile, MANUSCRIPT);
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Stream a response and collect its text
+ * @returns {Promise<string>}
+ */
+async function collect(service, options = {}, prompt = 'Review the manuscript.') {
+  let output = '';
+  await service.streamResponse(prompt, text => { output += text; }, options);
+  return output;
+}
+
+for (const provider of PROVIDERS) {
+  describe(`${provider.id} client`, () => {
+    const ServiceClass = require(`../client-${provider.id}`);
+    const ignores = provider.ignores || [];
+
+    async function createService(config = {}) {
+      const service = new ServiceClass({ ...provider.config, ...config });
+      const { errors } = await service.prepareFileAndCache(manuscriptFile);
+      assert.deepEqual(errors, []);
+      return service;
+    }
+
+    it('implements the client interface', () => {
+      assert.deepEqual(AiApiServiceBase.checkConformance(ServiceClass), []);
+    });
+
+    if (provider.sdkRetries) {
+      it('leaves retrying to ResilientApiService', () => {
+        const service = new ServiceClass(provider.config);
+        assert.equal(service.client.options.maxRetries, 0);
+      });
+    }
+
+    it('sends the manuscript only with includeManuscript', async () => {
+      const service = await createService();
+      await collect(service, { includeManuscript: true });
+      assert.ok(provider.sent(service).input.includes(MANUSCRIPT));
+      await collect(service, { includeManuscript: false });
+      assert.ok(!provider.sent(service).input.includes(MANUSCRIPT));
+    });
+
+    it('throws on includeManuscript when no manuscript is loaded', async () => {
+      const service = new ServiceClass(provider.config);
+      await assert.rejects(collect(service, { includeManuscript: true }), /No manuscript loaded/);
+    });
+
+    it('passes temperature and maxOutputTokens', async () => {
+      const service = await createService();
+      await collect(service, { temperature: 0.2, maxOutputTokens: 1000, thinkingBudget: 0 });
+      const sent = provider.sent(service);
+      assert.equal(sent.temperature, 0.2);
+      assert.equal(sent.maxOutputTokens, 1000);
+    });
+
+    it('passes topP', async () => {
+      const service = await createService();
+      await collect(service, { topP: 0.9, thinkingBudget: 0 });
+      assert.equal(provider.sent(service).topP, 0.9);
+    });
+
+    it(ignores.includes('thinkingBudget') ? 'leaves out thinkingBudget, which it takes no budget for' : 'passes thinkingBudget', async () => {
+      const service = await createService();
+      await collect(service, { thinkingBudget: 2048, maxOutputTokens: 8000 });
+      assert.equal(provider.sent(service).thinkingBudget, ignores.includes('thinkingBudget') ? undefined : 2048);
+    });
+
+    it('streams thinking only with includeThinking', async () => {
+      const service = await createService(provider.thinkingConfig);
+      assert.ok((await collect(service, { includeThinking: true })).includes('THOUGHT'));
+      assert.ok(!(await collect(service, { includeThinking: false })).includes('THOUGHT'));
+    });
+
+    it('appends metadata only with includeMetadata', async () => {
+      const service = await createService();
+      const withMetadata = await collect(service, { includeMetadata: true });
+      assert.ok(withMetadata.includes('--- RESPONSE METADATA ---'));
+      assert.ok(withMetadata.includes('Hello'));
+      assert.ok(!(await collect(service, { includeMetadata: false })).includes('--- RESPONSE METADATA ---'));
+    });
+
+    it('reports the tokens the provider counted through onUsage', async () => {
+      const service = await createService();
+      const reports = [];
+      await collect(service, { onUsage: usage => reports.push(usage) });
+      assert.deepEqual(reports, [provider.usage(service)]);
+    });
+
+    it('stops streaming when the signal aborts', async () => {
+      const service = await createService();
+      const controller = new AbortController();
+      const received = [];
+      const run = service.streamResponse('Review the manuscript.', (text) => {
+        received.push(text);
+        controller.abort();
+      }, { signal: controller.signal });
+      await assert.rejects(run, error => error.name === 'AbortError');
+      assert.equal(received.length, 1);
+    });
+
+    it('maps streamWithThinking() positional arguments onto StreamOptions', async () => {
+      const service = await createService();
+      let output = '';
+      await service.streamWithThinking('Review the manuscript.', text => { output += text; }, false, true, { temperature: 0.4, thinkingBudget: 0 });
+      const sent = provider.sent(service);
+      assert.ok(sent.input.includes(MANUSCRIPT));
+      assert.ok(output.includes('--- RESPONSE METADATA ---'));
+      assert.equal(sent.temperature, 0.4);
+
+      output = '';
+      await service.streamWithThinking('Review the manuscript.', text => { output += text; }, true);
+      assert.ok(!provider.sent(service).input.includes(MANUSCRIPT));
+      assert.ok(!output.includes('--- RESPONSE METADATA ---'));
+    });
+  });
+}
@@ -0,0 +1,57 @@
+// test/client-gemini.test.js
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fakeSdks = require('./helpers/fake-sdks');
+
+fakeSdks.install();
+const GeminiService = require('../client-gemini');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-gemini-'));
+const manuscript = path.join(tempDir, 'manuscript.txt');
+fs.writeFileSync(manuscript, 'Chapter 1\n\nThe rain fell on the harbour.\n');
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fakeSdks.gemini.files.clear();
+  fakeSdks.gemini.caches.clear();
+  fakeSdks.gemini.uploads = 0;
+});
+
+describe('Gemini context cache', () => {
+  it('creates one cache when two runs prepare the same manuscript at once', async () => {
+    const service = new GeminiService({ context_caching: true });
+    const [first, second] = await Promise.all([
+      service.prepareFileAndCache(manuscript),
+      service.prepareFileAndCache(manuscript)
+    ]);
+
+    assert.equal(fakeSdks.gemini.uploads, 1);
+    assert.equal(fakeSdks.gemini.caches.size, 1);
+    assert.equal(first.cache.name, second.cache.name);
+    assert.ok(second.messages.some(message => message.startsWith('Waiting for the Gemini context cache')));
+
+    await service.deleteContextCache();
+    assert.equal(fakeSdks.gemini.caches.size, 0);
+    assert.equal(fakeSdks.gemini.files.size, 0);
+  });
+
+  it('replaces the cache, deleting the old one, when the manuscript changes', async () => {
+    const service = new GeminiService({ context_caching: true });
+    const other = path.join(tempDir, 'other.txt');
+    fs.writeFileSync(other, 'Chapter 1\n\nA different book.\n');
+    await Promise.all([
+      service.prepareFileAndCache(manuscript),
+      service.prepareFileAndCache(other)
+    ]);
+
+    assert.equal(fakeSdks.gemini.uploads, 2);
+    assert.equal(fakeSdks.gemini.caches.size, 1);
+    assert.equal(fakeSdks.gemini.files.size, 1);
+  });
+});
@@ -0,0 +1,56 @@
+// test/client-resilient.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MockService = require('../client-mock');
+const { ResilientApiService } = require('../client-resilient');
+
+const PROMPT = 'Review the manuscript.';
+
+function createService(responses) {
+  const mock = new MockService({ responses, fixtures: null });
+  return { mock, service: new ResilientApiService(mock, { providerId: 'mock', providerName: 'Mock AI' }) };
+}
+
+describe('ResilientApiService usage meter', () => {
+  it('meters the tokens the provider reports', async () => {
+    const { mock, service } = createService([{ text: 'A short reply.', thinking: 'Hmm.' }]);
+    const signal = new AbortController().signal;
+    await service.streamResponse(PROMPT, () => {}, { signal, onStatus: () => {} });
+
+    const [entry] = service.getRunUsage(signal);
+    assert.deepEqual(entry, {
+      provider: 'mock',
+      model: 'mock-default',
+      requests: 1,
+      inputTokens: mock.countTokens(PROMPT),
+      outputTokens: mock.countTokens('A short reply.') + mock.countTokens('Hmm.'),
+      thinkingTokens: mock.countTokens('Hmm.'),
+      cachedTokens: 0,
+      cost: 0,
+      estimated: false
+    });
+  });
+
+  it('estimates a request that failed before the provider reported usage', async () => {
+    const { service } = createService([
+      { text: 'Cut off here, then', error: { message: 'overloaded', status: 503, afterChars: 12, retryAfter: 0 } },
+      { text: ' carried on.' }
+    ]);
+    const signal = new AbortController().signal;
+    let output = '';
+    await service.streamResponse(PROMPT, text => { output += text; }, { signal, onStatus: () => {} });
+
+    assert.equal(output, 'Cut off here carried on.');
+    const [entry] = service.getRunUsage(signal);
+    assert.equal(entry.requests, 2);
+    assert.equal(entry.estimated, true);
+  });
+
+  it('passes reported usage on to the caller too', async () => {
+    const { service } = createService([{ text: 'Done.' }]);
+    const reports = [];
+    await service.streamResponse(PROMPT, () => {}, { onUsage: usage => reports.push(usage), onStatus: () => {} });
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].outputTokens, 2);
+  });
+});
@@ -0,0 +1,35 @@
+// test/findings-to-docx.test.js
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const appState = require('../state');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-docx-'));
+appState.PROJECTS_DIR = tempDir;
+const FindingsToDocx = require('../findings-to-docx');
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('FindingsToDocx', () => {
+  it('asks for the manuscript when the findings do not name one', async () => {
+    const findingsPath = path.join(tempDir, 'report_findings.json');
+    fs.writeFileSync(findingsPath, JSON.stringify({
+      version: 1,
+      findings: [{ id: 1, original: 'She walks', suggestion: 'She walked', status: 'pending' }]
+    }));
+    const tool = new FindingsToDocx(null, {});
+    tool.output = '';
+    tool.emitOutput = (text) => { tool.output += text; };
+
+    await assert.rejects(
+      tool.execute({ report_file: findingsPath, manuscript_file: '', save_dir: tempDir }),
+      /choose it as the Manuscript File/
+    );
+    assert.ok(!tool.output.includes('argument must be of type string'));
+    assert.ok(!fs.readdirSync(tempDir).some(name => name.endsWith('.docx')));
+  });
+});
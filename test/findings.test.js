@@ -0,0 +1,41 @@
+// test/findings.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { locateFindings } = require('../findings');
+
+const TEXT = [
+  'Chapter 1: The Storm',
+  '',
+  'The rain fell. She walks to the window.',
+  'The rain fell. He closed the door.'
+].join('\n');
+
+describe('locateFindings', () => {
+  it('keeps a repeated quote at its previous position', () => {
+    const second = TEXT.lastIndexOf('The rain fell.');
+    const [finding] = locateFindings([{ id: 1, original: 'The rain fell.', status: 'pending', offset: second }], TEXT);
+    assert.equal(finding.offset, second);
+    assert.equal(finding.line, 4);
+  });
+
+  it('finds a quote again after the text before it has changed', () => {
+    const edited = TEXT.replace('She walks', 'She walked');
+    const stale = TEXT.indexOf('He closed');
+    const [finding] = locateFindings([{ id: 1, original: 'He closed the door.', status: 'pending', offset: stale }], edited);
+    assert.equal(finding.offset, edited.indexOf('He closed'));
+  });
+
+  it('finds an accepted finding by the text that replaced the quote', () => {
+    const edited = TEXT.replace('She walks', 'She walked');
+    const [finding] = locateFindings([{
+      id: 1,
+      original: 'She walks to the window.',
+      appliedText: 'She walked to the window.',
+      status: 'accepted',
+      offset: TEXT.indexOf('She walks')
+    }], edited);
+    assert.equal(finding.offset, edited.indexOf('She walked'));
+    assert.equal(finding.length, 'She walked to the window.'.length);
+    assert.equal(finding.chapter.number, 1);
+  });
+});
@@ -0,0 +1,251 @@
+// test/helpers/fake-sdks.js
+const Module = require('module');
+
+/**
+ * Offline stand-ins for the provider SDKs
+ * Replaces @anthropic-ai/sdk, @google/genai and openai for every later
+ * require(), so the provider clients can be tested without API keys or
+ * network. Each fake records the request it was given in `requests` and
+ * streams back `reply` the way its API does: thinking first (when the request
+ * asks for it, or always for local servers), then the text in chunks, then
+ * the usage the provider reports. A stream checks the request's abort signal
+ * before each event, as the SDKs do, so cancelling stops it. Gemini files and
+ * context caches are kept in `gemini` until deleted.
+ *
+ * Call install() before requiring a client.
+ */
+
+const requests = [];
+const reply = {
+  thinking: 'THOUGHT',
+  chunks: ['Hello ', 'from ', 'the fake.'],
+  usage: { input: 1200, output: 80, thinking: 300, cached: 1000 }
+};
+
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+async function* events(signal, items) {
+  for (const item of items) {
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+    yield item;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+function record(provider, body, signal) {
+  requests.push({ provider, body, signal });
+}
+
+// Rough token count; the tests never depend on the exact number
+function tokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+const anthropic = {
+  Anthropic: class {
+    constructor(options) {
+      this.options = options;
+      this.models = { list: async () => ({ data: [{ id: 'claude-test' }] }) };
+      this.messages = {
+        countTokens: async (body) => ({ input_tokens: tokens(body.messages) }),
+        stream: (body, requestOptions = {}) => {
+          record('claude', body, requestOptions.signal);
+          const items = [{
+            type: 'message_start',
+            message: {
+              usage: {
+                input_tokens: reply.usage.input - reply.usage.cached,
+                cache_read_input_tokens: reply.usage.cached,
+                output_tokens: 1
+              }
+            }
+          }];
+          if (body.thinking) {
+            items.push({ type: 'content_block_start', content_block: { type: 'thinking' } });
+            items.push({ type: 'content_block_delta', delta: { type: 'thinking_delta', thinking: reply.thinking } });
+          }
+          items.push({ type: 'content_block_start', content_block: { type: 'text' } });
+          reply.chunks.forEach(text => items.push({ type: 'content_block_delta', delta: { type: 'text_delta', text } }));
+          items.push({ type: 'message_delta', usage: { output_tokens: reply.usage.output + reply.usage.thinking } });
+          items.push({ type: 'message_stop' });
+          return {
+            withResponse: async () => ({
+              data: events(requestOptions.signal, items),
+              response: { headers: new Map([['anthropic-ratelimit-requests-limit', '50']]) }
+            })
+          };
+        }
+      };
+    }
+  }
+};
+
+// Files uploaded to and context caches created on the fake Gemini API that
+// have not been deleted yet, by name
+const gemini = { files: new Set(), caches: new Set(), uploads: 0, created: 0 };
+
+// Settle on a later turn, as a network call would
+function later(value) {
+  return new Promise(resolve => setImmediate(() => resolve(value)));
+}
+
+const genai = {
+  HarmCategory: {
+    HARM_CATEGORY_HARASSMENT: 'HARASSMENT',
+    HARM_CATEGORY_HATE_SPEECH: 'HATE_SPEECH',
+    HARM_CATEGORY_SEXUALLY_EXPLICIT: 'SEXUALLY_EXPLICIT',
+    HARM_CATEGORY_DANGEROUS_CONTENT: 'DANGEROUS_CONTENT'
+  },
+  HarmBlockThreshold: { OFF: 'OFF' },
+  createUserContent: (parts) => ({ role: 'user', parts }),
+  createPartFromUri: (uri, mimeType) => ({ fileData: { fileUri: uri, mimeType } }),
+  GoogleGenAI: class {
+    constructor(options) {
+      this.options = options;
+      this.files = {
+        upload: async ({ file }) => {
+          const name = `files/${++gemini.uploads}`;
+          gemini.files.add(name);
+          return later({ name, uri: `https://fake/${name}`, mimeType: 'text/plain', state: 'ACTIVE', source: file });
+        },
+        get: async ({ name }) => later({ name, uri: `https://fake/${name}`, mimeType: 'text/plain', state: 'ACTIVE' }),
+        delete: async ({ name }) => later(gemini.files.delete(name))
+      };
+      this.caches = {
+        create: async ({ model }) => {
+          const name = `cachedContents/${++gemini.created}`;
+          gemini.caches.add(name);
+          return later({ name, model, expireTime: new Date(Date.now() + 1800000).toISOString() });
+        },
+        update: async ({ name }) => {
+          if (!gemini.caches.has(name)) {
+            throw Object.assign(new Error(`${name} not found`), { status: 404 });
+          }
+          return later({ name, expireTime: new Date(Date.now() + 1800000).toISOString() });
+        },
+        delete: async ({ name }) => later(gemini.caches.delete(name))
+      };
+      this.models = {
+        get: async ({ model }) => ({ name: model }),
+        list: async () => [],
+        countTokens: async ({ contents }) => ({ totalTokens: tokens(contents) }),
+        generateContentStream: async ({ model, contents, config }) => {
+          record('gemini', { model, contents, config }, config.abortSignal);
+          const chunk = (part, extra = {}) => ({ candidates: [{ content: { parts: [part] }, ...extra }] });
+          const items = [];
+          if (config.thinkingConfig && config.thinkingConfig.includeThoughts && config.thinkingConfig.thinkingBudget !== 0) {
+            items.push(chunk({ text: reply.thinking, thought: true }));
+          }
+          reply.chunks.forEach(text => items.push(chunk({ text })));
+          items.push({
+            ...chunk({ text: '' }, { finishReason: 'STOP' }),
+            modelVersion: model,
+            usageMetadata: {
+              promptTokenCount: reply.usage.input,
+              cachedContentTokenCount: reply.usage.cached,
+              candidatesTokenCount: reply.usage.output,
+              thoughtsTokenCount: reply.usage.thinking
+            }
+          });
+          return events(config.abortSignal, items);
+        }
+      };
+    }
+  }
+};
+
+class APIConnectionError extends Error {}
+class APIConnectionTimeoutError extends APIConnectionError {}
+
+const openai = {
+  APIConnectionError,
+  APIConnectionTimeoutError,
+  OpenAI: class {
+    constructor(options) {
+      this.options = options;
+      this.models = { list: async () => ({ data: [{ id: 'local-test' }] }) };
+      this.responses = {
+        create: async (body, requestOptions = {}) => {
+          record('openai', body, requestOptions.signal);
+          const items = [];
+          if (body.reasoning && body.reasoning.summary) {
+            items.push({ type: 'response.reasoning_summary_text.delta', delta: reply.thinking });
+          }
+          reply.chunks.forEach(delta => items.push({ type: 'response.output_text.delta', delta }));
+          items.push({ type: 'response.output_text.done' });
+          items.push({
+            type: 'response.completed',
+            response: {
+              usage: {
+                input_tokens: reply.usage.input,
+                input_tokens_details: { cached_tokens: reply.usage.cached },
+                output_tokens: reply.usage.output + reply.usage.thinking,
+                output_tokens_details: { reasoning_tokens: reply.usage.thinking }
+              }
+            }
+          });
+          return events(requestOptions.signal, items);
+        }
+      };
+      this.chat = {
+        completions: {
+          create: async (body, requestOptions = {}) => {
+            record('local', body, requestOptions.signal);
+            const delta = (fields) => ({ choices: [{ delta: fields }] });
+            // Local servers stream reasoning whether or not it was asked for
+            const items = [delta({ reasoning_content: reply.thinking })];
+            reply.chunks.forEach(content => items.push(delta({ content })));
+            items.push({
+              choices: [],
+              usage: { prompt_tokens: reply.usage.input, completion_tokens: reply.usage.output + reply.usage.thinking }
+            });
+            return events(requestOptions.signal, items);
+          }
+        }
+      };
+    }
+  }
+};
+
+const FAKES = {
+  '@anthropic-ai/sdk': anthropic,
+  '@google/genai': genai,
+  'openai': openai
+};
+
+let installed = false;
+
+/**
+ * Make require() return the fakes, and give each client an API key
+ */
+function install() {
+  if (installed) {
+    return;
+  }
+  installed = true;
+  const load = Module._load;
+  Module._load = function (request, ...rest) {
+    return Object.prototype.hasOwnProperty.call(FAKES, request) ? FAKES[request] : load.call(this, request, ...rest);
+  };
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  process.env.OPENAI_API_KEY = 'test-key';
+}
+
+function lastRequest() {
+  return requests[requests.length - 1];
+}
+
+module.exports = {
+  install,
+  requests,
+  reply,
+  gemini,
+  lastRequest
+};
@@ -0,0 +1,88 @@
+// test/manuscript-structure.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyHeading, parseNumberToken, parseManuscript } = require('../manuscript-structure');
+
+// No custom patterns from Settings
+const classify = (line, options = {}) => classifyHeading(line, { headingPatterns: [], ...options });
+
+describe('classifyHeading', () => {
+  it('reads part and chapter headings', () => {
+    const cases = [
+      ['Chapter IV', 'chapter', 4, ''],
+      ['CHAPTER MCMXCIV', 'chapter', 1994, ''],
+      ['Chapter XIV: The Storm', 'chapter', 14, 'The Storm'],
+      ['Chapter Twelve - Home', 'chapter', 12, 'Home'],
+      ['Chapter 3 — The End', 'chapter', 3, 'The End'],
+      ['Chapter Twenty-One', 'chapter', 21, ''],
+      ['Chapter 1.', 'chapter', 1, ''],
+      ['Part Two', 'part', 2, ''],
+      ['Part 3. Return', 'part', 3, 'Return'],
+      ['Book Three: Winter', 'part', 3, 'Winter']
+    ];
+    for (const [line, type, number, title] of cases) {
+      assert.deepEqual(classify(line), { type, number, title, heading: line }, line);
+    }
+  });
+
+  it('leaves prose that starts like a heading alone', () => {
+    const prose = [
+      'Chapter did not matter.',
+      'Book I bought at the fair.',
+      'Chapter One Hundred',
+      'Chapter one was the hardest to write.',
+      'Part of me wanted to stay.',
+      'Chapter 12 The Storm',
+      'Chapter ivy'
+    ];
+    for (const line of prose) {
+      assert.equal(classify(line), null, line);
+    }
+  });
+
+  it('only accepts well-formed roman numerals', () => {
+    assert.equal(classify('Chapter IIII'), null);
+    assert.equal(classify('Chapter MMMMDCLXVI'), null);
+    assert.equal(classify('Chapter VX'), null);
+    assert.equal(classify('Chapter MMMCMXCIX').number, 3999);
+  });
+
+  it('reads bare numbers only as their own paragraph', () => {
+    assert.equal(classify('12').number, 12);
+    assert.equal(classify('12', { standalone: false }), null);
+  });
+});
+
+describe('parseNumberToken', () => {
+  it('reads digits, roman numerals and number words', () => {
+    assert.equal(parseNumberToken('42'), 42);
+    assert.equal(parseNumberToken('xlii'), 42);
+    assert.equal(parseNumberToken('forty-two'), 42);
+  });
+
+  it('rejects malformed roman numerals', () => {
+    assert.equal(parseNumberToken('did'), null);
+    assert.equal(parseNumberToken('iiii'), null);
+  });
+});
+
+describe('parseManuscript', () => {
+  it('does not split chapters at prose lines', () => {
+    const text = [
+      'Chapter 1: Arrival',
+      '',
+      'She came home late.',
+      '',
+      'Chapter did not matter to her.',
+      '',
+      'Book I bought at the fair.',
+      '',
+      'Chapter II',
+      '',
+      'The next morning.'
+    ].join('\n');
+    const { chapters, parts } = parseManuscript(text, { headingPatterns: [] });
+    assert.deepEqual(chapters.map(chapter => chapter.number), [1, 2]);
+    assert.equal(parts.length, 0);
+  });
+});
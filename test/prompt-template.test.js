@@ -0,0 +1,52 @@
+// test/prompt-template.test.js
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const appState = require('../state');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-template-'));
+appState.PROJECTS_DIR = tempDir;
+const ToolBase = require('../tool-base');
+const { saveProjectGenre } = require('../project-genre');
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  appState.CURRENT_PROJECT = null;
+  appState.CURRENT_PROJECT_PATH = null;
+});
+
+const TEMPLATE = '{{title}}{{#if genre}} ({{genre}}){{/if}}';
+
+describe('ToolBase prompt templates', () => {
+  it('fills in the project title and genre for any tool', async () => {
+    const projectPath = path.join(tempDir, 'Lighthouse');
+    fs.mkdirSync(projectPath);
+    await saveProjectGenre(projectPath, 'self_help');
+    appState.CURRENT_PROJECT = 'Lighthouse';
+    appState.CURRENT_PROJECT_PATH = projectPath;
+
+    const tool = new ToolBase('test_tool', { options: [] });
+    assert.equal(await tool.renderPrompt(TEMPLATE, {}), 'Lighthouse (Self-Help)');
+  });
+
+  it('leaves genre blank without a project', async () => {
+    appState.CURRENT_PROJECT = null;
+    appState.CURRENT_PROJECT_PATH = null;
+    const tool = new ToolBase('test_tool', { options: [] });
+    assert.equal(await tool.renderPrompt(TEMPLATE, {}), '');
+  });
+
+  it("uses a tool's own title and pov options", async () => {
+    const tool = new ToolBase('test_tool', {
+      options: [{ name: 'title', default: '' }, { name: 'pov', default: 'first person' }]
+    });
+    assert.equal(await tool.renderPrompt('{{title}}, told in {{pov}}', { title: 'Storm' }), 'Storm, told in first person');
+  });
+
+  it('rejects pov in a tool without that option', async () => {
+    const tool = new ToolBase('test_tool', { options: [] });
+    await assert.rejects(tool.renderPrompt('{{pov}}', {}), /\{\{pov\}\} isn't an option of this tool/);
+  });
+});
@@ -0,0 +1,22 @@
+// test/providers-registry.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProvidersRegistry } = require('../providers-registry');
+
+describe('ProvidersRegistry model lookups', () => {
+  it('prices a model by its most specific listed name', () => {
+    assert.equal(ProvidersRegistry.getModelPricing('openai', 'o1-mini-2024-09-12').input, 1.1);
+    assert.equal(ProvidersRegistry.getModelPricing('openai', 'o1-2024-12-17').input, 15);
+    assert.equal(ProvidersRegistry.getModelPricing('openai', 'gpt-4.1-mini').input, 0.4);
+  });
+
+  it('reads limits by the most specific listed name', () => {
+    assert.equal(ProvidersRegistry.getModelLimits('openai', 'o1-mini').maxOutputTokens, 65536);
+    assert.equal(ProvidersRegistry.getModelLimits('openai', 'o1').maxOutputTokens, 100000);
+  });
+
+  it('has no price for an unlisted model', () => {
+    assert.equal(ProvidersRegistry.getModelPricing('openai', 'gpt-9'), null);
+    assert.equal(ProvidersRegistry.estimateCost('openai', 'gpt-9', 1000, 1000), null);
+  });
+});
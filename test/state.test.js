@@ -0,0 +1,98 @@
+// test/state.test.js
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const appState = require('../state');
+
+const AppState = appState.constructor;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-state-'));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Same get/set/path as electron-store, kept in memory
+function createStore(data = {}) {
+  return {
+    path: path.join(tempDir, 'config.json'),
+    data,
+    get(key, defaultValue) { return key in this.data ? this.data[key] : defaultValue; },
+    set(key, value) { this.data[key] = value; }
+  };
+}
+
+// A fresh AppState loading the given store, as on the next start of the app
+async function restart(store) {
+  const state = new AppState();
+  state.PROJECTS_DIR = tempDir;
+  await state.initialize(store);
+  return state;
+}
+
+// What the open-project and create-project handlers in main.js do
+function openProject(state, name) {
+  const projectPath = path.join(tempDir, name);
+  fs.mkdirSync(projectPath, { recursive: true });
+  state.CURRENT_PROJECT = name;
+  state.CURRENT_PROJECT_PATH = projectPath;
+  state.DEFAULT_SAVE_DIR = projectPath;
+  state.saveSettings();
+}
+
+describe('AppState settings', () => {
+  const patterns = ['^Scene \\d+$'];
+  const generation = { temperature: 0.7, top_p: null, max_output_tokens: 8000, thinking_budget: 2000 };
+
+  it('keeps heading patterns when a project is opened', async () => {
+    const store = createStore();
+    const state = await restart(store);
+    state.setHeadingPatterns(patterns);
+    openProject(state, 'novel');
+
+    const next = await restart(store);
+    assert.equal(next.CURRENT_PROJECT, 'novel');
+    assert.deepEqual(next.HEADING_PATTERNS, patterns);
+  });
+
+  it('keeps heading patterns when a missing project is cleared', async () => {
+    const store = createStore({
+      settings: {
+        current_project: 'gone',
+        current_project_path: path.join(tempDir, 'gone'),
+        language: 'fr-FR',
+        heading_patterns: patterns
+      }
+    });
+    const state = await restart(store);
+    assert.equal(state.CURRENT_PROJECT, null);
+    assert.equal(store.data.settings.current_project, null);
+    assert.equal(store.data.settings.language.code, 'fr-FR');
+    assert.deepEqual(store.data.settings.heading_patterns, patterns);
+  });
+
+  it('keeps generation defaults when a project is created', async () => {
+    const store = createStore();
+    const state = await restart(store);
+    state.setGenerationSettings(generation);
+    openProject(state, 'sequel');
+
+    const next = await restart(store);
+    assert.equal(next.CURRENT_PROJECT, 'sequel');
+    assert.deepEqual(next.GENERATION_SETTINGS, generation);
+  });
+
+  it('keeps generation defaults when a missing project is cleared', async () => {
+    const store = createStore({
+      settings: {
+        current_project: 'gone',
+        current_project_path: path.join(tempDir, 'gone'),
+        generation
+      }
+    });
+    await restart(store);
+    assert.equal(store.data.settings.current_project, null);
+    assert.deepEqual(store.data.settings.generation, generation);
+  });
+});
@@ -0,0 +1,79 @@
+// test/tool-prompts-manager.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const appState = require('../state');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-prompts-'));
+appState.PROJECTS_DIR = tempDir;
+const promptManager = require('../tool-prompts-manager');
+const { toolPrompts, promptVersions } = require('../tool-prompts');
+
+const TOOL = 'narrative_integrity';
+const V1 = promptVersions[TOOL].earlier[0].text;
+
+// The first version of the default with one line reworded
+function editedV1() {
+  const lines = V1.split('\n');
+  const index = lines.findIndex(line => line.trim().length > 20);
+  lines[index] = `${lines[index]} (my note)`;
+  return lines.join('\n');
+}
+
+before(() => {
+  assert.ok(toolPrompts[TOOL].length > 0);
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(promptManager.promptsDir, { recursive: true, force: true });
+  fs.mkdirSync(promptManager.promptsDir, { recursive: true });
+});
+
+describe('PromptManager against earlier defaults', () => {
+  it('ships the text of every earlier default with its hash', () => {
+    const { hashPrompt } = require('../run-history');
+    for (const [toolName, versions] of Object.entries(promptVersions)) {
+      versions.earlier.forEach(entry => assert.equal(hashPrompt(entry.text), entry.hash, toolName));
+    }
+  });
+
+  it('compares an edited copy of an earlier default three ways', async () => {
+    fs.writeFileSync(promptManager.getPromptPath(TOOL), editedV1());
+    const comparison = await promptManager.comparePrompt(TOOL);
+    assert.equal(comparison.status.baseVersion, 1);
+    assert.equal(comparison.status.updateAvailable, true);
+    assert.equal(comparison.oldDefault, V1);
+    assert.ok(comparison.blocks);
+    assert.ok(comparison.blocks.some(block => block.type !== 'same'));
+  });
+
+  it('finds a base for records that started without one', async () => {
+    fs.writeFileSync(promptManager.getPromptPath(TOOL), editedV1());
+    fs.mkdirSync(promptManager.historyDir, { recursive: true });
+    fs.writeFileSync(promptManager.historyPath(TOOL), JSON.stringify({
+      base: null,
+      versions: [{ savedAt: new Date().toISOString(), hash: 'old', source: 'edited', text: editedV1() }]
+    }));
+    const status = await promptManager.getPromptStatus(TOOL);
+    assert.equal(status.baseVersion, 1);
+  });
+
+  it('takes the current default as the base of an edited copy of it', async () => {
+    fs.writeFileSync(promptManager.getPromptPath(TOOL), `${toolPrompts[TOOL]}\nOne more line.`);
+    const status = await promptManager.getPromptStatus(TOOL);
+    assert.equal(status.baseVersion, promptVersions[TOOL].version);
+    assert.equal(status.updateAvailable, false);
+  });
+
+  it('brings an unedited earlier default up to date', async () => {
+    fs.writeFileSync(promptManager.getPromptPath(TOOL), V1);
+    assert.ok((await promptManager.updateUneditedPrompts()).includes(TOOL));
+    assert.equal(fs.readFileSync(promptManager.getPromptPath(TOOL), 'utf8'), toolPrompts[TOOL]);
+  });
+});
@@ -0,0 +1,104 @@
+// test/tools-e2e.test.js
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const appState = require('../state');
+
+/**
+ * Runs tools end to end against the Mock AI provider, replaying the responses
+ * in test/fixtures/mock-ai through MOCK_AI_FIXTURES as the app would: a
+ * report tool through ToolBase.execute, the Chapter Writer, and a request that
+ * fails partway. Each test works on a fresh copy of test/fixtures/project.
+ */
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-e2e-'));
+
+process.env.MOCK_AI_FIXTURES = path.join(FIXTURES, 'mock-ai');
+// Prompt files are written to the projects folder on first use
+appState.PROJECTS_DIR = path.join(tempDir, 'writing');
+
+const MockService = require('../client-mock');
+const { ResilientApiService } = require('../client-resilient');
+const TenseConsistencyChecker = require('../tense-consistency-checker');
+const ChapterWriter = require('../chapter-writer');
+
+let projectDir;
+
+beforeEach(() => {
+  projectDir = fs.mkdtempSync(path.join(tempDir, 'project-'));
+  fs.cpSync(path.join(FIXTURES, 'project'), projectDir, { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * A tool with the mock provider behind the same retrying wrapper the app uses,
+ * collecting what it writes to the output area
+ */
+function createTool(ToolClass) {
+  const mock = new MockService();
+  const apiService = new ResilientApiService(mock, { providerId: 'mock', providerName: 'Mock AI', maxRetries: 0 });
+  const tool = new ToolClass(apiService, {});
+  tool.output = '';
+  tool.emitOutput = (text) => { tool.output += text; };
+  return { tool, mock, apiService };
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, 'mock-ai', name), 'utf8');
+}
+
+describe('tools against the mock provider', () => {
+  it('runs a report tool through ToolBase.execute and saves the report', async () => {
+    const { tool, mock, apiService } = createTool(TenseConsistencyChecker);
+    const signal = new AbortController().signal;
+    const result = await tool.execute({ manuscript_file: 'manuscript.txt', save_dir: projectDir }, signal);
+
+    assert.equal(result.success, true);
+    assert.equal(mock.calls.length, 1);
+    assert.ok(mock.calls[0].input.includes('She walks to the window'), 'the manuscript is sent');
+    const report = fs.readFileSync(result.outputFiles[0], 'utf8');
+    assert.ok(report.includes('Suggest "She walked to the window"'));
+    assert.ok(tool.output.includes('NARRATIVE TENSE OVERVIEW'));
+    assert.equal(apiService.getRunUsage(signal)[0].requests, 1);
+  });
+
+  it('writes the first missing chapter and appends it to the manuscript', async () => {
+    const { tool, mock } = createTool(ChapterWriter);
+    const result = await tool.execute({
+      manuscript: 'manuscript.txt',
+      outline: 'outline.txt',
+      world: 'world.txt',
+      save_dir: projectDir
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.stats.chapterCount, 1);
+    assert.ok(mock.calls[0].input.includes('Write Chapter 2: The Harbour'));
+    const chapter = readFixture('chapter-2.txt');
+    assert.equal(fs.readFileSync(result.outputFiles[0], 'utf8'), chapter);
+    const manuscript = fs.readFileSync(path.join(projectDir, 'manuscript.txt'), 'utf8');
+    assert.ok(manuscript.startsWith('Chapter 1: The Storm'));
+    assert.ok(manuscript.endsWith(chapter));
+  });
+
+  it('fails the run on an injected error and saves no report', async () => {
+    fs.appendFileSync(path.join(projectDir, 'manuscript.txt'), '\nThe lighthouse went dark.\n');
+    const { tool, mock } = createTool(TenseConsistencyChecker);
+
+    await assert.rejects(
+      tool.execute({ manuscript_file: 'manuscript.txt', save_dir: projectDir }),
+      error => error.status === 400 && /prompt was rejected/.test(error.message)
+    );
+    assert.equal(mock.calls.length, 1, 'a bad request is not retried');
+    assert.ok(tool.output.includes('1. NARRATIVE TENSE OVERVIEW'), 'text before the error is shown');
+    assert.ok(tool.output.includes('API Error: Invalid request: the prompt was rejected'));
+    const reports = fs.readdirSync(projectDir).filter(name => name.startsWith('tense_consistency_checker'));
+    assert.deepEqual(reports, []);
+  });
+});
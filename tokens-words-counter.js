@@ -4,6 +4,7 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs').promises;
+const { ProvidersRegistry, PRICES_UPDATED } = require('./providers-registry');
 
 /**
  * Tokens & Words Counter Tool
@@ -97,6 +98,16 @@ class TokensWordsCounter extends ToolBase {
       );
 
       const configModelName = this.apiService.config.model_name;
+
+      // What sending the manuscript costs, since most tools send all of it once
+      const provider = appState.store.get('selectedApiProvider');
+      const sendCost = totalTokens > 0
+        ? ProvidersRegistry.estimateCost(provider, configModelName, totalTokens, 0)
+        : null;
+      if (sendCost !== null) {
+        reportContent += `Cost to send it once to ${configModelName}: $${sendCost.toFixed(sendCost > 0 && sendCost < 0.01 ? 4 : 2)}` +
+          ` (input only, prices as of ${PRICES_UPDATED})\n`;
+      }
       
       // Output the summary report to the console
       this.emitOutput(reportContent);
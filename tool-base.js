@@ -5,6 +5,19 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const promptManager = require('./tool-prompts-manager');
+const { parseManuscript } = require('./manuscript-structure');
+const findingsUtils = require('./findings');
+const { hashPrompt } = require('./run-history');
+const responseCache = require('./response-cache');
+const generation = require('./generation-params');
+const { renderTemplate, PromptTemplateError } = require('./prompt-template');
+const { GENRES, readProjectGenre } = require('./project-genre');
+
+// Chunked mode budgets (in tokens), used when a provider doesn't report its own
+const DEFAULT_CONTEXT_WINDOW = 128000;
+const DEFAULT_RESERVED_OUTPUT_TOKENS = 32000;
+const CHUNK_SUMMARY_TOKENS = 4000;
+const MIN_CHUNK_TOKENS = 4000;
 
 /**
  * Enhanced Base class for all tools
@@ -22,21 +35,78 @@ class ToolBase {
     this.name = name;
     this.config = config;
     
+    // Set on tools made for another provider (see createToolForProvider):
+    // a filename-safe model tag and a "Provider / model" label for reports
+    this.reportTag = null;
+    this.reportLabel = null;
+    
+    // Start of report file names; a tool pack may choose its own
+    this.reportName = name;
+    
+    // Temperature etc. for this run, set by prepareGeneration()
+    this.generationParams = {};
+    
     // Create title from name (capitalize words and replace underscores with spaces)
     this.title = this.name.split('_')
       .map(word => word.charAt(0).toUpperCase() + word.slice(1))
       .join(' ');
   }
 
-  async getPrompt() {
-    try {
-      //            ************************************************************
-      // IMPORTANT: all prompts are in: ~/writing_with_storygrinder/tool-prompts
-      //            ************************************************************
-      //            so double check they agree with: tool-prompts.js !!
+  /**
+   * The tool's prompt with its options filled in, without showing it
+   * @param {object} [options={}] - Tool options
+   * @returns {Promise<string|null>} - null if there's no prompt file
+   * @throws {PromptTemplateError} - If the prompt uses a name the tool doesn't have
+   */
+  async loadPrompt(options = {}) {
+    //            ************************************************************
+    // IMPORTANT: all prompts are in: ~/writing_with_storygrinder/tool-prompts
+    //            ************************************************************
+    //            so double check they agree with: tool-prompts.js !!
+
+    // Try to get prompt from the manager (it will create the prompt if needed)
+    const prompt = await promptManager.getPrompt(this.name);
+    return prompt && this.renderPrompt(prompt, options);
+  }
 
-      // Try to get prompt from the manager (it will create the prompt if needed)
-      const prompt = await promptManager.getPrompt(this.name);
+  /**
+   * Fill in a prompt template's {{...}} tags (see prompt-template.js)
+   * @param {string} template - Prompt text
+   * @param {object} options - Tool options
+   * @returns {Promise<string>}
+   * @throws {PromptTemplateError}
+   */
+  async renderPrompt(template, options) {
+    return renderTemplate(template, await this.templateVariables(options), { fragmentsDir: promptManager.fragmentsDir });
+  }
+
+  /**
+   * What a prompt template can use: every option the tool declares (its
+   * default when not given), plus language, project, title and genre.
+   * A tool's own title option wins over the project's name.
+   * @param {object} [options={}] - Tool options
+   * @returns {Promise<object>} - Value by name
+   */
+  async templateVariables(options = {}) {
+    const variables = {};
+    for (const option of this.config.options || []) {
+      variables[option.name] = options[option.name] !== undefined ? options[option.name] : option.default;
+    }
+    const projectPath = appState.CURRENT_PROJECT_PATH;
+    const genreId = projectPath ? await readProjectGenre(projectPath) : null;
+    const genre = GENRES.find(g => g.id === genreId);
+    return {
+      language: options.lang || 'English',
+      project: appState.CURRENT_PROJECT || '',
+      title: appState.CURRENT_PROJECT || '',
+      genre: genre ? genre.label : '',
+      ...variables
+    };
+  }
+
+  async getPrompt(options = {}) {
+    try {
+      const prompt = await this.loadPrompt(options);
       
       if (prompt) {
         this.emitOutput(`Using this prompt for ${this.name}:\n`);
@@ -64,6 +134,10 @@ class ToolBase {
         return null;
       }
     } catch (error) {
+      // A mistake in the prompt file stops the run, saying what it is
+      if (error instanceof PromptTemplateError) {
+        throw error;
+      }
       console.error(`Error getting prompt for ${this.name}:`, error);
       return null;
     }
@@ -72,9 +146,10 @@ class ToolBase {
   /**
    * Execute the tool - enhanced with common AI tool workflow
    * @param {object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<object>} - Tool execution result
    */
-  async execute(options) {
+  async execute(options, signal = null) {
     console.log(`Executing ${this.title} with options:`, options);
     
     // Make sure we have an API service (required for AI tools)
@@ -116,7 +191,7 @@ class ToolBase {
       }
       
       // Get the tool-specific prompt - subclasses must implement this
-      const prompt = await this.getPrompt();
+      const prompt = await this.getPrompt(options);
       
       // Check if prompt was found
       if (prompt === null) {
@@ -147,37 +222,75 @@ class ToolBase {
         };
       }
       
-      const promptTokens = await this.apiService.countTokens(prompt);
+      // Files written by earlier tools (e.g. an outline) are sent ahead of the prompt
+      const referenceFiles = this.referenceFilePaths(options, saveDir);
+      referenceFiles.forEach(file => {
+        this.emitOutput(`Also sending: ${file}\n`);
+      });
+      const request = await this.withReferenceFiles(prompt, options, saveDir);
       
-      this.emitOutput(`\nSending request to AI API . . .\n`);
-      this.emitOutput(`\n`);
-      this.emitOutput(`\n****************************************************************************\n`);
-      this.emitOutput(`*  Standby, running ${this.title} . . .\n`);
-      this.emitOutput(`*\n`);
-      this.emitOutput(`*  This process typically takes several minutes.\n`);
-      this.emitOutput(`*\n`);
-      this.emitOutput(`*  It's recommended to keep this window the sole 'focus'                   \n`);
-      this.emitOutput(`*  and to avoid browsing online or running other apps, as these API        \n`);
-      this.emitOutput(`*  network connections are often flakey, like delicate echoes of whispers. \n`);
-      this.emitOutput(`*\n`);
-      this.emitOutput(`*  So breathe, remove eye glasses, stretch, relax, and be like water 🥋 🧘🏽‍♀️\n`);
-      this.emitOutput(`*\n`);
-      this.emitOutput(`****************************************************************************\n\n`);
+      const promptTokens = await this.apiService.countTokens(request);
       
+      // An unchanged manuscript, prompt, model and settings get the same answer,
+      // reused only when asked for
+      const cacheKey = this.responseCacheKey(manuscriptContent, request, options);
+      const cached = options.reuse_cached_response
+        ? await responseCache.getCachedResponse(saveDir, cacheKey)
+        : null;
+
       const startTime = Date.now();
       let fullResponse = "";
+      let cancelled = false;
+
+      if (cached) {
+        this.emitOutput(`\n♻️  Reusing the result of the run on ${new Date(cached.createdAt).toLocaleString()}, ` +
+          `as the manuscript, prompt, model and settings haven't changed.\n`);
+        this.emitOutput(`To pay for a fresh answer, untick "Reuse Previous Result" in Setup and run again.\n\n`);
+        fullResponse = cached.response;
+        this.emitOutput(fullResponse);
+      } else {
+        this.emitOutput(`\nSending request to AI API . . .\n`);
+        this.emitOutput(`\n`);
+        this.emitOutput(`\n****************************************************************************\n`);
+        this.emitOutput(`*  Standby, running ${this.title} . . .\n`);
+        this.emitOutput(`*\n`);
+        this.emitOutput(`*  This process typically takes several minutes.\n`);
+        this.emitOutput(`*\n`);
+        this.emitOutput(`*  It's recommended to keep this window the sole 'focus'                   \n`);
+        this.emitOutput(`*  and to avoid browsing online or running other apps, as these API        \n`);
+        this.emitOutput(`*  network connections are often flakey, like delicate echoes of whispers. \n`);
+        this.emitOutput(`*\n`);
+        this.emitOutput(`*  So breathe, remove eye glasses, stretch, relax, and be like water 🥋 🧘🏽‍♀️\n`);
+        this.emitOutput(`*\n`);
+        this.emitOutput(`****************************************************************************\n\n`);
+      
+        // Split the manuscript when chunked mode is on and it won't fit in one request
+        const chunks = this.planChunks(manuscriptContent, manuscriptTokens, promptTokens, options);
 
-      try {
-        await this.apiService.streamWithThinking(
-          prompt,
-          (textDelta) => {
-            fullResponse += textDelta;
-            this.emitOutput(textDelta);
+        try {
+          if (chunks) {
+            fullResponse = await this.streamChunked(chunks, request, signal, (soFar) => {
+              fullResponse = soFar;
+            });
+          } else {
+            await this.apiService.streamResponse(
+              request,
+              (textDelta) => {
+                fullResponse += textDelta;
+                this.emitOutput(textDelta);
+              },
+              this.streamOptions(signal, { includeManuscript: true, includeMetadata: true })
+            );
           }
-        );
-      } catch (error) {
-        this.emitOutput(`\nAPI Error: ${error.message}\n`);
-        throw error;
+        } catch (error) {
+          if (!(signal && signal.aborted)) {
+            this.emitOutput(`\nAPI Error: ${error.message}\n`);
+            throw error;
+          }
+          // User cancelled: keep whatever was streamed so far
+          cancelled = true;
+          this.emitOutput(`\n\n⛔️ ${this.title} was cancelled, the response is incomplete.\n`);
+        }
       }
 
       const elapsed = (Date.now() - startTime) / 1000;
@@ -192,15 +305,56 @@ class ToolBase {
       const responseTokens = await this.apiService.countTokens(fullResponse);
       this.emitOutput(`Response token count: ${responseTokens}\n`);
 
+      // Recorded in the project's run history
+      const usage = {
+        reused: Boolean(cached),
+        promptHash: hashPrompt(prompt),
+        tokens: {
+          prompt: promptTokens,
+          manuscript: manuscriptTokens,
+          response: responseTokens
+        }
+      };
+
+      if (cancelled && !fullResponse.trim()) {
+        this.emitOutput(`Nothing was received before cancelling, so no report was saved.\n`);
+        return {
+          success: false,
+          cancelled: true,
+          outputFiles: [],
+          usage
+        };
+      }
+
+      // A fallback provider's answer isn't the selected model's to reuse
+      const failedOver = typeof this.apiService.hasFailedOver === 'function' && this.apiService.hasFailedOver(signal);
+      if (!cached && !cancelled && !failedOver) {
+        await this.saveCachedResponse(saveDir, cacheKey, manuscriptFile, prompt, fullResponse);
+      }
+
       const savedFiles = await this.saveReport(
         fullResponse,
         promptTokens,
         responseTokens,
-        saveDir
+        saveDir,
+        cancelled
       );
       
       // Add the output files to the result
       outputFiles.push(...savedFiles);
+
+      if (options.structured_findings && !cancelled) {
+        const findingsFile = await this.saveFindings(
+          fullResponse,
+          manuscriptContent,
+          manuscriptFile,
+          savedFiles[0],
+          signal
+        );
+        if (findingsFile) {
+          outputFiles.push(findingsFile);
+        }
+      }
       
       // Add files to the cache
       outputFiles.forEach(file => {
@@ -208,8 +362,10 @@ class ToolBase {
       });
       
       return {
-        success: true,
-        outputFiles
+        success: !cancelled,
+        cancelled,
+        outputFiles,
+        usage
       };
     } catch (error) {
       console.error(`Error in ${this.title}: ${error.message}`);
@@ -218,6 +374,221 @@ class ToolBase {
     }
   }
   
+  /**
+   * Decide whether to run in chunked mode and, if so, split the manuscript.
+   * Controlled by the `chunked_mode` option: 'off' (default), 'auto' (only
+   * when the manuscript won't fit the provider's context window), or 'always'.
+   * @param {string} manuscriptContent - Full manuscript text
+   * @param {number} manuscriptTokens - Token count of the manuscript (-1 if unknown)
+   * @param {number} promptTokens - Token count of the tool prompt
+   * @param {object} options - Tool options
+   * @returns {string[]|null} - Manuscript chunks, or null for a single request
+   */
+  planChunks(manuscriptContent, manuscriptTokens, promptTokens, options = {}) {
+    const mode = options.chunked_mode || 'off';
+    if (mode === 'off') {
+      return null;
+    }
+
+    const apiConfig = (this.apiService && this.apiService.config) || {};
+    const contextWindow = apiConfig.context_window || DEFAULT_CONTEXT_WINDOW;
+    const reservedOutput = apiConfig.max_tokens || DEFAULT_RESERVED_OUTPUT_TOKENS;
+
+    // countTokens returns -1 on failure, so fall back to ~4 characters per token
+    const tokensPerChar = manuscriptTokens > 0
+      ? manuscriptTokens / manuscriptContent.length
+      : 0.25;
+    const totalTokens = Math.ceil(manuscriptContent.length * tokensPerChar);
+
+    const available = contextWindow - Math.max(promptTokens, 0) - reservedOutput;
+    if (mode === 'auto' && totalTokens <= available) {
+      this.emitOutput(`Chunked mode: manuscript (~${totalTokens} tokens) fits in the context window, sending it in one request.\n`);
+      return null;
+    }
+
+    // Leave room for the rolling summary and a safety margin on the estimate
+    let chunkTokens = Math.floor((available - CHUNK_SUMMARY_TOKENS) * 0.8);
+    const requested = parseInt(options.chunk_tokens, 10);
+    if (requested > 0) {
+      chunkTokens = Math.min(requested, chunkTokens);
+    }
+    if (chunkTokens < MIN_CHUNK_TOKENS) {
+      throw new Error(
+        `Context window of ${contextWindow} tokens is too small for chunked mode ` +
+        `(only ~${chunkTokens} tokens left per chunk).`
+      );
+    }
+
+    const chunks = this.splitIntoChunks(manuscriptContent, Math.floor(chunkTokens / tokensPerChar));
+    if (chunks.length < 2) {
+      return null;
+    }
+
+    this.emitOutput(
+      `Chunked mode: manuscript (~${totalTokens} tokens) split into ${chunks.length} parts ` +
+      `of up to ~${chunkTokens} tokens each.\n`
+    );
+    return chunks;
+  }
+
+  /**
+   * Split text into chunks of at most maxChars, breaking at chapter headings
+   * where possible and falling back to paragraph breaks.
+   * @param {string} text - Manuscript text
+   * @param {number} maxChars - Maximum characters per chunk
+   * @returns {string[]} - Chunks in manuscript order
+   */
+  splitIntoChunks(text, maxChars) {
+    // Sections start at part/chapter headings; without any, every paragraph is a section
+    const structure = parseManuscript(text);
+    const starts = [...structure.parts, ...structure.chapters]
+      .map(item => item.start)
+      .filter(start => start > 0)
+      .sort((a, b) => a - b);
+
+    let sections = [];
+    if (starts.length > 0) {
+      let prev = 0;
+      for (const start of starts) {
+        sections.push(text.slice(prev, start));
+        prev = start;
+      }
+      sections.push(text.slice(prev));
+    } else {
+      sections = text.split(/(?<=\n\s*\n)/);
+    }
+
+    // A chapter bigger than a whole chunk gets broken up by paragraphs
+    const pieces = [];
+    for (const section of sections) {
+      if (section.length <= maxChars) {
+        pieces.push(section);
+        continue;
+      }
+      for (const paragraph of section.split(/(?<=\n\s*\n)/)) {
+        for (let i = 0; i < paragraph.length; i += maxChars) {
+          pieces.push(paragraph.slice(i, i + maxChars));
+        }
+      }
+    }
+
+    // Pack pieces greedily into chunks
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+      if (current && current.length + piece.length > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current += piece;
+    }
+    if (current.trim()) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  /**
+   * Run the tool prompt over each chunk (map), carrying a rolling summary of
+   * earlier chunks forward, then merge the per-chunk findings (reduce).
+   * @param {string[]} chunks - Manuscript chunks
+   * @param {string} prompt - The tool prompt
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
+   * @param {Function} [onProgress] - Called with the findings gathered so far,
+   *   so a cancelled run still has something to save
+   * @returns {Promise<string>} - The merged report
+   */
+  async streamChunked(chunks, prompt, signal = null, onProgress = () => {}) {
+    const findings = [];
+    let summary = '';
+
+    const collectFindings = () => findings
+      .map((text, i) => `=== FINDINGS FOR PART ${i + 1} OF ${chunks.length} ===\n${text.trim()}\n`)
+      .join('\n');
+
+    for (let i = 0; i < chunks.length; i++) {
+      const part = `part ${i + 1} of ${chunks.length}`;
+      this.emitOutput(`\n\n=== Processing ${part} ===\n\n`);
+
+      let chunkPrompt = `=== MANUSCRIPT (${part.toUpperCase()}) ===\n${chunks[i]}\n=== END MANUSCRIPT (${part.toUpperCase()}) ===\n\n`;
+      if (summary) {
+        chunkPrompt += `=== SUMMARY OF THE EARLIER PARTS ===\n${summary}\n=== END SUMMARY ===\n\n`;
+      }
+      chunkPrompt += `The manuscript is too long to send at once, so you are seeing ${part}. ` +
+        `Apply the instructions below to this part only, using the summary of earlier parts for context. ` +
+        `Refer to chapters by their headings so findings can be merged later.\n\n${prompt}`;
+
+      let chunkResponse = '';
+      findings.push('');
+      await this.apiService.streamResponse(
+        chunkPrompt,
+        (textDelta) => {
+          chunkResponse += textDelta;
+          findings[i] = chunkResponse;
+          onProgress(collectFindings());
+          this.emitOutput(textDelta);
+        },
+        this.streamOptions(signal) // manuscript text is already in the prompt; no metadata in the per-part findings
+      );
+
+      // The last part doesn't need summarizing, nothing comes after it
+      if (i < chunks.length - 1) {
+        this.emitOutput(`\n\nSummarizing ${part} for the next part . . .\n`);
+        summary = await this.summarizeChunk(chunks[i], summary, signal);
+      }
+    }
+
+    this.emitOutput(`\n\n=== Merging findings from ${chunks.length} parts ===\n\n`);
+
+    const reducePrompt = `${collectFindings()}\n` +
+      `The findings above come from running the instructions below separately on ` +
+      `each of the ${chunks.length} consecutive parts of one manuscript. ` +
+      `Merge them into a single report, as if the whole manuscript had been reviewed at once: ` +
+      `remove duplicates, reconcile issues that span parts, and keep chapter references and quoted text.\n\n` +
+      `=== ORIGINAL INSTRUCTIONS ===\n${prompt}\n=== END ORIGINAL INSTRUCTIONS ===`;
+
+    let merged = '';
+    await this.apiService.streamResponse(
+      reducePrompt,
+      (textDelta) => {
+        merged += textDelta;
+        onProgress(`${collectFindings()}\n=== MERGED REPORT (INCOMPLETE) ===\n${merged}`);
+        this.emitOutput(textDelta);
+      },
+      this.streamOptions(signal, { includeMetadata: true }) // findings replace the manuscript
+    );
+    return merged;
+  }
+
+  /**
+   * Fold a chunk into the rolling summary used as context for later chunks
+   * @param {string} chunk - Manuscript chunk just processed
+   * @param {string} previousSummary - Summary of all earlier chunks
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeChunk(chunk, previousSummary, signal = null) {
+    let prompt = '';
+    if (previousSummary) {
+      prompt += `=== STORY SO FAR ===\n${previousSummary}\n=== END STORY SO FAR ===\n\n`;
+    }
+    prompt += `=== NEXT PART ===\n${chunk}\n=== END NEXT PART ===\n\n` +
+      `Update the story-so-far summary to include the next part. Cover plot events, characters ` +
+      `(names, roles, relationships), setting details, timeline and any unresolved threads, ` +
+      `noting chapter headings. Stay under ${Math.floor(CHUNK_SUMMARY_TOKENS * 0.6)} words. ` +
+      `Reply with the summary only, in plain text.`;
+
+    let summary = '';
+    await this.apiService.streamResponse(
+      prompt,
+      (textDelta) => {
+        summary += textDelta;
+      },
+      this.streamOptions(signal) // manuscript text is already in the prompt
+    );
+    return summary.trim();
+  }
+
   /**
    * Read a file
    * @param {string} filePath - Path to file
@@ -254,6 +625,41 @@ class ToolBase {
     }
   }  
 
+  /**
+   * Files named in the `reference_files` option, one per line or comma-separated
+   * (a list also works), made absolute against the save directory
+   * @param {Object} options - Tool options
+   * @param {string} saveDir - Directory relative paths are in
+   * @returns {string[]}
+   */
+  referenceFilePaths(options, saveDir) {
+    const value = options.reference_files;
+    const files = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+    return files
+      .map(file => String(file).trim())
+      .filter(Boolean)
+      .map(file => this.ensureAbsolutePath(file, saveDir));
+  }
+
+  /**
+   * The prompt with the reference files' contents ahead of it, each marked
+   * with its file name so the prompt can tell them apart from the manuscript
+   * @param {string} prompt - Tool prompt
+   * @param {Object} options - Tool options
+   * @param {string} saveDir - Directory relative paths are in
+   * @returns {Promise<string>}
+   * @throws {Error} - If a reference file is missing or empty
+   */
+  async withReferenceFiles(prompt, options, saveDir) {
+    let sections = '';
+    for (const file of this.referenceFilePaths(options, saveDir)) {
+      const name = path.basename(file).toUpperCase();
+      const content = await this.readInputFile(file);
+      sections += `=== ${name} ===\n${content.trim()}\n=== END ${name} ===\n\n`;
+    }
+    return sections + prompt;
+  }
+
   /**
    * Write content to a file
    * @param {string} content - Content to write
@@ -289,6 +695,98 @@ class ToolBase {
     // console.log(text);
   }
   
+  /**
+   * Options for apiService.streamResponse(), adding cancellation, sending
+   * retry/failover notices to the tool output and applying the run's
+   * generation parameters
+   * @param {AbortSignal} signal - Aborted when the user cancels the run
+   * @param {Object} [options={}] - Other StreamOptions, see client-base.js
+   * @param {boolean} [withGeneration=true] - false for requests that aren't the tool's own output
+   * @returns {Object}
+   */
+  streamOptions(signal, options = {}, withGeneration = true) {
+    return {
+      ...(withGeneration ? this.generationParams : {}),
+      ...options,
+      signal,
+      onStatus: (message) => this.emitOutput(message)
+    };
+  }
+
+  /**
+   * Generation parameters a run with these options would use: the tool's
+   * Advanced options over the ones in Settings, checked against the model
+   * @param {Object} options - Option values the tool is run with
+   * @returns {Object} - { params, problems }, see generation-params.js
+   */
+  resolveGenerationParams(options) {
+    const params = generation.mergeGenerationParams(options || {}, appState.GENERATION_SETTINGS);
+    if (!this.apiService) {
+      return { params, problems: [] };
+    }
+    const apiConfig = this.apiService.config || {};
+    return generation.checkGenerationParams(this.apiService.providerId, apiConfig.model_name, params);
+  }
+
+  /**
+   * Settle the generation parameters before a run and say in the output
+   * which ones are used and which had to be adjusted for the model
+   * @param {Object} options - Option values the tool is run with
+   */
+  prepareGeneration(options) {
+    const { params, problems } = this.resolveGenerationParams(options);
+    problems.forEach(problem => this.emitOutput(`⚠️  ${problem}\n`));
+    this.generationParams = params;
+    if (Object.values(params).some(value => value !== undefined)) {
+      this.emitOutput(`Generation: ${generation.describeGenerationParams(params)}\n`);
+    }
+  }
+
+  /**
+   * Response cache key for a run of this tool (see response-cache.js)
+   * @param {string} manuscriptContent - Manuscript text
+   * @param {string} prompt - Tool prompt
+   * @param {Object} options - Option values the tool is run with
+   * @returns {string}
+   */
+  responseCacheKey(manuscriptContent, prompt, options) {
+    const apiConfig = (this.apiService && this.apiService.config) || {};
+    return responseCache.buildCacheKey({
+      toolId: this.name,
+      manuscript: manuscriptContent,
+      prompt,
+      provider: this.apiService && this.apiService.providerId,
+      model: apiConfig.model_name,
+      params: responseCache.cacheParams(options, this.config.options),
+      generation: this.resolveGenerationParams(options).params
+    });
+  }
+
+  /**
+   * Keep a complete response for reuse; failing to is not worth failing the run over
+   * @param {string} saveDir - Project directory
+   * @param {string} cacheKey - From responseCacheKey()
+   * @param {string} manuscriptFile - Manuscript path
+   * @param {string} prompt - Tool prompt
+   * @param {string} response - Full response text
+   */
+  async saveCachedResponse(saveDir, cacheKey, manuscriptFile, prompt, response) {
+    try {
+      await responseCache.saveCachedResponse(saveDir, {
+        key: cacheKey,
+        toolId: this.name,
+        manuscriptFile,
+        createdAt: new Date().toISOString(),
+        provider: this.apiService.providerId || null,
+        model: this.apiService.config.model_name || null,
+        promptHash: hashPrompt(prompt),
+        response
+      });
+    } catch (error) {
+      console.error(`Could not save ${this.title} response to the cache:`, error.message);
+    }
+  }
+  
   /**
    * Count words in text
    * @param {string} text - Text to count words in
@@ -322,13 +820,15 @@ class ToolBase {
    * @param {number} promptTokens - Prompt token count
    * @param {number} responseTokens - Response token count
    * @param {string} saveDir - Directory to save to
+   * @param {boolean} [isPartial=false] - True when the run was cancelled part way
    * @returns {Promise<string[]>} - Array of paths to saved files
    */
   async saveReport(
     content,
     promptTokens,
     responseTokens,
-    saveDir
+    saveDir,
+    isPartial = false
   ) {
     try {
       const formatter = new Intl.DateTimeFormat('en-US', {
@@ -342,16 +842,26 @@ class ToolBase {
       });
       const dateTimeStr = formatter.format(new Date());
       const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
-      const baseFilename = `${this.name.toLowerCase()}_${timestamp}`;
+      const partialSuffix = isPartial ? '_partial' : '';
+      const modelSuffix = this.reportTag ? `_${this.reportTag}` : '';
+      const baseFilename = `${this.reportName.toLowerCase()}${modelSuffix}${partialSuffix}_${timestamp}`;
       
       // Array to collect all saved file paths
       const savedFilePaths = [];
 
-      const reportWithStats = `=== ${this.title.toUpperCase()} REPORT ===
+      const reportTitle = isPartial
+        ? `${this.title.toUpperCase()} PARTIAL REPORT (CANCELLED)`
+        : `${this.title.toUpperCase()} REPORT`;
+      const partialNotice = isPartial
+        ? `NOTE: This run was cancelled before the AI finished, so this report is incomplete.\n`
+        : '';
+
+      const reportWithStats = `=== ${reportTitle} ===
 Date: ${dateTimeStr}
+${this.reportLabel ? `Model: ${this.reportLabel}\n` : ''}Generation: ${generation.describeGenerationParams(this.generationParams)}
 Prompt tokens: ${promptTokens}
 Response tokens: ${responseTokens}
-
+${partialNotice}
 ${content}`;
       
       // Save full response
@@ -368,6 +878,67 @@ ${content}`;
     }
   }
 
+  /**
+   * Ask the AI to turn the report into individual findings, locate each one
+   * in the manuscript and save them as JSON next to the report.
+   * A failure here only loses the JSON file, the report is already saved.
+   * @param {string} reportText - The full report text
+   * @param {string} manuscriptContent - Manuscript the report is about
+   * @param {string} manuscriptFile - Path to the manuscript
+   * @param {string} reportPath - Path of the saved .txt report
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
+   * @returns {Promise<string|null>} - Path to the findings file, or null
+   */
+  async saveFindings(reportText, manuscriptContent, manuscriptFile, reportPath, signal = null) {
+    this.emitOutput(`\nExtracting structured findings from the report . . .\n`);
+
+    try {
+      let response = '';
+      await this.apiService.streamResponse(
+        findingsUtils.buildExtractionPrompt(reportText),
+        (textDelta) => {
+          response += textDelta;
+        },
+        // the report is the input, not the manuscript; metadata would break the JSON,
+        // and the tool's generation settings are for its report, not this extraction
+        this.streamOptions(signal, {}, false)
+      );
+
+      const findings = findingsUtils.locateFindings(
+        findingsUtils.parseFindingsResponse(response),
+        manuscriptContent
+      );
+
+      const document = {
+        version: findingsUtils.FINDINGS_VERSION,
+        tool: this.name,
+        title: this.title,
+        createdAt: new Date().toISOString(),
+        manuscriptFile,
+        reportFile: reportPath,
+        findings
+      };
+
+      const findingsFilename = path.basename(reportPath).replace(/\.txt$/, '') + '_findings.json';
+      const findingsPath = await this.writeOutputFile(
+        JSON.stringify(document, null, 2),
+        path.dirname(reportPath),
+        findingsFilename
+      );
+
+      const located = findings.filter(finding => finding.offset !== null).length;
+      this.emitOutput(`Saved ${findings.length} findings (${located} located in the manuscript) to: ${findingsPath}\n`);
+      return findingsPath;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      console.error('Error extracting findings:', error);
+      this.emitOutput(`Could not extract structured findings: ${error.message}\n`);
+      return null;
+    }
+  }
+
   /**
    * Remove Markdown formatting from text
    * @param {string} text - Text with Markdown formatting
@@ -0,0 +1,236 @@
+// tool-packs.js
+const fs = require('fs/promises');
+const path = require('path');
+const { GENRES } = require('./project-genre');
+
+/**
+ * Tool packs
+ * A tool pack is a folder in ~/writing_with_storygrinder/tool-packs/ holding
+ * a manifest (JSON or YAML) and a prompt file for each of its tools. Each one
+ * becomes a "prompt + manuscript" tool like Copy Editing, registered at
+ * startup alongside the built-in tools (see tool-system.js).
+ *
+ * A manifest looks like:
+ *
+ *   id: sensitivity_read              # lowercase letters, digits and _
+ *   title: Sensitivity Read
+ *   description: Flags passages some readers may find hurtful.
+ *   prompt: sensitivity-read.txt      # next to the manifest
+ *   inputs:                           # files sent along with the manuscript
+ *     - name: characters_file
+ *       label: Character List
+ *       default: characters.txt
+ *   options:                          # {{focus}} in the prompt, or "Label: value" after it
+ *     - name: focus
+ *       label: Focus
+ *       type: select                  # text, textarea, number, select or boolean
+ *       choices: [representation, language, both]
+ *       default: both
+ *   output: sensitivity_read          # report file names start with this
+ *   genres: [fiction]                 # project genres it's listed for; all if left out
+ *
+ * Every tool gets a manuscript_file input (default manuscript.txt) unless its
+ * inputs declare one with another default.
+ */
+
+// Folder in the writing directory (PROJECTS_DIR) that holds the packs
+const TOOL_PACKS_DIR = 'tool-packs';
+
+const MANIFEST_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const OPTION_TYPES = ['text', 'textarea', 'number', 'select', 'boolean'];
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const OUTPUT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Read a manifest file
+ * @param {string} file - Path of a .json, .yaml or .yml file
+ * @returns {Promise<Object>}
+ * @throws {Error} - If it can't be parsed
+ */
+async function readManifest(file) {
+  const text = await fs.readFile(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') {
+    return JSON.parse(text);
+  }
+  const yaml = require('js-yaml');
+  return yaml.load(text);
+}
+
+/**
+ * Check a manifest and turn it into a tool definition, as in TOOL_DEFS
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} manifestPath - Where it was read from
+ * @param {string[]} takenIds - IDs of tools already registered
+ * @param {string[]} reservedOptions - Option names every AI tool already has
+ * @returns {Promise<Object>} - { id, title, description, options, genres, pack }
+ * @throws {Error} - Saying what's wrong with the manifest
+ */
+async function toToolDef(manifest, manifestPath, takenIds, reservedOptions) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('is not a tool manifest');
+  }
+  const { id, title, description = '', prompt, inputs = [], options = [], output = id, genres = null } = manifest;
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error('needs an "id" of lowercase letters, digits and underscores, starting with a letter');
+  }
+  if (takenIds.includes(id)) {
+    throw new Error(`uses the id "${id}", which another tool already has`);
+  }
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new Error(`${id} needs a "title"`);
+  }
+  if (typeof output !== 'string' || !OUTPUT_PATTERN.test(output)) {
+    throw new Error(`${id}: "output" may only use letters, digits, _ and -`);
+  }
+  if (!Array.isArray(inputs) || !Array.isArray(options)) {
+    throw new Error(`${id}: "inputs" and "options" must be lists`);
+  }
+  const genreIds = GENRES.map(genre => genre.id);
+  if (genres !== null && (!Array.isArray(genres) || genres.length === 0 || genres.some(genre => !genreIds.includes(genre)))) {
+    throw new Error(`${id}: "genres" must be a list of ${genreIds.join(', ')}`);
+  }
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new Error(`${id} needs a "prompt" file`);
+  }
+  const promptPath = path.resolve(path.dirname(manifestPath), prompt);
+  try {
+    await fs.access(promptPath);
+  } catch (error) {
+    throw new Error(`${id}: prompt file not found: ${promptPath}`);
+  }
+
+  const names = new Set();
+  const checkName = (name) => {
+    if (typeof name !== 'string' || !ID_PATTERN.test(name)) {
+      throw new Error(`${id}: every input and option needs a "name" of lowercase letters, digits and underscores`);
+    }
+    if (names.has(name) || reservedOptions.includes(name)) {
+      throw new Error(`${id}: the name "${name}" is used twice or belongs to a built-in option`);
+    }
+    names.add(name);
+  };
+
+  const fileOptions = inputs.map(input => {
+    checkName(input && input.name);
+    return {
+      name: input.name,
+      label: input.label || input.name,
+      type: 'file',
+      description: input.description || '',
+      required: input.name === 'manuscript_file' || Boolean(input.required),
+      default: input.default || '',
+      group: 'Input Files'
+    };
+  });
+  if (!names.has('manuscript_file')) {
+    fileOptions.unshift({
+      name: 'manuscript_file',
+      label: 'Manuscript File',
+      type: 'file',
+      description: 'File containing the manuscript to analyze',
+      required: true,
+      default: 'manuscript.txt',
+      group: 'Input Files'
+    });
+  }
+
+  const promptOptions = options.map(option => {
+    checkName(option && option.name);
+    const type = option.type || 'text';
+    if (!OPTION_TYPES.includes(type)) {
+      throw new Error(`${id}: option ${option.name} has type "${type}"; use ${OPTION_TYPES.join(', ')}`);
+    }
+    const choices = (option.choices || []).map(choice =>
+      choice && typeof choice === 'object' ? choice : { value: String(choice), label: String(choice) }
+    );
+    if (type === 'select' && choices.length === 0) {
+      throw new Error(`${id}: option ${option.name} is a select, so it needs "choices"`);
+    }
+    return {
+      name: option.name,
+      label: option.label || option.name,
+      type,
+      description: option.description || '',
+      required: Boolean(option.required),
+      default: option.default !== undefined ? option.default : (type === 'boolean' ? false : ''),
+      ...(type === 'select' ? { choices } : {}),
+      ...(option.placeholder ? { placeholder: option.placeholder } : {}),
+      group: option.group || 'Customization'
+    };
+  });
+
+  return {
+    id,
+    title: title.trim(),
+    description: String(description),
+    options: [...fileOptions, ...promptOptions],
+    ...(genres ? { genres } : {}),
+    pack: {
+      manifestPath,
+      promptPath,
+      output,
+      inputs: fileOptions.map(option => option.name).filter(name => name !== 'manuscript_file'),
+      promptOptions: promptOptions.map(({ name, label, type }) => ({ name, label, type }))
+    }
+  };
+}
+
+/**
+ * Manifest files in the packs folder and its pack folders, in name order
+ * @param {string} packsDir - The tool-packs folder
+ * @returns {Promise<string[]>}
+ */
+async function findManifests(packsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(packsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const manifests = [];
+  const isManifest = (name) => MANIFEST_EXTENSIONS.includes(path.extname(name).toLowerCase());
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(packsDir, entry.name);
+    if (entry.isFile() && isManifest(entry.name)) {
+      manifests.push(entryPath);
+    } else if (entry.isDirectory()) {
+      const files = await fs.readdir(entryPath);
+      files.filter(isManifest).sort().forEach(file => manifests.push(path.join(entryPath, file)));
+    }
+  }
+  return manifests;
+}
+
+/**
+ * Read every tool pack; one that's broken is left out with the reason, so
+ * the other tools still load
+ * @param {string} packsDir - The tool-packs folder
+ * @param {string[]} builtInIds - IDs of the built-in tools
+ * @param {string[]} reservedOptions - Option names every AI tool already has
+ * @returns {Promise<Object>} - { defs, errors }: tool definitions, and a
+ *   "file: problem" message for each manifest left out
+ */
+async function loadToolPacks(packsDir, builtInIds, reservedOptions = []) {
+  const defs = [];
+  const errors = [];
+  for (const manifestPath of await findManifests(packsDir)) {
+    const where = path.relative(packsDir, manifestPath);
+    try {
+      const manifest = await readManifest(manifestPath);
+      defs.push(await toToolDef(manifest, manifestPath, [...builtInIds, ...defs.map(def => def.id)], reservedOptions));
+    } catch (error) {
+      errors.push(`${where}: ${error.message}`);
+    }
+  }
+  return { defs, errors };
+}
+
+module.exports = {
+  TOOL_PACKS_DIR,
+  loadToolPacks
+};
@@ -5,20 +5,30 @@ const fs = require('fs/promises');
 const path = require('path');
 const os = require('os');
 const appState = require('./state.js');
-const { toolPrompts } = require('./tool-prompts');
+const { toolPrompts, promptVersions } = require('./tool-prompts');
+const { FRAGMENTS_DIR } = require('./prompt-template');
+const { hashPrompt } = require('./run-history');
+const { diffLines, threeWayDiff } = require('./prompt-diff');
+
+// Versions kept in each prompt's history, oldest dropped first
+const MAX_PROMPT_VERSIONS = 30;
 
 class PromptManager {
   constructor() {
     this.promptsDir = path.join(appState.PROJECTS_DIR, 'tool-prompts');
+    // Shared pieces of prompts, included with {{> name}} (see prompt-template.js)
+    this.fragmentsDir = path.join(this.promptsDir, FRAGMENTS_DIR);
+    // Each prompt's record: the default it's based on, and its past versions
+    this.historyDir = path.join(this.promptsDir, '.history');
   }
 
   /**
-   * Ensures the tool-prompts directory exists
+   * Ensures the tool-prompts directory, and its fragments folder, exist
    * @returns {Promise<boolean>} - True if directory exists or was created
    */
   async ensurePromptsDirectory() {
     try {
-      await fs.mkdir(this.promptsDir, { recursive: true });
+      await fs.mkdir(this.fragmentsDir, { recursive: true });
       return true;
     } catch (error) {
       console.error('Error creating prompts directory:', error);
@@ -54,6 +64,7 @@ class PromptManager {
       if (error.code === 'ENOENT') {
         try {
           await fs.writeFile(promptPath, toolPrompts[toolName], 'utf8');
+          await this.trackPrompt(toolName, toolPrompts[toolName]);
           // console.log(`Default prompt created for ${toolName} at ${promptPath}`);
           return true;
         } catch (writeError) {
@@ -89,6 +100,8 @@ class PromptManager {
           
           // Write the default prompt directly (no backup)
           await fs.writeFile(promptPath, toolPrompts[toolName], 'utf8');
+          await this.recordVersion(toolName, toolPrompts[toolName], 'emptied, default put back');
+          await this.setBase(toolName);
           return toolPrompts[toolName];
         }
         
@@ -97,6 +110,8 @@ class PromptManager {
       }
       
       // console.log(`Retrieved existing prompt for ${toolName}`);
+      await this.trackPrompt(toolName, content).catch(error =>
+        console.error(`Error recording prompt history for ${toolName}:`, error));
       return content;
     } catch (error) {
       // If file doesn't exist, create default prompt
@@ -122,7 +137,355 @@ class PromptManager {
   }
 
   /**
-   * Initializes all available tool prompts
+   * Path of a tool's prompt file
+   * @param {string} toolName - Name of the tool
+   * @returns {string}
+   */
+  getPromptPath(toolName) {
+    return path.join(this.promptsDir, `${toolName}.txt`);
+  }
+
+  /**
+   * Whether a tool's prompt file has been changed from the built-in default
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<boolean|null>} - null if the tool has no default or no prompt file
+   */
+  async isPromptEdited(toolName) {
+    if (!toolPrompts[toolName]) {
+      return null;
+    }
+    try {
+      const content = await fs.readFile(this.getPromptPath(toolName), 'utf8');
+      return content !== toolPrompts[toolName];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace a tool's prompt file, keeping the old text in its history
+   * @param {string} toolName - Name of the tool
+   * @param {string} content - New prompt text
+   * @param {string} [source='saved'] - How the new text came about, for the history
+   * @returns {Promise<void>}
+   */
+  async savePrompt(toolName, content, source = 'saved') {
+    if (!content.trim()) {
+      throw new Error('The prompt is empty');
+    }
+    await this.ensurePromptsDirectory();
+    // Catch any edits made to the file since it was last read
+    await this.trackPrompt(toolName);
+    await fs.writeFile(this.getPromptPath(toolName), content, 'utf8');
+    await this.recordVersion(toolName, content, source);
+  }
+
+  /**
+   * Put a tool's built-in default prompt back
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<boolean>} - false if the tool has no default prompt
+   */
+  async resetPrompt(toolName) {
+    if (!toolPrompts[toolName]) {
+      return false;
+    }
+    await this.savePrompt(toolName, toolPrompts[toolName], `default v${this.getDefaultVersion(toolName)}`);
+    await this.setBase(toolName);
+    return true;
+  }
+
+  /**
+   * Version of a tool's built-in default prompt
+   * @param {string} toolName - Name of the tool
+   * @returns {number}
+   */
+  getDefaultVersion(toolName) {
+    return promptVersions[toolName] ? promptVersions[toolName].version : 1;
+  }
+
+  historyPath(toolName) {
+    return path.join(this.historyDir, `${toolName}.json`);
+  }
+
+  /**
+   * A prompt's record
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<Object|null>} - { base, versions }: base is { version,
+   *   hash, text } of the default the user's copy is based on, or null if
+   *   that isn't known; versions are { savedAt, hash, source, text }, oldest
+   *   first, the last being the file as it is. null if there's no record yet
+   */
+  async readRecord(toolName) {
+    try {
+      return JSON.parse(await fs.readFile(this.historyPath(toolName), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeRecord(toolName, record) {
+    await fs.mkdir(this.historyDir, { recursive: true });
+    await fs.writeFile(this.historyPath(toolName), JSON.stringify(record, null, 2), 'utf8');
+  }
+
+  /**
+   * Start a prompt's record if it has none, and add the file's text to its
+   * history if it was edited outside the app (e.g. in the editor)
+   * @param {string} toolName - Name of the tool
+   * @param {string} [content] - The file's text, if already read
+   * @returns {Promise<Object|null>} - The record; null if the tool has no
+   *   default prompt or no prompt file
+   */
+  async trackPrompt(toolName, content) {
+    if (!toolPrompts[toolName]) {
+      return null;
+    }
+    if (content === undefined) {
+      try {
+        content = await fs.readFile(this.getPromptPath(toolName), 'utf8');
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const hash = hashPrompt(content);
+    let record = await this.readRecord(toolName);
+    if (!record) {
+      record = { base: this.findBase(toolName, content), versions: [] };
+    } else if (!record.base && record.versions.length > 0) {
+      // Records started before earlier defaults shipped with their text
+      record.base = this.findBase(toolName, record.versions[0].text);
+      await this.writeRecord(toolName, record);
+    }
+    const latest = record.versions[record.versions.length - 1];
+    if (latest && latest.hash === hash) {
+      return record;
+    }
+    const source = hash === hashPrompt(toolPrompts[toolName])
+      ? `default v${this.getDefaultVersion(toolName)}`
+      : 'edited';
+    return this.addVersion(toolName, record, content, source);
+  }
+
+  /**
+   * Every version of a tool's default prompt, oldest first
+   * @param {string} toolName - Name of the tool
+   * @returns {Object[]} - { version, hash, text }
+   */
+  getDefaults(toolName) {
+    const earlier = promptVersions[toolName] ? promptVersions[toolName].earlier : [];
+    return [
+      ...earlier.map((entry, index) => ({ version: index + 1, hash: entry.hash, text: entry.text })),
+      { version: this.getDefaultVersion(toolName), hash: hashPrompt(toolPrompts[toolName]), text: toolPrompts[toolName] }
+    ];
+  }
+
+  /**
+   * Which default a prompt file that has no record started from: the one it
+   * matches, or else the one it shares the most lines with, so an edited copy
+   * can still be compared three ways
+   * @param {string} toolName - Name of the tool
+   * @param {string} content - The file's text
+   * @returns {Object} - { version, hash, text }
+   */
+  findBase(toolName, content) {
+    const defaults = this.getDefaults(toolName);
+    const hash = hashPrompt(content);
+    const match = defaults.find(entry => entry.hash === hash);
+    if (match || defaults.length === 1) {
+      return match || defaults[0];
+    }
+
+    // Share of both texts' lines they have in common; ties go to the newer default
+    const similarity = (text) => {
+      const lines = diffLines(text, content);
+      const same = lines.filter(line => line.type === 'same').length;
+      return (2 * same) / (lines.length + same);
+    };
+    let best = null;
+    let bestScore = -1;
+    for (const entry of [...defaults].reverse()) {
+      const score = similarity(entry.text);
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  async addVersion(toolName, record, content, source) {
+    record.versions.push({ savedAt: new Date().toISOString(), hash: hashPrompt(content), source, text: content });
+    record.versions = record.versions.slice(-MAX_PROMPT_VERSIONS);
+    await this.writeRecord(toolName, record);
+    return record;
+  }
+
+  /**
+   * Add text just written to a prompt file to its history
+   * @param {string} toolName - Name of the tool
+   * @param {string} content - The file's new text
+   * @param {string} source - How it came about
+   * @returns {Promise<void>}
+   */
+  async recordVersion(toolName, content, source) {
+    if (!toolPrompts[toolName]) {
+      return;
+    }
+    const record = (await this.readRecord(toolName)) || { base: this.findBase(toolName, content), versions: [] };
+    const latest = record.versions[record.versions.length - 1];
+    if (!latest || latest.hash !== hashPrompt(content)) {
+      await this.addVersion(toolName, record, content, source);
+    }
+  }
+
+  /**
+   * Mark a prompt as based on the current default
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<void>}
+   */
+  async setBase(toolName) {
+    const record = await this.trackPrompt(toolName);
+    if (record) {
+      record.base = {
+        version: this.getDefaultVersion(toolName),
+        hash: hashPrompt(toolPrompts[toolName]),
+        text: toolPrompts[toolName]
+      };
+      await this.writeRecord(toolName, record);
+    }
+  }
+
+  /**
+   * Where a tool's prompt stands against its default
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<Object|null>} - { toolName, edited, baseVersion,
+   *   defaultVersion, updateAvailable }, baseVersion being the default the
+   *   prompt started from, or the closest one if that wasn't recorded; null
+   *   if the tool has no default prompt or no prompt file
+   */
+  async getPromptStatus(toolName) {
+    const record = await this.trackPrompt(toolName);
+    if (!record) {
+      return null;
+    }
+    const content = record.versions[record.versions.length - 1].text;
+    const defaultVersion = this.getDefaultVersion(toolName);
+    const edited = content !== toolPrompts[toolName];
+    return {
+      toolName,
+      edited,
+      baseVersion: record.base ? record.base.version : null,
+      defaultVersion,
+      updateAvailable: edited && (!record.base || record.base.version < defaultVersion)
+    };
+  }
+
+  /**
+   * Every default prompt's status
+   * @returns {Promise<Object[]>} - See getPromptStatus
+   */
+  async getAllPromptStatuses() {
+    const statuses = await Promise.all(Object.keys(toolPrompts).map(toolName => this.getPromptStatus(toolName)));
+    return statuses.filter(Boolean);
+  }
+
+  /**
+   * Bring prompt files nobody edited up to the newest defaults
+   * @returns {Promise<string[]>} - Names of the tools whose prompts were updated
+   */
+  async updateUneditedPrompts() {
+    const updated = [];
+    for (const toolName of Object.keys(toolPrompts)) {
+      const record = await this.trackPrompt(toolName);
+      if (!record || !record.base || record.base.version >= this.getDefaultVersion(toolName)) {
+        continue;
+      }
+      if (record.versions[record.versions.length - 1].hash === record.base.hash) {
+        await this.resetPrompt(toolName);
+        updated.push(toolName);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * A prompt compared with its default: three ways (the default it started
+   * from, the user's copy, the new default) when a newer default came out
+   * since it was edited and the old one is known, otherwise the user's copy
+   * against the current default
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<Object|null>} - { toolName, status, mine, newDefault,
+   *   oldDefault, blocks, lines }: blocks from threeWayDiff, or lines from
+   *   diffLines (default to mine) with blocks null. null if the tool has no
+   *   default prompt or no prompt file
+   */
+  async comparePrompt(toolName) {
+    const status = await this.getPromptStatus(toolName);
+    if (!status) {
+      return null;
+    }
+    const record = await this.readRecord(toolName);
+    const mine = record.versions[record.versions.length - 1].text;
+    const newDefault = toolPrompts[toolName];
+    const threeWay = status.updateAvailable && record.base;
+    return {
+      toolName,
+      status,
+      mine,
+      newDefault,
+      oldDefault: record.base ? record.base.text : null,
+      blocks: threeWay ? threeWayDiff(record.base.text, mine, newDefault) : null,
+      lines: threeWay ? null : diffLines(newDefault, mine)
+    };
+  }
+
+  /**
+   * Keep the user's prompt as it is, and stop offering the current default
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<void>}
+   */
+  async keepPrompt(toolName) {
+    await this.setBase(toolName);
+  }
+
+  /**
+   * A prompt's past versions, newest first
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<Object[]>} - { savedAt, hash, source, text, current }
+   */
+  async getPromptHistory(toolName) {
+    const record = await this.trackPrompt(toolName);
+    if (!record) {
+      return [];
+    }
+    return record.versions
+      .map((version, index) => ({ ...version, current: index === record.versions.length - 1 }))
+      .reverse();
+  }
+
+  /**
+   * Put back a past version of a prompt; the text it replaces stays in the history
+   * @param {string} toolName - Name of the tool
+   * @param {string} hash - The version's hash
+   * @returns {Promise<Object>} - The version put back
+   * @throws {Error} - If the prompt has no such version
+   */
+  async revertPrompt(toolName, hash) {
+    const record = await this.trackPrompt(toolName);
+    const version = record && [...record.versions].reverse().find(candidate => candidate.hash === hash);
+    if (!version) {
+      throw new Error(`${toolName} has no saved version ${hash}`);
+    }
+    await this.savePrompt(toolName, version.text, `reverted to ${new Date(version.savedAt).toLocaleString()}`);
+    return version;
+  }
+
+  /**
+   * Initializes all available tool prompts, and updates unedited ones
    * @returns {Promise<void>}
    */
   async initializeAllPrompts() {
@@ -149,6 +512,13 @@ class PromptManager {
     if (succeeded.length > 0) {
       // console.log(`Created default prompts for: ${succeeded.join(', ')}`);
     }
+
+    // Prompts nobody edited get any newer default; edited ones are left for
+    // the user to compare (see comparePrompt)
+    const updated = await this.updateUneditedPrompts();
+    if (updated.length > 0) {
+      console.log(`Updated to newer default prompts: ${updated.join(', ')}`);
+    }
   }
 }
 
@@ -192,6 +192,12 @@ For each unresolved element, provide:
 - What was introduced and where in the manuscript
 - Why it creates an expectation of resolution
 - Suggested approaches for resolution or intentional non-resolution
+{{#if special_instructions}}
+
+=== SPECIAL INSTRUCTIONS ===
+Give particular attention to the following in both TASKS:
+{{special_instructions}}
+{{/if}}
 
 IMPORTANT: 
 - Label each TASK in your response.
@@ -1373,6 +1379,333 @@ Lay it on me, us writer's can handle it.
 Use specific text examples from the manuscript to support your critique.
 `,
 
+// Non-fiction tools
+creative_nonfiction_editing: `
+Thoroughly complete the following 2 TASKS for CREATIVE/LITERARY NON-FICTION:
+
+=== TASK 1: ARTISTIC INTEGRITY ANALYSIS ===
+
+You are an expert editor specializing in creative and literary non-fiction. 
+Analyze the MANUSCRIPT to identify elements that undermine the work's artistic authenticity, voice consistency, or emotional resonance.
+
+Focus on:
+
+1. VOICE AND AUTHENTICITY:
+   - Moments where the author's voice feels forced, artificial, or inconsistent with the established tone
+   - Insights or reflections that seem manufactured rather than genuinely discovered
+   - Shifts in narrative persona that feel jarring or unmotivated
+   - Language that sounds borrowed from other writers rather than authentically the author's own
+
+2. METAPHORICAL INTEGRITY:
+   - Connections between paired elements that feel forced or intellectually constructed rather than intuitively discovered
+   - Metaphors that break down when examined or don't sustain their internal logic
+   - Symbolic interpretations that seem imposed from outside rather than emerging from the material
+   - Overextended analogies that lose their power through excessive elaboration
+
+3. EMOTIONAL HONESTY:
+   - Reflections that claim depth or significance they haven't earned through the writing
+   - Spiritual insights that feel generic or borrowed rather than personally lived
+   - Emotional moments that seem performed rather than genuinely felt
+   - Conclusions that arrive too easily without sufficient exploration of complexity or doubt
+
+4. STRUCTURAL COHERENCE:
+   - Individual pieces that don't contribute to the overall arc or vision of the work
+   - Repetitive patterns that become predictable rather than building meaning
+   - Missing connections between pieces that could strengthen the cumulative effect
+   - Inconsistencies in the experimental method or approach that confuse rather than intrigue
+
+For each issue found, provide:
+- The specific problem with exact manuscript locations
+- Why it diminishes the artistic or emotional impact
+- A suggested approach for revision that honors the creative intent
+
+=== TASK 2: RESONANCE AND COMPLETION ANALYSIS ===
+
+You are an expert editor focusing on the emotional and spiritual impact of literary non-fiction. Analyze the MANUSCRIPT to identify where the work could deepen its resonance or achieve greater completeness.
+
+1. UNREALIZED POTENTIAL:
+   - Metaphorical pairings that could yield richer insights with deeper exploration
+   - Personal revelations that are touched on but not fully developed
+   - Spiritual or philosophical threads that could be woven more explicitly through the work
+   - Moments of genuine discovery that could be expanded or deepened
+
+2. CUMULATIVE IMPACT:
+   - Missing connections between individual pieces that could strengthen the overall experience
+   - Patterns or themes that emerge but aren't fully explored or articulated
+   - Opportunities for the work to build toward greater meaning or revelation
+   - Ways the experimental constraint could be more fully explored or evolved
+
+3. READER EXPERIENCE:
+   - Places where readers might lose engagement or feel distanced from the material
+   - Opportunities to invite deeper contemplation or personal reflection
+   - Missing guidance for readers who want to apply this approach in their own lives
+   - Moments where the writing could be more generous in sharing insight or vulnerability
+
+4. ARTISTIC COMPLETENESS:
+   - Questions raised by the work that deserve further exploration
+   - Philosophical implications that could be more fully developed
+   - The relationship between form and content that could be made more explicit
+   - Ways the ending could provide greater sense of completion or transformation
+
+For each area of unrealized potential, provide:
+- What deeper possibility exists and where in the manuscript
+- How developing this element would serve the work's artistic vision
+- Suggested approaches that maintain the work's contemplative and experimental nature
+
+IMPORTANT:
+- Prioritize authentic spiritual and emotional insight over intellectual cleverness
+- Evaluate whether metaphorical connections feel genuinely discovered rather than constructed
+- Consider the cumulative effect and overall reading experience, not just individual pieces
+- Respect the experimental and contemplative nature of the work
+- Focus on deepening resonance rather than adding external validation or proof
+{{#if special_instructions}}
+
+=== SPECIAL INSTRUCTIONS ===
+Give particular attention to the following:
+{{special_instructions}}
+{{/if}}
+`,
+
+nonfiction_integrity_editing: `
+Thoroughly complete the following 2 TASKS:
+
+=== TASK 1: CONCEPTUAL CONSISTENCY ANALYSIS ===
+
+You are an expert non-fiction editor focusing on argumentative integrity and conceptual coherence. Analyze the MANUSCRIPT to identify elements that are internally inconsistent, contradictory, or lacking intellectual rigor.
+
+Focus on:
+
+1. ARGUMENT CONSISTENCY:
+   - Central claims that contradict each other across different sections
+   - Definitions or explanations of key concepts that shift without acknowledgment
+   - Philosophical or theoretical positions that conflict with earlier stated views
+   - Value judgments or conclusions that contradict the author's established framework
+
+2. EVIDENCE AND SUPPORT:
+   - Claims made without adequate supporting evidence or examples
+   - Examples that actually undermine rather than support the stated point
+   - Personal anecdotes that contradict the broader argument being made
+   - Generalizations that aren't sufficiently grounded in the provided evidence
+
+3. LOGICAL STRUCTURE:
+   - Cause-and-effect relationships that don't hold up to scrutiny
+   - Conclusions that don't follow from the premises provided
+   - Analogies or metaphors that break down when examined closely
+   - Circular reasoning or assumptions presented as proven facts
+
+4. VOICE AND AUTHORITY:
+   - Shifts in the author's expertise or authority claims without explanation
+   - Inconsistencies in the author's relationship to the material (personal vs. analytical distance)
+   - Contradictory attitudes toward the same concepts or experiences
+   - Claims to knowledge or insight that seem unsupported by the author's demonstrated expertise
+
+For each issue found, provide:
+- The specific inconsistency with exact manuscript locations
+- Why it creates a credibility or clarity problem
+- A suggested revision approach
+
+=== TASK 2: INCOMPLETE DEVELOPMENT ANALYSIS ===
+
+You are an expert non-fiction editor specializing in thorough argument development. Analyze the MANUSCRIPT to identify concepts, claims, or themes that have been introduced but not fully developed or resolved.
+
+1. UNDERDEVELOPED ARGUMENTS:
+   - Central claims that are stated but not sufficiently explored or defended
+   - Complex concepts introduced but not adequately explained or unpacked
+   - Counterarguments acknowledged but not addressed
+   - Implications of the author's position that are suggested but not explored
+
+2. INCOMPLETE EXAMPLES:
+   - Stories or anecdotes that are started but don't reach a satisfying conclusion
+   - Examples that illustrate one aspect of a concept but leave other important dimensions unexplored
+   - Case studies or illustrations that raise questions they don't answer
+   - Personal experiences mentioned but not connected to the larger themes
+
+3. THEMATIC THREADS:
+   - Recurring themes or motifs that appear throughout but aren't explicitly connected
+   - Concepts that seem central to the work but aren't given adequate development
+   - Patterns in the author's thinking that could be made more explicit
+   - Spiritual or philosophical insights that are hinted at but not fully articulated
+
+4. STRUCTURAL GAPS:
+   - Transitions between sections that leave logical gaps
+   - Concepts introduced early that don't reappear when relevant
+   - Promised discussions or explorations that never materialize
+   - Missing context that would help readers understand the significance of particular insights
+
+For each underdeveloped element, provide:
+- What was introduced and where in the manuscript
+- Why it creates an expectation of fuller development
+- Suggested approaches for completion or explicit acknowledgment of the limitation
+
+IMPORTANT:
+- Label each TASK clearly in your response
+- Consider the genre and intended audience when evaluating completeness
+- Distinguish between intentional artistic choices and actual gaps in development
+{{#if special_instructions}}
+
+=== SPECIAL INSTRUCTIONS ===
+Give particular attention to the following:
+{{special_instructions}}
+{{/if}}
+`,
+
+selfhelp_nonfiction_editing: `
+Thoroughly complete the following 2 TASKS for SELF-HELP NON-FICTION:
+
+=== TASK 1: PRACTICAL EFFECTIVENESS ANALYSIS ===
+
+You are an expert editor specializing in self-help books. 
+Analyze the MANUSCRIPT to identify elements that undermine the book's practical value for readers seeking personal improvement or life change.
+
+Focus on:
+
+1. SOLUTION CLARITY:
+   - Techniques or methods that are explained vaguely or incompletely
+   - Steps that assume knowledge or skills the target reader may not have
+   - Advice that sounds good but lacks specific implementation guidance
+   - Instructions that are too complex for practical application
+
+2. ACCESSIBILITY BARRIERS:
+   - Language that is unnecessarily technical or academic for the intended audience
+   - Examples that don't reflect the reader's likely life circumstances
+   - Assumptions about time, resources, or lifestyle that exclude many readers
+   - Cultural references or contexts that limit broad applicability
+
+3. SAFETY AND REALISM:
+   - Advice that could be harmful if misapplied
+   - Promises or expectations that are unrealistic for typical readers
+   - Missing warnings about when professional help is needed
+   - Oversimplified solutions to complex psychological, medical, or life issues
+
+4. EVIDENCE AND CREDIBILITY:
+   - Claims about effectiveness that lack supporting evidence, citations, or references
+   - Personal anecdotes presented as universal solutions without broader support
+   - Contradictions with established research in relevant fields
+   - Misuse or misrepresentation of cited studies or expert opinions
+   - Missing citations where claims clearly derive from other sources
+   - Author credentials that don't match the scope of advice being given
+
+For each issue found, provide:
+- The specific problem with exact manuscript locations
+- Why it reduces the book's practical value for self-help readers
+- A suggested revision that improves usability and credibility
+
+=== TASK 2: READER SUPPORT ANALYSIS ===
+
+You are an expert editor focusing on reader experience in self-help literature. 
+Analyze the MANUSCRIPT to identify where readers might get stuck, confused, or discouraged in their personal development journey.
+
+1. STRUCTURAL SUPPORT:
+   - Missing quick reference guides or summaries for easy review
+   - Lack of clear progression from basic to advanced concepts
+   - No system for readers to track progress or measure success
+   - Absence of troubleshooting guidance when methods don't work initially
+
+2. MOTIVATIONAL GAPS:
+   - Sections that inadvertently shame or blame readers for their current situation
+   - Lack of encouragement for readers who struggle with implementation
+   - Missing acknowledgment of common obstacles and setbacks
+   - No guidance for maintaining new habits or practices long-term
+
+3. PRACTICAL LOGISTICS:
+   - Methods that require resources, tools, or support not clearly specified
+   - Time commitments that aren't realistic for busy readers
+   - No adaptation suggestions for different life circumstances or limitations
+   - Missing guidance on integrating new practices into existing routines
+
+4. READER EMPOWERMENT:
+   - Lack of guidance on customizing approaches to individual needs
+   - No framework for readers to evaluate what works for them personally
+   - Missing education about underlying principles that help readers understand why methods work
+   - Absence of guidance on when and how to seek additional help or resources
+   - Insufficient citation of sources that readers could explore for deeper learning
+
+For each gap found, provide:
+- What support is missing and where in the manuscript
+- How this gap might frustrate or limit reader success
+- Suggested additions that better serve people seeking personal improvement
+
+IMPORTANT:
+- Prioritize practical utility over academic sophistication
+- Consider readers who may be starting from difficult circumstances
+- Evaluate whether the book delivers on its promises to help readers improve their lives
+- Assess whether citations and references enhance or detract from accessibility
+- Focus on whether readers could realistically implement this guidance successfully
+{{#if special_instructions}}
+
+=== SPECIAL INSTRUCTIONS ===
+Give particular attention to the following:
+{{special_instructions}}
+{{/if}}
+`,
+
+evidence_gap_finder: `
+Evidence Gap Finder
+
+GOAL: Flag factual assertions that lack adequate sourcing or contain possible inconsistencies so the author can verify them manually, with priority given to high-stakes claims.
+
+PRIORITY CHECKLIST (address these first):
+- Medical, health, or safety claims presented without authoritative backing
+- Legal advice or regulatory information without proper citation
+- Financial recommendations or investment guidance lacking credible sources
+- Claims about vulnerable populations (children, elderly, minorities) without research support
+
+STANDARD CHECKLIST:
+- Unsupported assertions or vague references (e.g., "Research shows..." without a citation)
+- Precise figures, dates, quotations, or names that do not link to a verifiable source
+- Internal mismatches (one section says 52 percent, another says 59 percent)
+- Statistics or data points from unspecified studies or surveys
+- Claims about current events or recent developments without date-specific sourcing
+
+SOURCE RELIABILITY STANDARDS:
+- HIGHLY RELIABLE: Peer-reviewed academic journals, government databases (.gov sites), established medical institutions, official statistical agencies, primary legal documents
+- MODERATELY RELIABLE: Major news organizations with editorial oversight, established non-profit research organizations, industry reports from recognized authorities
+- QUESTIONABLE: Social media posts, personal blogs, commercial websites with vested interests, outdated sources (over 5 years old for rapidly changing fields)
+
+APPROACH:
+- Extract each distinct factual claim from the manuscript
+- Search for supporting evidence using available resources (note: AI capabilities may be limited for real-time source verification)
+- Cross-reference internal claims for consistency
+- Check publication dates to ensure currency of information
+- Identify potential bias in sources
+
+SOURCE STATUS CATEGORIES:
+- VERIFIED: Found credible, current source that directly supports the claim
+- PARTIALLY SUPPORTED: Found relevant source but with limited scope or slightly different parameters
+- OUTDATED: Found source but information may be obsolete
+- CONFLICTING SOURCES: Multiple sources found with contradictory information
+- UNVERIFIED: No adequate source located
+- CONFLICT: Internal manuscript inconsistencies identified
+
+OUTPUT FORMAT:
+- Provide the following three blocks in plain text exactly as shown.
+
+PRIORITY ISSUES TABLE
+- Claim | Source Status | Suggested Citation | Notes | Risk Level
+
+STANDARD FINDINGS TABLE
+- Claim | Source Status | Suggested Citation | Notes
+
+SUGGESTED IMPROVEMENTS
+- For every row marked UNVERIFIED, CONFLICT, OUTDATED, or CONFLICTING SOURCES, suggest specific steps for verification
+- Recommend removal or revision for unsupported high-risk claims
+- Suggest alternative phrasing for partially supported assertions
+- Provide guidance on updating outdated information
+
+NOTICE: 
+You are an automated assistant with limited access to current databases and 
+sources. This analysis may miss recent developments or specialized sources. 
+The author must independently verify all facts, especially high-priority 
+claims, before publication. Consider consulting subject matter experts 
+for complex technical, medical, or legal assertions.
+{{#if special_instructions}}
+
+=== SPECIAL INSTRUCTIONS ===
+Give particular attention to the following:
+{{special_instructions}}
+{{/if}}
+`,
+
 // AI writing tools
 brainstorm: ``, // see tool for prompt
 
@@ -1384,6 +1717,101 @@ chapter_writer: ``, // see tool for prompt
 
 // Non-AI tools
 docx_comments: ``,
-epub_converter: ``
+epub_converter: ``,
+findings_to_docx: ``
+
+};
 
+// Version of each default prompt that has changed since it first shipped (the
+// rest are version 1). When changing a default, bump its version and add the
+// old text, with its hash (hashPrompt in run-history.js), to "earlier": copies
+// that were never edited are recognized and brought up to date, and an edited
+// copy is compared three ways against the earlier default it is closest to.
+exports.promptVersions = {
+  narrative_integrity: {
+    version: 2,
+    earlier: [
+      { hash: 'f2a0166a1073', text: `
+Thoroughly complete the following 2 TASKS:
+
+=== TASK 1: INTERNAL ANALYSIS ===
+You are an expert fiction editor focusing on internal narrative
+consistency and integrity. Analyze the MANUSCRIPT to identify elements that are
+internally inconsistent or contradictory or lacking integrity, regardless of the
+established story world. 
+
+Focus on:
+
+1. NARRATIVE CONTINUITY:
+   - Events that contradict earlier established facts within the
+     manuscript itself
+   - Description inconsistencies (characters, objects, settings
+     changing without explanation)
+   - Dialogue that contradicts earlier statements by the same
+     character
+   - Emotional arcs that show sudden shifts without sufficient
+     development
+
+2. SCENE-TO-SCENE COHERENCE:
+   - Physical positioning and transitions between locations
+   - Time of day and lighting inconsistencies
+   - Character presence/absence in scenes without explanation
+   - Weather or environmental conditions that change illogically
+
+3. PLOT LOGIC:
+   - Character motivations that seem inconsistent with their actions
+   - Convenient coincidences that strain credibility
+   - Information that characters possess without logical means of
+     acquisition
+   - Plot developments that contradict earlier established rules or
+     limitations
+
+4. POV INTEGRITY:
+   - Shifts in viewpoint that break established narrative patterns
+   - Knowledge revealed that the POV character couldn't logically
+     possess
+   - Tone or voice inconsistencies within the same POV sections
+
+For each issue found, provide:
+- The specific inconsistency, lacking integrity, with exact manuscript locations
+- Why it creates a continuity problem
+- A suggested revision approach
+
+
+=== TASK 2: UNRESOLVED ANALYSIS ===
+You are an expert fiction editor specializing in narrative
+completeness. Analyze the MANUSCRIPT to identify elements that have
+been set up but not resolved:
+
+1. UNRESOLVED PLOT ELEMENTS:
+   - Mysteries or questions raised but not answered
+   - Conflicts introduced but not addressed
+   - Promises made to the reader (through foreshadowing or explicit
+     setup) without payoff
+   - Character goals established but not pursued
+
+2. CHEKHOV'S GUNS:
+   - Significant objects introduced but not used
+   - Skills or abilities established but never employed
+   - Locations described in detail but not utilized in the plot
+   - Information revealed but not made relevant
+
+3. CHARACTER THREADS:
+   - Side character arcs that begin but don't complete
+   - Character-specific conflicts that don't reach resolution
+   - Backstory elements introduced but not integrated into the main
+     narrative
+   - Relationship dynamics that are established but not developed
+
+For each unresolved element, provide:
+- What was introduced and where in the manuscript
+- Why it creates an expectation of resolution
+- Suggested approaches for resolution or intentional non-resolution
+
+IMPORTANT: 
+- Label each TASK in your response.
+- Only plain text in your response with NO Markdown formatting.
+` }
+    ]
+  }
 };
@@ -0,0 +1,225 @@
+// tool-runs.js
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const runHistory = require('./run-history');
+const usageLedger = require('./usage-ledger');
+const fileCache = require('./file-cache');
+
+/**
+ * Tool runs
+ * Running a tool outside its Setup dialog (from the command line or a
+ * pipeline), and what is kept about each finished tool run, wherever it was
+ * started from: its entry in the project's run history and its cost in the
+ * usage ledger.
+ */
+
+/**
+ * Run a registered tool and keep its record: its output files, cost and
+ * run history entry
+ * @param {string} runId - Run ID
+ * @param {string} toolName - Tool ID
+ * @param {Object} optionValues - Options to run the tool with
+ * @param {Function} sendOutput - Receives the tool's output as it is written
+ * @param {AbortSignal} signal - Aborted to cancel the run
+ * @returns {Promise<Object>} - { status, error, outputFiles, usage, cost }, status
+ *   being 'success', 'cancelled', or 'error' when the tool reported a failure
+ * @throws {Error} - If the tool failed with an error (after it was recorded)
+ */
+async function runTool(runId, toolName, optionValues, sendOutput, signal) {
+  const startedAt = new Date();
+  const outcome = { status: 'success', outputFiles: [] };
+  try {
+    const tool = toolSystem.toolRegistry.getTool(toolName);
+    if (!tool) {
+      throw new Error(`Tool not found: ${toolName}`);
+    }
+    
+    fileCache.clear(toolName);
+    
+    // Execute the tool (passing sendOutput so it can assign emitOutput)
+    const result = await toolSystem.executeToolById(toolName, optionValues, runId, sendOutput, signal);
+    
+    // Files the tool returned, and any it only added to the file cache
+    outcome.outputFiles = [...new Set([
+      ...(result.outputFiles || []),
+      ...fileCache.getFiles(toolName).map(file => file.path)
+    ])];
+    outcome.usage = result.usage;
+    outcome.cost = await recordRunCost(runId, toolName, signal, sendOutput);
+    if (result.cancelled || signal.aborted) {
+      outcome.status = 'cancelled';
+    } else if (result.success === false) {
+      outcome.status = 'error';
+      outcome.error = result.errorType || 'Tool reported failure';
+    }
+    return outcome;
+  } catch (error) {
+    outcome.outputFiles = fileCache.getFiles(toolName).map(file => file.path);
+    outcome.cost = await recordRunCost(runId, toolName, signal, sendOutput);
+    if (signal.aborted) {
+      console.log(`Tool run ${runId} (${toolName}) was cancelled`);
+      outcome.status = 'cancelled';
+      return outcome;
+    }
+    outcome.status = 'error';
+    outcome.error = error.message;
+    throw error;
+  } finally {
+    await recordToolRun(runId, toolName, optionValues, startedAt, outcome);
+  }
+}
+
+/**
+ * Each option's default, as the Setup dialog fills them in
+ * @param {Object} tool - Registered tool
+ * @returns {Object} - Values keyed by option name
+ */
+function defaultOptionValues(tool) {
+  const values = {};
+  for (const option of tool.config.options || []) {
+    // As in Setup, the language defaults to the one chosen in Settings
+    values[option.name] = option.name === 'lang' && appState.LANGUAGE && appState.LANGUAGE.name
+      ? appState.LANGUAGE.name
+      : option.default !== undefined ? option.default : '';
+  }
+  return values;
+}
+
+/**
+ * Turn an option value typed as text into what the Setup dialog would have given for it
+ * @param {Object} option - Option definition
+ * @param {string} raw - The value as typed
+ * @returns {*}
+ * @throws {Error} - If the value doesn't suit the option
+ */
+function parseOptionValue(option, raw) {
+  switch (option.type) {
+    case 'boolean':
+      if (/^(true|yes|on|1)$/i.test(raw)) return true;
+      if (/^(false|no|off|0)$/i.test(raw)) return false;
+      throw new Error(`${option.name} takes true or false, not "${raw}"`);
+    case 'number': {
+      if (raw.trim() === '') return '';
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        throw new Error(`${option.name} takes a number, not "${raw}"`);
+      }
+      if ((option.min !== undefined && value < option.min) || (option.max !== undefined && value > option.max)) {
+        throw new Error(`${option.name} must be between ${option.min !== undefined ? option.min : '-∞'} ` +
+          `and ${option.max !== undefined ? option.max : '∞'}`);
+      }
+      return value;
+    }
+    case 'select':
+      if (option.choices && !option.choices.some(choice => String(choice.value) === raw)) {
+        throw new Error(`${option.name} takes one of: ${option.choices.map(choice => choice.value).join(', ')}`);
+      }
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Add a finished tool run to the current project's run history.
+ * History is a convenience, so failures are only logged.
+ * @param {string} runId - Run id
+ * @param {string} toolName - Tool id
+ * @param {Object} optionValues - Options the tool ran with
+ * @param {Date} startedAt - When the run started
+ * @param {Object} outcome - { status, error, outputFiles, usage }
+ * @param {Object} [tool] - Tool instance that ran, if not the registered one
+ */
+async function recordToolRun(runId, toolName, optionValues, startedAt, outcome,
+                             tool = toolSystem.toolRegistry.getTool(toolName)) {
+  if (!appState.CURRENT_PROJECT_PATH) {
+    return;
+  }
+  
+  try {
+    const apiService = tool && tool.apiService;
+    const finishedAt = new Date();
+    const usage = outcome.usage || {};
+    
+    await runHistory.recordRun(appState.CURRENT_PROJECT_PATH, {
+      id: runId,
+      toolId: toolName,
+      toolTitle: tool ? (tool.config.title || tool.title) : toolName,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      status: outcome.status,
+      error: outcome.error || null,
+      options: optionValues,
+      provider: apiService ? apiService.providerId || appState.store.get('selectedApiProvider') || null : null,
+      model: apiService ? (apiService.config && apiService.config.model_name) || null : null,
+      promptHash: usage.promptHash || null,
+      tokens: usage.tokens || null,
+      reusedResponse: Boolean(usage.reused),
+      cost: outcome.cost === undefined ? null : outcome.cost,
+      outputFiles: outcome.outputFiles
+    });
+  } catch (error) {
+    console.error('Error recording tool run:', error);
+  }
+}
+
+/**
+ * Price a finished run from the AI service's usage meter, show it in the
+ * tool output and add it to the usage ledger
+ * @param {string} runId - Run ID
+ * @param {string} toolName - Tool ID
+ * @param {AbortSignal} signal - The run's abort signal, which keys its usage
+ * @param {Function} sendOutput - Writes to the tool's output area
+ * @param {Object} [tool] - Tool instance that ran, if not the registered one
+ * @returns {Promise<number|null>} - US dollars, null if the run made
+ *   no AI requests or a model's price is unknown
+ */
+async function recordRunCost(runId, toolName, signal, sendOutput,
+                             tool = toolSystem.toolRegistry.getTool(toolName)) {
+  try {
+    const apiService = tool && tool.apiService;
+    if (!apiService || typeof apiService.getRunUsage !== 'function') {
+      return null;
+    }
+    const usage = apiService.getRunUsage(signal);
+    if (usage.length === 0) {
+      return null;
+    }
+    
+    const priced = usage.every(entry => entry.cost !== null);
+    const cost = priced ? usage.reduce((sum, entry) => sum + entry.cost, 0) : null;
+    const inputTokens = usage.reduce((sum, entry) => sum + entry.inputTokens, 0);
+    const outputTokens = usage.reduce((sum, entry) => sum + entry.outputTokens, 0);
+    const thinkingTokens = usage.reduce((sum, entry) => sum + entry.thinkingTokens, 0);
+    // Requests the provider reported no tokens for were estimated from characters
+    const estimated = usage.some(entry => entry.estimated);
+    sendOutput(`\n💰 ${estimated ? 'Estimated cost' : 'Cost'} of this run: ${usageLedger.formatCost(cost)} ` +
+      `(${estimated ? 'about ' : ''}${inputTokens.toLocaleString()} tokens sent, ${outputTokens.toLocaleString()} received` +
+      `${thinkingTokens > 0 ? `, ${thinkingTokens.toLocaleString()} of them thinking` : ''}` +
+      `${priced ? '' : '; no price is known for ' + usage.filter(e => e.cost === null).map(e => e.model).join(', ')})\n`);
+    
+    const date = new Date().toISOString();
+    await usageLedger.recordUsage(appState.PROJECTS_DIR, usage.map(entry => ({
+      date,
+      runId,
+      toolId: toolName,
+      toolTitle: tool.config.title || toolName,
+      project: appState.CURRENT_PROJECT || null,
+      projectPath: appState.CURRENT_PROJECT_PATH || null,
+      ...entry
+    })));
+    return cost;
+  } catch (error) {
+    console.error('Error recording run cost:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  runTool,
+  defaultOptionValues,
+  parseOptionValue,
+  recordToolRun,
+  recordRunCost
+};
@@ -14,15 +14,28 @@ const setupBtn = document.getElementById('setup-btn');
 const runBtn = document.getElementById('run-btn');
 const clearBtn = document.getElementById('clear-btn');
 const forceQuitBtn = document.getElementById('force-quit-btn');
+const cancelBtn = document.getElementById('cancel-btn');
 const outputElement = document.getElementById('output');
 const elapsedTimeElement = document.getElementById('elapsed-time');
+const costEstimateElement = document.getElementById('cost-estimate');
+const compareBtn = document.getElementById('compare-btn');
+const compareBar = document.getElementById('compare-bar');
+const comparePanes = document.getElementById('compare-panes');
 
 // Dialog elements
 const setupDialogOverlay = document.getElementById('setup-dialog-overlay');
 const setupDialogClose = document.getElementById('setup-dialog-close');
 const setupDialogCancel = document.getElementById('setup-dialog-cancel');
 const setupDialogApply = document.getElementById('setup-dialog-apply');
+const setupDialogFooter = document.getElementById('setup-dialog-footer');
+const cachedRunChoice = document.getElementById('cached-run-choice');
+const cachedRunText = document.getElementById('cached-run-text');
+const cachedRunReuse = document.getElementById('cached-run-reuse');
+const cachedRunFresh = document.getElementById('cached-run-fresh');
 const dialogOptionsContainer = document.getElementById('dialog-options-container');
+const toolProviderGroup = document.getElementById('tool-provider-group');
+const toolProviderSelect = document.getElementById('tool-provider-select');
+const toolModelSelect = document.getElementById('tool-model-select');
 
 // Tool state
 let toolData = null;
@@ -34,6 +47,16 @@ let currentRunId = null;
 let setupCompleted = false;
 let currentOptionValues = {};
 let canClose = true; // Flag to control whether the window can be closed
+let comparePaneOutputs = []; // Output element of each compare pane, by pane index
+
+// Providers offered for compare mode and per-tool overrides, as in the settings dialog
+const AI_PROVIDERS = [
+  { id: 'gemini', name: 'Gemini' },
+  { id: 'openai', name: 'ChatGPT' },
+  { id: 'claude', name: 'Claude' },
+  { id: 'local', name: 'Local AI' },
+  { id: 'mock', name: 'Mock AI' }
+];
 
 window.addEventListener('DOMContentLoaded', async () => {
   // Get tool info from main process
@@ -56,6 +79,20 @@ window.addEventListener('DOMContentLoaded', async () => {
         
         // Disable Run button until setup is completed
         runBtn.disabled = true;
+        
+        // Only tools with a single prompt and report can be compared
+        if (toolData.canCompare) {
+          compareBtn.style.display = '';
+        }
+        
+        if (toolData.usesAi) {
+          initToolProviderSelect().catch(error => console.error('Error loading AI providers:', error));
+        }
+        
+        // Re-running from the run history: start with that run's options
+        if (toolData.presetOptions) {
+          applyOptionValues(toolData.presetOptions);
+        }
       } catch (optionsError) {
         console.error('Error loading tool options:', optionsError);
         outputElement.textContent = `Error loading tool options: ${optionsError.message}`;
@@ -84,8 +121,8 @@ closeBtn.addEventListener('click', () => {
     return;
   }
 
-  // Before closing, stop any running tool
-  if (isRunning && currentRunId) {
+  // Before closing, stop a running comparison; a single run keeps going in the background
+  if (isRunning && currentRunId && comparePaneOutputs.length > 0) {
     window.electronAPI.stopTool(currentRunId)
       .then(() => {
         window.electronAPI.closeToolDialog('cancelled');
@@ -99,6 +136,22 @@ closeBtn.addEventListener('click', () => {
   }
 });
 
+// Cancel button handler - stops the current run, keeping any partial output
+cancelBtn.addEventListener('click', async () => {
+  if (!isRunning || !currentRunId) {
+    return;
+  }
+  cancelBtn.disabled = true;
+  outputElement.textContent += '\n\nCancelling...\n';
+  outputElement.scrollTop = outputElement.scrollHeight;
+  try {
+    await window.electronAPI.stopTool(currentRunId);
+  } catch (error) {
+    console.error('Error stopping tool:', error);
+    outputElement.textContent += `\nError cancelling tool: ${error.message}`;
+  }
+});
+
 // Force Quit button handler - always enabled and immediately quits the app
 forceQuitBtn.addEventListener('click', () => {
   console.log('Force quit requested');
@@ -113,8 +166,11 @@ setupBtn.addEventListener('click', async () => {
       return;
     }
     
-    // Generate form controls for options
-    await generateOptionsForm(currentToolOptions || []);
+    // Generate form controls for options, showing the values already applied
+    const formOptions = (currentToolOptions || []).map(option =>
+      option.name in currentOptionValues ? { ...option, default: currentOptionValues[option.name] } : option
+    );
+    await generateOptionsForm(formOptions);
     
     // Show the dialog
     showSetupDialog();
@@ -135,17 +191,126 @@ setupDialogCancel.addEventListener('click', () => {
 });
 
 // Setup dialog apply button
-setupDialogApply.addEventListener('click', () => {
+setupDialogApply.addEventListener('click', async () => {
   // Validate the form
   if (!validateOptionsForm()) {
     return; // Don't close dialog if validation fails
   }
   
+  // Switch this tool's provider first, so the cost estimate is for it
+  if (!(await saveToolProvider())) {
+    return;
+  }
+  
   // Gather all options from form
-  currentOptionValues = gatherOptionValues();
+  const values = gatherOptionValues();
+  
+  // Temperature etc. must suit the model this tool uses
+  if (toolData.usesAi) {
+    const { problems } = await window.electronAPI.checkGenerationParams(values, { toolId: toolData.name });
+    if (problems.length > 0) {
+      alert(`Please adjust the Advanced options (or the defaults in Settings):\n\n${problems.join('\n')}`);
+      return;
+    }
+  }
+  
+  // An identical earlier run's result is only reused if the user says so
+  if (toolData.usesAi && 'reuse_cached_response' in values && !values.reuse_cached_response) {
+    const cached = await window.electronAPI.findCachedRun(toolData.name, values);
+    if (cached) {
+      values.reuse_cached_response = await askReuseCachedRun(cached);
+    }
+  }
+  applyOptionValues(values);
+  
+  // Close the dialog
+  hideSetupDialog();
+});
+
+// Settles the question asked by askReuseCachedRun, while it's showing
+let resolveCachedRunChoice = null;
+
+/**
+ * Ask, in place of the Setup dialog's buttons, whether to reuse the result of
+ * an earlier run with the same manuscript, prompt, model and options
+ * @param {Object} cached - { createdAt, provider, model } from findCachedRun
+ * @returns {Promise<boolean>} - true to reuse it, false to run fresh
+ */
+function askReuseCachedRun(cached) {
+  cachedRunText.textContent = `This tool already ran on ${new Date(cached.createdAt).toLocaleString()}` +
+    `${cached.model ? ` with ${cached.model}` : ''}, on the same manuscript with the same prompt and options. ` +
+    `Reuse that result at no cost, or pay for a fresh run?`;
+  setupDialogFooter.style.display = 'none';
+  cachedRunChoice.style.display = '';
+  return new Promise(resolve => {
+    resolveCachedRunChoice = resolve;
+  });
+}
+
+function chooseCachedRun(reuse) {
+  cachedRunChoice.style.display = 'none';
+  setupDialogFooter.style.display = '';
+  if (resolveCachedRunChoice) {
+    resolveCachedRunChoice(reuse);
+    resolveCachedRunChoice = null;
+  }
+}
+
+cachedRunReuse.addEventListener('click', () => chooseCachedRun(true));
+cachedRunFresh.addEventListener('click', () => chooseCachedRun(false));
+
+// Fill the tool's own provider and model pickers; "" means as in Settings
+async function initToolProviderSelect() {
+  toolProviderGroup.style.display = '';
+  toolProviderSelect.innerHTML = '<option value="">As in Settings</option>';
+  AI_PROVIDERS.forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.name;
+    toolProviderSelect.appendChild(option);
+  });
+  
+  const override = toolData.override || {};
+  toolProviderSelect.value = override.provider || '';
+  toolProviderSelect.addEventListener('change', () => loadModelOptions(toolProviderSelect.value, toolModelSelect));
+  await loadModelOptions(toolProviderSelect.value, toolModelSelect, override.model);
+}
+
+/**
+ * Save the tool's provider and model if they were changed
+ * @returns {Promise<boolean>} - false if the provider can't be used
+ */
+async function saveToolProvider() {
+  if (!toolData.usesAi) {
+    return true;
+  }
+  const provider = toolProviderSelect.value;
+  const override = provider ? { provider, model: toolModelSelect.value } : null;
+  if (JSON.stringify(override) === JSON.stringify(toolData.override || null)) {
+    return true;
+  }
+  
+  const result = await window.electronAPI.setToolOverride(toolData.name, override);
+  if (!result.success) {
+    alert(`Could not switch this tool's AI provider: ${result.message}`);
+    return false;
+  }
+  toolData.override = override;
+  return true;
+}
+
+// Use these option values for the next run and show them in the output area
+function applyOptionValues(values) {
+  currentOptionValues = values;
   
   // Display setup information in output area
-  outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\nOptions:\n`;
+  outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n`;
+  if (toolData.override) {
+    const provider = AI_PROVIDERS.find(p => p.id === toolData.override.provider);
+    outputElement.textContent += `AI: ${provider ? provider.name : toolData.override.provider}` +
+      `${toolData.override.model ? ` / ${toolData.override.model}` : ''} (this tool only)\n`;
+  }
+  outputElement.textContent += `\nOptions:\n`;
   
   // Add each option and its value
   for (const [key, value] of Object.entries(currentOptionValues)) {
@@ -161,10 +326,149 @@ setupDialogApply.addEventListener('click', () => {
   runBtn.disabled = false;
   setupCompleted = true;
   
-  // Close the dialog
-  hideSetupDialog();
+  showCostEstimate(values);
+}
+
+// Show roughly what a run with these options will cost with the selected AI model
+async function showCostEstimate(values) {
+  costEstimateElement.textContent = '';
+  costEstimateElement.title = '';
+  try {
+    const estimate = await window.electronAPI.estimateToolCost(toolData.name, values);
+    if (!estimate || !estimate.available || values !== currentOptionValues) {
+      return;
+    }
+    
+    if (estimate.cachedAt) {
+      costEstimateElement.textContent = 'est. cost: $0 (reusing result)';
+      outputElement.textContent += `\nThis tool already ran on ${new Date(estimate.cachedAt).toLocaleString()} ` +
+        `with the same manuscript, prompt, model and options, so that result will be reused at no cost. ` +
+        `Untick "Reuse Previous Result" in Setup to run it fresh.`;
+      return;
+    }
+    
+    const tokens = `about ${estimate.inputTokens.toLocaleString()} tokens sent and ` +
+      `${estimate.outputTokens.toLocaleString()} received`;
+    let costText = 'unknown';
+    if (estimate.cost === null) {
+      costEstimateElement.title = `No price is known for ${estimate.model}; ${tokens}`;
+    } else {
+      costText = `~$${estimate.cost > 0 && estimate.cost < 0.01 ? estimate.cost.toFixed(4) : estimate.cost.toFixed(2)}`;
+      costEstimateElement.title = `${estimate.model}: ${tokens}, at prices as of ${estimate.pricesUpdated}. ` +
+        `Tools that make several requests, or retries, cost more.`;
+    }
+    costEstimateElement.textContent = `est. cost: ${costText}`;
+    outputElement.textContent += `\nEstimated cost with ${estimate.model}: ${costText} (${tokens}).`;
+  } catch (error) {
+    console.error('Error estimating cost:', error);
+  }
+}
+
+// Compare button: show or hide the provider/model pickers
+compareBtn.addEventListener('click', async () => {
+  const show = compareBar.style.display === 'none';
+  compareBar.style.display = show ? 'flex' : 'none';
+  compareBtn.classList.toggle('active', show);
+  if (show && !compareBar.dataset.loaded) {
+    compareBar.dataset.loaded = 'true';
+    await initCompareBar();
+  }
 });
 
+// Fill the compare pickers, starting with the selected provider and model
+async function initCompareBar() {
+  // The tool's own provider and model, if it has one, come first
+  const settings = await window.electronAPI.getCurrentSettings();
+  const current = toolData.override || { provider: settings.aiProvider, model: settings.aiModel };
+  const selected = current.provider || 'gemini';
+  const defaults = [selected, AI_PROVIDERS.find(p => p.id !== selected && p.id !== 'mock').id, ''];
+
+  const rows = compareBar.querySelectorAll('.compare-contender');
+  for (const [index, row] of [...rows].entries()) {
+    const providerSelect = row.querySelector('.compare-provider');
+    const modelSelect = row.querySelector('.compare-model');
+
+    providerSelect.innerHTML = '<option value="">None</option>';
+    AI_PROVIDERS.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerSelect.appendChild(option);
+    });
+    providerSelect.value = defaults[index];
+    providerSelect.addEventListener('change', () => loadModelOptions(providerSelect.value, modelSelect));
+
+    await loadModelOptions(providerSelect.value, modelSelect, index === 0 ? current.model : null);
+  }
+}
+
+async function loadModelOptions(provider, modelSelect, selectedModel = null) {
+  modelSelect.innerHTML = '';
+  modelSelect.disabled = !provider;
+  if (!provider) {
+    return;
+  }
+
+  const models = await window.electronAPI.getAvailableModels(provider);
+  const ids = (models || []).map(model => model.id || model.name).filter(Boolean).sort((a, b) => b.localeCompare(a));
+  if (ids.length === 0) {
+    modelSelect.innerHTML = '<option value="">No models (check API key)</option>';
+    return;
+  }
+  ids.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id;
+    modelSelect.appendChild(option);
+  });
+  if (selectedModel && ids.includes(selectedModel)) {
+    modelSelect.value = selectedModel;
+  }
+}
+
+/**
+ * The providers/models picked for a comparison
+ * @returns {Array<{provider: string, model: string}>|null} - null when compare mode is off
+ */
+function getCompareContenders() {
+  if (compareBar.style.display === 'none') {
+    return null;
+  }
+  return [...compareBar.querySelectorAll('.compare-contender')]
+    .map(row => ({
+      provider: row.querySelector('.compare-provider').value,
+      model: row.querySelector('.compare-model').value
+    }))
+    .filter(contender => contender.provider);
+}
+
+// One output pane per contender, below a smaller shared log
+function showComparePanes(labels) {
+  comparePanes.innerHTML = '';
+  comparePaneOutputs = labels.map(label => {
+    const pane = document.createElement('div');
+    pane.className = 'compare-pane';
+    const title = document.createElement('div');
+    title.className = 'compare-pane-title';
+    title.textContent = label;
+    const output = document.createElement('div');
+    output.className = 'tool-output';
+    pane.appendChild(title);
+    pane.appendChild(output);
+    comparePanes.appendChild(pane);
+    return output;
+  });
+  comparePanes.style.display = 'flex';
+  outputElement.classList.add('compare-log');
+}
+
+function hideComparePanes() {
+  comparePanes.innerHTML = '';
+  comparePaneOutputs = [];
+  comparePanes.style.display = 'none';
+  outputElement.classList.remove('compare-log');
+}
+
 // Run button handler
 runBtn.addEventListener('click', async () => {
   if (isRunning) {
@@ -177,15 +481,23 @@ runBtn.addEventListener('click', async () => {
     return;
   }
   
+  const contenders = getCompareContenders();
+  if (contenders && contenders.length < 2) {
+    outputElement.textContent += '\nPick at least two providers or models to compare, or click Compare again to turn it off.';
+    return;
+  }
+  
   // Start timing
   startTime = Date.now();
   isRunning = true;
   canClose = false; // Prevent closing the window while tool is running
   startTimer();
   
-  // Update UI - disable ALL buttons except Force Quit
+  // Update UI - disable ALL buttons except Cancel and Force Quit
+  cancelBtn.disabled = false;
   runBtn.disabled = true;
   setupBtn.disabled = true;
+  compareBtn.disabled = true;
   clearBtn.disabled = true;
   closeBtn.disabled = true; // Disable the X close button
   
@@ -213,20 +525,39 @@ runBtn.addEventListener('click', async () => {
     window.electronAPI.removeAllListeners('tool-output');
     window.electronAPI.removeAllListeners('tool-finished');
     window.electronAPI.removeAllListeners('tool-error');
+    window.electronAPI.removeAllListeners('tool-cancelled');
     
-    // Run the tool
-    currentRunId = await window.electronAPI.startToolRun(toolData.name, currentOptionValues);
+    // Run the tool, or compare it across the picked providers/models
+    if (contenders) {
+      const comparison = await window.electronAPI.startToolCompare(toolData.name, currentOptionValues, contenders);
+      currentRunId = comparison.runId;
+      showComparePanes(comparison.panes);
+    } else {
+      hideComparePanes();
+      const run = await window.electronAPI.startToolRun(toolData.name, currentOptionValues);
+      currentRunId = run.runId;
+      if (run.queuedBehind > 0) {
+        outputElement.textContent += `Queued behind ${run.queuedBehind} other run${run.queuedBehind === 1 ? '' : 's'}; it starts when there's room.\n`;
+      }
+      // A single run carries on in the background, so the window may close
+      canClose = true;
+      closeBtn.disabled = false;
+      outputElement.textContent += 'Closing this window leaves the run going; follow it under Background Runs on the main window.\n\n';
+    }
     console.log('Tool started with run ID:', currentRunId);
     
     // Listen for output messages
     window.electronAPI.onToolOutput((data) => {
       // Only append output for the current run
       if (data.runId === currentRunId) {
-        // Append output to the output element
-        outputElement.textContent += data.text;
+        // Append output to the output element, or the contender's pane when comparing
+        const target = typeof data.pane === 'number' && comparePaneOutputs[data.pane]
+          ? comparePaneOutputs[data.pane]
+          : outputElement;
+        target.textContent += data.text;
         
         // Auto scroll to bottom
-        outputElement.scrollTop = outputElement.scrollHeight;
+        target.scrollTop = target.scrollHeight;
       }
     });
 
@@ -241,10 +572,12 @@ runBtn.addEventListener('click', async () => {
         
         // Re-enable buttons
         setupBtn.disabled = false;
+        compareBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
 
         runBtn.disabled = true;
+        cancelBtn.disabled = true;
         // Reset setupCompleted flag to require going through setup again
         setupCompleted = false;        
 
@@ -252,91 +585,7 @@ runBtn.addEventListener('click', async () => {
         outputElement.textContent += `\n\nTool finished with exit code: ${result.code}`;
         
         // Create file selector if there are output files
-        if (result.createdFiles && result.createdFiles.length > 0) {
-          // First, log the files to the output area
-          outputElement.textContent += `\n\nFiles created/modified:`;
-          const fileList = document.createElement('pre');
-          fileList.style.marginTop = '10px';
-          fileList.style.whiteSpace = 'pre-wrap';
-          fileList.style.fontSize = '12px';
-          fileList.style.color = document.body.classList.contains('light-mode') ? '#666666' : '#aaaaaa';
-          
-          const fileListItems = result.createdFiles.map(file => `- ${file}`).join('\n');
-          fileList.textContent = fileListItems;
-          outputElement.appendChild(fileList);
-          
-          // Create a compact selector to place right after elapsed time
-          const compactSelector = document.createElement('div');
-          compactSelector.className = 'compact-file-selector';
-          compactSelector.style.display = 'flex';
-          compactSelector.style.alignItems = 'center';
-          compactSelector.style.gap = '8px';
-          compactSelector.style.marginLeft = '20px'; // More space from elapsed time
-          
-          // Create Edit button
-          const editButton = document.createElement('button');
-          editButton.id = 'edit-button';
-          editButton.textContent = 'Edit';
-          editButton.className = 'action-button';
-          editButton.style.padding = '4px 10px';
-          editButton.style.fontSize = '13px';
-          // Add this line to match the Run button's green color:
-          editButton.style.backgroundColor = '#22c55e';
-          editButton.style.color = 'white';
-          
-          // Create select dropdown
-          const select = document.createElement('select');
-          select.id = 'output-file-select';
-          select.style.maxWidth = '250px';
-          select.style.fontSize = '13px';
-          select.style.appearance = 'auto';
-          
-          // Add each file as an option
-          result.createdFiles.forEach(file => {
-            const option = document.createElement('option');
-            option.value = file;
-            option.textContent = path.basename(file);
-            select.appendChild(option);
-          });
-          
-          // Add click handler to the Edit button
-          editButton.addEventListener('click', () => {
-            const selectedFile = select.value;
-            if (selectedFile) {
-              const tempOutput = outputElement.textContent;
-              
-              window.electronAPI.openFileInEditor(selectedFile)
-                .then(result => {
-                  if (!result.success) {
-                    outputElement.textContent = tempOutput + '\nError opening file: ' + 
-                      (result.error || 'Unknown error');
-                  }
-                })
-                .catch(error => {
-                  console.error('Error opening file in editor:', error);
-                  outputElement.textContent = tempOutput + '\nError opening file: ' + error.message;
-                });
-            }
-          });
-          
-          // Assemble the selector
-          compactSelector.appendChild(editButton);
-          compactSelector.appendChild(select);
-          
-          // Insert right after elapsed time
-          const elapsedTimeParent = elapsedTimeElement.parentNode;
-          if (elapsedTimeParent) {
-            if (elapsedTimeElement.nextSibling) {
-              elapsedTimeParent.insertBefore(compactSelector, elapsedTimeElement.nextSibling);
-            } else {
-              elapsedTimeParent.appendChild(compactSelector);
-            }
-          } else {
-            // Fallback - insert before Clear button
-            const buttonRow = document.querySelector('.button-row');
-            buttonRow.insertBefore(compactSelector, clearBtn);
-          }
-        }
+        showOutputFiles(result.createdFiles);
 
         currentRunId = null;
       }
@@ -355,9 +604,40 @@ runBtn.addEventListener('click', async () => {
         // Re-enable buttons
         runBtn.disabled = false;
         setupBtn.disabled = false;
+        compareBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
+        cancelBtn.disabled = true;
+        
+        currentRunId = null;
+      }
+    });
+
+    // Listen for tool cancellation
+    window.electronAPI.onToolCancelled((result) => {
+      // Only process cancellation for the current run
+      if (result.runId === currentRunId) {
+        console.log('Tool cancelled:', result);
+        isRunning = false;
+        canClose = true; // Allow closing the window again
+        stopTimer();
         
+        // Re-enable buttons, same as a finished run
+        setupBtn.disabled = false;
+        compareBtn.disabled = false;
+        clearBtn.disabled = false;
+        closeBtn.disabled = false;
+
+        runBtn.disabled = true;
+        cancelBtn.disabled = true;
+        setupCompleted = false;
+
+        outputElement.textContent += `\n\nTool run was cancelled.`;
+        outputElement.scrollTop = outputElement.scrollHeight;
+
+        // Any partial report is still worth looking at
+        showOutputFiles(result.createdFiles);
+
         currentRunId = null;
       }
     });
@@ -372,8 +652,10 @@ runBtn.addEventListener('click', async () => {
     // Re-enable buttons
     runBtn.disabled = false;
     setupBtn.disabled = false;
+    compareBtn.disabled = false;
     clearBtn.disabled = false;
     closeBtn.disabled = false;
+    cancelBtn.disabled = true;
   }
 });
 
@@ -381,6 +663,7 @@ runBtn.addEventListener('click', async () => {
 clearBtn.addEventListener('click', () => {
   // Clear output area
   outputElement.textContent = 'Output cleared.';
+  hideComparePanes();
   
   // Reset elapsed time display
   elapsedTimeElement.textContent = 'elapsed: 0m 0s';
@@ -421,6 +704,10 @@ function showSetupDialog() {
 // Hide the setup dialog
 function hideSetupDialog() {
   setupDialogOverlay.style.display = 'none';
+  // Closing while asking about a cached run applies nothing
+  resolveCachedRunChoice = null;
+  cachedRunChoice.style.display = 'none';
+  setupDialogFooter.style.display = '';
 }
 
 // Generate form controls for tool options
@@ -874,3 +1161,98 @@ function updateElapsedTime() {
   
   elapsedTimeElement.textContent = `elapsed: ${minutes}m ${seconds}s`;
 }
+
+/**
+ * Show the files a run created, with an Edit button and file selector
+ * placed next to the elapsed time
+ * @param {string[]} files - Paths of created/modified files
+ */
+function showOutputFiles(files) {
+  if (!files || files.length === 0) {
+    return;
+  }
+
+  // First, log the files to the output area
+  outputElement.textContent += `\n\nFiles created/modified:`;
+  const fileList = document.createElement('pre');
+  fileList.style.marginTop = '10px';
+  fileList.style.whiteSpace = 'pre-wrap';
+  fileList.style.fontSize = '12px';
+  fileList.style.color = document.body.classList.contains('light-mode') ? '#666666' : '#aaaaaa';
+  
+  const fileListItems = files.map(file => `- ${file}`).join('\n');
+  fileList.textContent = fileListItems;
+  outputElement.appendChild(fileList);
+  
+  // Create a compact selector to place right after elapsed time
+  const compactSelector = document.createElement('div');
+  compactSelector.className = 'compact-file-selector';
+  compactSelector.style.display = 'flex';
+  compactSelector.style.alignItems = 'center';
+  compactSelector.style.gap = '8px';
+  compactSelector.style.marginLeft = '20px'; // More space from elapsed time
+  
+  // Create Edit button
+  const editButton = document.createElement('button');
+  editButton.id = 'edit-button';
+  editButton.textContent = 'Edit';
+  editButton.className = 'action-button';
+  editButton.style.padding = '4px 10px';
+  editButton.style.fontSize = '13px';
+  // Add this line to match the Run button's green color:
+  editButton.style.backgroundColor = '#22c55e';
+  editButton.style.color = 'white';
+  
+  // Create select dropdown
+  const select = document.createElement('select');
+  select.id = 'output-file-select';
+  select.style.maxWidth = '250px';
+  select.style.fontSize = '13px';
+  select.style.appearance = 'auto';
+  
+  // Add each file as an option
+  files.forEach(file => {
+    const option = document.createElement('option');
+    option.value = file;
+    option.textContent = path.basename(file);
+    select.appendChild(option);
+  });
+  
+  // Add click handler to the Edit button
+  editButton.addEventListener('click', () => {
+    const selectedFile = select.value;
+    if (selectedFile) {
+      const tempOutput = outputElement.textContent;
+      
+      window.electronAPI.openFileInEditor(selectedFile)
+        .then(result => {
+          if (!result.success) {
+            outputElement.textContent = tempOutput + '\nError opening file: ' + 
+              (result.error || 'Unknown error');
+          }
+        })
+        .catch(error => {
+          console.error('Error opening file in editor:', error);
+          outputElement.textContent = tempOutput + '\nError opening file: ' + error.message;
+        });
+    }
+  });
+  
+  // Assemble the selector
+  compactSelector.appendChild(editButton);
+  compactSelector.appendChild(select);
+  
+  // Insert right after elapsed time
+  const elapsedTimeParent = elapsedTimeElement.parentNode;
+  if (elapsedTimeParent) {
+    if (elapsedTimeElement.nextSibling) {
+      elapsedTimeParent.insertBefore(compactSelector, elapsedTimeElement.nextSibling);
+    } else {
+      elapsedTimeParent.appendChild(compactSelector);
+    }
+  } else {
+    // Fallback - insert before Clear button
+    const buttonRow = document.querySelector('.button-row');
+    buttonRow.insertBefore(compactSelector, clearBtn);
+  }
+}
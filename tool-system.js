@@ -39,6 +39,10 @@ function safeLog(message) {
 // }
 
 const AiApiService = require('./client');
+const ToolBase = require('./tool-base');
+const PackTool = require('./pack-tool');
+const appState = require('./state.js');
+const toolPacks = require('./tool-packs');
 
 const toolRegistry = require('./registry');
 
@@ -118,6 +122,10 @@ const ForeshadowingTracker = loadToolClass('foreshadowing-tracker');
 const PlotThreadTracker = loadToolClass('plot-thread-tracker');
 const KdpPublishingPrep = loadToolClass('kdp-publishing-prep');
 const Drunken = loadToolClass('drunken');
+const CreativeNonfictionEditing = loadToolClass('creative-nonfiction-editing');
+const NonfictionIntegrityEditing = loadToolClass('nonfiction-integrity-editing');
+const SelfhelpNonfictionEditing = loadToolClass('selfhelp-nonfiction-editing');
+const EvidenceGapFinder = loadToolClass('evidence-gap-finder');
 
 // AI writing tools:
 const BrainstormTool = loadToolClass('brainstorm');
@@ -128,6 +136,79 @@ const ChapterWriter = loadToolClass('chapter-writer');
 // non-AI tools:
 const DocxComments = loadToolClass('docx-comments');
 const EpubConverter = loadToolClass('epub-converter');
+// uses the AI only to extract findings from a plain .txt report:
+const FindingsToDocx = loadToolClass('findings-to-docx');
+
+// Chunked (map-reduce) mode options, added to every AI tool that runs
+// through ToolBase.execute so large manuscripts work on smaller context windows
+const CHUNKED_MODE_OPTIONS = [
+  {
+    "name": "chunked_mode",
+    "label": "Chunked Mode",
+    "type": "select",
+    "description": "Split the manuscript at chapter boundaries and analyze it part by part, then merge the findings. 'Auto' only splits when the manuscript is too large for the AI model's context window.",
+    "required": false,
+    "default": "off",
+    "choices": [
+      { "value": "off", "label": "Off (send whole manuscript)" },
+      { "value": "auto", "label": "Auto (only if too large)" },
+      { "value": "always", "label": "Always" }
+    ],
+    "group": "Large Manuscripts"
+  },
+  {
+    "name": "chunk_tokens",
+    "label": "Max Tokens per Part",
+    "type": "number",
+    "description": "Upper limit on the size of each part in chunked mode; 0 sizes parts to fit the context window.",
+    "required": false,
+    "default": 0,
+    "min": 0,
+    "step": 1000,
+    "group": "Large Manuscripts"
+  }
+];
+
+// Structured findings option, added alongside the chunked mode options
+const FINDINGS_OPTIONS = [
+  {
+    "name": "structured_findings",
+    "label": "Save Findings as JSON",
+    "type": "boolean",
+    "description": "Also save each finding (quoted text, suggestion, category, severity, explanation and chapter) to a _findings.json file, for filtering and applying suggestions. Uses one extra AI request.",
+    "required": false,
+    "default": false,
+    "group": "Output"
+  }
+];
+
+// Response cache option, also added to every ToolBase.execute tool
+const RESPONSE_CACHE_OPTIONS = [
+  {
+    "name": "reuse_cached_response",
+    "label": "Reuse Previous Result",
+    "type": "boolean",
+    "description": "If this tool already ran on the same manuscript with the same prompt, AI model and options, reuse that answer instead of paying for it again. When there is one, Apply asks whether to reuse it.",
+    "required": false,
+    "default": false,
+    "group": "Output"
+  }
+];
+
+// Reference files option, also added to every ToolBase.execute tool; a pipeline
+// fills it with the reports of earlier steps (see pipelines.js)
+const REFERENCE_FILES_OPTIONS = [
+  {
+    "name": "reference_files",
+    "label": "Also Send",
+    "type": "textarea",
+    "description": "Other files to send along with the manuscript, such as an outline, character list or world document written by another tool. One file per line; relative paths are in the project folder.",
+    "required": false,
+    "default": "",
+    "placeholder": "e.g. outline.txt",
+    "group": "Input Files"
+  }
+];
 
 const TOOL_DEFS = [
   { id: 'tokens_words_counter', title: `Tokens & Words Counter`, description: `This tool can test that your AI API key is working properly!  Also, use it to count the approximate tokens and words in text files (mostly for manuscript.txt).`, Class: TokensWordsCounter, options: [
@@ -458,6 +539,86 @@ const TOOL_DEFS = [
       "group": "Input Files"
     }
   ]},
+  { id: 'creative_nonfiction_editing', title: `Creative Non-Fiction Editing`, description: `Developmental edit for memoir, personal essay and literary non-fiction: voice, authenticity and emotional honesty, then whether the work resonates and feels complete.`, Class: CreativeNonfictionEditing, options: [
+    {
+      "name": "manuscript_file",
+      "label": "Manuscript File",
+      "type": "file",
+      "description": "File containing the manuscript to analyze",
+      "required": true,
+      "default": "manuscript.txt",
+      "group": "Input Files"
+    },
+    {
+      "name": "special_instructions",
+      "label": "Special Instructions",
+      "type": "textarea",
+      "description": "Additional focus areas or specific concerns (optional)",
+      "required": false,
+      "placeholder": "e.g., Focus on the reflective passages, The essays are meant to be read in order...",
+      "group": "Customization"
+    }
+  ]},
+  { id: 'nonfiction_integrity_editing', title: `Non-Fiction Integrity Editing`, description: `Developmental edit for general non-fiction: whether the arguments stay consistent and supported, then which arguments, examples and themes are left underdeveloped.`, Class: NonfictionIntegrityEditing, options: [
+    {
+      "name": "manuscript_file",
+      "label": "Manuscript File",
+      "type": "file",
+      "description": "File containing the manuscript to analyze",
+      "required": true,
+      "default": "manuscript.txt",
+      "group": "Input Files"
+    },
+    {
+      "name": "special_instructions",
+      "label": "Special Instructions",
+      "type": "textarea",
+      "description": "Additional focus areas or specific concerns (optional)",
+      "required": false,
+      "placeholder": "e.g., Written for a general audience, Check the chapters on methodology closely...",
+      "group": "Customization"
+    }
+  ]},
+  { id: 'selfhelp_nonfiction_editing', title: `Self-Help Editing`, description: `Developmental edit for self-help: how clear, accessible and safe the advice is, then how well the book supports readers in acting on it.`, Class: SelfhelpNonfictionEditing, options: [
+    {
+      "name": "manuscript_file",
+      "label": "Manuscript File",
+      "type": "file",
+      "description": "File containing the manuscript to analyze",
+      "required": true,
+      "default": "manuscript.txt",
+      "group": "Input Files"
+    },
+    {
+      "name": "special_instructions",
+      "label": "Special Instructions",
+      "type": "textarea",
+      "description": "Additional focus areas or specific concerns (optional)",
+      "required": false,
+      "placeholder": "e.g., Readers are new managers, Pay attention to the exercises...",
+      "group": "Customization"
+    }
+  ]},
+  { id: 'evidence_gap_finder', title: `Evidence Gap Finder`, description: `Lists the factual claims in your manuscript with how well each is sourced (verified, unverified, outdated, conflicting...), health, legal and financial claims first. Also saves the claims as a spreadsheet (.csv) to check off. The AI cannot look sources up, so verify every claim yourself.`, Class: EvidenceGapFinder, options: [
+    {
+      "name": "manuscript_file",
+      "label": "Manuscript File",
+      "type": "file",
+      "description": "File containing the manuscript to analyze",
+      "required": true,
+      "default": "manuscript.txt",
+      "group": "Input Files"
+    },
+    {
+      "name": "special_instructions",
+      "label": "Special Instructions",
+      "type": "textarea",
+      "description": "Additional focus areas or specific concerns (optional)",
+      "required": false,
+      "placeholder": "e.g., Statistics in chapter 3 come from the 2019 census...",
+      "group": "Customization"
+    }
+  ]},
   { id: 'brainstorm', title: `Brainstorm`, description: `Helps generate initial story ideas, prompts, and creative angles. Appends more ideas to the existing 'ideas.txt' file.`, Class: BrainstormTool, options: [
     {
       "name": "ideas_file",
@@ -573,6 +734,38 @@ const TOOL_DEFS = [
         "group": "Input Files"
       }
   ]},
+  { id: 'findings_to_docx', title: 'Findings to DOCX Comments', description: 'Writes the manuscript to a DOCX file with each finding from a tool report attached as a Word comment on the quoted passage, for reviewing feedback in Word or Google Docs', Class: FindingsToDocx, options: [
+      {
+        "name": "report_file",
+        "label": "Findings or Report File",
+        "type": "file",
+        "description": "A _findings.json file, or a tool report .txt file (its _findings.json is used if present, otherwise the AI extracts the findings)",
+        "required": true,
+        "default": "",
+        "filters": [
+          {
+            "name": "Findings and Reports",
+            "extensions": ["json", "txt"]
+          }
+        ],
+        "group": "Input Files"
+      },
+      {
+        "name": "manuscript_file",
+        "label": "Manuscript File",
+        "type": "file",
+        "description": "Manuscript the report is about (defaults to the one recorded in the findings file)",
+        "required": false,
+        "default": "",
+        "filters": [
+          {
+            "name": "Text Files",
+            "extensions": ["txt"]
+          }
+        ],
+        "group": "Input Files"
+      }
+  ]},
   { id: 'epub_converter', title: 'EPUB to TXT Converter', description: 'Converts EPUB files to plain text format while preserving structure', Class: EpubConverter, options: [
       {
         "name": "epub_file",
@@ -592,7 +785,291 @@ const TOOL_DEFS = [
 
 module.exports = TOOL_DEFS;
 
-async function initializeToolSystem(settings) {
+/**
+ * Wrap the provider client so requests are retried, and can fail over to a
+ * second provider, when the network or the provider has trouble
+ * @param {Object} primary - Selected provider client
+ * @param {Object} resilience - { provider, maxRetries, fallbackProvider, fallbackSettings }
+ * @returns {ResilientApiService}
+ */
+function createResilientApiService(primary, resilience) {
+  const createApiService = require('./client');
+  const { ProvidersRegistry } = require('./providers-registry');
+  const { ResilientApiService } = require('./client-resilient');
+  const displayName = (id) => ProvidersRegistry.isValidProvider(id) ? ProvidersRegistry.getProvider(id).name : id;
+
+  let fallback = null;
+  if (resilience.fallbackProvider) {
+    const FallbackClass = createApiService(resilience.fallbackProvider);
+    fallback = FallbackClass ? new FallbackClass(resilience.fallbackSettings || {}) : null;
+    if (fallback && fallback.apiKeyMissing) {
+      console.warn(`Fallback provider ${resilience.fallbackProvider} has no API key, so there is no fallback`);
+      fallback = null;
+    }
+  }
+
+  return new ResilientApiService(primary, {
+    providerId: resilience.provider || 'gemini',
+    providerName: displayName(resilience.provider || 'gemini'),
+    maxRetries: resilience.maxRetries,
+    fallback,
+    fallbackId: fallback ? resilience.fallbackProvider : undefined,
+    fallbackName: fallback ? displayName(resilience.fallbackProvider) : undefined
+  });
+}
+
+// Generation parameter options, added to every AI tool that writes a
+// response of its own; blank uses the value in Settings (see generation-params.js)
+const GENERATION_OPTIONS = [
+  {
+    "name": "temperature",
+    "label": "Temperature",
+    "type": "number",
+    "description": "Higher is more varied and inventive, lower is more focused and repeatable; creative tools often do well around 1, proofreading checks around 0.2. Blank uses Settings.",
+    "required": false,
+    "default": "",
+    "min": 0,
+    "max": 2,
+    "step": 0.1,
+    "group": "Advanced"
+  },
+  {
+    "name": "top_p",
+    "label": "Top-p",
+    "type": "number",
+    "description": "Only pick words from the most likely ones adding up to this share (0-1). Usually set temperature or top-p, not both. Blank uses Settings.",
+    "required": false,
+    "default": "",
+    "min": 0,
+    "max": 1,
+    "step": 0.05,
+    "group": "Advanced"
+  },
+  {
+    "name": "max_output_tokens",
+    "label": "Max Output Tokens",
+    "type": "number",
+    "description": "Upper limit on the length of the response, thinking included. Blank uses Settings.",
+    "required": false,
+    "default": "",
+    "min": 1,
+    "step": 1000,
+    "group": "Advanced"
+  },
+  {
+    "name": "thinking_budget",
+    "label": "Thinking Budget",
+    "type": "number",
+    "description": "Tokens the model may spend reasoning before it answers, on models that allow it; 0 turns thinking off where the model can. Blank uses Settings.",
+    "required": false,
+    "default": "",
+    "min": 0,
+    "step": 1024,
+    "group": "Advanced"
+  }
+];
+
+// AI tools whose AI requests aren't a response to tune: counting tokens, extracting findings
+const NO_GENERATION_TOOL_IDS = ['tokens_words_counter', 'findings_to_docx'];
+
+// Tools that don't use AI and don't need an AI API service
+const NON_AI_TOOL_IDS = ['docx_comments', 'epub_converter', 'proofreader_spelling'];
+
+// Project genres (see project-genre.js) each tool is listed for; tools not
+// here suit every genre. Pack tools can set "genres" in their manifest
+const FICTION = ['fiction'];
+const NONFICTION = ['creative_nonfiction', 'nonfiction', 'self_help'];
+const TOOL_GENRES = {
+  manuscript_to_world: FICTION,
+  narrative_integrity: FICTION,
+  developmental_editing: FICTION,
+  proofreader_plot_consistency: FICTION,
+  plot_thread_tracker: FICTION,
+  foreshadowing_tracker: FICTION,
+  brainstorm: FICTION,
+  outline_writer: FICTION,
+  world_writer: FICTION,
+  chapter_writer: FICTION,
+  // memoir has characters and conflict too
+  manuscript_to_characters: ['fiction', 'creative_nonfiction'],
+  character_analyzer: ['fiction', 'creative_nonfiction'],
+  conflict_analyzer: ['fiction', 'creative_nonfiction'],
+  creative_nonfiction_editing: ['creative_nonfiction'],
+  nonfiction_integrity_editing: ['nonfiction', 'self_help'],
+  selfhelp_nonfiction_editing: ['self_help'],
+  evidence_gap_finder: NONFICTION
+};
+
+// Why each tool pack that couldn't be loaded was left out (see tool-packs.js)
+let toolPackErrors = [];
+
+// The selected provider's service, given to every AI tool at startup
+let defaultApiService = null;
+// Services for per-tool overrides, keyed by "provider/model" and shared by
+// the tools that use that provider and model
+const overrideServices = new Map();
+
+/**
+ * Tool config with all properties from its definition; AI tools using the
+ * shared workflow also get its reference files, chunked mode, findings and cache options, and
+ * AI tools that write a response get the generation options
+ * @param {Object} def - Entry of TOOL_DEFS
+ * @param {Object} settings - API settings
+ * @returns {Object}
+ */
+function buildToolConfig(def, settings) {
+  const options = usesSharedWorkflow(def.id)
+    ? [...(def.options || []), ...REFERENCE_FILES_OPTIONS, ...CHUNKED_MODE_OPTIONS, ...FINDINGS_OPTIONS, ...RESPONSE_CACHE_OPTIONS]
+    : [...(def.options || [])];
+  if (isAiTool(def.id) && !NO_GENERATION_TOOL_IDS.includes(def.id)) {
+    options.push(...GENERATION_OPTIONS);
+  }
+  return {
+    name: def.id,
+    title: def.title,
+    description: def.description,
+    options,
+    ...settings,
+    ...(def.pack ? { pack: def.pack } : {})
+  };
+}
+
+/**
+ * Whether a tool uses AI (and so can be given its own provider and model)
+ * @param {string} toolId - Tool ID
+ * @returns {boolean}
+ */
+function isAiTool(toolId) {
+  return TOOL_DEFS.some(d => d.id === toolId) && !NON_AI_TOOL_IDS.includes(toolId);
+}
+
+/**
+ * Whether a tool is listed for projects of a genre
+ * @param {string} toolId - Tool ID
+ * @param {string} genre - Genre ID, as in project-genre.js
+ * @returns {boolean}
+ */
+function toolSuitsGenre(toolId, genre) {
+  const def = TOOL_DEFS.find(d => d.id === toolId);
+  const genres = (def && def.genres) || TOOL_GENRES[toolId];
+  return !genres || genres.includes(genre);
+}
+
+/**
+ * Whether a tool runs ToolBase's prompt-and-report workflow rather than its own
+ * @param {string} toolId - Tool ID
+ * @returns {boolean}
+ */
+function usesSharedWorkflow(toolId) {
+  const def = TOOL_DEFS.find(d => d.id === toolId);
+  return Boolean(def) && !NON_AI_TOOL_IDS.includes(toolId) &&
+    def.Class.prototype.execute === ToolBase.prototype.execute;
+}
+
+/**
+ * Create a separate instance of an AI tool that uses the given provider and
+ * model instead of the selected one, e.g. for comparing models side by side.
+ * It never fails over, as its answer has to come from that model, and its
+ * reports are tagged with the model so they don't overwrite each other.
+ * @param {string} toolId - Tool ID
+ * @param {string} providerId - Provider ID, as in the providers registry
+ * @param {Object} settings - Client settings, including model_name
+ * @param {Object} [resilience={}] - { maxRetries }
+ * @returns {ToolBase}
+ */
+function createToolForProvider(toolId, providerId, settings, resilience = {}) {
+  const def = TOOL_DEFS.find(d => d.id === toolId);
+  if (!def) {
+    throw new Error(`Tool not found: ${toolId}`);
+  }
+  if (NON_AI_TOOL_IDS.includes(toolId)) {
+    throw new Error(`${def.title} does not use AI`);
+  }
+
+  const apiService = createProviderApiService(providerId, settings, { maxRetries: resilience.maxRetries });
+  const instance = new def.Class(apiService, buildToolConfig(def, settings));
+  if (!instance.apiService) {
+    instance.apiService = apiService;
+  }
+  instance.reportTag = `${providerId}-${settings.model_name || 'default'}`.replace(/[^A-Za-z0-9.-]+/g, '-');
+  instance.reportLabel = `${apiService.providerName} / ${settings.model_name || 'default model'}`;
+  return instance;
+}
+
+/**
+ * API service for a provider other than the selected one
+ * @param {string} providerId - Provider ID, as in the providers registry
+ * @param {Object} settings - Client settings, including model_name
+ * @param {Object} [resilience={}] - { maxRetries, fallbackProvider, fallbackSettings }
+ * @returns {ResilientApiService}
+ * @throws {Error} - If the provider is unknown or has no API key
+ */
+function createProviderApiService(providerId, settings, resilience = {}) {
+  const createApiService = require('./client');
+  const { ProvidersRegistry } = require('./providers-registry');
+
+  const AiApiServiceClass = createApiService(providerId);
+  if (!AiApiServiceClass) {
+    throw new Error(`No AI provider available for ${providerId}`);
+  }
+  const client = new AiApiServiceClass(settings);
+  if (client.apiKeyMissing) {
+    const providerName = ProvidersRegistry.isValidProvider(providerId)
+      ? ProvidersRegistry.getProvider(providerId).name
+      : providerId;
+    throw new Error(`${providerName} has no API key in your .env file`);
+  }
+
+  return createResilientApiService(client, { ...resilience, provider: providerId });
+}
+
+/**
+ * Point a registered AI tool at another provider and model, or back at the
+ * selected ones, without restarting
+ * @param {string} toolId - Tool ID
+ * @param {Object|null} override - { provider, settings, resilience } where
+ *   settings include model_name; null to use the selected provider again
+ * @returns {Object|null} - The API service the tool now uses
+ * @throws {Error} - If the tool doesn't use AI, or the provider can't be used
+ */
+function setToolOverride(toolId, override) {
+  const tool = toolRegistry.getTool(toolId);
+  if (!tool) {
+    throw new Error(`Tool not found: ${toolId}`);
+  }
+  if (NON_AI_TOOL_IDS.includes(toolId)) {
+    throw new Error(`${tool.config.title || toolId} does not use AI`);
+  }
+
+  if (!override || !override.provider) {
+    tool.apiService = defaultApiService;
+    return tool.apiService;
+  }
+
+  const key = `${override.provider}/${override.settings.model_name || ''}`;
+  if (!overrideServices.has(key)) {
+    overrideServices.set(key, createProviderApiService(override.provider, override.settings, override.resilience));
+  }
+  tool.apiService = overrideServices.get(key);
+  return tool.apiService;
+}
+
+/**
+ * Every API service tools may be using: the selected provider's and any overrides'
+ * @returns {Object[]}
+ */
+function getApiServices() {
+  return [defaultApiService, ...overrideServices.values()].filter(Boolean);
+}
+
+/**
+ * Create the selected provider's API service and register every tool with it
+ * @param {Object|null} settings - API settings; null registers the tools
+ *   without an API service, e.g. before a provider is set up
+ * @param {Object} [resilience={}] - { maxRetries, fallbackProvider, fallbackSettings }, see createResilientApiService
+ * @returns {Promise<Object>} - { AiApiService, toolRegistry }
+ */
+async function initializeToolSystem(settings, resilience = {}) {
   // console.log('Initializing tool system...');
   
   if (typeof global.logToFile === 'function') {
@@ -602,20 +1079,21 @@ async function initializeToolSystem(settings) {
   try {
     // Get the API service constructor from the factory
     const createApiService = require('./client');
-    const AiApiServiceClass = createApiService();
+    const AiApiServiceClass = settings === null ? null : createApiService();
     
     let aiAPIService = null;
+    overrideServices.clear();
     
     if (AiApiServiceClass) {
       // Create AI API service instance with the provided settings
-      aiAPIService = new AiApiServiceClass(settings);
+      aiAPIService = createResilientApiService(new AiApiServiceClass(settings), resilience);
       // console.log('Created AI API Service instance');
-    } else {
+    } else if (settings !== null) {
       console.warn('No AI API Service - user skipped setup or no provider configured');
     }
     
-    // Define which tools are non-AI and don't need AI API service
-    const nonAiToolIds = ['docx_comments', 'epub_converter', 'proofreader_spelling'];
+    // Tools from the user's tool packs, registered after the built-in ones
+    await addToolPackDefs();
     
     // Register each tool with proper configuration
     let toolCount = 0;
@@ -624,14 +1102,7 @@ async function initializeToolSystem(settings) {
         global.logToFile(`[tool-system] Registering tool #${toolCount + 1}: ${def.id}`);
       }
       
-      // Create tool config with all properties from definition
-      const toolConfig = {
-        name: def.id,
-        title: def.title,
-        description: def.description,
-        options: def.options || [],
-        ...settings
-      };
+      const toolConfig = buildToolConfig(def, settings);
       
       // console.log(`Creating instance of tool: ${def.id}`);
       
@@ -639,7 +1110,7 @@ async function initializeToolSystem(settings) {
       let instance;
       
       // Check if this is a non-AI tool
-      if (nonAiToolIds.includes(def.id)) {
+      if (NON_AI_TOOL_IDS.includes(def.id)) {
         // Non-AI tools don't get AI API service
         instance = new def.Class(def.id, toolConfig);
         // console.log(`Initialized non-AI tool ${def.id} without AI API service`);
@@ -661,7 +1132,7 @@ async function initializeToolSystem(settings) {
           // console.log(`Initialized AI tool ${def.id} with AI API service`);
         } else {
           // No API service available - create tool without it
-          console.warn(`No API service available for AI tool ${def.id} - creating without service`);
+          console.log(`No API service available for AI tool ${def.id} - creating without service`);
           instance = new def.Class(null, toolConfig);
         }
       }
@@ -679,6 +1150,7 @@ async function initializeToolSystem(settings) {
     // Log registration summary
     const allTools = toolRegistry.getAllToolIds();
     
+    defaultApiService = aiAPIService;
     return { AiApiService: aiAPIService, toolRegistry };
   } catch (error) {
     console.error(`[tool-system] ERROR during initialization: ${error.message}`);
@@ -686,14 +1158,52 @@ async function initializeToolSystem(settings) {
   }
 }
 
+/**
+ * Add the tools defined in ~/writing_with_storygrinder/tool-packs/ to TOOL_DEFS,
+ * replacing any added before
+ * @returns {Promise<void>}
+ */
+async function addToolPackDefs() {
+  for (let i = TOOL_DEFS.length - 1; i >= 0; i--) {
+    if (TOOL_DEFS[i].pack) {
+      TOOL_DEFS.splice(i, 1);
+    }
+  }
+  
+  // Names of the options every pack tool gets from the shared workflow
+  const reservedOptions = [
+    ...REFERENCE_FILES_OPTIONS, ...CHUNKED_MODE_OPTIONS, ...FINDINGS_OPTIONS, ...RESPONSE_CACHE_OPTIONS, ...GENERATION_OPTIONS
+  ].map(option => option.name);
+  const { defs, errors } = await toolPacks.loadToolPacks(
+    path.join(appState.PROJECTS_DIR, toolPacks.TOOL_PACKS_DIR),
+    TOOL_DEFS.map(def => def.id),
+    reservedOptions
+  );
+  defs.forEach(def => {
+    TOOL_DEFS.push({ ...def, Class: PackTool });
+  });
+  toolPackErrors = errors;
+  errors.forEach(error => console.warn(`Tool pack left out: ${error}`));
+}
+
+/**
+ * Why each tool pack that couldn't be loaded at startup was left out
+ * @returns {string[]} - "manifest file: problem" messages
+ */
+function getToolPackErrors() {
+  return toolPackErrors;
+}
+
 /**
  * Execute a tool by ID
  * @param {string} toolId - Tool ID
  * @param {Object} options - Tool options
  * @param {string} runId - Optional run ID for tracking
+ * @param {Function} sendOutput - Optional output callback assigned to the tool
+ * @param {AbortSignal} signal - Optional signal used to cancel the run
  * @returns {Promise<Object>} - Tool execution result
  */
-async function executeToolById(toolId, options, runId = null, sendOutput = null) {
+async function executeToolById(toolId, options, runId = null, sendOutput = null, signal = null) {
   // console.log(`Executing tool: ${toolId} with options:`, options);
   
   // Get the tool implementation
@@ -710,9 +1220,13 @@ async function executeToolById(toolId, options, runId = null, sendOutput = null)
   }
   
   try {
+    if (tool.apiService && !NO_GENERATION_TOOL_IDS.includes(toolId) && typeof tool.prepareGeneration === 'function') {
+      tool.prepareGeneration(options);
+    }
+    
     // Execute the tool
     // console.log(`Starting execution of tool: ${toolId}`);
-    const result = await tool.execute(options);
+    const result = await tool.execute(options, signal);
     // console.log(`Tool execution complete: ${toolId}`);
     
     return result;
@@ -725,5 +1239,12 @@ async function executeToolById(toolId, options, runId = null, sendOutput = null)
 module.exports = {
   initializeToolSystem,
   executeToolById,
+  createToolForProvider,
+  usesSharedWorkflow,
+  isAiTool,
+  toolSuitsGenre,
+  setToolOverride,
+  getApiServices,
+  getToolPackErrors,
   toolRegistry
 };
@@ -0,0 +1,121 @@
+// usage-dialog.js
+
+// DOM elements
+const closeBtn = document.getElementById('close-btn');
+const usageBody = document.getElementById('usage-body');
+
+window.addEventListener('DOMContentLoaded', async () => {
+  window.electronAPI.onSetTheme((theme) => {
+    document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+  });
+
+  await loadUsage();
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeUsage();
+});
+
+async function loadUsage() {
+  try {
+    const result = await window.electronAPI.getUsageSummary();
+    if (!result.success) {
+      showEmpty(result.message || 'Could not load the usage ledger.');
+      return;
+    }
+    renderUsage(result);
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    showEmpty(`Error loading usage: ${error.message}`);
+  }
+}
+
+function showEmpty(message) {
+  usageBody.innerHTML = '';
+  const empty = document.createElement('div');
+  empty.className = 'usage-empty';
+  empty.textContent = message;
+  usageBody.appendChild(empty);
+}
+
+function renderUsage(summary) {
+  usageBody.innerHTML = '';
+
+  if (summary.total.runs === 0) {
+    showEmpty('No AI tool runs recorded yet.');
+    return;
+  }
+
+  const total = document.createElement('div');
+  total.className = 'usage-total';
+  total.textContent = `Total: ${formatCost(summary.total.cost)} over ${summary.total.runs} run${summary.total.runs === 1 ? '' : 's'}`;
+  usageBody.appendChild(total);
+
+  const note = document.createElement('div');
+  note.className = 'usage-note';
+  note.textContent = `Token counts are the ones each provider reported, priced as of ${summary.pricesUpdated}; ` +
+    `your provider's bill is the final word.` +
+    (summary.total.estimated > 0 ? ` Counts marked ~ were estimated at about four characters per token (${summary.total.estimated} entries).` : '') +
+    (summary.total.unpriced > 0 ? ` ${summary.total.unpriced} entries used a model with no known price and are not included.` : '') +
+    ` Ledger: ${summary.ledgerPath}`;
+  usageBody.appendChild(note);
+
+  addSection('By Month', ['Month'], summary.byMonth.map(row => [row.month, ...totalsCells(row)]));
+  addSection('By Project', ['Project'], summary.byProject.map(row => [row.project, ...totalsCells(row)]));
+  addSection('Recent Runs', ['Date', 'Project', 'Tool', 'Model'], summary.recent.map(entry => [
+    new Date(entry.date).toLocaleString(),
+    entry.project || '(no project)',
+    entry.toolTitle || entry.toolId,
+    entry.model,
+    entry.requests,
+    (entry.estimated ? '~' : '') + entry.inputTokens.toLocaleString(),
+    (entry.estimated ? '~' : '') + entry.outputTokens.toLocaleString(),
+    formatCost(entry.cost)
+  ]), ['Requests', 'Tokens In', 'Tokens Out', 'Cost']);
+}
+
+function totalsCells(totals) {
+  return [
+    totals.runs,
+    totals.inputTokens.toLocaleString(),
+    totals.outputTokens.toLocaleString(),
+    formatCost(totals.cost)
+  ];
+}
+
+// A heading and a table; the number columns are right-aligned
+function addSection(heading, labelColumns, rows, numberColumns = ['Runs', 'Tokens In', 'Tokens Out', 'Cost']) {
+  const title = document.createElement('h3');
+  title.textContent = heading;
+  usageBody.appendChild(title);
+
+  const table = document.createElement('table');
+  table.className = 'usage-table';
+
+  const headerRow = document.createElement('tr');
+  [...labelColumns, ...numberColumns].forEach((label, index) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    if (index >= labelColumns.length) th.className = 'number';
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+
+  rows.forEach(cells => {
+    const row = document.createElement('tr');
+    cells.forEach((value, index) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      if (index >= labelColumns.length) td.className = 'number';
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+
+  usageBody.appendChild(table);
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'unknown';
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
@@ -0,0 +1,156 @@
+// usage-ledger.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * AI usage ledger
+ * One JSON line per provider used in a tool run, kept in the StoryGrinder
+ * projects folder (not per project) so spending can be totalled across all
+ * projects and months from the Usage & Costs window:
+ *
+ * {
+ *   date, runId, toolId, toolTitle,
+ *   project, projectPath,   // null if no project was open
+ *   provider, model,
+ *   requests,               // AI requests made, retries included
+ *   inputTokens, outputTokens,   // as the provider reported them, thinking counted as output
+ *   thinkingTokens, cachedTokens, // parts of those spent reasoning or read from a cache
+ *   cost,                   // US dollars at the registry's prices, null if the model's price is unknown
+ *   estimated               // true if some tokens were guessed at four characters each
+ * }
+ *
+ * Entries written before providers' counts were used have no `estimated`
+ * field; all of their tokens were estimates.
+ */
+
+const LEDGER_FILE = 'usage-ledger.jsonl';
+
+/**
+ * Path of the ledger file
+ * @param {string} ledgerDir - StoryGrinder projects folder
+ * @returns {string}
+ */
+function getLedgerPath(ledgerDir) {
+  return path.join(ledgerDir, LEDGER_FILE);
+}
+
+/**
+ * Append entries to the ledger
+ * @param {string} ledgerDir - StoryGrinder projects folder
+ * @param {Object[]} entries - Ledger entries (see above)
+ * @returns {Promise<void>}
+ */
+async function recordUsage(ledgerDir, entries) {
+  if (entries.length === 0) return;
+  await fs.mkdir(ledgerDir, { recursive: true });
+  const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+  await fs.appendFile(getLedgerPath(ledgerDir), lines, 'utf8');
+}
+
+/**
+ * Read every ledger entry, oldest first
+ * @param {string} ledgerDir - StoryGrinder projects folder
+ * @returns {Promise<Object[]>}
+ */
+async function readLedger(ledgerDir) {
+  let text;
+  try {
+    text = await fs.readFile(getLedgerPath(ledgerDir), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`Skipping unreadable usage ledger line: ${error.message}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Total the ledger by project and by month
+ * @param {Object[]} entries - Ledger entries
+ * @returns {Object} - { total, byProject, byMonth }, each total being
+ *   { cost, inputTokens, outputTokens, requests, runs, unpriced, estimated }, where
+ *   unpriced counts entries whose model had no known price and estimated
+ *   those whose tokens were estimated
+ */
+function summarizeUsage(entries) {
+  const emptyTotal = () => ({ cost: 0, inputTokens: 0, outputTokens: 0, requests: 0, runs: new Set(), unpriced: 0, estimated: 0 });
+  const total = emptyTotal();
+  const byProject = new Map();
+  const byMonth = new Map();
+
+  const add = (totals, entry) => {
+    totals.cost += entry.cost || 0;
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    totals.requests += entry.requests || 0;
+    totals.runs.add(entry.runId);
+    if (entry.cost === null || entry.cost === undefined) {
+      totals.unpriced++;
+    }
+    if (isEstimated(entry)) {
+      totals.estimated++;
+    }
+  };
+
+  entries.forEach(entry => {
+    const project = entry.project || '(no project)';
+    // Local time, matching how dates are shown elsewhere
+    const date = new Date(entry.date);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    if (!byProject.has(project)) byProject.set(project, emptyTotal());
+    if (!byMonth.has(month)) byMonth.set(month, emptyTotal());
+    add(total, entry);
+    add(byProject.get(project), entry);
+    add(byMonth.get(month), entry);
+  });
+
+  const finish = (totals) => ({ ...totals, runs: totals.runs.size });
+  return {
+    total: finish(total),
+    byProject: [...byProject.entries()]
+      .map(([project, totals]) => ({ project, ...finish(totals) }))
+      .sort((a, b) => b.cost - a.cost),
+    byMonth: [...byMonth.entries()]
+      .map(([month, totals]) => ({ month, ...finish(totals) }))
+      .sort((a, b) => b.month.localeCompare(a.month))
+  };
+}
+
+/**
+ * Whether an entry's tokens are (partly) an estimate rather than reported
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean}
+ */
+function isEstimated(entry) {
+  return entry.estimated !== false;
+}
+
+/**
+ * Format an estimated cost for display
+ * @param {number|null} cost - US dollars
+ * @returns {string}
+ */
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'unknown';
+  if (cost === 0) return '$0.00';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+module.exports = {
+  getLedgerPath,
+  recordUsage,
+  readLedger,
+  summarizeUsage,
+  isEstimated,
+  formatCost
+};
@@ -19,9 +19,10 @@ class WorldWriter extends ToolBase {
   /**
    * Execute the tool
    * @param {Object} options - Tool options
+   * @param {AbortSignal} [signal=null] - Aborted when the user cancels the run
    * @returns {Promise<Object>} - Execution result
    */
-  async execute(options) {
+  async execute(options, signal = null) {
     // Clear the cache for this tool
     fileCache.clear(this.name);
     
@@ -94,13 +95,13 @@ class WorldWriter extends ToolBase {
       let thinkingContent = "";
       
       try {
-        await this.apiService.streamWithThinking(
+        await this.apiService.streamResponse(
           prompt,
           (textDelta) => {
             fullResponse += textDelta;
             this.emitOutput(textDelta);
           },
-          true // don't use cached file
+          this.streamOptions(signal, { includeMetadata: true })
         );
       } catch (error) {
         this.emitOutput(`\nAPI Error: ${error.message}\n`);